@@ -1,8 +1,74 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   port: process.env.PORT || 5000,
   jwtSecret: process.env.JWT_SECRET || 'fallback_secret_key_change_in_production',
+  // Lifetime of access tokens (jsonwebtoken notation); the client refreshes them
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  // Days a session stays open without being refreshed
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  // HMAC key signing registration QR codes; rotating it invalidates printed stickers
+  qrSigningSecret: process.env.QR_SIGNING_SECRET || 'fallback_qr_secret_change_in_production',
   dbPath: process.env.DB_PATH || './database.sqlite',
-  nodeEnv: process.env.NODE_ENV || 'development'
+  // Milliseconds a statement waits for a transaction of another request to
+  // finish before failing with SQLITE_BUSY
+  dbBusyTimeoutMs: parseInt(process.env.DB_BUSY_TIMEOUT_MS, 10) || 30000,
+  nodeEnv: process.env.NODE_ENV || 'development',
+  // Minutes a reserved plate number is held before it can be reallocated
+  plateReservationTtlMinutes: parseInt(process.env.PLATE_RESERVATION_TTL_MINUTES, 10) || 30,
+  // Minutes between two runs of the registration lifecycle job (0 disables it)
+  lifecycleIntervalMinutes: process.env.LIFECYCLE_INTERVAL_MINUTES !== undefined
+    ? parseInt(process.env.LIFECYCLE_INTERVAL_MINUTES, 10)
+    : 60,
+  // Renewal periods offered, in months
+  renewalPeriodsMonths: (process.env.RENEWAL_PERIODS_MONTHS || '12,24,36')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0),
+  // Renewals are accepted from this many days before expiry...
+  renewalWindowDaysBefore: parseInt(process.env.RENEWAL_WINDOW_DAYS_BEFORE, 10) || 60,
+  // ...until this many days after it
+  renewalWindowDaysAfter: parseInt(process.env.RENEWAL_WINDOW_DAYS_AFTER, 10) || 90,
+  // Years after expiry before a cancelled registration may be purged
+  recordRetentionYears: process.env.RECORD_RETENTION_YEARS !== undefined
+    ? parseInt(process.env.RECORD_RETENTION_YEARS, 10)
+    : 10,
+  // Express "trust proxy" setting, so audited IPs are the clients' behind a
+  // reverse proxy: a hop count ("1") or addresses ("loopback, 10.0.0.0/8")
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+    ? parseInt(process.env.TRUST_PROXY, 10)
+    : process.env.TRUST_PROXY || false,
+  // Login brute-force protection: wrong passwords before an account is locked,
+  // minutes of the first lockout (doubled at each new one), and failures an
+  // IP address may make within its window
+  loginMaxFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+  loginLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  loginIpMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20,
+  loginIpWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15,
+  // Roles whose accounts must use two-factor authentication (comma list,
+  // e.g. "admin"); they enrol at their next login. Others may opt in.
+  totpRequiredRoles: (process.env.TOTP_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean),
+  // Service name shown by authenticator apps
+  totpIssuer: process.env.TOTP_ISSUER || 'Plaques RDC',
+  // Address of the React app, used in links sent by email
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  // Minutes a password reset link stays valid
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  // Outgoing mail: transport name (outbox, console or registered), sender and
+  // folder where the outbox transport writes messages
+  mailTransport: process.env.MAIL_TRANSPORT || 'outbox',
+  mailFrom: process.env.MAIL_FROM || 'Plaques RDC <no-reply@plaques.local>',
+  mailOutboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox'),
+  // Role of self-registered accounts; an admin grants more afterwards
+  defaultUserRole: process.env.DEFAULT_USER_ROLE || 'police',
+  // Limits of a CSV registration import
+  importMaxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000,
+  importMaxFileSizeMb: parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB, 10) || 5,
+  // Coat of arms printed on registration certificates (PNG or JPEG)
+  certificateEmblemPath: process.env.CERTIFICATE_EMBLEM_PATH
+    || path.join(__dirname, '..', 'src', 'assets', 'armoiries.png')
 }; 
\ No newline at end of file
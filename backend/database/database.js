@@ -1,133 +1,176 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const config = require('../config');
+const migrator = require('./migrator');
+
+/**
+ * Open a connection that waits for the other one's locks instead of
+ * failing with SQLITE_BUSY
+ */
+function openConnection(dbPath) {
+  return new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(dbPath, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        connection.configure('busyTimeout', config.dbBusyTimeoutMs);
+        resolve(connection);
+      }
+    });
+  });
+}
 
 class Database {
   constructor() {
+    // Connection of the statements run outside transactions
     this.db = null;
+    // Connection dedicated to transactions, so a ROLLBACK only undoes the
+    // work of its own transaction: writes of other requests keep going to
+    // this.db and wait for the COMMIT or ROLLBACK
+    this.transactionDb = null;
+    // Set while a transaction runs: the statements of its work, however
+    // deep in the call stack, go to the transaction connection
+    this.transactionContext = new AsyncLocalStorage();
+    // Tail of the transaction queue: BEGIN/COMMIT blocks share the
+    // transaction connection, so they must never interleave
+    this.transactionQueue = Promise.resolve();
+  }
+
+  /**
+   * Open the SQLite connections and bring the schema up to date.
+   * An in-memory database cannot be shared by two connections: transactions
+   * then use the main one.
+   *
+   * @param {Object} options
+   * @param {boolean} options.migrate - Apply pending migrations (default: true)
+   */
+  async connect({ migrate = true } = {}) {
+    try {
+      this.db = await openConnection(config.dbPath);
+      this.transactionDb = config.dbPath === ':memory:' ? this.db : await openConnection(config.dbPath);
+    } catch (err) {
+      console.error('Error opening database:', err.message);
+      throw err;
+    }
+    console.log('Connected to SQLite database');
+
+    if (migrate) {
+      await this.migrate();
+    }
+  }
+
+  /**
+   * Apply every pending schema migration
+   * @returns {Promise<Array>} Migrations applied during this call
+   */
+  async migrate() {
+    const applied = await migrator.migrate(this);
+    if (applied.length === 0) {
+      console.log('✓ Database schema up to date');
+    }
+    return applied;
   }
 
-  connect() {
+  /**
+   * Connection of the current transaction, or the main one outside
+   * transactions
+   */
+  getDb() {
+    return this.transactionContext.getStore() || this.db;
+  }
+
+  // ==================== PROMISE HELPERS ====================
+
+  /**
+   * Run a write statement
+   * @returns {Promise<{lastID: number, changes: number}>}
+   */
+  run(sql, params = []) {
     return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(config.dbPath, (err) => {
-        if (err) {
-          console.error('Error opening database:', err.message);
-          reject(err);
-        } else {
-          console.log('Connected to SQLite database');
-          this.initializeTables().then(resolve).catch(reject);
-        }
+      this.getDb().run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
       });
     });
   }
 
-  initializeTables() {
+  get(sql, params = []) {
     return new Promise((resolve, reject) => {
-      // Users table
-      const createUsersTable = `
-        CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username TEXT UNIQUE NOT NULL,
-          email TEXT UNIQUE NOT NULL,
-          password TEXT NOT NULL,
-          role TEXT DEFAULT 'user',
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `;
-
-      // Plaques table - completely fresh schema
-      const createPlaquesTable = `
-        CREATE TABLE IF NOT EXISTS plaques (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          plate_number VARCHAR(50) UNIQUE NOT NULL,
-          owner_name VARCHAR(255) NOT NULL,
-          owner_email VARCHAR(255) NOT NULL,
-          owner_phone VARCHAR(50),
-          registration_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-          expiry_date DATETIME NOT NULL,
-          status VARCHAR(20) DEFAULT 'active',
-          created_by INTEGER,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (created_by) REFERENCES users (id)
-        )
-      `;
-
-      // Drop ALL old tables to start completely fresh
-      const dropAllOldTables = [
-        'DROP TABLE IF EXISTS vehicles',
-        'DROP TABLE IF EXISTS plaques'
-      ];
-
-      // Create default admin user
-      const createDefaultAdmin = `
-        INSERT OR IGNORE INTO users (username, email, password, role)
-        VALUES ('admin', 'admin@example.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'admin')
-      `;
-
-      this.db.serialize(() => {
-        // Drop all old tables first
-        dropAllOldTables.forEach(dropQuery => {
-          this.db.run(dropQuery, (err) => {
-            if (err && !err.message.includes('no such table')) {
-              console.error('Error dropping table:', err);
-            }
-          });
-        });
-
-        this.db.run(createUsersTable, (err) => {
-          if (err) {
-            console.error('Error creating users table:', err);
-            reject(err);
-            return;
-          }
-          console.log('✓ Users table ready');
-        });
-
-        this.db.run(createPlaquesTable, (err) => {
-          if (err) {
-            console.error('Error creating plaques table:', err);
-            reject(err);
-            return;
-          }
-          console.log('✓ Plaques table ready (fresh schema)');
-        });
-
-        this.db.run(createDefaultAdmin, (err) => {
-          if (err && !err.message.includes('UNIQUE constraint failed')) {
-            console.error('Error creating default admin:', err);
-            reject(err);
-            return;
-          }
-          console.log('✓ Default admin user ready');
-          console.log('🎯 Database initialized with clean person registration schema');
-          resolve();
-        });
+      this.getDb().get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
       });
     });
   }
 
-  getDb() {
-    return this.db;
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.getDb().all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Execute one or more statements without parameters (DDL scripts)
+   */
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.getDb().exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Run `work` inside BEGIN IMMEDIATE / COMMIT, rolling back if it throws.
+   * Transactions are queued so two of them never share the connection;
+   * a transaction started from the work of another joins it.
+   *
+   * @param {Function} work - Async function receiving this database
+   * @returns {Promise<*>} Whatever `work` resolves to
+   */
+  transaction(work) {
+    if (this.transactionContext.getStore()) {
+      return work(this);
+    }
+
+    const result = this.transactionQueue.then(() => this.transactionContext.run(this.transactionDb, async () => {
+      await this.exec('BEGIN IMMEDIATE');
+      try {
+        const value = await work(this);
+        await this.exec('COMMIT');
+        return value;
+      } catch (err) {
+        await this.exec('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    }));
+
+    this.transactionQueue = result.catch(() => {});
+    return result;
   }
 
   close() {
-    return new Promise((resolve) => {
-      if (this.db) {
-        this.db.close((err) => {
-          if (err) {
-            console.error('Error closing database:', err.message);
-          } else {
-            console.log('Database connection closed');
-          }
-          resolve();
-        });
-      } else {
+    const connections = [...new Set([this.transactionDb, this.db])].filter(Boolean);
+    this.db = null;
+    this.transactionDb = null;
+
+    return Promise.all(connections.map(connection => new Promise((resolve) => {
+      connection.close((err) => {
+        if (err) {
+          console.error('Error closing database:', err.message);
+        }
         resolve();
+      });
+    }))).then(() => {
+      if (connections.length) {
+        console.log('Database connection closed');
       }
     });
   }
 }
 
-module.exports = new Database(); 
\ No newline at end of file
+module.exports = new Database();
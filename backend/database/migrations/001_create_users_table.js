@@ -0,0 +1,19 @@
+/**
+ * Users table
+ *
+ * Uses IF NOT EXISTS so databases created before migrations existed
+ * upgrade in place.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      role TEXT DEFAULT 'user',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
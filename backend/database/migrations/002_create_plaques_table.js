@@ -0,0 +1,24 @@
+/**
+ * Plaques table
+ *
+ * Uses IF NOT EXISTS so registrations already stored in an existing
+ * database are kept.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS plaques (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plate_number VARCHAR(50) UNIQUE NOT NULL,
+      owner_name VARCHAR(255) NOT NULL,
+      owner_email VARCHAR(255) NOT NULL,
+      owner_phone VARCHAR(50),
+      registration_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expiry_date DATETIME NOT NULL,
+      status VARCHAR(20) DEFAULT 'active',
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )
+  `);
+};
@@ -0,0 +1,9 @@
+/**
+ * Default administrator account (admin@example.com / password)
+ */
+exports.up = async (database) => {
+  await database.run(`
+    INSERT OR IGNORE INTO users (username, email, password, role)
+    VALUES ('admin', 'admin@example.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'admin')
+  `);
+};
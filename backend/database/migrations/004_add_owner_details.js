@@ -0,0 +1,18 @@
+/**
+ * Structured owner identity and location on plaques
+ *
+ * owner_name is kept as the display name ("Nom Post-nom Prénom") for
+ * existing clients; rows registered before this migration keep only it.
+ */
+const OWNER_COLUMNS = [
+  'owner_nom', 'owner_post_nom', 'owner_prenom',
+  'owner_nationalite', 'owner_adresse',
+  'owner_province', 'owner_province_code', 'owner_district',
+  'owner_territoire', 'owner_secteur', 'owner_village'
+];
+
+exports.up = async (database) => {
+  for (const column of OWNER_COLUMNS) {
+    await database.run(`ALTER TABLE plaques ADD COLUMN ${column} VARCHAR(255)`);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Vehicles table and the link from each plaque to its vehicle
+ *
+ * The old boot code dropped a legacy `vehicles` table on every start, so
+ * no database can still hold one; CREATE TABLE fails loudly if it does.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE vehicles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      vin VARCHAR(30) UNIQUE NOT NULL,
+      engine_number VARCHAR(50),
+      make VARCHAR(100) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      year INTEGER,
+      colour VARCHAR(50),
+      category VARCHAR(30),
+      fuel VARCHAR(20),
+      seats INTEGER,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )
+  `);
+
+  await database.run('ALTER TABLE plaques ADD COLUMN vehicle_id INTEGER REFERENCES vehicles (id)');
+  await database.run('CREATE INDEX idx_plaques_vehicle_id ON plaques (vehicle_id)');
+};
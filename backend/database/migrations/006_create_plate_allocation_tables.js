@@ -0,0 +1,34 @@
+/**
+ * Per-province plate number sequences and reservations
+ *
+ * plate_sequences.next_value is the 0-based index of the next number to
+ * allocate in a province. Reservations hold a number for one user until
+ * it is used by a registration, released, or expires.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE plate_sequences (
+      province_code VARCHAR(2) PRIMARY KEY,
+      next_value INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await database.run(`
+    CREATE TABLE plate_reservations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plate_number VARCHAR(50) UNIQUE NOT NULL,
+      province_code VARCHAR(2) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'reserved',
+      reserved_by INTEGER,
+      expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (reserved_by) REFERENCES users (id)
+    )
+  `);
+
+  await database.run(
+    'CREATE INDEX idx_plate_reservations_status ON plate_reservations (province_code, status)'
+  );
+};
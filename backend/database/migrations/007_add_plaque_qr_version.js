@@ -0,0 +1,9 @@
+/**
+ * QR token version per plaque
+ *
+ * Signed QR tokens embed this version; bumping it revokes every sticker
+ * printed with an older token.
+ */
+exports.up = async (database) => {
+  await database.run('ALTER TABLE plaques ADD COLUMN qr_version INTEGER NOT NULL DEFAULT 1');
+};
@@ -0,0 +1,31 @@
+/**
+ * Status transition history of plaques
+ *
+ * changed_by is NULL for transitions made by the system (lifecycle job).
+ * Existing plaques get one row for their current status, dated at their
+ * creation.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE plaque_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plaque_id INTEGER NOT NULL,
+      from_status VARCHAR(20),
+      to_status VARCHAR(20) NOT NULL,
+      changed_by INTEGER,
+      reason TEXT,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (plaque_id) REFERENCES plaques (id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users (id)
+    )
+  `);
+
+  await database.run(
+    'CREATE INDEX idx_plaque_status_history_plaque ON plaque_status_history (plaque_id, changed_at)'
+  );
+
+  await database.run(`
+    INSERT INTO plaque_status_history (plaque_id, from_status, to_status, changed_by, reason, changed_at)
+    SELECT id, NULL, status, created_by, 'Enregistrement', created_at FROM plaques
+  `);
+};
@@ -0,0 +1,20 @@
+/**
+ * Renewal history of plaques
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE plaque_renewals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plaque_id INTEGER NOT NULL,
+      previous_expiry DATETIME NOT NULL,
+      new_expiry DATETIME NOT NULL,
+      period_months INTEGER NOT NULL,
+      renewed_by INTEGER,
+      renewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (plaque_id) REFERENCES plaques (id) ON DELETE CASCADE,
+      FOREIGN KEY (renewed_by) REFERENCES users (id)
+    )
+  `);
+
+  await database.run('CREATE INDEX idx_plaque_renewals_plaque ON plaque_renewals (plaque_id)');
+};
@@ -0,0 +1,10 @@
+/**
+ * Reason codes and notes on status transitions
+ *
+ * reason_code holds the coded motive of a suspension or reinstatement;
+ * notes holds the officer's free-text explanation.
+ */
+exports.up = async (database) => {
+  await database.run('ALTER TABLE plaque_status_history ADD COLUMN reason_code VARCHAR(40)');
+  await database.run('ALTER TABLE plaque_status_history ADD COLUMN notes TEXT');
+};
@@ -0,0 +1,25 @@
+/**
+ * Audit log of writes on plaques and users
+ *
+ * changes holds a JSON object of field -> { from, to } for the fields the
+ * write changed. actor_id is NULL for changes made by the system.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entity_type VARCHAR(20) NOT NULL,
+      entity_id INTEGER NOT NULL,
+      action VARCHAR(30) NOT NULL,
+      actor_id INTEGER,
+      ip_address VARCHAR(45),
+      changes TEXT NOT NULL DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (actor_id) REFERENCES users (id)
+    )
+  `);
+
+  await database.run('CREATE INDEX idx_audit_log_entity ON audit_log (entity_type, entity_id)');
+  await database.run('CREATE INDEX idx_audit_log_actor ON audit_log (actor_id)');
+  await database.run('CREATE INDEX idx_audit_log_created_at ON audit_log (created_at)');
+};
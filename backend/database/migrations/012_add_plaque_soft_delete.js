@@ -0,0 +1,12 @@
+/**
+ * Soft delete of plaques
+ *
+ * A deleted (cancelled) plaque keeps its row, so its plate number stays
+ * taken and the record can be restored; deleted_at is NULL for live plaques.
+ */
+exports.up = async (database) => {
+  await database.run('ALTER TABLE plaques ADD COLUMN deleted_at DATETIME');
+  await database.run('ALTER TABLE plaques ADD COLUMN deleted_by INTEGER REFERENCES users (id)');
+  await database.run('ALTER TABLE plaques ADD COLUMN deletion_reason TEXT');
+  await database.run('CREATE INDEX idx_plaques_deleted_at ON plaques (deleted_at)');
+};
@@ -0,0 +1,33 @@
+/**
+ * Ownership transfers of plaques
+ *
+ * Each row keeps the seller (the owner before the transfer) and the buyer
+ * as they were at the time, so earlier owners survive later transfers.
+ * *_details hold the structured owner columns as JSON.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE plaque_ownership_transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plaque_id INTEGER NOT NULL,
+      transfer_date DATETIME NOT NULL,
+      seller_name TEXT NOT NULL,
+      seller_email TEXT,
+      seller_phone TEXT,
+      seller_details TEXT NOT NULL DEFAULT '{}',
+      buyer_name TEXT NOT NULL,
+      buyer_email TEXT,
+      buyer_phone TEXT,
+      buyer_details TEXT NOT NULL DEFAULT '{}',
+      evidence_type VARCHAR(40) NOT NULL,
+      evidence_reference VARCHAR(100) NOT NULL,
+      notes TEXT,
+      recorded_by INTEGER,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (plaque_id) REFERENCES plaques (id) ON DELETE CASCADE,
+      FOREIGN KEY (recorded_by) REFERENCES users (id)
+    )
+  `);
+
+  await database.run('CREATE INDEX idx_ownership_transfers_plaque ON plaque_ownership_transfers (plaque_id)');
+};
@@ -0,0 +1,15 @@
+/**
+ * User account administration
+ *
+ * A disabled account (disabled_at set) can no longer log in and its tokens
+ * are refused. Tokens issued before password_changed_at are refused too,
+ * so a password reset by an admin signs the user out everywhere;
+ * must_change_password flags the temporary password handed out then.
+ */
+exports.up = async (database) => {
+  await database.run('ALTER TABLE users ADD COLUMN disabled_at DATETIME');
+  await database.run('ALTER TABLE users ADD COLUMN disabled_by INTEGER REFERENCES users (id)');
+  await database.run('ALTER TABLE users ADD COLUMN disabled_reason TEXT');
+  await database.run('ALTER TABLE users ADD COLUMN password_changed_at DATETIME');
+  await database.run('ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0');
+};
@@ -0,0 +1,40 @@
+/**
+ * Role permissions
+ *
+ * Maps each role to the actions it may perform (see utils/permissions.js
+ * for the catalogue). Reading the registry needs no permission. The former
+ * catch-all "user" role becomes "agent" (data entry), which keeps the
+ * rights those accounts had.
+ */
+const GRANTS = {
+  agent: ['plaque:create', 'plaque:edit', 'plaque:renew', 'plaque:transfer'],
+  supervisor: [
+    'plaque:create', 'plaque:edit', 'plaque:renew', 'plaque:transfer',
+    'plaque:suspend', 'plaque:export', 'plaque:import'
+  ],
+  admin: [
+    'plaque:create', 'plaque:edit', 'plaque:renew', 'plaque:transfer',
+    'plaque:suspend', 'plaque:export', 'plaque:import',
+    'plaque:delete', 'plaque:purge', 'plaque:qr_reissue',
+    'vehicle:delete', 'audit:read', 'user:manage'
+  ],
+  police: []
+};
+
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE role_permissions (
+      role TEXT NOT NULL,
+      permission TEXT NOT NULL,
+      PRIMARY KEY (role, permission)
+    )
+  `);
+
+  for (const [role, permissions] of Object.entries(GRANTS)) {
+    for (const permission of permissions) {
+      await database.run('INSERT INTO role_permissions (role, permission) VALUES (?, ?)', [role, permission]);
+    }
+  }
+
+  await database.run('UPDATE users SET role = \'agent\' WHERE role = \'user\' OR role IS NULL');
+};
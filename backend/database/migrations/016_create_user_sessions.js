@@ -0,0 +1,29 @@
+/**
+ * Login sessions
+ *
+ * A session is opened at login and carries a refresh token, stored as a
+ * SHA-256 hash, that is replaced on every use. previous_token_hash keeps
+ * the token it replaced: presenting it again means it was stolen, and the
+ * session is revoked. Access tokens name their session, so revoking it
+ * (logout, password reset, disabled account) takes effect at once.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE user_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+      previous_token_hash VARCHAR(64),
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await database.run('CREATE INDEX idx_user_sessions_user ON user_sessions (user_id)');
+  await database.run('CREATE INDEX idx_user_sessions_previous ON user_sessions (previous_token_hash)');
+};
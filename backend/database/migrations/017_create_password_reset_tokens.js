@@ -0,0 +1,22 @@
+/**
+ * Password reset tokens
+ *
+ * A token is sent by email on request and works once (used_at) until
+ * expires_at. Only its SHA-256 hash is stored.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE password_reset_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      requested_ip VARCHAR(45),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await database.run('CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens (user_id)');
+};
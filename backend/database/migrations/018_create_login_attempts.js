@@ -0,0 +1,30 @@
+/**
+ * Login attempts and account lockout
+ *
+ * Every call to POST /api/auth/login is logged in login_attempts, whether
+ * the email has an account or not; the failures of an IP address over the
+ * last minutes drive its rate limit. On users, failed_login_count counts
+ * consecutive wrong passwords; reaching the limit sets locked_until, for a
+ * duration doubling with each lockout_count until a successful login.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      user_id INTEGER,
+      ip_address VARCHAR(45),
+      success INTEGER NOT NULL DEFAULT 0,
+      reason VARCHAR(30),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+    )
+  `);
+
+  await database.run('CREATE INDEX idx_login_attempts_ip ON login_attempts (ip_address, created_at)');
+  await database.run('CREATE INDEX idx_login_attempts_email ON login_attempts (email, created_at)');
+
+  await database.run('ALTER TABLE users ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0');
+  await database.run('ALTER TABLE users ADD COLUMN locked_until DATETIME');
+  await database.run('ALTER TABLE users ADD COLUMN lockout_count INTEGER NOT NULL DEFAULT 0');
+};
@@ -0,0 +1,27 @@
+/**
+ * TOTP two-factor authentication
+ *
+ * totp_secret is set when a user starts enrolment and only counts once
+ * totp_enabled_at is set, after a first valid code. totp_last_step is the
+ * time step of the last accepted code, which cannot be used again.
+ * Recovery codes replace a lost authenticator, once each; only their
+ * SHA-256 hash is stored.
+ */
+exports.up = async (database) => {
+  await database.run('ALTER TABLE users ADD COLUMN totp_secret VARCHAR(64)');
+  await database.run('ALTER TABLE users ADD COLUMN totp_enabled_at DATETIME');
+  await database.run('ALTER TABLE users ADD COLUMN totp_last_step INTEGER');
+
+  await database.run(`
+    CREATE TABLE user_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await database.run('CREATE INDEX idx_user_recovery_codes_user ON user_recovery_codes (user_id)');
+};
@@ -0,0 +1,35 @@
+/**
+ * Jurisdictions
+ *
+ * Plaques are tagged with their issuing province: the code prefixing
+ * allocated plate numbers or, for plates issued before allocation, the
+ * owner's province. Users are assigned the provinces they work in; roles
+ * granted plaque:national (admins) keep seeing the whole country.
+ */
+exports.up = async (database) => {
+  await database.run('ALTER TABLE plaques ADD COLUMN issuing_province_code VARCHAR(2)');
+
+  await database.run(`
+    UPDATE plaques SET issuing_province_code = CASE
+      WHEN plate_number GLOB '[0-9][0-9]-[A-Z][A-Z]-[0-9][0-9][0-9][0-9]'
+        AND substr(plate_number, 1, 2) BETWEEN '01' AND '26'
+        THEN substr(plate_number, 1, 2)
+      WHEN owner_province_code GLOB '[0-9][0-9]' AND owner_province_code BETWEEN '01' AND '26'
+        THEN owner_province_code
+    END
+  `);
+
+  await database.run('CREATE INDEX idx_plaques_issuing_province ON plaques (issuing_province_code)');
+
+  await database.run(`
+    CREATE TABLE user_provinces (
+      user_id INTEGER NOT NULL,
+      province_code VARCHAR(2) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, province_code),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await database.run('INSERT INTO role_permissions (role, permission) VALUES (\'admin\', \'plaque:national\')');
+};
@@ -0,0 +1,133 @@
+/**
+ * Administrative geography reference data
+ *
+ * Provinces, districts, territoires, secteurs and villages used by the
+ * owner's address on the registration form. Districts only exist in some
+ * provinces, so a territoire belongs to its province and, there, to a
+ * district. The 26 provinces (their codes prefix plate numbers, the list
+ * is utils/provinces.js), the remaining districts and the territoires are
+ * seeded; secteurs and villages are entered by admins (geo:manage) as
+ * they are collected.
+ */
+const { PROVINCES } = require('../../utils/provinces');
+
+const DISTRICTS = {
+  '01': ['Funa', 'Lukunga', 'Mont-Amba', 'Tshangu'],
+  '10': ['Bas-Fleuve', 'Cataractes', 'Lukaya']
+};
+
+// Territoires by province; [name, district] where the province has districts
+const TERRITOIRES = {
+  '02': ['Aketi', 'Ango', 'Bambesa', 'Bondo', 'Buta', 'Poko'],
+  '03': ['Basankusu', 'Bikoro', 'Bolomba', 'Bomongo', 'Ingende', 'Lukolela', 'Makanza'],
+  '04': ['Kambove', 'Kasenga', 'Kipushi', 'Mitwaba', 'Pweto', 'Sakania'],
+  '05': ['Bukama', 'Kabongo', 'Kamina', 'Kaniama', 'Malemba-Nkulu'],
+  '06': ['Dungu', 'Faradje', 'Niangara', 'Rungu', 'Wamba', 'Watsa'],
+  '07': ['Aru', 'Djugu', 'Irumu', 'Mahagi', 'Mambasa'],
+  '08': ['Dekese', 'Ilebo', 'Kamonia', 'Luebo', 'Mweka'],
+  '09': ['Kabeya-Kamwanga', 'Katanda', 'Lupatapata', 'Miabi', 'Tshilenge'],
+  '10': [
+    ['Lukula', 'Bas-Fleuve'], ['Moanda', 'Bas-Fleuve'], ['Seke-Banza', 'Bas-Fleuve'], ['Tshela', 'Bas-Fleuve'],
+    ['Luozi', 'Cataractes'], ['Mbanza-Ngungu', 'Cataractes'], ['Songololo', 'Cataractes'],
+    ['Kasangulu', 'Lukaya'], ['Kimvula', 'Lukaya'], ['Madimba', 'Lukaya']
+  ],
+  '11': ['Feshi', 'Kahemba', 'Kasongo-Lunda', 'Kenge', 'Popokabaka'],
+  '12': ['Bagata', 'Bulungu', 'Gungu', 'Idiofa', 'Masi-Manimba'],
+  '13': ['Kabinda', 'Kamiji', 'Lubao', 'Luilu', 'Ngandajika'],
+  '14': ['Dilolo', 'Kapanga', 'Lubudi', 'Mutshatsha', 'Sandoa'],
+  '15': ['Demba', 'Dibaya', 'Dimbelenge', 'Kazumba', 'Luiza'],
+  '16': ['Bolobo', 'Inongo', 'Kiri', 'Kutu', 'Kwamouth', 'Mushie', 'Oshwe', 'Yumbi'],
+  '17': ['Kabambare', 'Kailo', 'Kasongo', 'Kibombo', 'Lubutu', 'Pangi', 'Punia'],
+  '18': ['Bongandanga', 'Bumba', 'Lisala'],
+  '19': ['Beni', 'Lubero', 'Masisi', 'Nyiragongo', 'Rutshuru', 'Walikale'],
+  '20': ['Bosobolo', 'Businga', 'Mobayi-Mbongo', 'Yakoma'],
+  '21': ['Katako-Kombe', 'Kole', 'Lodja', 'Lomela', 'Lubefu', 'Lusambo'],
+  '22': ['Fizi', 'Idjwi', 'Kabare', 'Kalehe', 'Mwenga', 'Shabunda', 'Uvira', 'Walungu'],
+  '23': ['Budjala', 'Gemena', 'Kungu', 'Libenge'],
+  '24': ['Kabalo', 'Kalemie', 'Kongolo', 'Manono', 'Moba', 'Nyunzu'],
+  '25': ['Bafwasende', 'Banalia', 'Basoko', 'Isangi', 'Opala', 'Ubundu', 'Yahuma'],
+  '26': ['Befale', 'Boende', 'Bokungu', 'Djolu', 'Ikela', 'Monkoto']
+};
+
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE geo_provinces (
+      code VARCHAR(2) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE
+    )
+  `);
+
+  await database.run(`
+    CREATE TABLE geo_districts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      province_code VARCHAR(2) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (province_code, name),
+      FOREIGN KEY (province_code) REFERENCES geo_provinces (code)
+    )
+  `);
+
+  await database.run(`
+    CREATE TABLE geo_territoires (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      province_code VARCHAR(2) NOT NULL,
+      district_id INTEGER,
+      name VARCHAR(100) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (province_code, name),
+      FOREIGN KEY (province_code) REFERENCES geo_provinces (code),
+      FOREIGN KEY (district_id) REFERENCES geo_districts (id)
+    )
+  `);
+
+  await database.run(`
+    CREATE TABLE geo_secteurs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      territoire_id INTEGER NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (territoire_id, name),
+      FOREIGN KEY (territoire_id) REFERENCES geo_territoires (id)
+    )
+  `);
+
+  await database.run(`
+    CREATE TABLE geo_villages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      secteur_id INTEGER NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (secteur_id, name),
+      FOREIGN KEY (secteur_id) REFERENCES geo_secteurs (id)
+    )
+  `);
+
+  for (const { code, name } of PROVINCES) {
+    await database.run('INSERT INTO geo_provinces (code, name) VALUES (?, ?)', [code, name]);
+  }
+
+  const districtIds = {};
+  for (const [code, names] of Object.entries(DISTRICTS)) {
+    for (const name of names) {
+      const result = await database.run('INSERT INTO geo_districts (province_code, name) VALUES (?, ?)', [code, name]);
+      districtIds[`${code}/${name}`] = result.lastID;
+    }
+  }
+
+  for (const [code, entries] of Object.entries(TERRITOIRES)) {
+    for (const entry of entries) {
+      const [name, district] = [].concat(entry);
+      await database.run(
+        'INSERT INTO geo_territoires (province_code, district_id, name) VALUES (?, ?, ?)',
+        [code, district ? districtIds[`${code}/${district}`] : null, name]
+      );
+    }
+  }
+
+  await database.run('INSERT INTO role_permissions (role, permission) VALUES (\'admin\', \'geo:manage\')');
+};
@@ -0,0 +1,69 @@
+/**
+ * Full-text search index of plaques
+ *
+ * plaques_fts holds, for each plaque (rowid = plaques.id), the words the
+ * list search matches: plate number, owner, phone, address and vehicle.
+ * The unicode61 tokenizer folds case and removes accents, so "elodie"
+ * finds "Élodie". Plate numbers are also indexed without dashes
+ * ("10ab1234") and phone numbers as digits only, plus in the local
+ * 0XXXXXXXXX form for +243 numbers, so they are found however they are
+ * typed. Triggers keep the index in sync with plaques and their vehicle.
+ */
+const PHONE_DIGITS = ['\' \'', '\'+\'', '\'-\'', '\'.\'', '\'(\'', '\')\'', '\'/\'']
+  .reduce((expression, character) => `replace(${expression}, ${character}, '')`, 'coalesce(p.owner_phone, \'\')');
+
+const INDEXED_COLUMNS = 'rowid, plate, owner, phone, address, vehicle';
+
+// Indexed values of the plaques selected by the appended WHERE clause
+const INDEXED_ROWS = `
+  SELECT p.id,
+    p.plate_number || ' ' || replace(replace(p.plate_number, '-', ''), ' ', ''),
+    coalesce(p.owner_name, '') || ' ' || coalesce(p.owner_email, ''),
+    coalesce(p.owner_phone, '') || ' ' || ${PHONE_DIGITS}
+      || CASE WHEN ${PHONE_DIGITS} LIKE '243%' THEN ' 0' || substr(${PHONE_DIGITS}, 4) ELSE '' END,
+    coalesce(p.owner_adresse, '') || ' ' || coalesce(p.owner_village, '') || ' ' || coalesce(p.owner_secteur, '')
+      || ' ' || coalesce(p.owner_territoire, '') || ' ' || coalesce(p.owner_district, '')
+      || ' ' || coalesce(p.owner_province, ''),
+    coalesce(v.vin, '') || ' ' || coalesce(v.make, '') || ' ' || coalesce(v.model, '')
+  FROM plaques p LEFT JOIN vehicles v ON v.id = p.vehicle_id`;
+
+exports.up = async (database) => {
+  await database.run(`
+    CREATE VIRTUAL TABLE plaques_fts USING fts5(
+      plate, owner, phone, address, vehicle,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    )
+  `);
+
+  await database.run(`INSERT INTO plaques_fts (${INDEXED_COLUMNS}) ${INDEXED_ROWS}`);
+
+  await database.run(`
+    CREATE TRIGGER plaques_fts_insert AFTER INSERT ON plaques BEGIN
+      INSERT INTO plaques_fts (${INDEXED_COLUMNS}) ${INDEXED_ROWS} WHERE p.id = NEW.id;
+    END
+  `);
+
+  await database.run(`
+    CREATE TRIGGER plaques_fts_update AFTER UPDATE OF
+      plate_number, owner_name, owner_email, owner_phone, owner_adresse, owner_province,
+      owner_district, owner_territoire, owner_secteur, owner_village, vehicle_id
+    ON plaques BEGIN
+      DELETE FROM plaques_fts WHERE rowid = OLD.id;
+      INSERT INTO plaques_fts (${INDEXED_COLUMNS}) ${INDEXED_ROWS} WHERE p.id = NEW.id;
+    END
+  `);
+
+  await database.run(`
+    CREATE TRIGGER plaques_fts_delete AFTER DELETE ON plaques BEGIN
+      DELETE FROM plaques_fts WHERE rowid = OLD.id;
+    END
+  `);
+
+  await database.run(`
+    CREATE TRIGGER vehicles_fts_update AFTER UPDATE OF vin, make, model ON vehicles BEGIN
+      DELETE FROM plaques_fts WHERE rowid IN (SELECT id FROM plaques WHERE vehicle_id = NEW.id);
+      INSERT INTO plaques_fts (${INDEXED_COLUMNS}) ${INDEXED_ROWS} WHERE p.vehicle_id = NEW.id;
+    END
+  `);
+};
@@ -0,0 +1,8 @@
+/**
+ * Permission to release plate reservations held by other users
+ *
+ * Replaces the admin role check of DELETE /api/plaques/reservations/:plateNumber.
+ */
+exports.up = async (database) => {
+  await database.run('INSERT INTO role_permissions (role, permission) VALUES (\'admin\', \'plaque:reservation_release\')');
+};
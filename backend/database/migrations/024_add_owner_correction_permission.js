@@ -0,0 +1,12 @@
+/**
+ * Permission to correct the owner name of a registration
+ *
+ * PUT /api/plaques/:id refuses another owner name, which belongs to an
+ * ownership transfer; supervisors and admins may still fix a misspelt
+ * name, audited as an owner correction.
+ */
+exports.up = async (database) => {
+  for (const role of ['supervisor', 'admin']) {
+    await database.run('INSERT INTO role_permissions (role, permission) VALUES (?, \'plaque:owner_correct\')', [role]);
+  }
+};
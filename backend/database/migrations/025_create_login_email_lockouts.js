@@ -0,0 +1,17 @@
+/**
+ * Lockout counters of emails without an account
+ *
+ * Same columns as the lockout counters of users, so an unknown email is
+ * locked at the same failure and for the same doubling duration as an
+ * account: the Retry-After of a refused login no longer tells them apart.
+ */
+exports.up = async (database) => {
+  await database.run(`
+    CREATE TABLE login_email_lockouts (
+      email TEXT PRIMARY KEY,
+      failed_login_count INTEGER NOT NULL DEFAULT 0,
+      lockout_count INTEGER NOT NULL DEFAULT 0,
+      locked_until DATETIME
+    )
+  `);
+};
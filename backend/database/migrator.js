@@ -0,0 +1,128 @@
+/**
+ * Schema Migrator - Versioned, forward-only database migrations
+ *
+ * Migrations live in database/migrations and are named
+ * `<version>_<name>.js` (e.g. `004_add_owner_details.js`). Each file
+ * exports an async `up(database)` function that receives the shared
+ * Database instance and its promise helpers.
+ *
+ * Applied versions are recorded in the `schema_migrations` table. Each
+ * migration runs in its own transaction together with its bookkeeping
+ * row, so a failing migration leaves the schema at the previous version.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Read every migration file from disk, sorted by version
+ *
+ * @returns {Array<{version: number, name: string, file: string, up: Function}>}
+ * @throws {Error} If two files share a version or a file has no up()
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+
+      return { version: parseInt(match[1], 10), name: match[2], file, up: migration.up };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+function ensureMigrationsTable(database) {
+  return database.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Describe every known migration and whether it has been applied
+ *
+ * @param {Database} database - Connected database instance
+ * @returns {Promise<Array<{version, name, appliedAt, pending}>>}
+ */
+async function getStatus(database) {
+  await ensureMigrationsTable(database);
+
+  const rows = await database.all('SELECT version, name, applied_at FROM schema_migrations');
+  const applied = new Map(rows.map((row) => [row.version, row]));
+  const migrations = loadMigrations();
+
+  const status = migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.get(migration.version)?.applied_at || null,
+    pending: !applied.has(migration.version)
+  }));
+
+  // Versions recorded in the database but missing on disk
+  const known = new Set(migrations.map((migration) => migration.version));
+  rows
+    .filter((row) => !known.has(row.version))
+    .forEach((row) => {
+      status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, pending: false, missing: true });
+    });
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations in version order
+ *
+ * @param {Database} database - Connected database instance
+ * @param {Object} options
+ * @param {number} options.to - Stop after this version (default: latest)
+ * @returns {Promise<Array<{version, name}>>} Migrations applied
+ */
+async function migrate(database, { to = Infinity } = {}) {
+  await ensureMigrationsTable(database);
+
+  const rows = await database.all('SELECT version FROM schema_migrations');
+  const appliedVersions = new Set(rows.map((row) => row.version));
+  const pending = loadMigrations()
+    .filter((migration) => !appliedVersions.has(migration.version) && migration.version <= to);
+
+  const applied = [];
+  for (const migration of pending) {
+    await database.transaction(async () => {
+      await migration.up(database);
+      await database.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    });
+    console.log(`✓ Migration ${migration.file} applied`);
+    applied.push({ version: migration.version, name: migration.name });
+  }
+
+  return applied;
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, getStatus, migrate };
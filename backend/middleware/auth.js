@@ -1,27 +1,139 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
+const database = require('../database/database');
+const { getJurisdiction, isInJurisdiction } = require('../services/jurisdictions');
 
-const authMiddleware = (req, res, next) => {
+/**
+ * Permissions granted to a role (see utils/permissions.js)
+ *
+ * @param {string} role - Role code
+ * @returns {Promise<string[]>}
+ */
+async function getRolePermissions(role) {
+  const rows = await database.all('SELECT permission FROM role_permissions WHERE role = ?', [role]);
+  return rows.map(row => row.permission);
+}
+
+/**
+ * Verify the JWT and load the account behind it
+ * Tokens of closed sessions, of disabled accounts and tokens issued before
+ * the last password reset are refused. The role, its permissions and the
+ * jurisdiction (provinces) are read from the database so a change applies
+ * without logging in again.
+ */
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '') || req.header('x-auth-token');
 
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (err) {
+    // The client trades its refresh token for a new access token
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired' });
+    }
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+  if (!decoded.sid) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
-    req.user = decoded.user;
+    const account = await database.get(
+      'SELECT role, disabled_at, password_changed_at FROM users WHERE id = ?',
+      [decoded.user.id]
+    );
+    if (!account) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    if (account.disabled_at) {
+      return res.status(401).json({ message: 'Account disabled, token revoked' });
+    }
+    const session = await database.get(
+      'SELECT revoked_at FROM user_sessions WHERE id = ? AND user_id = ?',
+      [decoded.sid, decoded.user.id]
+    );
+    if (!session || session.revoked_at) {
+      return res.status(401).json({ message: 'Session closed, token revoked' });
+    }
+    // SQLite timestamps are UTC without a zone marker; iat is in seconds
+    if (account.password_changed_at
+      && decoded.iat < Date.parse(`${account.password_changed_at.replace(' ', 'T')}Z`) / 1000) {
+      return res.status(401).json({ message: 'Password reset, token revoked' });
+    }
+
+    const permissions = await getRolePermissions(account.role);
+    req.user = {
+      ...decoded.user,
+      sessionId: decoded.sid,
+      role: account.role,
+      permissions,
+      jurisdiction: await getJurisdiction(decoded.user.id, permissions)
+    };
     next();
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    console.error('Error loading authenticated user:', err);
+    res.status(500).json({ message: 'Server error' });
   }
 };
 
-const adminMiddleware = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Access denied. Admin role required.' });
+/**
+ * Only let through users whose role has `permission`
+ * Use after authMiddleware.
+ *
+ * @param {string} permission - Permission code, e.g. 'plaque:suspend'
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user.permissions.includes(permission)) {
+    return res.status(403).json({ message: `Access denied. Permission required: ${permission}.` });
   }
   next();
 };
 
-module.exports = { authMiddleware, adminMiddleware }; 
\ No newline at end of file
+/**
+ * Answer 404 for a plaque (req.params.id) outside the user's jurisdiction,
+ * as if it did not exist; unknown plaques are left to the route
+ * Use after authMiddleware.
+ */
+const requirePlaqueInJurisdiction = async (req, res, next) => {
+  try {
+    const plaque = await database.get('SELECT issuing_province_code FROM plaques WHERE id = ?', [req.params.id]);
+    if (plaque && !isInJurisdiction(req.user.jurisdiction, plaque.issuing_province_code)) {
+      return res.status(404).json({ message: 'Plaque non trouvée' });
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking plaque jurisdiction:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Answer 404 for a vehicle (req.params.id) whose plaque is outside the
+ * user's jurisdiction; vehicles without a plaque belong to no province
+ * Use after authMiddleware.
+ */
+const requireVehicleInJurisdiction = async (req, res, next) => {
+  try {
+    const plaque = await database.get('SELECT issuing_province_code FROM plaques WHERE vehicle_id = ?', [req.params.id]);
+    if (plaque && !isInJurisdiction(req.user.jurisdiction, plaque.issuing_province_code)) {
+      return res.status(404).json({ message: 'Véhicule non trouvé' });
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking vehicle jurisdiction:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  authMiddleware,
+  requirePermission,
+  requirePlaqueInJurisdiction,
+  requireVehicleInJurisdiction,
+  getRolePermissions
+};
@@ -0,0 +1,52 @@
+/**
+ * Audit Routes - Consultation of the audit log
+ *
+ * Endpoints:
+ * - GET /api/audit - Search audit entries (audit:read)
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { AUDIT_ENTITIES, AUDIT_ACTIONS, listAuditEntries } = require('../services/audit');
+
+/**
+ * GET /api/audit
+ * Search the audit log, most recent first
+ *
+ * Query Parameters:
+ * - entityType: plaque, vehicle or user
+ * - entityId: ID of the plaque, vehicle or user
+ * - action: create, update, delete, restore, purge, renew, suspend, reinstate,
+ *   transfer, status_change, qr_reissue, role_change, disable, enable,
+ *   password_reset
+ * - actor: Part of the acting user's username
+ * - from, to: Date range (YYYY-MM-DD, inclusive)
+ * - page: Page number (default: 1)
+ * - limit: Entries per page (default: 20, max: 100)
+ *
+ * @route GET /api/audit
+ * @access Private (audit:read)
+ */
+router.get('/', [authMiddleware, requirePermission('audit:read')], async (req, res) => {
+  try {
+    const result = await listAuditEntries(req.query);
+    res.json({
+      ...result,
+      entityTypes: Object.keys(AUDIT_ENTITIES),
+      actions: AUDIT_ACTIONS
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ message: 'Erreur lors de la récupération du journal d\'audit' });
+  }
+});
+
+module.exports = router;
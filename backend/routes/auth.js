@@ -1,11 +1,96 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const database = require('../database/database');
 const config = require('../config');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, getRolePermissions } = require('../middleware/auth');
+const { auditContext, recordAudit } = require('../services/audit');
+const { getUserProvinces } = require('../services/jurisdictions');
+const { openSession, refreshSession, closeSession } = require('../services/sessions');
+const { changePassword, requestPasswordReset, resetPasswordWithToken } = require('../services/passwords');
+const {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  registerFailedLogin,
+  registerFailedUnknownEmail,
+  registerSuccessfulLogin
+} = require('../services/loginAttempts');
+const {
+  isTwoFactorRequired,
+  signLoginChallenge,
+  verifyLoginChallenge,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../services/twoFactor');
+
+// Hash compared against when the email has no account, see POST /login
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('no-such-account', 10);
+
+function sessionContext(req) {
+  return { ip: req.ip || null, userAgent: req.get('User-Agent') || null };
+}
+
+function sendLoginRefusal(res, refusal) {
+  res.set('Retry-After', String(refusal.retryAfter));
+  return res.status(429).json({
+    message: `Too many failed attempts. Try again in ${Math.ceil(refusal.retryAfter / 60)} minute(s).`,
+    retryAfter: refusal.retryAfter
+  });
+}
+
+/**
+ * Log a successful login and answer with a new session
+ * `extra` is merged into the answer (recovery codes after enrolment).
+ */
+async function completeLogin(req, res, user, extra = {}) {
+  await recordLoginAttempt({ email: user.email, userId: user.id, ip: req.ip || null, success: true });
+  await registerSuccessfulLogin(user.id);
+
+  const permissions = await getRolePermissions(user.role);
+  const { token, refreshToken } = await openSession(user, sessionContext(req));
+  res.json({
+    ...extra,
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      permissions,
+      provinces: await getUserProvinces(user.id),
+      mustChangePassword: !!user.must_change_password
+    }
+  });
+}
+
+/**
+ * Authenticate enrolment requests: a logged-in user, or one whose role
+ * requires a second factor and who got a setup challenge at login
+ * (req.challengeUser is then set)
+ */
+async function enrolmentAuth(req, res, next) {
+  if (!req.body || !req.body.challengeToken) {
+    return authMiddleware(req, res, next);
+  }
+  try {
+    const user = await verifyLoginChallenge(req.body.challengeToken, 'setup');
+    req.user = { id: user.id, username: user.username, email: user.email, role: user.role };
+    req.challengeUser = user;
+    next();
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -39,40 +124,48 @@ router.post('/register', [
       const salt = await bcrypt.genSalt(10);
       const hashedPassword = await bcrypt.hash(password, salt);
 
-      // Insert new user
-      db.run(
-        'INSERT INTO users (username, email, password) VALUES (?, ?, ?)',
-        [username, email, hashedPassword],
-        function(err) {
-          if (err) {
-            console.error(err);
-            return res.status(500).json({ message: 'Server error' });
-          }
+      // Insert new user; a self-registered user is the actor of their own creation
+      let userId;
+      try {
+        userId = await database.transaction(async () => {
+          const inserted = await database.run(
+            'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)',
+            [username, email, hashedPassword, config.defaultUserRole]
+          );
+          await recordAudit({
+            entityType: 'user',
+            entityId: inserted.lastID,
+            action: 'create',
+            after: await database.get('SELECT * FROM users WHERE id = ?', [inserted.lastID])
+          }, { ...auditContext(req), actorId: inserted.lastID });
+          return inserted.lastID;
+        });
+      } catch (err) {
+        console.error(err);
+        return res.status(500).json({ message: 'Server error' });
+      }
 
-          // Create JWT token
-          const payload = {
-            user: {
-              id: this.lastID,
-              username,
-              email,
-              role: 'user'
-            }
-          };
-
-          jwt.sign(payload, config.jwtSecret, { expiresIn: '24h' }, (err, token) => {
-            if (err) throw err;
-            res.json({
-              token,
-              user: {
-                id: this.lastID,
-                username,
-                email,
-                role: 'user'
-              }
-            });
-          });
-        }
-      );
+      // Self-registered accounts start with the default role; an admin grants more
+      const role = config.defaultUserRole;
+      try {
+        const permissions = await getRolePermissions(role);
+        const { token, refreshToken } = await openSession({ id: userId, username, email, role }, sessionContext(req));
+        res.json({
+          token,
+          refreshToken,
+          user: {
+            id: userId,
+            username,
+            email,
+            role,
+            permissions,
+            provinces: []
+          }
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+      }
     });
   } catch (err) {
     console.error(err);
@@ -81,7 +174,8 @@ router.post('/register', [
 });
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user; repeated failures are rate limited per IP and lock the account.
+//          Accounts with a second factor get a challenge token for POST /login/2fa
 // @access  Public
 router.post('/login', [
   body('email').isEmail().withMessage('Please provide a valid email'),
@@ -94,49 +188,313 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
-    const db = database.getDb();
+    const ip = req.ip || null;
+    const user = await database.get('SELECT * FROM users WHERE email = ?', [email]);
 
-    // Check if user exists
-    db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).json({ message: 'Server error' });
-      }
+    // Refuse while the IP address or the account is over its failure limit
+    const refusal = await checkLoginAllowed(email, user, ip);
+    if (refusal) {
+      await recordLoginAttempt({ email, userId: user?.id, ip, reason: refusal.reason });
+      return sendLoginRefusal(res, refusal);
+    }
 
-      if (!user) {
-        return res.status(400).json({ message: 'Invalid credentials' });
+    // Check password; unknown emails are compared with a dummy hash so they
+    // take as long to answer as existing accounts
+    const isMatch = await bcrypt.compare(String(password), user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isMatch) {
+      await recordLoginAttempt({ email, userId: user?.id, ip, reason: user ? 'wrong_password' : 'unknown_email' });
+      if (user) {
+        await registerFailedLogin(user.id);
+      } else {
+        await registerFailedUnknownEmail(email);
       }
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    if (user.disabled_at) {
+      await recordLoginAttempt({ email, userId: user.id, ip, reason: 'disabled' });
+      return res.status(403).json({ message: 'Account disabled. Contact an administrator.' });
+    }
 
-      // Check password
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) {
-        return res.status(400).json({ message: 'Invalid credentials' });
+    // Second step: a code, or enrolment when the role requires a second factor
+    if (user.totp_enabled_at) {
+      return res.json({ twoFactorRequired: true, challengeToken: signLoginChallenge(user, 'verify') });
+    }
+    if (isTwoFactorRequired(user.role)) {
+      return res.json({ twoFactorSetupRequired: true, challengeToken: signLoginChallenge(user, 'setup') });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a login with the code of the authenticator app or a recovery code
+// @access  Public (challenge token)
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body().custom(value => !!(value.code || value.recoveryCode)).withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await verifyLoginChallenge(req.body.challengeToken, 'verify');
+    const ip = req.ip || null;
+
+    const refusal = await checkLoginAllowed(user.email, user, ip);
+    if (refusal) {
+      await recordLoginAttempt({ email: user.email, userId: user.id, ip, reason: refusal.reason });
+      return sendLoginRefusal(res, refusal);
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!await verifySecondFactor(user.id, { code, recoveryCode })) {
+      await recordLoginAttempt({ email: user.email, userId: user.id, ip, reason: 'wrong_2fa_code' });
+      await registerFailedLogin(user.id);
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Trade a refresh token for a new access token and refresh token
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { token, refreshToken, user } = await refreshSession(req.body.refreshToken, sessionContext(req));
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        permissions: await getRolePermissions(user.role),
+        provinces: await getUserProvinces(user.id),
+        mustChangePassword: !!user.must_change_password
       }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      // Create JWT token
-      const payload = {
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          role: user.role
-        }
-      };
-
-      jwt.sign(payload, config.jwtSecret, { expiresIn: '24h' }, (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role
-          }
-        });
-      });
+// @route   POST /api/auth/logout
+// @desc    Close the session of a refresh token, or every session of its user with `everywhere`
+// @access  Public (refresh token)
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const closed = await closeSession(req.body.refreshToken, { everywhere: req.body.everywhere === true });
+    res.json({ message: 'Logged out', closedSessions: closed });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link; the answer is the same whether the email has an account or not
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  // Answered without waiting for the lookup, token and mail: the response
+  // time must not tell whether the account exists, nor must an error
+  requestPasswordReset(req.body.email, auditContext(req)).catch((err) => {
+    console.error('Error sending password reset email:', err);
+  });
+  res.json({ message: 'If an account uses this email, a reset link has been sent' });
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token of a reset link
+// @access  Public (reset token)
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await resetPasswordWithToken(req.body.token, req.body.password, auditContext(req));
+    res.json({ message: 'Password reset' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password of the current user; their other sessions are closed
+// @access  Private
+router.post('/change-password', [
+  authMiddleware,
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await changePassword(req.user.id, req.body.currentPassword, req.body.newPassword, {
+      ...auditContext(req),
+      sessionId: req.user.sessionId
     });
+    res.json({ message: 'Password changed' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Second factor of the current user
+// @access  Private
+router.get('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const user = await database.get('SELECT id, role, totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+    res.json(await getTwoFactorStatus(user));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment: new secret and otpauth URI to show as a QR code
+// @access  Private, or Public (setup challenge token)
+router.post('/2fa/setup', enrolmentAuth, async (req, res) => {
+  try {
+    res.json(await startTwoFactorSetup(req.user.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrolment with a first code; returns the recovery codes,
+//          and a session when enrolling with a setup challenge token
+// @access  Private, or Public (setup challenge token)
+router.post('/2fa/enable', [
+  enrolmentAuth,
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const recoveryCodes = await enableTwoFactor(req.user.id, req.body.code, auditContext(req));
+    if (req.challengeUser) {
+      return await completeLogin(req, res, req.challengeUser, { recoveryCodes });
+    }
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn the second factor off, with the password and a code
+// @access  Private
+router.post('/2fa/disable', [
+  authMiddleware,
+  body('password').exists().withMessage('Password is required'),
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await disableTwoFactor(req.user.id, req.body.password, req.body.code, auditContext(req));
+    res.json({ message: 'Two-factor authentication disabled' });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes, with a code of the authenticator app
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  authMiddleware,
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(req.user.id, req.body.code) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
@@ -148,7 +506,7 @@ router.post('/login', [
 router.get('/me', authMiddleware, (req, res) => {
   const db = database.getDb();
   
-  db.get('SELECT id, username, email, role FROM users WHERE id = ?', [req.user.id], (err, user) => {
+  db.get('SELECT id, username, email, role, totp_enabled_at FROM users WHERE id = ?', [req.user.id], async (err, user) => {
     if (err) {
       console.error(err);
       return res.status(500).json({ message: 'Server error' });
@@ -158,7 +516,18 @@ router.get('/me', authMiddleware, (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(user);
+    try {
+      const { totp_enabled_at: twoFactorEnabledAt, ...profile } = user;
+      res.json({
+        ...profile,
+        permissions: req.user.permissions,
+        provinces: await getUserProvinces(user.id),
+        twoFactorEnabled: !!twoFactorEnabledAt
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
   });
 });
 
@@ -0,0 +1,139 @@
+/**
+ * Geography Routes - Administrative divisions for the owner's address
+ *
+ * Any logged-in user reads the lists that feed the registration form;
+ * admins (geo:manage) maintain districts, territoires, secteurs and
+ * villages. `:level` is one of districts, territoires, secteurs, villages.
+ *
+ * Endpoints:
+ * - GET /api/geo/provinces - The 26 provinces
+ * - GET /api/geo/:level - Entries of a level under their parent
+ * - POST /api/geo/:level - Add an entry
+ * - PUT /api/geo/:level/:id - Rename an entry
+ * - DELETE /api/geo/:level/:id - Delete an entry with nothing under it
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  listProvinces,
+  listAreas,
+  createArea,
+  updateArea,
+  deleteArea
+} = require('../services/geography');
+
+/**
+ * GET /api/geo/provinces
+ * The 26 provinces with their codes
+ *
+ * @route GET /api/geo/provinces
+ * @access Private
+ */
+router.get('/provinces', authMiddleware, async (req, res) => {
+  try {
+    const provinces = await listProvinces();
+    res.json({ provinces });
+  } catch (error) {
+    console.error('Error fetching provinces:', error);
+    res.status(500).json({ message: 'Erreur lors de la récupération des provinces' });
+  }
+});
+
+/**
+ * GET /api/geo/:level
+ * Entries of a level under their parent, by name
+ *
+ * Query Parameters:
+ * - province: Province code (districts, territoires)
+ * - district: District ID (territoires, optional)
+ * - territoire: Territoire ID (secteurs)
+ * - secteur: Secteur ID (villages)
+ *
+ * @route GET /api/geo/:level
+ * @access Private
+ */
+router.get('/:level', authMiddleware, async (req, res) => {
+  try {
+    const items = await listAreas(req.params.level, req.query);
+    res.json({ items });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error fetching geography:', error);
+    res.status(500).json({ message: 'Erreur lors de la récupération des données géographiques' });
+  }
+});
+
+/**
+ * POST /api/geo/:level
+ * Add an entry
+ *
+ * Required fields: name, and the parent (province, territoire or secteur)
+ * Optional fields: district (territoires)
+ *
+ * @route POST /api/geo/:level
+ * @access Private (geo:manage)
+ */
+router.post('/:level', [authMiddleware, requirePermission('geo:manage')], async (req, res) => {
+  try {
+    const item = await createArea(req.params.level, req.body);
+    res.status(201).json({ message: 'Entrée ajoutée avec succès', item });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error creating geography entry:', error);
+    res.status(500).json({ message: 'Erreur lors de l\'ajout' });
+  }
+});
+
+/**
+ * PUT /api/geo/:level/:id
+ * Rename an entry; a territoire may also change district
+ *
+ * Fields: name, district (territoires, null to clear)
+ *
+ * @route PUT /api/geo/:level/:id
+ * @access Private (geo:manage)
+ */
+router.put('/:level/:id', [authMiddleware, requirePermission('geo:manage')], async (req, res) => {
+  try {
+    const item = await updateArea(req.params.level, req.params.id, req.body);
+    res.json({ message: 'Entrée mise à jour avec succès', item });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error updating geography entry:', error);
+    res.status(500).json({ message: 'Erreur lors de la mise à jour' });
+  }
+});
+
+/**
+ * DELETE /api/geo/:level/:id
+ * Delete an entry that has nothing under it
+ *
+ * @route DELETE /api/geo/:level/:id
+ * @access Private (geo:manage)
+ */
+router.delete('/:level/:id', [authMiddleware, requirePermission('geo:manage')], async (req, res) => {
+  try {
+    await deleteArea(req.params.level, req.params.id);
+    res.json({ message: 'Entrée supprimée avec succès' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error deleting geography entry:', error);
+    res.status(500).json({ message: 'Erreur lors de la suppression' });
+  }
+});
+
+module.exports = router;
@@ -5,14 +5,40 @@
  * and management in the system. It provides CRUD operations, search,
  * filtering, pagination, and statistics functionality.
  * 
+ * Plaques outside the provinces of the user (see services/jurisdictions.js)
+ * are left out of lists, statistics and exports, and answered 404 when
+ * requested one by one. The X-Province-Scope header narrows lists and
+ * statistics to one province of the user's jurisdiction.
+ * 
  * Endpoints:
  * - GET /api/plaques - List plaques with pagination and filtering
+ * - GET /api/plaques/export - Download the filtered list as CSV or Excel
+ * - GET /api/plaques/issuers - List users who registered plaques (list filter)
  * - GET /api/plaques/:id - Get specific plaque by ID
  * - GET /api/plaques/plate/:plateNumber - Get plaque by plate number
  * - POST /api/plaques - Create new plaque registration
  * - PUT /api/plaques/:id - Update existing plaque
- * - DELETE /api/plaques/:id - Delete plaque (admin only)
+ * - DELETE /api/plaques/:id - Cancel plaque, moving it to the trash (plaque:delete)
+ * - GET /api/plaques/trash - List cancelled plaques (plaque:delete)
+ * - POST /api/plaques/:id/restore - Restore a cancelled plaque (plaque:delete)
+ * - DELETE /api/plaques/:id/purge - Permanently remove a cancelled plaque (plaque:purge)
+ * - GET /api/plaques/:id/history - Get status history
+ * - GET /api/plaques/renewal-options - Get renewal periods and window
+ * - POST /api/plaques/:id/renew - Renew a registration
+ * - GET /api/plaques/:id/renewals - Get renewal history
+ * - POST /api/plaques/:id/qr-token - Reissue the QR token (plaque:qr_reissue)
+ * - GET /api/plaques/status-reasons - Get suspension and reinstatement reason codes
+ * - POST /api/plaques/:id/suspend - Suspend a registration (plaque:suspend)
+ * - POST /api/plaques/:id/reinstate - Lift a suspension (plaque:suspend)
+ * - GET /api/plaques/transfer-evidence-types - Get accepted proofs of a change of ownership
+ * - POST /api/plaques/:id/transfer - Transfer a registration to a new owner
+ * - GET /api/plaques/:id/ownership - Get ownership transfer history
+ * - GET /api/plaques/:id/certificate.pdf - Download the registration certificate
+ * - POST /api/plaques/import - Import registrations from a CSV file (plaque:import)
+ * - GET /api/plaques/import/template - Download the CSV import template (plaque:import)
  * - GET /api/plaques/stats/overview - Get system statistics
+ * - GET /api/plaques/stats/timeseries - Get registrations per day, week or month
+ * - GET /api/plaques/stats/breakdown/:dimension - Get registrations by province, status or agent
  * 
  * @author Ahmed
  * @version 1.0.0
@@ -20,22 +46,105 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
+const config = require('../config');
 const database = require('../database/database');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission, requirePlaqueInJurisdiction } = require('../middleware/auth');
+const {
+  LIST_COLUMNS,
+  buildProvinceCondition,
+  buildPlaqueFilter
+} = require('../utils/plaqueFields');
+const { issueQrToken } = require('../services/qrToken');
+const { getStatusHistory } = require('../services/plaqueStatus');
+const { getRenewalOptions, renewPlaque, getRenewals } = require('../services/renewals');
+const { suspendPlaque, reinstatePlaque, getCurrentSuspension } = require('../services/suspensions');
+const { SUSPENSION_REASONS, REINSTATEMENT_REASONS, CODES_REQUIRING_NOTES } = require('../utils/statusReasons');
+const { getPlaqueValidity } = require('../utils/plaqueValidity');
+const { auditContext, auditChange } = require('../services/audit');
+const { softDeletePlaque, restorePlaque, purgePlaque, listDeletedPlaques } = require('../services/trash');
+const { transferOwnership, getOwnershipHistory } = require('../services/transfers');
+const { TRANSFER_EVIDENCE_TYPES, EVIDENCE_REQUIRING_NOTES } = require('../utils/transferEvidence');
+const { renderCertificate } = require('../services/certificate');
+const { registerPlaque, updateRegistration } = require('../services/registrations');
+const { importPlaques, getImportTemplate } = require('../services/imports');
+const { streamPlaqueExport } = require('../services/exports');
+const { getRegistrationSeries, getRegistrationBreakdown } = require('../services/statistics');
+const { isInJurisdiction, resolveScope } = require('../services/jurisdictions');
+
+// CSV import files are kept in memory, never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.importMaxFileSizeMb * 1024 * 1024, files: 1 }
+}).single('file');
+
+/**
+ * Accept one uploaded CSV file as req.file, answering 400 for upload errors
+ */
+function handleImportUpload(req, res, next) {
+  importUpload(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Fichier trop volumineux (maximum ${config.importMaxFileSizeMb} Mo)`
+        : `Erreur lors de l'envoi du fichier: ${err.message}`;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+}
+
+/**
+ * Load a plaque with its linked vehicle nested under `vehicle`, its
+ * signed QR token under `qr_token`, its current validity under `validity`
+ * and, while suspended, the suspension under `suspension`
+ *
+ * @param {string} column - Lookup column (id or plate_number)
+ * @param {*} value - Lookup value
+ * @returns {Promise<Object|undefined>} Plaque row or undefined
+ */
+async function findPlaqueWithVehicle(column, value) {
+  const plaque = await database.get(`SELECT * FROM plaques WHERE ${column} = ?`, [value]);
+  if (!plaque) return plaque;
+
+  plaque.vehicle = plaque.vehicle_id
+    ? await database.get('SELECT * FROM vehicles WHERE id = ?', [plaque.vehicle_id])
+    : null;
+  plaque.qr_token = issueQrToken(plaque);
+  plaque.validity = getPlaqueValidity(plaque);
+  plaque.suspension = await getCurrentSuspension(plaque.id);
+  return plaque;
+}
 
 // ==================== ROUTE HANDLERS ====================
 
 /**
  * GET /api/plaques
  * Get list of plaques with pagination, search, and filtering
+ * Cancelled plaques are left out (see GET /trash).
  * 
  * Query Parameters:
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 10)
- * - search: Search term for plate number, owner name, email
+ * - search: Words matching the start of words of the plate number, owner,
+ *   phone, address or vehicle, accents and case ignored; results are
+ *   ranked by relevance
  * - status: Filter by status (active, expired, suspended)
+ * - registeredFrom, registeredTo: Registration date range (AAAA-MM-JJ,
+ *   both days included)
+ * - expiresFrom, expiresTo: Expiry date range (AAAA-MM-JJ)
+ * - province: Issuing province code
+ * - createdBy: ID of the user who registered the plaque (see GET /issuers)
+ * - expiringWithin: Number of days; plaques not yet expired that expire
+ *   within them
+ * - sort: plateNumber, ownerName, status, province, registrationDate,
+ *   expiryDate or createdAt (default: relevance when searching, otherwise
+ *   newest first)
+ * - order: asc (default) or desc
+ * 
+ * Headers:
+ * - X-Province-Scope: Province code, to list only that province
  * 
  * @route GET /api/plaques
  * @access Private
@@ -46,29 +155,15 @@ router.get('/', authMiddleware, async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
-    const search = req.query.search || '';
-    const status = req.query.status || '';
-
-    // Build dynamic WHERE clause for filtering
-    let whereClause = '';
-    let params = [];
 
-    // Add search functionality
-    if (search) {
-      whereClause += ' WHERE (plate_number LIKE ? OR owner_name LIKE ? OR owner_email LIKE ?)';
-      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
-    }
-
-    // Add status filter
-    if (status) {
-      whereClause += search ? ' AND status = ?' : ' WHERE status = ?';
-      params.push(status);
-    }
+    // Build WHERE and ORDER BY clauses from the filters, leaving out
+    // cancelled plaques and those of other provinces
+    const { from, whereClause, params, orderBy } = buildPlaqueFilter({ ...req.query, provinces: resolveScope(req) });
 
     const db = database.getDb();
 
     // Get total count for pagination
-    const countQuery = `SELECT COUNT(*) as total FROM plaques${whereClause}`;
+    const countQuery = `SELECT COUNT(*) as total FROM ${from}${whereClause}`;
     const totalResult = await new Promise((resolve, reject) => {
       db.get(countQuery, params, (err, row) => {
         if (err) reject(err);
@@ -78,10 +173,9 @@ router.get('/', authMiddleware, async (req, res) => {
 
     // Get paginated plaque data
     const query = `
-      SELECT id, plate_number, owner_name, owner_email, owner_phone,
-             registration_date, expiry_date, status, created_at
-      FROM plaques${whereClause}
-      ORDER BY created_at DESC
+      SELECT ${LIST_COLUMNS.join(', ')}
+      FROM ${from}${whereClause}
+      ORDER BY ${orderBy}
       LIMIT ? OFFSET ?
     `;
     
@@ -102,144 +196,449 @@ router.get('/', authMiddleware, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error fetching plaques:', error);
     res.status(500).json({ message: 'Erreur lors de la récupération des plaques' });
   }
 });
 
 /**
- * GET /api/plaques/:id
- * Get specific plaque by ID
+ * GET /api/plaques/export
+ * Download every plaque matching the list filters as a spreadsheet
+ * The file is streamed: rows are written as they are read.
  * 
- * @route GET /api/plaques/:id
- * @access Private
+ * Query Parameters:
+ * - format: csv (default) or xlsx
+ * - search, status, registeredFrom, registeredTo, expiresFrom, expiresTo,
+ *   province, createdBy, expiringWithin: Same as GET /api/plaques
+ * 
+ * Headers:
+ * - X-Province-Scope: Same as GET /api/plaques
+ * 
+ * @route GET /api/plaques/export
+ * @access Private (plaque:export)
  */
-router.get('/:id', authMiddleware, (req, res) => {
-  const db = database.getDb();
-  const { id } = req.params;
-
-  db.get('SELECT * FROM plaques WHERE id = ?', [id], (err, vehicle) => {
-    if (err) {
-      console.error(err);
-      return res.status(500).json({ message: 'Server error' });
+router.get('/export', [authMiddleware, requirePermission('plaque:export')], async (req, res) => {
+  try {
+    await streamPlaqueExport(res, {
+      ...req.query,
+      format: req.query.format || 'csv',
+      provinces: resolveScope(req)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error exporting plaques:', error);
+    // Once rows are on their way the status can no longer change
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ message: 'Erreur lors de l\'export des plaques' });
+  }
+});
 
-    if (!vehicle) {
-      return res.status(404).json({ message: 'Plaque not found' });
+/**
+ * GET /api/plaques/issuers
+ * Get the users who registered plaques in the caller's provinces, for the
+ * createdBy filter of the list
+ * 
+ * Headers:
+ * - X-Province-Scope: Same as GET /api/plaques
+ * 
+ * @route GET /api/plaques/issuers
+ * @access Private
+ */
+router.get('/issuers', authMiddleware, async (req, res) => {
+  try {
+    const scope = buildProvinceCondition(resolveScope(req));
+    const issuers = await database.all(
+      `SELECT DISTINCT u.id, u.username
+       FROM plaques p JOIN users u ON u.id = p.created_by
+       WHERE p.deleted_at IS NULL${scope.clause}
+       ORDER BY u.username COLLATE NOCASE`,
+      scope.params
+    );
+    res.json({ issuers });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error fetching issuers:', error);
+    res.status(500).json({ message: 'Erreur lors de la récupération des utilisateurs' });
+  }
+});
+
+/**
+ * GET /api/plaques/renewal-options
+ * Get the renewal periods offered and the renewal window around expiry
+ * 
+ * @route GET /api/plaques/renewal-options
+ * @access Private
+ */
+router.get('/renewal-options', authMiddleware, (req, res) => {
+  res.json(getRenewalOptions());
+});
 
-    res.json(vehicle);
+/**
+ * GET /api/plaques/status-reasons
+ * Get the reason codes accepted by suspend and reinstate
+ * 
+ * @route GET /api/plaques/status-reasons
+ * @access Private
+ */
+router.get('/status-reasons', authMiddleware, (req, res) => {
+  res.json({
+    suspension: SUSPENSION_REASONS,
+    reinstatement: REINSTATEMENT_REASONS,
+    notesRequiredFor: CODES_REQUIRING_NOTES
   });
 });
 
 /**
- * GET /api/plaques/plate/:plateNumber
- * Get specific plaque by plate number
+ * GET /api/plaques/transfer-evidence-types
+ * Get the documents accepted as proof of a change of ownership
  * 
- * @route GET /api/plaques/plate/:plateNumber
+ * @route GET /api/plaques/transfer-evidence-types
  * @access Private
  */
-router.get('/plate/:plateNumber', authMiddleware, (req, res) => {
-  const db = database.getDb();
-  const { plateNumber } = req.params;
+router.get('/transfer-evidence-types', authMiddleware, (req, res) => {
+  res.json({
+    evidenceTypes: TRANSFER_EVIDENCE_TYPES,
+    notesRequiredFor: EVIDENCE_REQUIRING_NOTES
+  });
+});
 
-  db.get('SELECT * FROM plaques WHERE plate_number = ?', [plateNumber], (err, vehicle) => {
-    if (err) {
-      console.error(err);
-      return res.status(500).json({ message: 'Server error' });
+/**
+ * GET /api/plaques/trash
+ * Get cancelled plaques, most recently cancelled first, with the date from
+ * which each may be purged
+ * 
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 10)
+ * - search: Search term for plate number and owner name
+ * 
+ * @route GET /api/plaques/trash
+ * @access Private (plaque:delete)
+ */
+router.get('/trash', [authMiddleware, requirePermission('plaque:delete')], async (req, res) => {
+  try {
+    res.json(await listDeletedPlaques({ ...req.query, provinces: resolveScope(req) }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ message: 'Erreur lors de la récupération de la corbeille' });
+  }
+});
 
-    if (!vehicle) {
+/**
+ * GET /api/plaques/import/template
+ * Download a CSV template with every accepted import column
+ * 
+ * @route GET /api/plaques/import/template
+ * @access Private (plaque:import)
+ */
+router.get('/import/template', [authMiddleware, requirePermission('plaque:import')], (req, res) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="modele-import-plaques.csv"'
+  });
+  res.send(getImportTemplate());
+});
+
+/**
+ * POST /api/plaques/import
+ * Import registrations from a CSV file (multipart field `file`)
+ * 
+ * The header row names the columns, with the field names of POST
+ * /api/plaques (plateNumber, ownerNom, ownerEmail...), the vehicle fields
+ * (vin, make, model...), registrationDate / expiryDate (AAAA-MM-JJ or
+ * JJ/MM/AAAA) and issuingProvinceCode (see POST /api/plaques). Comma and semicolon separators are accepted. Every row is
+ * checked with the rules of POST /api/plaques; valid rows are imported in
+ * a single transaction and invalid ones are reported with their line.
+ * 
+ * Query Parameters:
+ * - dryRun: "true" to only validate the file and get the report
+ * 
+ * @route POST /api/plaques/import
+ * @access Private (plaque:import)
+ */
+router.post('/import', [authMiddleware, requirePermission('plaque:import'), handleImportUpload], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Aucun fichier CSV reçu (champ "file")' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const report = await importPlaques(req.file.buffer, auditContext(req), {
+      dryRun,
+      jurisdiction: req.user.jurisdiction
+    });
+    res.json({
+      message: dryRun
+        ? `Vérification terminée: ${report.validRows} ligne(s) valide(s), ${report.invalidRows} en erreur`
+        : `${report.importedRows} plaque(s) importée(s), ${report.invalidRows} ligne(s) rejetée(s)`,
+      report
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error importing plaques:', error);
+    res.status(500).json({ message: 'Erreur lors de l\'import des plaques' });
+  }
+});
+
+/**
+ * GET /api/plaques/:id
+ * Get specific plaque by ID, with its status, renewal and ownership history
+ * 
+ * @route GET /api/plaques/:id
+ * @access Private
+ */
+router.get('/:id', [authMiddleware, requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    const plaque = await findPlaqueWithVehicle('id', req.params.id);
+    if (!plaque) {
       return res.status(404).json({ message: 'Plaque not found' });
     }
+    plaque.status_history = await getStatusHistory(plaque.id);
+    plaque.renewals = await getRenewals(plaque.id);
+    plaque.ownership_history = await getOwnershipHistory(plaque.id);
+    res.json(plaque);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json(vehicle);
-  });
+/**
+ * GET /api/plaques/:id/history
+ * Get the status transitions of a plaque, oldest first
+ * Transitions made by the lifecycle job have no acting user.
+ * 
+ * @route GET /api/plaques/:id/history
+ * @access Private
+ */
+router.get('/:id/history', [authMiddleware, requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    const plaque = await database.get('SELECT id FROM plaques WHERE id = ?', [req.params.id]);
+    if (!plaque) {
+      return res.status(404).json({ message: 'Plaque non trouvée' });
+    }
+    res.json({ history: await getStatusHistory(plaque.id) });
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 /**
- * POST /api/plaques
- * Create new plaque registration
+ * GET /api/plaques/:id/renewals
+ * Get the renewals of a plaque, most recent first
  * 
- * Required fields:
- * - plateNumber: Unique plate identifier
- * - ownerName: Full name of the owner
- * - ownerEmail: Owner's email address
+ * @route GET /api/plaques/:id/renewals
+ * @access Private
+ */
+router.get('/:id/renewals', [authMiddleware, requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    const plaque = await database.get('SELECT id FROM plaques WHERE id = ?', [req.params.id]);
+    if (!plaque) {
+      return res.status(404).json({ message: 'Plaque non trouvée' });
+    }
+    res.json({ renewals: await getRenewals(plaque.id) });
+  } catch (error) {
+    console.error('Error fetching renewals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/plaques/:id/renew
+ * Renew a registration for one of the configured periods
  * 
- * Optional fields:
- * - ownerPhone: Owner's phone number
- * - expiryDate: Registration expiry date (defaults to 1 year from now)
+ * The new expiry continues from the current one. Renewals are accepted
+ * only within the window around expiry (see GET /renewal-options), and an
+ * expired plaque becomes active again. Suspended plaques cannot be renewed.
  * 
- * @route POST /api/plaques
+ * Body:
+ * - periodMonths: Renewal period in months
+ * 
+ * @route POST /api/plaques/:id/renew
+ * @access Private (plaque:renew)
+ */
+router.post('/:id/renew', [authMiddleware, requirePermission('plaque:renew'), requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    const renewal = await renewPlaque(req.params.id, req.body.periodMonths, auditContext(req));
+    const plaque = await findPlaqueWithVehicle('id', req.params.id);
+    res.json({
+      message: `Immatriculation renouvelée jusqu'au ${new Date(renewal.new_expiry).toLocaleDateString('fr-FR')}`,
+      renewal,
+      plaque
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error renewing plaque:', error);
+    res.status(500).json({ message: 'Erreur lors du renouvellement de la plaque' });
+  }
+});
+
+/**
+ * GET /api/plaques/:id/ownership
+ * Get the ownership transfers of a plaque, most recent first
+ * Each transfer names the seller (previous owner) and the buyer.
+ * 
+ * @route GET /api/plaques/:id/ownership
  * @access Private
  */
-router.post('/', authMiddleware, async (req, res) => {
+router.get('/:id/ownership', [authMiddleware, requirePlaqueInJurisdiction], async (req, res) => {
   try {
-    const { plateNumber, ownerName, ownerEmail, ownerPhone, expiryDate } = req.body;
+    const plaque = await database.get('SELECT id FROM plaques WHERE id = ?', [req.params.id]);
+    if (!plaque) {
+      return res.status(404).json({ message: 'Plaque non trouvée' });
+    }
+    res.json({ transfers: await getOwnershipHistory(plaque.id) });
+  } catch (error) {
+    console.error('Error fetching ownership history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Validate required fields
-    if (!plateNumber || !ownerName || !ownerEmail) {
-      return res.status(400).json({ 
-        message: 'Numéro de plaque, nom du propriétaire et email sont requis' 
-      });
+/**
+ * GET /api/plaques/:id/certificate.pdf
+ * Download the printable registration certificate of a plaque
+ * Only issued while the registration is valid.
+ * 
+ * @route GET /api/plaques/:id/certificate.pdf
+ * @access Private
+ */
+router.get('/:id/certificate.pdf', [authMiddleware, requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    const plaque = await findPlaqueWithVehicle('id', req.params.id);
+    if (!plaque) {
+      return res.status(404).json({ message: 'Plaque non trouvée' });
+    }
+    if (!plaque.validity.valid) {
+      return res.status(400).json({ message: 'Le certificat n\'est délivré que pour une immatriculation valide' });
     }
 
-    const db = database.getDb();
+    const pdf = await renderCertificate(plaque);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="certificat-${plaque.plate_number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating certificate:', error);
+    res.status(500).json({ message: 'Erreur lors de la génération du certificat' });
+  }
+});
 
-    // Check if plate number already exists
-    const existingPlaque = await new Promise((resolve, reject) => {
-      db.get(
-        'SELECT id FROM plaques WHERE plate_number = ?',
-        [plateNumber],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        }
-      );
+/**
+ * POST /api/plaques/:id/transfer
+ * Transfer a registration to a new owner (sale, inheritance...)
+ * 
+ * The current owner is recorded as the seller and replaced by the buyer;
+ * the plate number, vehicle and expiry do not change. Cancelled and
+ * suspended plaques cannot be transferred.
+ * 
+ * Body:
+ * - buyer: New owner, with the owner fields of POST /api/plaques
+ *   (ownerNom, ownerPostNom, ownerPrenom, ownerEmail, ownerPhone...)
+ * - transferDate: Date of the sale (not in the future)
+ * - evidenceType: Proof of the transfer (see GET /transfer-evidence-types)
+ * - evidenceReference: Number or reference of that document
+ * - notes: Free-text details (required for evidence type "other")
+ * 
+ * @route POST /api/plaques/:id/transfer
+ * @access Private (plaque:transfer)
+ */
+router.post('/:id/transfer', [authMiddleware, requirePermission('plaque:transfer'), requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    const transfer = await transferOwnership(req.params.id, req.body, auditContext(req));
+    res.json({
+      message: `Plaque transférée à ${transfer.buyer_name}`,
+      transfer,
+      plaque: await findPlaqueWithVehicle('id', req.params.id)
     });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error transferring plaque:', error);
+    res.status(500).json({ message: 'Erreur lors du transfert de propriété' });
+  }
+});
 
-    if (existingPlaque) {
-      return res.status(400).json({ 
-        message: 'Ce numéro de plaque existe déjà' 
-      });
+/**
+ * GET /api/plaques/plate/:plateNumber
+ * Get specific plaque by plate number
+ * 
+ * @route GET /api/plaques/plate/:plateNumber
+ * @access Private
+ */
+router.get('/plate/:plateNumber', authMiddleware, async (req, res) => {
+  try {
+    const plaque = await findPlaqueWithVehicle('plate_number', req.params.plateNumber);
+    if (!plaque || !isInJurisdiction(req.user.jurisdiction, plaque.issuing_province_code)) {
+      return res.status(404).json({ message: 'Plaque not found' });
     }
+    res.json(plaque);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Insert new plaque with default values
-    const result = await new Promise((resolve, reject) => {
-      db.run(
-        `INSERT INTO plaques (
-          plate_number, owner_name, owner_email, owner_phone,
-          registration_date, expiry_date, status, created_by
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          plateNumber,
-          ownerName,
-          ownerEmail,
-          ownerPhone || null,
-          new Date().toISOString(),
-          expiryDate || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
-          'active',
-          req.user.id
-        ],
-        function(err) {
-          if (err) reject(err);
-          else resolve({ id: this.lastID });
-        }
-      );
-    });
+/**
+ * POST /api/plaques
+ * Create new plaque registration
+ * 
+ * Required fields:
+ * - plateNumber: Plate number reserved through POST /api/plaques/reservations
+ *   (numbers issued before allocation existed go through POST /import)
+ * - ownerNom/ownerPostNom/ownerPrenom, or ownerName: Owner's name
+ * - ownerEmail: Owner's email address
+ * 
+ * Optional fields:
+ * - ownerPhone: Owner's phone number
+ * - ownerNationalite, ownerAdresse: Owner's nationality and address
+ * - ownerProvince, ownerProvinceCode, ownerDistrict, ownerTerritoire,
+ *   ownerSecteur, ownerVillage: Owner's administrative location
+ * - vehicle: Vehicle details (vin, engineNumber, make, model, year, colour,
+ *   category, fuel, seats), or vehicleId: ID of an existing vehicle
+ * 
+ * The registration is valid one year; an expiryDate is refused, the expiry
+ * only changes through POST /:id/renew.
+ * The plaque belongs to the province of its plate number, which must be
+ * within the user's jurisdiction.
+ * 
+ * @route POST /api/plaques
+ * @access Private (plaque:create)
+ */
+router.post('/', [authMiddleware, requirePermission('plaque:create')], async (req, res) => {
+  try {
+    const plaque = await database.transaction(() => registerPlaque(req.body, auditContext(req), {
+      jurisdiction: req.user.jurisdiction
+    }));
 
     res.status(201).json({
       message: 'Plaque créée avec succès',
       plaque: {
-        id: result.id,
-        plate_number: plateNumber,
-        owner_name: ownerName,
-        owner_email: ownerEmail,
-        owner_phone: ownerPhone,
-        status: 'active'
+        ...plaque,
+        qr_token: issueQrToken(plaque)
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error creating plaque:', error);
     res.status(500).json({ message: 'Erreur lors de la création de la plaque' });
   }
@@ -249,115 +648,221 @@ router.post('/', authMiddleware, async (req, res) => {
  * PUT /api/plaques/:id
  * Update existing plaque registration
  * 
+ * Accepts the same fields as POST; fields left out keep their stored
+ * value, null or an empty string clears them. A `vehicle` object updates
+ * the linked vehicle (or creates one); omitting it keeps the current link. The expiry
+ * only changes through POST /:id/renew: an expiryDate is refused. The owner
+ * details may be corrected, but a different owner name (beyond case,
+ * accents, spacing and word order) is refused: a change of owner goes
+ * through POST /:id/transfer, which keeps the history. Users granted
+ * plaque:owner_correct may fix a misspelt name, audited as an
+ * owner_correction.
+ * A new allocated plate number moves the plaque to the province of that
+ * number, which must be within the user's jurisdiction.
+ * 
  * @route PUT /api/plaques/:id
- * @access Private
+ * @access Private (plaque:edit)
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', [authMiddleware, requirePermission('plaque:edit'), requirePlaqueInJurisdiction], async (req, res) => {
   try {
     const { id } = req.params;
-    const { plateNumber, ownerName, ownerEmail, ownerPhone, expiryDate } = req.body;
+    await database.transaction(() => updateRegistration(id, req.body, auditContext(req), {
+      jurisdiction: req.user.jurisdiction,
+      permissions: req.user.permissions
+    }));
 
-    // Validate required fields
-    if (!plateNumber || !ownerName || !ownerEmail) {
-      return res.status(400).json({ 
-        message: 'Numéro de plaque, nom du propriétaire et email sont requis' 
-      });
-    }
-
-    const db = database.getDb();
+    // Get updated plaque
+    const updatedPlaque = await findPlaqueWithVehicle('id', id);
 
-    // Check if plaque exists
-    const existingPlaque = await new Promise((resolve, reject) => {
-      db.get('SELECT * FROM plaques WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
+    res.json({
+      message: 'Plaque mise à jour avec succès',
+      plaque: updatedPlaque
     });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error updating plaque:', error);
+    res.status(500).json({ message: 'Erreur lors de la mise à jour de la plaque' });
+  }
+});
 
-    if (!existingPlaque) {
+/**
+ * POST /api/plaques/:id/qr-token
+ * Reissue the QR token of a plaque (e.g. lost or stolen sticker)
+ * Every previously printed QR code for the plaque stops verifying.
+ * 
+ * @route POST /api/plaques/:id/qr-token
+ * @access Private (plaque:qr_reissue)
+ */
+router.post('/:id/qr-token', [authMiddleware, requirePermission('plaque:qr_reissue'), requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    const existing = await database.get('SELECT id, deleted_at FROM plaques WHERE id = ?', [req.params.id]);
+    if (!existing) {
       return res.status(404).json({ message: 'Plaque non trouvée' });
     }
-
-    // Check if new plate number conflicts with another plaque
-    if (plateNumber !== existingPlaque.plate_number) {
-      const conflictPlaque = await new Promise((resolve, reject) => {
-        db.get('SELECT id FROM plaques WHERE plate_number = ? AND id != ?', [plateNumber, id], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
-
-      if (conflictPlaque) {
-        return res.status(400).json({ message: 'Ce numéro de plaque existe déjà' });
-      }
+    if (existing.deleted_at) {
+      return res.status(400).json({ message: 'Cette plaque a été annulée' });
     }
 
-    // Update plaque
-    await new Promise((resolve, reject) => {
-      db.run(
-        `UPDATE plaques SET 
-         plate_number = ?, owner_name = ?, owner_email = ?, owner_phone = ?, expiry_date = ?
-         WHERE id = ?`,
-        [plateNumber, ownerName, ownerEmail, ownerPhone, expiryDate, id],
-        function(err) {
-          if (err) reject(err);
-          else resolve();
-        }
-      );
-    });
+    await database.transaction(() => auditChange('plaque', existing.id, 'qr_reissue', auditContext(req), () => database.run(
+      'UPDATE plaques SET qr_version = qr_version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [existing.id]
+    )));
 
-    // Get updated plaque
-    const updatedPlaque = await new Promise((resolve, reject) => {
-      db.get('SELECT * FROM plaques WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
+    const plaque = await database.get('SELECT id, qr_version FROM plaques WHERE id = ?', [req.params.id]);
+    res.json({
+      message: 'Nouveau QR code émis, les anciens ne sont plus valides',
+      qr_token: issueQrToken(plaque)
     });
+  } catch (error) {
+    console.error('Error reissuing QR token:', error);
+    res.status(500).json({ message: 'Erreur lors de l\'émission du QR code' });
+  }
+});
 
+/**
+ * POST /api/plaques/:id/suspend
+ * Suspend a registration; the plate is reported invalid until reinstated
+ * 
+ * Body:
+ * - reasonCode: Suspension reason code (see GET /status-reasons)
+ * - notes: Free-text explanation (required for reason "other")
+ * 
+ * @route POST /api/plaques/:id/suspend
+ * @access Private (plaque:suspend)
+ */
+router.post('/:id/suspend', [authMiddleware, requirePermission('plaque:suspend'), requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    await suspendPlaque(req.params.id, req.body, auditContext(req));
     res.json({
-      message: 'Plaque mise à jour avec succès',
-      plaque: updatedPlaque
+      message: 'Plaque suspendue',
+      plaque: await findPlaqueWithVehicle('id', req.params.id)
     });
   } catch (error) {
-    console.error('Error updating plaque:', error);
-    res.status(500).json({ message: 'Erreur lors de la mise à jour de la plaque' });
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error suspending plaque:', error);
+    res.status(500).json({ message: 'Erreur lors de la suspension de la plaque' });
   }
 });
 
-// @route   DELETE /api/plaques/:id
-// @desc    Delete plaque
-// @access  Private (Admin only)
-router.delete('/:id', [authMiddleware, adminMiddleware], (req, res) => {
-  const { id } = req.params;
-  const db = database.getDb();
-
-  db.get('SELECT * FROM plaques WHERE id = ?', [id], (err, vehicle) => {
-    if (err) {
-      console.error(err);
-      return res.status(500).json({ message: 'Server error' });
+/**
+ * POST /api/plaques/:id/reinstate
+ * Lift the suspension of a registration
+ * The plaque returns to active, or to expired if its expiry date has passed.
+ * 
+ * Body:
+ * - reasonCode: Reinstatement reason code (see GET /status-reasons)
+ * - notes: Free-text explanation (required for reason "other")
+ * 
+ * @route POST /api/plaques/:id/reinstate
+ * @access Private (plaque:suspend)
+ */
+router.post('/:id/reinstate', [authMiddleware, requirePermission('plaque:suspend'), requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    const { to } = await reinstatePlaque(req.params.id, req.body, auditContext(req));
+    res.json({
+      message: to === 'active'
+        ? 'Suspension levée, la plaque est de nouveau active'
+        : 'Suspension levée, la plaque est expirée et doit être renouvelée',
+      plaque: await findPlaqueWithVehicle('id', req.params.id)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error reinstating plaque:', error);
+    res.status(500).json({ message: 'Erreur lors de la levée de la suspension' });
+  }
+});
 
-    if (!vehicle) {
-      return res.status(404).json({ message: 'Plaque not found' });
+/**
+ * DELETE /api/plaques/:id
+ * Cancel a plaque: it leaves the lists and statistics and is reported
+ * invalid, but is kept in the trash and its plate number stays taken
+ * 
+ * Body:
+ * - reason: Why the registration is cancelled
+ * 
+ * @route DELETE /api/plaques/:id
+ * @access Private (plaque:delete)
+ */
+router.delete('/:id', [authMiddleware, requirePermission('plaque:delete'), requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    await softDeletePlaque(req.params.id, req.body.reason, auditContext(req));
+    res.json({ message: 'Plaque annulée et placée dans la corbeille' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error deleting plaque:', error);
+    res.status(500).json({ message: 'Erreur lors de la suppression de la plaque' });
+  }
+});
 
-    db.run('DELETE FROM plaques WHERE id = ?', [id], function(err) {
-      if (err) {
-        console.error(err);
-        return res.status(500).json({ message: 'Server error' });
-      }
-
-      res.json({ message: 'Plaque deleted successfully' });
+/**
+ * POST /api/plaques/:id/restore
+ * Take a cancelled plaque out of the trash
+ * 
+ * @route POST /api/plaques/:id/restore
+ * @access Private (plaque:delete)
+ */
+router.post('/:id/restore', [authMiddleware, requirePermission('plaque:delete'), requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    await restorePlaque(req.params.id, auditContext(req));
+    res.json({
+      message: 'Plaque restaurée',
+      plaque: await findPlaqueWithVehicle('id', req.params.id)
     });
-  });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error restoring plaque:', error);
+    res.status(500).json({ message: 'Erreur lors de la restauration de la plaque' });
+  }
+});
+
+/**
+ * DELETE /api/plaques/:id/purge
+ * Permanently remove a cancelled plaque with its status and renewal history
+ * Only allowed once the registration has been expired for the legal
+ * retention period (RECORD_RETENTION_YEARS). The audit log keeps a copy.
+ * 
+ * Body:
+ * - confirmPlateNumber: The plaque's plate number, typed to confirm
+ * 
+ * @route DELETE /api/plaques/:id/purge
+ * @access Private (plaque:purge)
+ */
+router.delete('/:id/purge', [authMiddleware, requirePermission('plaque:purge'), requirePlaqueInJurisdiction], async (req, res) => {
+  try {
+    await purgePlaque(req.params.id, req.body.confirmPlateNumber, auditContext(req));
+    res.json({ message: 'Plaque définitivement supprimée' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error purging plaque:', error);
+    res.status(500).json({ message: 'Erreur lors de la purge de la plaque' });
+  }
 });
 
 // @route   GET /api/plaques/stats/overview
-// @desc    Get plaque statistics
+// @desc    Get plaque statistics of the provinces in scope (X-Province-Scope)
 // @access  Private
 router.get('/stats/overview', authMiddleware, (req, res) => {
   const db = database.getDb();
 
+  let scope;
+  try {
+    scope = buildProvinceCondition(resolveScope(req));
+  } catch (error) {
+    return res.status(error.status).json({ message: error.message });
+  }
+
   // Use a single query with CASE statements for better performance and reliability
   const statsQuery = `
     SELECT 
@@ -366,10 +871,11 @@ router.get('/stats/overview', authMiddleware, (req, res) => {
       SUM(CASE WHEN status = 'expired' THEN 1 ELSE 0 END) as expired,
       SUM(CASE WHEN status = 'suspended' THEN 1 ELSE 0 END) as suspended,
       SUM(CASE WHEN status = 'active' AND date(expiry_date) <= date('now', '+30 days') THEN 1 ELSE 0 END) as expiring_soon
-    FROM plaques
+    FROM plaques p
+    WHERE deleted_at IS NULL${scope.clause}
   `;
 
-  db.get(statsQuery, (err, result) => {
+  db.get(statsQuery, scope.params, (err, result) => {
     if (err) {
       console.error('Statistics query error:', err);
       return res.status(500).json({ message: 'Server error' });
@@ -388,4 +894,58 @@ router.get('/stats/overview', authMiddleware, (req, res) => {
   });
 });
 
+/**
+ * GET /api/plaques/stats/timeseries
+ * Registrations per period between two days, empty periods included
+ *
+ * Query Parameters:
+ * - interval: day, week (starting Monday) or month (default: day)
+ * - from: First day, YYYY-MM-DD (default: 30 days, 12 weeks or 12 months before `to`)
+ * - to: Last day, YYYY-MM-DD (default: today)
+ *
+ * Headers:
+ * - X-Province-Scope: Same as GET /api/plaques
+ *
+ * @route GET /api/plaques/stats/timeseries
+ * @access Private
+ */
+router.get('/stats/timeseries', authMiddleware, async (req, res) => {
+  try {
+    res.json(await getRegistrationSeries({ ...req.query, provinces: resolveScope(req) }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error fetching registration series:', error);
+    res.status(500).json({ message: 'Erreur lors du calcul des statistiques' });
+  }
+});
+
+/**
+ * GET /api/plaques/stats/breakdown/:dimension
+ * Registrations between two days by province, status or issuing agent
+ * (dimension), largest groups first
+ *
+ * Query Parameters:
+ * - from: First day, YYYY-MM-DD (default: 30 days before `to`)
+ * - to: Last day, YYYY-MM-DD (default: today)
+ *
+ * Headers:
+ * - X-Province-Scope: Same as GET /api/plaques
+ *
+ * @route GET /api/plaques/stats/breakdown/:dimension
+ * @access Private
+ */
+router.get('/stats/breakdown/:dimension', authMiddleware, async (req, res) => {
+  try {
+    res.json(await getRegistrationBreakdown(req.params.dimension, { ...req.query, provinces: resolveScope(req) }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error fetching registration breakdown:', error);
+    res.status(500).json({ message: 'Erreur lors du calcul des statistiques' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Plate Reservation Routes - Server-side plate number allocation
+ *
+ * The registration form reserves a plate number here before submitting
+ * the plaque, and releases it when the registration is abandoned.
+ *
+ * Endpoints:
+ * - POST /api/plaques/reservations - Reserve the next number of a province
+ * - DELETE /api/plaques/reservations/:plateNumber - Release a reservation
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { reservePlate, releaseReservation } = require('../services/plateAllocator');
+
+/**
+ * POST /api/plaques/reservations
+ * Reserve the next free plate number of a province within the user's
+ * jurisdiction
+ *
+ * Body:
+ * - provinceCode: Two-digit province code (e.g. "10" for Kongo-Central)
+ *
+ * @route POST /api/plaques/reservations
+ * @access Private (plaque:create)
+ */
+router.post('/', [authMiddleware, requirePermission('plaque:create')], async (req, res) => {
+  try {
+    const reservation = await reservePlate(req.body.provinceCode, req.user.id, req.user.jurisdiction);
+    res.status(201).json({
+      message: 'Numéro de plaque réservé',
+      reservation
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error reserving plate number:', error);
+    res.status(500).json({ message: 'Erreur lors de la réservation du numéro de plaque' });
+  }
+});
+
+/**
+ * DELETE /api/plaques/reservations/:plateNumber
+ * Release a reservation made by the current user (any reservation with
+ * plaque:reservation_release)
+ *
+ * @route DELETE /api/plaques/reservations/:plateNumber
+ * @access Private (plaque:create)
+ */
+router.delete('/:plateNumber', [authMiddleware, requirePermission('plaque:create')], async (req, res) => {
+  try {
+    await releaseReservation(req.params.plateNumber, req.user);
+    res.json({ message: 'Réservation libérée' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error releasing plate reservation:', error);
+    res.status(500).json({ message: 'Erreur lors de la libération de la réservation' });
+  }
+});
+
+module.exports = router;
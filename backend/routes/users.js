@@ -0,0 +1,272 @@
+/**
+ * User Routes - Account administration (user:manage)
+ *
+ * Endpoints:
+ * - GET /api/users - List accounts with search and filters
+ * - POST /api/users - Create an account
+ * - PUT /api/users/:id/role - Change the role of an account
+ * - PUT /api/users/:id/provinces - Change the provinces of an account
+ * - POST /api/users/:id/disable - Disable an account
+ * - POST /api/users/:id/enable - Re-enable an account
+ * - POST /api/users/:id/unlock - Lift a lockout after failed logins
+ * - POST /api/users/:id/reset-password - Replace the password with a temporary one
+ * - POST /api/users/:id/reset-2fa - Remove the second factor of an account
+ * - GET /api/users/login-attempts - Review login attempts
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { auditContext } = require('../services/audit');
+const { PERMISSIONS } = require('../utils/permissions');
+const { listLoginAttempts } = require('../services/loginAttempts');
+const {
+  listUsers,
+  listRoles,
+  createUser,
+  changeUserRole,
+  changeUserProvinces,
+  disableUser,
+  enableUser,
+  unlockUser,
+  resetUserPassword,
+  resetUserTwoFactor
+} = require('../services/users');
+
+/**
+ * GET /api/users
+ * List accounts alphabetically, with the roles that can be given and the
+ * permissions of each
+ *
+ * Query Parameters:
+ * - search: Part of the username or email
+ * - role: Role code
+ * - status: active or disabled
+ * - page: Page number (default: 1)
+ * - limit: Users per page (default: 20, max: 100)
+ *
+ * @route GET /api/users
+ * @access Private (user:manage)
+ */
+router.get('/', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const result = await listUsers(req.query);
+    res.json({ ...result, roles: await listRoles(), permissions: PERMISSIONS });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Erreur lors de la récupération des utilisateurs' });
+  }
+});
+
+/**
+ * GET /api/users/login-attempts
+ * Login attempts, newest first, successful or not and whether or not the
+ * email has an account
+ *
+ * Query Parameters:
+ * - email: Part of the email
+ * - ip: IP address
+ * - result: success or failure
+ * - page: Page number (default: 1)
+ * - limit: Attempts per page (default: 50, max: 200)
+ *
+ * @route GET /api/users/login-attempts
+ * @access Private (user:manage)
+ */
+router.get('/login-attempts', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    res.json(await listLoginAttempts(req.query));
+  } catch (error) {
+    console.error('Error fetching login attempts:', error);
+    res.status(500).json({ message: 'Erreur lors de la récupération des tentatives de connexion' });
+  }
+});
+
+/**
+ * POST /api/users
+ * Create an account; without a password a temporary one is generated and
+ * returned once. The user must change it at first login. `provinces` lists
+ * the codes of the provinces the user works in.
+ *
+ * @route POST /api/users
+ * @access Private (user:manage)
+ */
+router.post('/', [
+  authMiddleware,
+  requirePermission('user:manage'),
+  body('username').trim().isLength({ min: 3 }).withMessage('Le nom d\'utilisateur doit contenir au moins 3 caractères'),
+  body('email').isEmail().withMessage('Email invalide'),
+  body('password').optional({ values: 'falsy' }).isLength({ min: 6 })
+    .withMessage('Le mot de passe doit contenir au moins 6 caractères')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const { username, email, password, role, provinces } = req.body;
+    const result = await createUser({ username, email, password, role, provinces }, auditContext(req));
+    res.status(201).json({ message: 'Utilisateur créé', ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ message: 'Erreur lors de la création de l\'utilisateur' });
+  }
+});
+
+/**
+ * PUT /api/users/:id/role
+ * Change the role of an account (body: role)
+ * Admins cannot change their own role, nor demote the last enabled admin.
+ *
+ * @route PUT /api/users/:id/role
+ * @access Private (user:manage)
+ */
+router.put('/:id/role', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const user = await changeUserRole(parseInt(req.params.id, 10), req.body.role, auditContext(req));
+    res.json({ message: 'Rôle mis à jour', user });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error changing user role:', error);
+    res.status(500).json({ message: 'Erreur lors du changement de rôle' });
+  }
+});
+
+/**
+ * PUT /api/users/:id/provinces
+ * Replace the provinces an account may consult and work on (body:
+ * provinces, an array of province codes)
+ * Roles with plaque:national see every province whatever is assigned.
+ *
+ * @route PUT /api/users/:id/provinces
+ * @access Private (user:manage)
+ */
+router.put('/:id/provinces', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const user = await changeUserProvinces(parseInt(req.params.id, 10), req.body.provinces, auditContext(req));
+    res.json({ message: 'Provinces mises à jour', user });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error changing user provinces:', error);
+    res.status(500).json({ message: 'Erreur lors du changement des provinces' });
+  }
+});
+
+/**
+ * POST /api/users/:id/disable
+ * Disable an account (body: reason); its tokens are refused at once
+ *
+ * @route POST /api/users/:id/disable
+ * @access Private (user:manage)
+ */
+router.post('/:id/disable', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const user = await disableUser(parseInt(req.params.id, 10), req.body.reason, auditContext(req));
+    res.json({ message: 'Compte désactivé', user });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error disabling user:', error);
+    res.status(500).json({ message: 'Erreur lors de la désactivation du compte' });
+  }
+});
+
+/**
+ * POST /api/users/:id/enable
+ * Re-enable a disabled account
+ *
+ * @route POST /api/users/:id/enable
+ * @access Private (user:manage)
+ */
+router.post('/:id/enable', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const user = await enableUser(parseInt(req.params.id, 10), auditContext(req));
+    res.json({ message: 'Compte réactivé', user });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error enabling user:', error);
+    res.status(500).json({ message: 'Erreur lors de la réactivation du compte' });
+  }
+});
+
+/**
+ * POST /api/users/:id/unlock
+ * Lift the lockout of an account locked after failed logins
+ *
+ * @route POST /api/users/:id/unlock
+ * @access Private (user:manage)
+ */
+router.post('/:id/unlock', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const user = await unlockUser(parseInt(req.params.id, 10), auditContext(req));
+    res.json({ message: 'Compte déverrouillé', user });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: 'Erreur lors du déverrouillage du compte' });
+  }
+});
+
+/**
+ * POST /api/users/:id/reset-password
+ * Replace the password with a temporary one, returned once, and end the
+ * user's sessions
+ *
+ * @route POST /api/users/:id/reset-password
+ * @access Private (user:manage)
+ */
+router.post('/:id/reset-password', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const result = await resetUserPassword(parseInt(req.params.id, 10), auditContext(req));
+    res.json({ message: 'Mot de passe réinitialisé', ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error resetting user password:', error);
+    res.status(500).json({ message: 'Erreur lors de la réinitialisation du mot de passe' });
+  }
+});
+
+/**
+ * POST /api/users/:id/reset-2fa
+ * Remove the second factor and recovery codes of a user who lost them
+ *
+ * @route POST /api/users/:id/reset-2fa
+ * @access Private (user:manage)
+ */
+router.post('/:id/reset-2fa', [authMiddleware, requirePermission('user:manage')], async (req, res) => {
+  try {
+    const user = await resetUserTwoFactor(parseInt(req.params.id, 10), auditContext(req));
+    res.json({ message: 'Double authentification réinitialisée', user });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error resetting user two-factor authentication:', error);
+    res.status(500).json({ message: 'Erreur lors de la réinitialisation de la double authentification' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+/**
+ * Vehicle Routes - API Endpoints for Vehicle Management
+ *
+ * Vehicles are identified by their VIN / chassis number and linked to at
+ * most one plaque through plaques.vehicle_id. A vehicle follows the
+ * jurisdiction of its plaque: outside the user's provinces it is left out
+ * of the list and answered 404. Vehicles without a plaque are visible to all.
+ *
+ * Endpoints:
+ * - GET /api/vehicles - List vehicles with pagination and search
+ * - GET /api/vehicles/:id - Get vehicle by ID with its plaque
+ * - GET /api/vehicles/vin/:vin - Get vehicle by VIN
+ * - POST /api/vehicles - Create vehicle
+ * - PUT /api/vehicles/:id - Update vehicle
+ * - DELETE /api/vehicles/:id - Delete an unlinked vehicle (vehicle:delete)
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const express = require('express');
+const router = express.Router();
+const database = require('../database/database');
+const { authMiddleware, requirePermission, requireVehicleInJurisdiction } = require('../middleware/auth');
+const { normalizeVin } = require('../utils/vehicleFields');
+const { buildProvinceCondition } = require('../utils/plaqueFields');
+const { auditContext, auditChange } = require('../services/audit');
+const { isInJurisdiction, resolveScope } = require('../services/jurisdictions');
+const {
+  findLinkedPlaque,
+  createVehicle,
+  updateVehicle,
+  prepareVehicle
+} = require('../services/vehicles');
+
+const VEHICLE_FROM = 'vehicles v LEFT JOIN plaques p ON p.vehicle_id = v.id';
+
+const VEHICLE_SELECT = `
+  SELECT v.*, p.id AS plaque_id, p.plate_number, p.issuing_province_code
+  FROM ${VEHICLE_FROM}
+`;
+
+/**
+ * GET /api/vehicles
+ * List vehicles with pagination and search
+ *
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 10)
+ * - search: Search term for VIN, engine number, make, model
+ *
+ * Headers:
+ * - X-Province-Scope: Same as GET /api/plaques
+ *
+ * @route GET /api/vehicles
+ * @access Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    // Vehicles of plaques in the caller's provinces, and those without a plaque
+    const scope = buildProvinceCondition(resolveScope(req));
+    let whereClause = ` WHERE (p.id IS NULL OR (1${scope.clause}))`;
+    const params = [...scope.params];
+    if (search) {
+      whereClause += ' AND (v.vin LIKE ? OR v.engine_number LIKE ? OR v.make LIKE ? OR v.model LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    const totalResult = await database.get(`SELECT COUNT(*) as total FROM ${VEHICLE_FROM}${whereClause}`, params);
+    const vehicles = await database.all(
+      `${VEHICLE_SELECT}${whereClause} ORDER BY v.created_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      vehicles,
+      pagination: {
+        page,
+        limit,
+        total: totalResult.total,
+        totalPages: Math.ceil(totalResult.total / limit)
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error fetching vehicles:', error);
+    res.status(500).json({ message: 'Erreur lors de la récupération des véhicules' });
+  }
+});
+
+/**
+ * GET /api/vehicles/vin/:vin
+ * Get vehicle by VIN / chassis number
+ *
+ * @route GET /api/vehicles/vin/:vin
+ * @access Private
+ */
+router.get('/vin/:vin', authMiddleware, async (req, res) => {
+  try {
+    const vehicle = await database.get(`${VEHICLE_SELECT} WHERE v.vin = ?`, [normalizeVin(req.params.vin)]);
+    if (!vehicle || (vehicle.plaque_id && !isInJurisdiction(req.user.jurisdiction, vehicle.issuing_province_code))) {
+      return res.status(404).json({ message: 'Véhicule non trouvé' });
+    }
+    res.json(vehicle);
+  } catch (error) {
+    console.error('Error fetching vehicle:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/vehicles/:id
+ * Get vehicle by ID, with the plate it is registered under
+ *
+ * @route GET /api/vehicles/:id
+ * @access Private
+ */
+router.get('/:id', [authMiddleware, requireVehicleInJurisdiction], async (req, res) => {
+  try {
+    const vehicle = await database.get(`${VEHICLE_SELECT} WHERE v.id = ?`, [req.params.id]);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Véhicule non trouvé' });
+    }
+    res.json(vehicle);
+  } catch (error) {
+    console.error('Error fetching vehicle:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/vehicles
+ * Create a vehicle
+ *
+ * Required fields: vin, make, model
+ * Optional fields: engineNumber, year, colour, category, fuel, seats
+ *
+ * @route POST /api/vehicles
+ * @access Private (plaque:edit)
+ */
+router.post('/', [authMiddleware, requirePermission('plaque:edit')], async (req, res) => {
+  try {
+    const { columns, duplicate } = await prepareVehicle(req.body);
+    if (duplicate) {
+      return res.status(400).json({ message: 'Ce numéro de châssis (VIN) existe déjà' });
+    }
+
+    const id = await database.transaction(() => createVehicle(columns, auditContext(req)));
+    const vehicle = await database.get(`${VEHICLE_SELECT} WHERE v.id = ?`, [id]);
+
+    res.status(201).json({ message: 'Véhicule créé avec succès', vehicle });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error creating vehicle:', error);
+    res.status(500).json({ message: 'Erreur lors de la création du véhicule' });
+  }
+});
+
+/**
+ * PUT /api/vehicles/:id
+ * Update a vehicle
+ *
+ * @route PUT /api/vehicles/:id
+ * @access Private (plaque:edit)
+ */
+router.put('/:id', [authMiddleware, requirePermission('plaque:edit'), requireVehicleInJurisdiction], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await database.get('SELECT id FROM vehicles WHERE id = ?', [id]);
+    if (!existing) {
+      return res.status(404).json({ message: 'Véhicule non trouvé' });
+    }
+
+    const { columns } = await prepareVehicle(req.body, existing.id);
+    await database.transaction(() => updateVehicle(existing.id, columns, auditContext(req)));
+    const vehicle = await database.get(`${VEHICLE_SELECT} WHERE v.id = ?`, [existing.id]);
+
+    res.json({ message: 'Véhicule mis à jour avec succès', vehicle });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error updating vehicle:', error);
+    res.status(500).json({ message: 'Erreur lors de la mise à jour du véhicule' });
+  }
+});
+
+/**
+ * DELETE /api/vehicles/:id
+ * Delete a vehicle that is not linked to any plaque
+ *
+ * @route DELETE /api/vehicles/:id
+ * @access Private (vehicle:delete)
+ */
+router.delete('/:id', [authMiddleware, requirePermission('vehicle:delete'), requireVehicleInJurisdiction], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await database.get('SELECT id FROM vehicles WHERE id = ?', [id]);
+    if (!existing) {
+      return res.status(404).json({ message: 'Véhicule non trouvé' });
+    }
+
+    const linked = await findLinkedPlaque(existing.id);
+    if (linked) {
+      return res.status(400).json({
+        message: `Ce véhicule est associé à la plaque ${linked.plate_number} et ne peut pas être supprimé`
+      });
+    }
+
+    await database.transaction(() => auditChange('vehicle', existing.id, 'delete', auditContext(req), () => database.run(
+      'DELETE FROM vehicles WHERE id = ?',
+      [existing.id]
+    )));
+    res.json({ message: 'Véhicule supprimé avec succès' });
+  } catch (error) {
+    console.error('Error deleting vehicle:', error);
+    res.status(500).json({ message: 'Erreur lors de la suppression du véhicule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * Verification Routes - Public check of a registration QR code
+ *
+ * Anyone scanning a plate's QR code (police, buyers...) can check it
+ * here without an account. Only the plate, its validity and the vehicle
+ * description are returned, never the owner's personal data.
+ *
+ * Endpoints:
+ * - GET /api/verify/:token - Validate a QR token and report the registration status
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const express = require('express');
+const router = express.Router();
+const database = require('../database/database');
+const { verifyQrToken } = require('../services/qrToken');
+const { getPlaqueValidity } = require('../utils/plaqueValidity');
+
+const INVALID_MESSAGES = {
+  expired: 'Immatriculation expirée',
+  suspended: 'Immatriculation suspendue',
+  cancelled: 'Immatriculation annulée',
+  revoked: 'Ce QR code a été remplacé et n\'est plus valide'
+};
+
+/**
+ * GET /api/verify/:token
+ * Validate a QR token signature and return the current registration status
+ *
+ * Responses:
+ * - 400 if the token is malformed or its signature does not match
+ * - 404 if the registration no longer exists
+ * - 200 with `valid` false when the plate is expired, suspended, cancelled,
+ *   or the token was superseded by a newer one
+ *
+ * @route GET /api/verify/:token
+ * @access Public
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const decoded = verifyQrToken(req.params.token);
+    if (!decoded) {
+      return res.status(400).json({
+        valid: false,
+        reason: 'invalid_token',
+        message: 'QR code invalide ou falsifié'
+      });
+    }
+
+    const plaque = await database.get(
+      `SELECT p.id, p.plate_number, p.status, p.expiry_date, p.qr_version, p.deleted_at,
+              v.make, v.model, v.colour
+       FROM plaques p LEFT JOIN vehicles v ON v.id = p.vehicle_id
+       WHERE p.id = ?`,
+      [decoded.plaqueId]
+    );
+
+    if (!plaque) {
+      return res.status(404).json({
+        valid: false,
+        reason: 'not_found',
+        message: 'Immatriculation introuvable'
+      });
+    }
+
+    const validity = decoded.version === plaque.qr_version
+      ? getPlaqueValidity(plaque)
+      : { valid: false, reason: 'revoked' };
+
+    res.json({
+      valid: validity.valid,
+      reason: validity.reason,
+      message: validity.valid
+        ? 'Immatriculation valide'
+        : INVALID_MESSAGES[validity.reason] || 'Immatriculation non valide',
+      plateNumber: plaque.plate_number,
+      status: plaque.status,
+      expiryDate: plaque.expiry_date,
+      vehicle: plaque.make
+        ? { make: plaque.make, model: plaque.model, colour: plaque.colour }
+        : null,
+      checkedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error verifying QR token:', error);
+    res.status(500).json({ message: 'Erreur lors de la vérification' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   npm run migrate -- status          Show applied and pending migrations
+ *   npm run migrate -- up [--to N]     Apply pending migrations (up to version N)
+ *   npm run migrate -- create <name>   Create an empty migration file
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../database/database');
+const migrator = require('../database/migrator');
+
+const USAGE = 'Usage: node scripts/migrate.js <status|up [--to N]|create <name>>';
+
+async function printStatus() {
+  const status = await migrator.getStatus(database);
+
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  status.forEach((migration) => {
+    const version = String(migration.version).padStart(3, '0');
+    let state = migration.pending ? 'pending' : `applied ${migration.appliedAt}`;
+    if (migration.missing) state += ' (file missing)';
+    console.log(`${version}  ${migration.name.padEnd(40)} ${state}`);
+  });
+
+  const pending = status.filter((migration) => migration.pending).length;
+  console.log(`\n${pending} pending migration(s)`);
+}
+
+async function applyPending(args) {
+  const toIndex = args.indexOf('--to');
+  const to = toIndex !== -1 ? parseInt(args[toIndex + 1], 10) : Infinity;
+
+  if (Number.isNaN(to)) {
+    throw new Error('--to expects a migration version number');
+  }
+
+  const applied = await migrator.migrate(database, { to });
+  console.log(applied.length ? `${applied.length} migration(s) applied` : 'Nothing to migrate');
+}
+
+function createMigration(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error('Migration name must be snake_case (e.g. add_vehicle_table)');
+  }
+
+  const versions = migrator.loadMigrations().map((migration) => migration.version);
+  const next = String((versions.length ? Math.max(...versions) : 0) + 1).padStart(3, '0');
+  const file = path.join(migrator.MIGRATIONS_DIR, `${next}_${name}.js`);
+
+  fs.writeFileSync(file, `/**\n * ${name.replace(/_/g, ' ')}\n */\nexports.up = async (database) => {\n};\n`);
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'create') {
+    createMigration(args[0]);
+    return;
+  }
+
+  if (command !== 'status' && command !== 'up') {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await database.connect({ migrate: false });
+  try {
+    if (command === 'status') {
+      await printStatus();
+    } else {
+      await applyPending(args);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -10,6 +10,7 @@
  * - SQLite database integration
  * - CORS support for frontend integration
  * - Request logging and error handling
+ * - Background lifecycle job for automatic status transitions
  * - Health check endpoints
  * 
  * @author Ahmed
@@ -22,12 +23,20 @@ const cors = require('cors');
 const path = require('path');
 const config = require('./config');
 const database = require('./database/database');
+const { startLifecycleJob } = require('./services/lifecycle');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const plaqueRoutes = require('./routes/plaques');
+const reservationRoutes = require('./routes/reservations');
+const vehicleRoutes = require('./routes/vehicles');
+const verifyRoutes = require('./routes/verify');
+const auditRoutes = require('./routes/audit');
+const userRoutes = require('./routes/users');
+const geoRoutes = require('./routes/geo');
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
 app.use(cors({
@@ -57,7 +66,13 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/plaques/reservations', reservationRoutes);
 app.use('/api/plaques', plaqueRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/geo', geoRoutes);
 
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
@@ -78,6 +93,11 @@ async function startServer() {
   try {
     // Connect to database
     await database.connect();
+
+    // Expire overdue registrations now and periodically
+    const stopLifecycleJob = config.lifecycleIntervalMinutes > 0
+      ? startLifecycleJob(config.lifecycleIntervalMinutes)
+      : () => {};
     
     // Start server
     const server = app.listen(config.port, () => {
@@ -91,11 +111,45 @@ async function startServer() {
       console.log(`   POST /api/auth/register - User registration`);
       console.log(`   GET  /api/auth/me - Get current user`);
       console.log(`   GET  /api/plaques - Get all plaques`);
+      console.log(`   POST /api/plaques/reservations - Reserve a plate number`);
+      console.log(`   DELETE /api/plaques/reservations/:plateNumber - Release a plate number`);
       console.log(`   POST /api/plaques - Register new plaque`);
       console.log(`   GET  /api/plaques/:id - Get plaque by ID`);
       console.log(`   PUT  /api/plaques/:id - Update plaque`);
-      console.log(`   DELETE /api/plaques/:id - Delete plaque (admin only)`);
+      console.log(`   DELETE /api/plaques/:id - Cancel plaque into the trash (plaque:delete)`);
+      console.log(`   GET  /api/plaques/trash - List cancelled plaques (plaque:delete)`);
+      console.log(`   POST /api/plaques/:id/restore - Restore cancelled plaque (plaque:delete)`);
+      console.log(`   DELETE /api/plaques/:id/purge - Purge cancelled plaque (plaque:purge)`);
       console.log(`   GET  /api/plaques/stats/overview - Get statistics`);
+      console.log(`   GET  /api/plaques/:id/history - Get status history`);
+      console.log(`   POST /api/plaques/:id/qr-token - Reissue QR token (plaque:qr_reissue)`);
+      console.log(`   POST /api/plaques/:id/renew - Renew registration`);
+      console.log(`   GET  /api/plaques/:id/renewals - Get renewal history`);
+      console.log(`   POST /api/plaques/:id/suspend - Suspend registration (plaque:suspend)`);
+      console.log(`   POST /api/plaques/:id/reinstate - Lift suspension (plaque:suspend)`);
+      console.log(`   GET  /api/plaques/transfer-evidence-types - Get transfer evidence types`);
+      console.log(`   POST /api/plaques/:id/transfer - Transfer to a new owner`);
+      console.log(`   GET  /api/plaques/:id/ownership - Get ownership history`);
+      console.log(`   GET  /api/plaques/:id/certificate.pdf - Download registration certificate`);
+      console.log(`   POST /api/plaques/import - Import registrations from CSV (plaque:import)`);
+      console.log(`   GET  /api/plaques/import/template - CSV import template (plaque:import)`);
+      console.log(`   GET  /api/plaques/export - Export filtered plaques (CSV or Excel)`);
+      console.log(`   GET  /api/verify/:token - Verify a registration QR code (public)`);
+      console.log(`   GET  /api/audit - Search the audit log (audit:read)`);
+      console.log(`   GET  /api/users - List user accounts (user:manage)`);
+      console.log(`   POST /api/users - Create user account (user:manage)`);
+      console.log(`   PUT  /api/users/:id/role - Change user role (user:manage)`);
+      console.log(`   POST /api/users/:id/disable - Disable account (user:manage)`);
+      console.log(`   POST /api/users/:id/enable - Re-enable account (user:manage)`);
+      console.log(`   POST /api/users/:id/reset-password - Reset password (user:manage)`);
+      console.log(`   GET  /api/vehicles - Get all vehicles`);
+      console.log(`   POST /api/vehicles - Register new vehicle`);
+      console.log(`   GET  /api/vehicles/:id - Get vehicle by ID`);
+      console.log(`   PUT  /api/vehicles/:id - Update vehicle`);
+      console.log(`   DELETE /api/vehicles/:id - Delete vehicle (vehicle:delete)`);
+      console.log(`   GET  /api/geo/provinces - List provinces`);
+      console.log(`   GET  /api/geo/:level - List districts, territoires, secteurs or villages`);
+      console.log(`   POST /api/geo/:level - Add a geography entry (geo:manage)`);
       console.log(`\n📝 Default admin credentials:`);
       console.log(`   Email: admin@example.com`);
       console.log(`   Password: password`);
@@ -104,6 +158,7 @@ async function startServer() {
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       console.log('SIGTERM signal received, shutting down gracefully...');
+      stopLifecycleJob();
       server.close(async () => {
         await database.close();
         process.exit(0);
@@ -112,6 +167,7 @@ async function startServer() {
 
     process.on('SIGINT', async () => {
       console.log('SIGINT signal received, shutting down gracefully...');
+      stopLifecycleJob();
       server.close(async () => {
         await database.close();
         process.exit(0);
@@ -124,6 +180,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Tests require the app without connecting or listening
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,216 @@
+/**
+ * Audit Service - Who changed what on plaques, vehicles and users
+ *
+ * Every write on a plaque, a vehicle or a user records one audit_log row with the
+ * acting user, their IP address, the action and a field-by-field diff of
+ * the record before and after. Record the entry inside the transaction
+ * of the write, so a change is never saved without its trace.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+
+const AUDIT_ENTITIES = {
+  plaque: 'plaques',
+  vehicle: 'vehicles',
+  user: 'users'
+};
+
+const AUDIT_ACTIONS = [
+  'create', 'update', 'delete', 'restore', 'purge',
+  'renew', 'suspend', 'reinstate', 'transfer', 'owner_correction', 'status_change', 'qr_reissue',
+  'role_change', 'disable', 'enable', 'password_reset', 'password_change',
+  'unlock', 'two_factor_enable', 'two_factor_disable', 'two_factor_reset', 'jurisdiction_change'
+];
+
+// Bookkeeping columns left out of diffs
+const IGNORED_FIELDS = ['updated_at', 'totp_last_step'];
+
+// Columns whose values never reach the log, only the fact they changed
+const REDACTED_FIELDS = ['password', 'totp_secret'];
+
+// Context of changes made by background jobs
+const SYSTEM_CONTEXT = { actorId: null, ip: null };
+
+/**
+ * Acting user and IP address of a request
+ *
+ * @param {Object} req - Express request (after authMiddleware)
+ * @returns {{actorId: number|null, ip: string|null}}
+ */
+function auditContext(req) {
+  return {
+    actorId: req.user ? req.user.id : null,
+    ip: req.ip || null
+  };
+}
+
+/**
+ * Field-by-field differences between two versions of a record
+ *
+ * @param {Object|null} before - Record before the write (null on create)
+ * @param {Object|null} after - Record after the write (null on delete)
+ * @returns {Object} field -> { from, to } for every changed field
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (from === to) return;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: null, to: null, redacted: true }
+      : { from, to };
+  });
+
+  return changes;
+}
+
+/**
+ * Current row of an audited record
+ */
+function getSnapshot(entityType, entityId) {
+  return database.get(`SELECT * FROM ${AUDIT_ENTITIES[entityType]} WHERE id = ?`, [entityId]);
+}
+
+/**
+ * Record one audit entry
+ * Updates that change nothing are not recorded.
+ *
+ * @param {Object} entry
+ * @param {string} entry.entityType - Key of AUDIT_ENTITIES
+ * @param {number} entry.entityId - Record ID
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Object|null} entry.before - Record before the write
+ * @param {Object|null} entry.after - Record after the write
+ * @param {Object} context - { actorId, ip } from auditContext()
+ */
+async function recordAudit({ entityType, entityId, action, before = null, after = null }, context = SYSTEM_CONTEXT) {
+  const changes = diffRecords(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  await database.run(
+    `INSERT INTO audit_log (entity_type, entity_id, action, actor_id, ip_address, changes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [entityType, entityId, action, context.actorId, context.ip, JSON.stringify(changes)]
+  );
+}
+
+/**
+ * Run a write on an existing record and audit its effect
+ * Call inside the transaction of the write.
+ *
+ * @param {string} entityType - Key of AUDIT_ENTITIES
+ * @param {number} entityId - Record ID
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} context - { actorId, ip }
+ * @param {Function} work - Async function performing the write
+ * @returns {Promise<*>} What `work` returns
+ */
+async function auditChange(entityType, entityId, action, context, work) {
+  const before = await getSnapshot(entityType, entityId);
+  const result = await work();
+  const after = await getSnapshot(entityType, entityId);
+  await recordAudit({ entityType, entityId, action, before, after }, context);
+  return result;
+}
+
+/**
+ * Search the audit log, most recent first
+ *
+ * @param {Object} filters
+ * @param {string} filters.entityType - Key of AUDIT_ENTITIES
+ * @param {number} filters.entityId - Record ID
+ * @param {string} filters.action - One of AUDIT_ACTIONS
+ * @param {string} filters.actor - Part of the acting user's username
+ * @param {string} filters.from - First day (YYYY-MM-DD)
+ * @param {string} filters.to - Last day (YYYY-MM-DD)
+ * @param {number} filters.page - Page number (default 1)
+ * @param {number} filters.limit - Entries per page (default 20, max 100)
+ * @returns {Promise<{entries: Array, pagination: Object}>}
+ * @throws {Error} 400 httpError for an unknown entity type or action
+ */
+async function listAuditEntries(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+  const conditions = [];
+  const params = [];
+
+  if (filters.entityType) {
+    if (!AUDIT_ENTITIES[filters.entityType]) {
+      throw httpError(400, `Type d'entité invalide (choix: ${Object.keys(AUDIT_ENTITIES).join(', ')})`);
+    }
+    conditions.push('a.entity_type = ?');
+    params.push(filters.entityType);
+  }
+  if (filters.entityId) {
+    conditions.push('a.entity_id = ?');
+    params.push(parseInt(filters.entityId, 10));
+  }
+  if (filters.action) {
+    if (!AUDIT_ACTIONS.includes(filters.action)) {
+      throw httpError(400, `Action invalide (choix: ${AUDIT_ACTIONS.join(', ')})`);
+    }
+    conditions.push('a.action = ?');
+    params.push(filters.action);
+  }
+  if (filters.actor) {
+    conditions.push('u.username LIKE ?');
+    params.push(`%${filters.actor}%`);
+  }
+  if (filters.from) {
+    conditions.push('date(a.created_at) >= date(?)');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('date(a.created_at) <= date(?)');
+    params.push(filters.to);
+  }
+
+  const from = `audit_log a LEFT JOIN users u ON u.id = a.actor_id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+
+  const { total } = await database.get(`SELECT COUNT(*) AS total FROM ${from}`, params);
+  const rows = await database.all(
+    `SELECT a.*, u.username AS actor_username,
+            CASE a.entity_type
+              WHEN 'plaque' THEN (SELECT plate_number FROM plaques WHERE id = a.entity_id)
+              WHEN 'vehicle' THEN (SELECT vin FROM vehicles WHERE id = a.entity_id)
+              WHEN 'user' THEN (SELECT username FROM users WHERE id = a.entity_id)
+            END AS entity_label
+     FROM ${from}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    entries: rows.map(row => ({ ...row, changes: JSON.parse(row.changes) })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  SYSTEM_CONTEXT,
+  auditContext,
+  diffRecords,
+  recordAudit,
+  auditChange,
+  listAuditEntries
+};
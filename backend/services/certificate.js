@@ -0,0 +1,171 @@
+/**
+ * Certificate Service - Printable registration certificate (PDF)
+ *
+ * Renders the certificate handed to the owner at the counter: ministry
+ * header with the coat of arms, owner and vehicle details, validity dates
+ * and the signed registration QR code. Everything is drawn locally with
+ * the PDF standard fonts, so no network access is needed.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const config = require('../config');
+
+const VEHICLE_CATEGORY_LABELS = {
+  car: 'Voiture particulière',
+  van: 'Camionnette',
+  truck: 'Camion',
+  bus: 'Bus',
+  minibus: 'Minibus',
+  motorcycle: 'Moto',
+  tricycle: 'Tricycle',
+  agricultural: 'Engin agricole',
+  trailer: 'Remorque'
+};
+
+const FUEL_LABELS = {
+  petrol: 'Essence',
+  diesel: 'Diesel',
+  electric: 'Électrique',
+  hybrid: 'Hybride',
+  lpg: 'GPL'
+};
+
+const MARGIN = 50;
+const LABEL_WIDTH = 150;
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('fr-FR') : '—';
+}
+
+/**
+ * Section title followed by label / value rows
+ */
+function drawSection(doc, title, rows) {
+  const width = doc.page.width - MARGIN * 2;
+
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#003366').text(title.toUpperCase(), MARGIN);
+  doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + width, doc.y + 2).strokeColor('#003366').lineWidth(1).stroke();
+  doc.moveDown(0.5);
+
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor('#555555').text(label, MARGIN, y, { width: LABEL_WIDTH });
+    doc.font('Helvetica-Bold').fillColor('#000000')
+      .text(value || '—', MARGIN + LABEL_WIDTH, y, { width: width - LABEL_WIDTH });
+    doc.moveDown(0.3);
+  });
+}
+
+/**
+ * Render the registration certificate of a plaque
+ *
+ * @param {Object} plaque - Plaque with `vehicle` and `qr_token` (see
+ *   findPlaqueWithVehicle in routes/plaques)
+ * @param {Date} issuedAt - Printing date (default: now)
+ * @returns {Promise<Buffer>} PDF document
+ */
+async function renderCertificate(plaque, issuedAt = new Date()) {
+  const qrImage = await QRCode.toBuffer(plaque.qr_token, { type: 'png', margin: 1, width: 240 });
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: {
+      Title: `Certificat d'immatriculation ${plaque.plate_number}`,
+      Author: 'Ministère de Transport'
+    }
+  });
+
+  const done = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const pageWidth = doc.page.width;
+  const contentWidth = pageWidth - MARGIN * 2;
+  const vehicle = plaque.vehicle || {};
+
+  // Frame
+  doc.rect(MARGIN / 2, MARGIN / 2, pageWidth - MARGIN, doc.page.height - MARGIN)
+    .strokeColor('#003366').lineWidth(2).stroke();
+
+  // Header
+  if (fs.existsSync(config.certificateEmblemPath)) {
+    doc.image(config.certificateEmblemPath, pageWidth / 2 - 40, MARGIN, { fit: [80, 54], align: 'center' });
+  }
+  doc.y = MARGIN + 60;
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#000000')
+    .text('RÉPUBLIQUE DÉMOCRATIQUE DU CONGO', MARGIN, doc.y, { width: contentWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(11).text('Ministère de Transport', { width: contentWidth, align: 'center' });
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#003366')
+    .text('CERTIFICAT D\'IMMATRICULATION', { width: contentWidth, align: 'center' });
+
+  // Plate number
+  doc.moveDown(0.6);
+  const plateY = doc.y;
+  doc.rect(pageWidth / 2 - 110, plateY, 220, 40).strokeColor('#000000').lineWidth(2).stroke();
+  doc.font('Helvetica-Bold').fontSize(24).fillColor('#000000')
+    .text(plaque.plate_number, pageWidth / 2 - 110, plateY + 9, { width: 220, align: 'center' });
+  doc.y = plateY + 40;
+
+  drawSection(doc, 'Titulaire', [
+    ['Nom', plaque.owner_name],
+    ['Nationalité', plaque.owner_nationalite],
+    ['Adresse', plaque.owner_adresse],
+    ['Localisation', [plaque.owner_village, plaque.owner_secteur, plaque.owner_territoire, plaque.owner_district]
+      .filter(Boolean).join(', ')],
+    ['Province', plaque.owner_province],
+    ['Téléphone', plaque.owner_phone],
+    ['Email', plaque.owner_email]
+  ]);
+
+  drawSection(doc, 'Véhicule', [
+    ['Marque et modèle', [vehicle.make, vehicle.model].filter(Boolean).join(' ')],
+    ['N° de châssis (VIN)', vehicle.vin],
+    ['N° de moteur', vehicle.engine_number],
+    ['Année', vehicle.year ? String(vehicle.year) : null],
+    ['Couleur', vehicle.colour],
+    ['Catégorie', VEHICLE_CATEGORY_LABELS[vehicle.category] || vehicle.category],
+    ['Carburant', FUEL_LABELS[vehicle.fuel] || vehicle.fuel],
+    ['Places', vehicle.seats ? String(vehicle.seats) : null]
+  ]);
+
+  drawSection(doc, 'Validité', [
+    ['Date d\'immatriculation', formatDate(plaque.registration_date)],
+    ['Valable jusqu\'au', formatDate(plaque.expiry_date)]
+  ]);
+
+  // Verification QR code
+  const qrSize = 110;
+  const qrY = doc.page.height - MARGIN - qrSize - 20;
+  doc.image(qrImage, pageWidth - MARGIN - qrSize, qrY, { width: qrSize });
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(
+      'Scannez ce QR code pour vérifier la validité de l\'immatriculation. '
+      + 'Il reflète l\'état actuel du dossier: suspension, expiration ou annulation.',
+      MARGIN, qrY + 20, { width: contentWidth - qrSize - 20 }
+    );
+
+  // Footer
+  doc.fontSize(8).fillColor('#777777')
+    .text(
+      `Délivré le ${formatDate(issuedAt)} — Dossier n° ${plaque.id}`,
+      MARGIN, doc.page.height - MARGIN - 12, { width: contentWidth, align: 'center', lineBreak: false }
+    );
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  renderCertificate
+};
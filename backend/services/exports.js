@@ -0,0 +1,196 @@
+/**
+ * Export Service - Registry extracts in CSV and Excel
+ *
+ * Writes the plaques matching the filters of GET /api/plaques straight to
+ * the HTTP response. Rows are read in batches and each batch waits for the
+ * response to drain, so a full registry export never sits in memory.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const { formatCsvLine } = require('../utils/csv');
+const { LIST_COLUMNS, buildPlaqueFilter } = require('../utils/plaqueFields');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+const BATCH_SIZE = 500;
+
+const STATUS_LABELS = {
+  active: 'Actif',
+  expired: 'Expiré',
+  suspended: 'Suspendu'
+};
+
+// Exported columns: header, row column, Excel width and whether the value is a date
+const EXPORT_COLUMNS = [
+  { header: 'Plaque', key: 'plate_number', width: 14 },
+  { header: 'Statut', key: 'status', width: 10 },
+  { header: 'Province d\'émission', key: 'issuing_province_code', width: 10 },
+  { header: 'Propriétaire', key: 'owner_name', width: 28 },
+  { header: 'Nationalité', key: 'owner_nationalite', width: 14 },
+  { header: 'Email', key: 'owner_email', width: 28 },
+  { header: 'Téléphone', key: 'owner_phone', width: 16 },
+  { header: 'Adresse', key: 'owner_adresse', width: 28 },
+  { header: 'Province', key: 'owner_province', width: 16 },
+  { header: 'District', key: 'owner_district', width: 16 },
+  { header: 'Territoire', key: 'owner_territoire', width: 16 },
+  { header: 'Secteur', key: 'owner_secteur', width: 16 },
+  { header: 'Village', key: 'owner_village', width: 16 },
+  { header: 'VIN', key: 'vehicle_vin', width: 20 },
+  { header: 'Marque', key: 'vehicle_make', width: 14 },
+  { header: 'Modèle', key: 'vehicle_model', width: 14 },
+  { header: 'Couleur', key: 'vehicle_colour', width: 12 },
+  { header: 'Date d\'immatriculation', key: 'registration_date', width: 14, date: true },
+  { header: 'Date d\'expiration', key: 'expiry_date', width: 14, date: true },
+  { header: 'Enregistré le', key: 'created_at', width: 14, date: true }
+];
+
+/**
+ * SQLite timestamps ("YYYY-MM-DD HH:MM:SS") are UTC without a zone marker
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2} /.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatDay(date) {
+  if (!date) return '';
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Cell values of a plaque row, dates as Date objects
+ */
+function exportValues(plaque) {
+  return EXPORT_COLUMNS.map(({ key, date }) => {
+    if (date) return parseDate(plaque[key]);
+    if (key === 'status') return STATUS_LABELS[plaque.status] || plaque.status;
+    return plaque[key];
+  });
+}
+
+/**
+ * Read the matching plaques batch by batch, newest first
+ * Keyset pagination on the id keeps each batch query cheap.
+ *
+ * @param {Object} filter - { from, whereClause, params } from buildPlaqueFilter
+ * @param {Function} onBatch - Async callback receiving each batch of rows;
+ *   returning false stops the export
+ */
+async function forEachPlaqueBatch({ from, whereClause, params }, onBatch) {
+  let lastId = null;
+
+  for (;;) {
+    const rows = await database.all(
+      `SELECT ${LIST_COLUMNS.join(', ')}
+       FROM ${from}${whereClause}${lastId === null ? '' : ' AND p.id < ?'}
+       ORDER BY p.id DESC
+       LIMIT ?`,
+      [...params, ...(lastId === null ? [] : [lastId]), BATCH_SIZE]
+    );
+    if (!rows.length) return;
+
+    if (await onBatch(rows) === false) return;
+    if (rows.length < BATCH_SIZE) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Wait until the response has flushed what was written so far
+ *
+ * @returns {Promise<boolean>} false when the client went away
+ */
+async function drained(res) {
+  if (res.destroyed) return false;
+  if (res.writableNeedDrain) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+  return !res.destroyed;
+}
+
+async function writeCsv(res, filter) {
+  // Byte order mark so spreadsheet software reads the file as UTF-8
+  res.write(`\uFEFF${formatCsvLine(EXPORT_COLUMNS.map(column => column.header))}`);
+
+  await forEachPlaqueBatch(filter, (rows) => {
+    rows.forEach((plaque) => {
+      const values = exportValues(plaque).map(value => (value instanceof Date ? formatDay(value) : value));
+      res.write(formatCsvLine(values));
+    });
+    return drained(res);
+  });
+
+  res.end();
+}
+
+async function writeXlsx(res, filter) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Plaques', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map(({ header, width, date }) => ({
+    header,
+    width,
+    ...(date && { style: { numFmt: 'dd/mm/yyyy' } })
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  await forEachPlaqueBatch(filter, (rows) => {
+    rows.forEach((plaque) => sheet.addRow(exportValues(plaque)).commit());
+    return drained(res);
+  });
+  if (res.destroyed) return;
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream the plaques matching `filters` to an HTTP response
+ * Options other than those below are the filters of GET /api/plaques (see
+ * buildPlaqueFilter); any sort is ignored, rows come newest first.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {Date} options.now - Export date, used in the file name
+ * @param {string[]|null} options.provinces - Issuing provinces (null: all)
+ * @throws {Error} 400 httpError for an unknown format or an invalid filter
+ *   (before anything is sent)
+ */
+async function streamPlaqueExport(res, { format = 'csv', now = new Date(), ...filters } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw httpError(400, `Format d'export invalide (${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  const filter = buildPlaqueFilter({ ...filters, sort: '' });
+
+  const filename = `plaques-${now.toISOString().slice(0, 10)}.${exportFormat.extension}`;
+  res.setHeader('Content-Type', exportFormat.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'xlsx') {
+    await writeXlsx(res, filter);
+  } else {
+    await writeCsv(res, filter);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamPlaqueExport
+};
@@ -0,0 +1,248 @@
+/**
+ * Geography Service - Administrative divisions of the DRC
+ *
+ * Reference lists behind the owner's address: provinces, then districts
+ * and territoires of a province, secteurs of a territoire and villages of
+ * a secteur. Districts only exist in some provinces; there, a territoire
+ * may also belong to one of them. Provinces are fixed (their codes prefix
+ * plate numbers); the other levels are maintained by admins.
+ *
+ * Plaques store the names, not the IDs, so renaming or deleting an entry
+ * leaves existing registrations unchanged.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+
+const MAX_NAME_LENGTH = 100;
+
+// For each level: its table, the parent it is listed and created under
+// (query or body parameter, column, and table holding the parent) and
+// the level below it, which prevents deletion while it has entries
+const LEVELS = {
+  districts: {
+    table: 'geo_districts',
+    noun: 'district',
+    parent: { param: 'province', column: 'province_code', table: 'geo_provinces', key: 'code', noun: 'Province' },
+    children: { table: 'geo_territoires', column: 'district_id', noun: 'territoires' }
+  },
+  territoires: {
+    table: 'geo_territoires',
+    noun: 'territoire',
+    parent: { param: 'province', column: 'province_code', table: 'geo_provinces', key: 'code', noun: 'Province' },
+    children: { table: 'geo_secteurs', column: 'territoire_id', noun: 'secteurs' }
+  },
+  secteurs: {
+    table: 'geo_secteurs',
+    noun: 'secteur',
+    parent: { param: 'territoire', column: 'territoire_id', table: 'geo_territoires', key: 'id', noun: 'Territoire' },
+    children: { table: 'geo_villages', column: 'secteur_id', noun: 'villages' }
+  },
+  villages: {
+    table: 'geo_villages',
+    noun: 'village',
+    parent: { param: 'secteur', column: 'secteur_id', table: 'geo_secteurs', key: 'id', noun: 'Secteur' },
+    children: null
+  }
+};
+
+function getLevel(level) {
+  const definition = LEVELS[level];
+  if (!definition) {
+    throw httpError(400, `Niveau invalide (choix: ${Object.keys(LEVELS).join(', ')})`);
+  }
+  return definition;
+}
+
+function capitalize(noun) {
+  return noun.charAt(0).toUpperCase() + noun.slice(1);
+}
+
+function normalizeName(name) {
+  const value = typeof name === 'string' ? name.trim() : '';
+  if (!value) {
+    throw httpError(400, 'Le nom est requis');
+  }
+  if (value.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `Le nom ne doit pas dépasser ${MAX_NAME_LENGTH} caractères`);
+  }
+  return value;
+}
+
+async function findArea(definition, id) {
+  const area = await database.get(`SELECT * FROM ${definition.table} WHERE id = ?`, [id]);
+  if (!area) {
+    throw httpError(404, `${capitalize(definition.noun)} non trouvé`);
+  }
+  return area;
+}
+
+/**
+ * District of a territoire: null, or a district of the same province
+ */
+async function resolveDistrict(provinceCode, districtId) {
+  if (districtId === null || districtId === undefined || districtId === '') {
+    return null;
+  }
+  const district = await database.get(
+    'SELECT id FROM geo_districts WHERE id = ? AND province_code = ?',
+    [districtId, provinceCode]
+  );
+  if (!district) {
+    throw httpError(400, 'Ce district n\'appartient pas à la province du territoire');
+  }
+  return district.id;
+}
+
+async function assertUniqueName(definition, parentValue, name, excludeId = null) {
+  const duplicate = await database.get(
+    `SELECT id FROM ${definition.table}
+     WHERE ${definition.parent.column} = ? AND name = ? COLLATE NOCASE AND id != ?`,
+    [parentValue, name, excludeId || 0]
+  );
+  if (duplicate) {
+    throw httpError(400, `Ce ${definition.noun} existe déjà`);
+  }
+}
+
+/**
+ * The 26 provinces, by code
+ *
+ * @returns {Promise<Array<{code: string, name: string}>>}
+ */
+function listProvinces() {
+  return database.all('SELECT code, name FROM geo_provinces ORDER BY code');
+}
+
+/**
+ * Entries of a level under their parent, by name
+ *
+ * @param {string} level - districts, territoires, secteurs or villages
+ * @param {Object} filters - The parent (`province`, `territoire` or
+ *   `secteur` ID); territoires may also be filtered by `district`
+ * @returns {Promise<Array>} Rows of the level's table
+ * @throws {Error} 400 httpError for an invalid level or a missing parent
+ */
+function listAreas(level, filters = {}) {
+  const definition = getLevel(level);
+  const parentValue = filters[definition.parent.param];
+  if (!parentValue) {
+    throw httpError(400, `Le paramètre ${definition.parent.param} est requis`);
+  }
+
+  const conditions = [`${definition.parent.column} = ?`];
+  const params = [parentValue];
+  if (level === 'territoires' && filters.district) {
+    conditions.push('district_id = ?');
+    params.push(filters.district);
+  }
+
+  return database.all(
+    `SELECT * FROM ${definition.table} WHERE ${conditions.join(' AND ')} ORDER BY name`,
+    params
+  );
+}
+
+/**
+ * Add an entry under its parent
+ *
+ * @param {string} level - districts, territoires, secteurs or villages
+ * @param {Object} body - `name`, the parent (`province`, `territoire` or
+ *   `secteur`) and, for a territoire, an optional `district`
+ * @returns {Promise<Object>} The created row
+ * @throws {Error} 400 httpError for an invalid name or parent, or a duplicate
+ */
+async function createArea(level, body) {
+  const definition = getLevel(level);
+  const { parent } = definition;
+  const name = normalizeName(body.name);
+
+  const parentRow = body[parent.param]
+    ? await database.get(`SELECT ${parent.key} FROM ${parent.table} WHERE ${parent.key} = ?`, [body[parent.param]])
+    : null;
+  if (!parentRow) {
+    throw httpError(400, `${parent.noun} invalide`);
+  }
+  const parentValue = parentRow[parent.key];
+  await assertUniqueName(definition, parentValue, name);
+
+  const columns = { [parent.column]: parentValue, name };
+  if (level === 'territoires') {
+    columns.district_id = await resolveDistrict(parentValue, body.district);
+  }
+
+  const names = Object.keys(columns);
+  const result = await database.run(
+    `INSERT INTO ${definition.table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    Object.values(columns)
+  );
+  return findArea(definition, result.lastID);
+}
+
+/**
+ * Rename an entry or, for a territoire, change its district
+ *
+ * @param {string} level - districts, territoires, secteurs or villages
+ * @param {number} id - Entry ID
+ * @param {Object} body - `name` and, for a territoire, `district` (null to clear)
+ * @returns {Promise<Object>} The updated row
+ * @throws {Error} 404 httpError for an unknown entry, 400 for invalid data
+ */
+async function updateArea(level, id, body) {
+  const definition = getLevel(level);
+  const existing = await findArea(definition, id);
+  const parentValue = existing[definition.parent.column];
+
+  const name = body.name === undefined ? existing.name : normalizeName(body.name);
+  await assertUniqueName(definition, parentValue, name, existing.id);
+
+  const columns = { name };
+  if (level === 'territoires' && body.district !== undefined) {
+    columns.district_id = await resolveDistrict(parentValue, body.district);
+  }
+
+  const assignments = Object.keys(columns).map(column => `${column} = ?`).join(', ');
+  await database.run(
+    `UPDATE ${definition.table} SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...Object.values(columns), existing.id]
+  );
+  return findArea(definition, existing.id);
+}
+
+/**
+ * Delete an entry that has nothing under it
+ *
+ * @param {string} level - districts, territoires, secteurs or villages
+ * @param {number} id - Entry ID
+ * @throws {Error} 404 httpError for an unknown entry, 400 while it has entries below it
+ */
+async function deleteArea(level, id) {
+  const definition = getLevel(level);
+  const existing = await findArea(definition, id);
+
+  const { children } = definition;
+  if (children) {
+    const child = await database.get(
+      `SELECT id FROM ${children.table} WHERE ${children.column} = ? LIMIT 1`,
+      [existing.id]
+    );
+    if (child) {
+      throw httpError(400, `Ce ${definition.noun} contient des ${children.noun} et ne peut pas être supprimé`);
+    }
+  }
+
+  await database.run(`DELETE FROM ${definition.table} WHERE id = ?`, [existing.id]);
+}
+
+module.exports = {
+  LEVELS,
+  listProvinces,
+  listAreas,
+  createArea,
+  updateArea,
+  deleteArea
+};
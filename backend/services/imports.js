@@ -0,0 +1,238 @@
+/**
+ * Import Service - Bulk registration from CSV files
+ *
+ * Each row goes through registerPlaque(), the same rules as POST
+ * /api/plaques, with the plate taken as already issued (paper records do
+ * not come from a reservation). All rows are written in one transaction;
+ * each row runs in its own savepoint so an invalid row is reported and
+ * skipped without undoing the others. A dry run validates the whole file
+ * the same way and then rolls its transaction back; transactions have a
+ * connection of their own (see database.transaction), so this never undoes
+ * what other requests wrote meanwhile.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const config = require('../config');
+const httpError = require('../utils/httpError');
+const { parseCsv } = require('../utils/csv');
+const { OWNER_DETAIL_FIELDS } = require('../utils/plaqueFields');
+const { VEHICLE_FIELDS } = require('../utils/vehicleFields');
+const { registerPlaque } = require('./registrations');
+const { addMonths } = require('./renewals');
+
+const REGISTRATION_COLUMNS = [
+  'plateNumber', 'issuingProvinceCode', 'ownerName', ...Object.keys(OWNER_DETAIL_FIELDS), 'ownerEmail', 'ownerPhone',
+  'registrationDate', 'expiryDate'
+];
+const VEHICLE_COLUMNS = Object.keys(VEHICLE_FIELDS);
+
+// Columns accepted in an import file, in template order
+const IMPORT_COLUMNS = [...REGISTRATION_COLUMNS, ...VEHICLE_COLUMNS];
+
+const REQUIRED_COLUMNS = ['plateNumber', 'ownerEmail'];
+
+// Thrown at the end of a dry run to roll its transaction back
+const DRY_RUN_ROLLBACK = Symbol('dryRunRollback');
+
+/**
+ * Read a date cell: YYYY-MM-DD or DD/MM/YYYY
+ *
+ * @param {string} value - Cell content
+ * @param {string} label - Column name for the error message
+ * @returns {Date|null} null for an empty cell
+ * @throws {Error} 400 httpError for an unreadable date
+ */
+function parseImportDate(value, label) {
+  if (!value) return null;
+
+  const french = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value);
+  const date = french
+    ? new Date(Date.UTC(Number(french[3]), Number(french[2]) - 1, Number(french[1])))
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `${label}: date invalide "${value}" (formats: AAAA-MM-JJ ou JJ/MM/AAAA)`);
+  }
+  return date;
+}
+
+/**
+ * Map the header row to import columns
+ *
+ * @param {string[]} header - First row of the file
+ * @returns {string[]} Import column of each position
+ * @throws {Error} 400 httpError for unknown or missing columns
+ */
+function mapHeader(header) {
+  const byName = new Map(IMPORT_COLUMNS.map(column => [column.toLowerCase(), column]));
+  const columns = header.map(name => byName.get(name.trim().toLowerCase()));
+
+  const unknown = header.filter((name, index) => !columns[index]);
+  if (unknown.length) {
+    throw httpError(400, `Colonnes inconnues: ${unknown.join(', ')}`);
+  }
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length) {
+    throw httpError(400, `Colonnes requises manquantes: ${missing.join(', ')}`);
+  }
+  return columns;
+}
+
+/**
+ * Build the POST /api/plaques body of a data row
+ *
+ * @returns {{body: Object, registrationDate: string|null}}
+ * @throws {Error} 400 httpError for invalid dates
+ */
+function rowToRegistration(columns, cells, now) {
+  const values = {};
+  columns.forEach((column, index) => {
+    values[column] = (cells[index] || '').trim();
+  });
+
+  const body = {};
+  REGISTRATION_COLUMNS.forEach((column) => {
+    if (values[column]) body[column] = values[column];
+  });
+
+  if (VEHICLE_COLUMNS.some(column => values[column])) {
+    body.vehicle = {};
+    VEHICLE_COLUMNS.forEach((column) => {
+      if (values[column]) body.vehicle[column] = values[column];
+    });
+  }
+
+  const registrationDate = parseImportDate(values.registrationDate, 'registrationDate');
+  let expiryDate = parseImportDate(values.expiryDate, 'expiryDate');
+
+  if (registrationDate && registrationDate > now) {
+    throw httpError(400, 'registrationDate: la date d\'immatriculation ne peut pas être dans le futur');
+  }
+  // Without an expiry, an old registration is valid one year from its date
+  if (!expiryDate && registrationDate) {
+    expiryDate = addMonths(registrationDate, 12);
+  }
+  if (expiryDate && registrationDate && expiryDate <= registrationDate) {
+    throw httpError(400, 'expiryDate: la date d\'expiration doit suivre la date d\'immatriculation');
+  }
+
+  body.expiryDate = expiryDate ? expiryDate.toISOString() : undefined;
+  return { body, registrationDate: registrationDate ? registrationDate.toISOString() : null };
+}
+
+/**
+ * Decode an uploaded file, falling back to Latin-1 for files saved by
+ * older spreadsheet software
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {string}
+ */
+function decodeCsv(buffer) {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+/**
+ * Import registrations from a CSV file
+ *
+ * @param {Buffer} buffer - CSV file content, header row first
+ * @param {Object} context - { actorId, ip } (see auditContext)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Validate only, write nothing
+ * @param {string[]|null} options.jurisdiction - Provinces of the importing
+ *   user; rows of other provinces are rejected (default: all)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<Object>} Report: dryRun, totalRows, validRows,
+ *   invalidRows, importedRows, errors [{ row, plateNumber, message }]
+ *   (row is the line in the spreadsheet, the header being line 1)
+ * @throws {Error} 400 httpError for an unreadable file
+ */
+async function importPlaques(buffer, context, { dryRun = false, jurisdiction = null, now = new Date() } = {}) {
+  const [header, ...rows] = parseCsv(decodeCsv(buffer));
+  if (!header) {
+    throw httpError(400, 'Le fichier est vide');
+  }
+  const columns = mapHeader(header);
+
+  if (!rows.length) {
+    throw httpError(400, 'Aucune ligne à importer');
+  }
+  if (rows.length > config.importMaxRows) {
+    throw httpError(400, `Trop de lignes (${rows.length}), maximum ${config.importMaxRows} par fichier`);
+  }
+
+  const errors = [];
+  let validRows = 0;
+
+  await database.transaction(async () => {
+    for (let index = 0; index < rows.length; index++) {
+      const plateNumber = (rows[index][columns.indexOf('plateNumber')] || '').trim();
+
+      await database.exec('SAVEPOINT import_row');
+      try {
+        const { body, registrationDate } = rowToRegistration(columns, rows[index], now);
+        await registerPlaque(body, context, { issuedPlate: true, registrationDate, jurisdiction, now });
+        await database.exec('RELEASE import_row');
+        validRows++;
+      } catch (error) {
+        await database.exec('ROLLBACK TO import_row');
+        await database.exec('RELEASE import_row');
+        if (!error.status) throw error;
+        errors.push({ row: index + 2, plateNumber, message: error.message });
+      }
+    }
+
+    if (dryRun) {
+      throw DRY_RUN_ROLLBACK;
+    }
+  }).catch((error) => {
+    if (error !== DRY_RUN_ROLLBACK) throw error;
+  });
+
+  return {
+    dryRun,
+    totalRows: rows.length,
+    validRows,
+    invalidRows: errors.length,
+    importedRows: dryRun ? 0 : validRows,
+    errors
+  };
+}
+
+/**
+ * CSV template: the accepted columns and one example row
+ *
+ * @returns {string}
+ */
+function getImportTemplate() {
+  const example = {
+    plateNumber: '10-AB-1234',
+    ownerNom: 'Mukendi',
+    ownerPrenom: 'Marie',
+    ownerNationalite: 'Congolaise',
+    ownerProvince: 'Kongo-Central',
+    ownerProvinceCode: '10',
+    ownerEmail: 'marie.mukendi@example.com',
+    ownerPhone: '+243812345678',
+    registrationDate: '2023-03-15',
+    expiryDate: '2024-03-15',
+    vin: 'JTFSS22P0L0012345',
+    make: 'Toyota',
+    model: 'Hilux',
+    year: '2020',
+    category: 'van',
+    fuel: 'diesel'
+  };
+
+  return `${IMPORT_COLUMNS.join(',')}\n${IMPORT_COLUMNS.map(column => example[column] || '').join(',')}\n`;
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  importPlaques,
+  getImportTemplate
+};
@@ -0,0 +1,103 @@
+/**
+ * Jurisdiction Service - Provinces a user may consult and work on
+ *
+ * Every plaque belongs to its issuing province (issuing_province_code).
+ * Admins assign users one or more provinces; lists, statistics, exports
+ * and each read or write of a plaque are restricted to them. Roles
+ * granted plaque:national see the whole country, and users without a
+ * province see no plaque.
+ *
+ * Users covering several provinces may narrow lists and statistics to
+ * one of them with the X-Province-Scope header (see resolveScope).
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const { PROVINCES, isProvinceCode } = require('../utils/provinces');
+
+const NATIONAL_PERMISSION = 'plaque:national';
+const SCOPE_HEADER = 'X-Province-Scope';
+
+/**
+ * Provinces assigned to a user, by code
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>}
+ */
+async function getUserProvinces(userId) {
+  const rows = await database.all(
+    'SELECT province_code FROM user_provinces WHERE user_id = ? ORDER BY province_code',
+    [userId]
+  );
+  return rows.map(row => row.province_code);
+}
+
+/**
+ * Jurisdiction of a user: null for national access, otherwise the codes
+ * of the provinces assigned to them
+ *
+ * @param {number} userId - User ID
+ * @param {string[]} permissions - Permissions of the user's role
+ * @returns {Promise<string[]|null>}
+ */
+async function getJurisdiction(userId, permissions) {
+  return permissions.includes(NATIONAL_PERMISSION) ? null : getUserProvinces(userId);
+}
+
+/**
+ * Whether a province is within a jurisdiction (null meaning national)
+ */
+function isInJurisdiction(jurisdiction, provinceCode) {
+  return jurisdiction === null || jurisdiction.includes(provinceCode);
+}
+
+/**
+ * Refuse work on a province outside a jurisdiction
+ *
+ * @param {string[]|null} jurisdiction - See getJurisdiction
+ * @param {string|null} provinceCode - Issuing province of the plaque
+ * @throws {Error} 400 httpError when a provincial user gives no province,
+ *   403 when the province is not theirs
+ */
+function assertInJurisdiction(jurisdiction, provinceCode) {
+  if (isInJurisdiction(jurisdiction, provinceCode)) return;
+  if (!provinceCode) {
+    throw httpError(400, 'La province d\'émission de la plaque est requise');
+  }
+  const province = PROVINCES.find(p => p.code === provinceCode);
+  throw httpError(403, `La province ${province ? province.name : provinceCode} ne fait pas partie de votre juridiction`);
+}
+
+/**
+ * Provinces covered by a listing or a statistic for the current request
+ * Without the X-Province-Scope header, the whole jurisdiction of the
+ * user; with it, that one province.
+ *
+ * @param {Object} req - Express request (after authMiddleware)
+ * @returns {string[]|null} Province codes, or null for the whole country
+ * @throws {Error} 400 httpError for an unknown code, 403 outside the jurisdiction
+ */
+function resolveScope(req) {
+  const requested = req.header(SCOPE_HEADER);
+  if (!requested) return req.user.jurisdiction;
+
+  if (!isProvinceCode(requested)) {
+    throw httpError(400, 'Province de consultation invalide');
+  }
+  assertInJurisdiction(req.user.jurisdiction, requested);
+  return [requested];
+}
+
+module.exports = {
+  NATIONAL_PERMISSION,
+  SCOPE_HEADER,
+  getUserProvinces,
+  getJurisdiction,
+  isInJurisdiction,
+  assertInJurisdiction,
+  resolveScope
+};
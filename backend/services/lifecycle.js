@@ -0,0 +1,81 @@
+/**
+ * Registration Lifecycle Job - Periodic automatic status transitions
+ *
+ * Each rule finds the plaques that should change status and moves them
+ * through transitionStatus(), so automatic changes appear in the status
+ * history and the audit log like manual ones (with no acting user). Add
+ * rules to RULES to automate further transitions.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const { transitionStatus } = require('./plaqueStatus');
+const { auditChange, SYSTEM_CONTEXT } = require('./audit');
+
+/**
+ * Lifecycle rules
+ * - select: SQL returning the `id` of plaques to move (receives `now` as ISO string)
+ * - to: target status
+ * - reason: reason recorded in the history
+ */
+const RULES = [
+  {
+    name: 'expire-overdue',
+    select: `SELECT id FROM plaques
+             WHERE status = 'active' AND deleted_at IS NULL
+               AND datetime(expiry_date) <= datetime(?)`,
+    to: 'expired',
+    reason: 'Date d\'expiration dépassée'
+  }
+];
+
+/**
+ * Apply every lifecycle rule once
+ *
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Object>} Rule name -> number of plaques moved
+ */
+async function runLifecycle(now = new Date()) {
+  const summary = {};
+
+  for (const rule of RULES) {
+    summary[rule.name] = await database.transaction(async () => {
+      const rows = await database.all(rule.select, [now.toISOString()]);
+      for (const row of rows) {
+        await auditChange('plaque', row.id, 'status_change', SYSTEM_CONTEXT,
+          () => transitionStatus(row.id, rule.to, { reason: rule.reason }));
+      }
+      return rows.length;
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Run the lifecycle now and then every `intervalMinutes`
+ *
+ * @param {number} intervalMinutes - Minutes between runs
+ * @returns {Function} Stops the job
+ */
+function startLifecycleJob(intervalMinutes) {
+  const run = () => runLifecycle()
+    .then((summary) => {
+      const moved = Object.entries(summary).filter(([, count]) => count > 0);
+      if (moved.length) {
+        console.log(`🔄 Lifecycle: ${moved.map(([name, count]) => `${name}=${count}`).join(', ')}`);
+      }
+    })
+    .catch((error) => console.error('Lifecycle job failed:', error));
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { RULES, runLifecycle, startLifecycleJob };
@@ -0,0 +1,204 @@
+/**
+ * Login Attempt Service - Brute-force protection of POST /api/auth/login
+ *
+ * - Per IP: after LOGIN_IP_MAX_FAILURES failures within
+ *   LOGIN_IP_WINDOW_MINUTES, the address is refused until the oldest of
+ *   them leaves the window.
+ * - Per account: LOGIN_MAX_FAILURES consecutive wrong passwords or
+ *   two-factor codes lock the account for LOGIN_LOCKOUT_MINUTES, doubled at
+ *   each new lockout (at most a day) until a successful login or an admin
+ *   unlock. Emails without an account keep the same counters in
+ *   login_email_lockouts, so neither the answers nor their Retry-After
+ *   tell them apart.
+ *
+ * Every attempt is logged in login_attempts for admins to review.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const config = require('../config');
+const database = require('../database/database');
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Reasons of failures counted by the limits; refused attempts are logged
+// as 'rate_limited' or 'locked' and not counted again
+const COUNTED_FAILURES = ['unknown_email', 'wrong_password', 'wrong_2fa_code'];
+const COUNTED_FAILURES_SQL = COUNTED_FAILURES.map(reason => `'${reason}'`).join(', ');
+
+// Where the lockout counters live: on the account, or on the email when it
+// has none
+const ACCOUNT_COUNTERS = { table: 'users', key: 'id' };
+const EMAIL_COUNTERS = { table: 'login_email_lockouts', key: 'email' };
+
+/**
+ * Seconds until a login may be tried again, or null when it may be tried now
+ *
+ * @param {string} email - Email given at login
+ * @param {Object|null} user - Account of the email (with locked_until), if any
+ * @param {string|null} ip - Client IP address
+ * @returns {Promise<{reason: string, retryAfter: number}|null>}
+ */
+async function checkLoginAllowed(email, user, ip) {
+  const ipFailures = await database.get(
+    `SELECT COUNT(*) AS count,
+            CAST(strftime('%s', MIN(created_at), ?) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER) AS retryAfter
+     FROM login_attempts
+     WHERE ip_address IS ? AND reason IN (${COUNTED_FAILURES_SQL})
+       AND created_at > datetime('now', ?)`,
+    [`+${config.loginIpWindowMinutes} minutes`, ip, `-${config.loginIpWindowMinutes} minutes`]
+  );
+  if (ipFailures.count >= config.loginIpMaxFailures) {
+    return { reason: 'rate_limited', retryAfter: Math.max(ipFailures.retryAfter, 1) };
+  }
+
+  const { table, key } = user ? ACCOUNT_COUNTERS : EMAIL_COUNTERS;
+  const lock = await database.get(
+    `SELECT CAST(strftime('%s', locked_until) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER) AS retryAfter
+     FROM ${table} WHERE ${key} = ? AND locked_until > CURRENT_TIMESTAMP`,
+    [user ? user.id : email]
+  );
+  return lock ? { reason: 'locked', retryAfter: Math.max(lock.retryAfter, 1) } : null;
+}
+
+/**
+ * Log a login attempt
+ *
+ * @param {Object} attempt
+ * @param {string} attempt.email - Email given
+ * @param {number|null} attempt.userId - Account of the email, if any
+ * @param {string|null} attempt.ip - Client IP address
+ * @param {boolean} attempt.success - Whether the user got in
+ * @param {string|null} attempt.reason - Why it failed (unknown_email,
+ *   wrong_password, wrong_2fa_code, disabled, locked, rate_limited)
+ */
+async function recordLoginAttempt({ email, userId = null, ip = null, success = false, reason = null }) {
+  await database.run(
+    'INSERT INTO login_attempts (email, user_id, ip_address, success, reason) VALUES (?, ?, ?, ?, ?)',
+    [email, userId, ip, success ? 1 : 0, reason]
+  );
+}
+
+/**
+ * Count a failure in a set of lockout counters and lock at the limit
+ *
+ * @param {Object} counters - ACCOUNT_COUNTERS or EMAIL_COUNTERS
+ * @param {number|string} id - User ID or email
+ * @returns {Promise<number|null>} Minutes of the lockout it started, if any
+ */
+async function countFailure({ table, key }, id) {
+  await database.run(
+    `UPDATE ${table} SET failed_login_count = failed_login_count + 1 WHERE ${key} = ?`,
+    [id]
+  );
+  const counters = await database.get(`SELECT failed_login_count, lockout_count FROM ${table} WHERE ${key} = ?`, [id]);
+  if (counters.failed_login_count < config.loginMaxFailures) return null;
+
+  const minutes = Math.min(config.loginLockoutMinutes * 2 ** counters.lockout_count, MAX_LOCKOUT_MINUTES);
+  await database.run(
+    `UPDATE ${table} SET failed_login_count = 0, lockout_count = lockout_count + 1,
+     locked_until = datetime('now', ?) WHERE ${key} = ?`,
+    [`+${minutes} minutes`, id]
+  );
+  return minutes;
+}
+
+/**
+ * Count a wrong password or two-factor code against an account and lock
+ * it at the limit
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<number|null>} Minutes of the lockout it started, if any
+ */
+function registerFailedLogin(userId) {
+  return database.transaction(() => countFailure(ACCOUNT_COUNTERS, userId));
+}
+
+/**
+ * Count a login with an email that has no account, locked like an
+ * account would be (see registerFailedLogin)
+ *
+ * @param {string} email - Email given at login
+ * @returns {Promise<number|null>} Minutes of the lockout it started, if any
+ */
+function registerFailedUnknownEmail(email) {
+  return database.transaction(async () => {
+    await database.run('INSERT OR IGNORE INTO login_email_lockouts (email) VALUES (?)', [email]);
+    return countFailure(EMAIL_COUNTERS, email);
+  });
+}
+
+/**
+ * Forget the failures of an account after a successful login
+ *
+ * @param {number} userId - User ID
+ */
+async function registerSuccessfulLogin(userId) {
+  await database.run(
+    'UPDATE users SET failed_login_count = 0, lockout_count = 0, locked_until = NULL WHERE id = ?',
+    [userId]
+  );
+}
+
+/**
+ * Search the login attempts, newest first
+ *
+ * @param {Object} filters
+ * @param {string} filters.email - Part of the email
+ * @param {string} filters.ip - IP address
+ * @param {string} filters.result - 'success' or 'failure'
+ * @param {number} filters.page - Page number (default 1)
+ * @param {number} filters.limit - Attempts per page (default 50, max 200)
+ * @returns {Promise<{attempts: Array, pagination: Object}>}
+ */
+async function listLoginAttempts({ email = '', ip = '', result = '', page = 1, limit = 50 } = {}) {
+  const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const conditions = [];
+  const params = [];
+
+  if (email) {
+    conditions.push('a.email LIKE ?');
+    params.push(`%${email}%`);
+  }
+  if (ip) {
+    conditions.push('a.ip_address = ?');
+    params.push(ip);
+  }
+  if (result === 'success') {
+    conditions.push('a.success = 1');
+  } else if (result === 'failure') {
+    conditions.push('a.success = 0');
+  }
+
+  const whereClause = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const { total } = await database.get(`SELECT COUNT(*) AS total FROM login_attempts a${whereClause}`, params);
+  const attempts = await database.all(
+    `SELECT a.*, u.username
+     FROM login_attempts a LEFT JOIN users u ON u.id = a.user_id${whereClause}
+     ORDER BY a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, pageSize, (currentPage - 1) * pageSize]
+  );
+
+  return {
+    attempts,
+    pagination: {
+      page: currentPage,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  registerFailedLogin,
+  registerFailedUnknownEmail,
+  registerSuccessfulLogin,
+  listLoginAttempts
+};
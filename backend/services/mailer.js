@@ -0,0 +1,87 @@
+/**
+ * Mailer Service - Outgoing email through a pluggable transport
+ *
+ * The transport is chosen with MAIL_TRANSPORT. Offline installations use
+ * `outbox` (default), which writes each message as an .eml file to
+ * MAIL_OUTBOX_DIR for an operator to forward, or `console`. Another
+ * transport (SMTP, provider API...) is plugged in with registerTransport()
+ * at startup.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Header value with non-ASCII characters encoded (RFC 2047)
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Message in RFC 5322 format, readable by any mail client
+ */
+function formatMessage({ from, to, subject, text, date }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text.replace(/\r?\n/g, '\r\n')
+  ].join('\r\n');
+}
+
+const transports = {
+  async outbox(message) {
+    await fs.mkdir(config.mailOutboxDir, { recursive: true });
+    const stamp = message.date.toISOString().replace(/[:.]/g, '-');
+    const file = path.join(config.mailOutboxDir, `${stamp}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(file, formatMessage(message), 'utf8');
+    console.log(`✉️  Mail to ${message.to} written to ${file}`);
+  },
+
+  async console(message) {
+    console.log(`✉️  Mail to ${message.to}\n${formatMessage(message)}`);
+  }
+};
+
+/**
+ * Make a transport available to MAIL_TRANSPORT
+ *
+ * @param {string} name - Transport name
+ * @param {Function} send - Async function receiving { from, to, subject, text, date }
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Send a plain-text email with the configured transport
+ *
+ * @param {Object} mail
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject
+ * @param {string} mail.text - Body
+ * @throws {Error} If the configured transport does not exist or fails
+ */
+async function sendMail({ to, subject, text }) {
+  const transport = transports[config.mailTransport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.mailTransport}`);
+  }
+  await transport({ from: config.mailFrom, to, subject, text, date: new Date() });
+}
+
+module.exports = { sendMail, registerTransport };
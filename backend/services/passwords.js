@@ -0,0 +1,154 @@
+/**
+ * Password Service - Self-service password change and recovery
+ *
+ * A logged-in user changes their password by giving the current one. A
+ * user who forgot it asks for a reset link by email: the link carries a
+ * random token that works once and expires after PASSWORD_RESET_TTL_MINUTES.
+ * Either way the other sessions of the user are closed.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const { auditChange } = require('./audit');
+const { sendMail } = require('./mailer');
+const { revokeUserSessions } = require('./sessions');
+const { hashPassword } = require('./users');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function assertPasswordStrength(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères`);
+  }
+}
+
+/**
+ * Store a new password for a user and close their other sessions
+ * Runs inside the caller's transaction.
+ */
+async function storePassword(userId, hashedPassword, context, keepSessionId = null) {
+  await auditChange('user', userId, 'password_change', context, () => database.run(
+    `UPDATE users SET password = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP,
+     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [hashedPassword, userId]
+  ));
+  await revokeUserSessions(userId, { except: keepSessionId });
+}
+
+/**
+ * Change the password of the logged-in user
+ * The current session stays open; the others are closed.
+ *
+ * @param {number} userId - User ID
+ * @param {string} currentPassword - Password in use
+ * @param {string} newPassword - New password
+ * @param {Object} context - { actorId, ip, sessionId }
+ * @throws {Error} 400 httpError for a wrong current password or a weak new one
+ */
+async function changePassword(userId, currentPassword, newPassword, context) {
+  assertPasswordStrength(newPassword);
+
+  const user = await database.get('SELECT id, password FROM users WHERE id = ?', [userId]);
+  if (!user || !await bcrypt.compare(String(currentPassword || ''), user.password)) {
+    throw httpError(400, 'Mot de passe actuel incorrect');
+  }
+  if (await bcrypt.compare(newPassword, user.password)) {
+    throw httpError(400, 'Le nouveau mot de passe doit être différent de l\'actuel');
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+  await database.transaction(() => storePassword(user.id, hashedPassword, context, context.sessionId));
+}
+
+/**
+ * Email a password reset link to the owner of `email`
+ * Nothing tells the caller whether the address has an account: unknown
+ * and disabled accounts are silently ignored, and POST
+ * /api/auth/forgot-password answers without waiting for this to finish.
+ *
+ * @param {string} email - Email address of the account
+ * @param {Object} context - { ip }
+ */
+async function requestPasswordReset(email, context) {
+  const user = await database.get(
+    'SELECT id, username, email FROM users WHERE email = ? AND disabled_at IS NULL',
+    [email]
+  );
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await database.transaction(async () => {
+    // A new link replaces the ones not used yet
+    await database.run('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL', [user.id]);
+    await database.run(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+       VALUES (?, ?, ?, datetime('now', ?))`,
+      [user.id, hashToken(token), context.ip, `+${config.passwordResetTtlMinutes} minutes`]
+    );
+  });
+
+  const link = `${config.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Réinitialisation de votre mot de passe',
+    text: [
+      `Bonjour ${user.username},`,
+      '',
+      'Une réinitialisation du mot de passe de votre compte du Système d\'Enregistrement des Plaques a été demandée.',
+      `Pour choisir un nouveau mot de passe, ouvrez ce lien dans les ${config.passwordResetTtlMinutes} minutes:`,
+      '',
+      link,
+      '',
+      'Le lien ne sert qu\'une fois. Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message:',
+      'votre mot de passe reste inchangé.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Set a new password with a token received by email
+ * Every session of the user is closed.
+ *
+ * @param {string} token - Token of the reset link
+ * @param {string} newPassword - New password
+ * @param {Object} context - { ip }
+ * @throws {Error} 400 httpError for an unknown, used or expired token or a weak password
+ */
+async function resetPasswordWithToken(token, newPassword, context) {
+  assertPasswordStrength(newPassword);
+  const hashedPassword = await hashPassword(newPassword);
+
+  await database.transaction(async () => {
+    const resetToken = await database.get(
+      `SELECT t.id, t.user_id FROM password_reset_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+         AND u.disabled_at IS NULL`,
+      [hashToken(token)]
+    );
+    if (!resetToken) {
+      throw httpError(400, 'Lien de réinitialisation invalide ou expiré');
+    }
+
+    await database.run('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [resetToken.id]);
+    // The user acts on their own account
+    await storePassword(resetToken.user_id, hashedPassword, { ...context, actorId: resetToken.user_id });
+  });
+}
+
+module.exports = {
+  changePassword,
+  requestPasswordReset,
+  resetPasswordWithToken
+};
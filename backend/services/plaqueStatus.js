@@ -0,0 +1,111 @@
+/**
+ * Plaque Status Service - Status transitions and their history
+ *
+ * Every change of plaques.status goes through transitionStatus(), which
+ * checks the transition is allowed and records it in
+ * plaque_status_history with its actor and reason.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+
+const PLAQUE_STATUSES = ['active', 'expired', 'suspended'];
+
+/**
+ * Allowed transitions: current status -> statuses it may move to
+ */
+const ALLOWED_TRANSITIONS = {
+  active: ['expired', 'suspended'],
+  expired: ['active', 'suspended'],
+  suspended: ['active', 'expired']
+};
+
+/**
+ * Record the status a plaque starts with
+ * Call inside the transaction that creates the plaque.
+ *
+ * @param {number} plaqueId - New plaque ID
+ * @param {string} status - Initial status
+ * @param {number|null} actorId - Creating user
+ */
+function recordInitialStatus(plaqueId, status, actorId) {
+  return database.run(
+    `INSERT INTO plaque_status_history (plaque_id, from_status, to_status, changed_by, reason)
+     VALUES (?, NULL, ?, ?, 'Enregistrement')`,
+    [plaqueId, status, actorId]
+  );
+}
+
+/**
+ * Move a plaque to a new status and record the transition
+ * Call inside a transaction together with any related write.
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @param {string} toStatus - Target status
+ * @param {Object} options
+ * @param {number|null} options.actorId - Acting user (null for the system)
+ * @param {string|null} options.reason - Why the status changes
+ * @param {string|null} options.reasonCode - Coded motive (see utils/statusReasons)
+ * @param {string|null} options.notes - Free-text explanation
+ * @returns {Promise<{from: string, to: string}>}
+ * @throws {Error} 404 if the plaque does not exist, 400 if it is cancelled
+ *   or the transition is not allowed
+ */
+async function transitionStatus(plaqueId, toStatus, {
+  actorId = null, reason = null, reasonCode = null, notes = null
+} = {}) {
+  const plaque = await database.get('SELECT id, status, deleted_at FROM plaques WHERE id = ?', [plaqueId]);
+  if (!plaque) {
+    throw httpError(404, 'Plaque non trouvée');
+  }
+  if (plaque.deleted_at) {
+    throw httpError(400, 'Cette plaque a été annulée');
+  }
+
+  const allowed = ALLOWED_TRANSITIONS[plaque.status] || [];
+  if (!allowed.includes(toStatus)) {
+    throw httpError(400, `Transition de statut impossible: ${plaque.status} → ${toStatus}`);
+  }
+
+  await database.run(
+    'UPDATE plaques SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [toStatus, plaqueId]
+  );
+  await database.run(
+    `INSERT INTO plaque_status_history (plaque_id, from_status, to_status, changed_by, reason, reason_code, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [plaqueId, plaque.status, toStatus, actorId, reason, reasonCode, notes]
+  );
+
+  return { from: plaque.status, to: toStatus };
+}
+
+/**
+ * Status history of a plaque, oldest first
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @returns {Promise<Array>} Rows with the acting user's username (null for the system)
+ */
+function getStatusHistory(plaqueId) {
+  return database.all(
+    `SELECT h.id, h.from_status, h.to_status, h.reason, h.reason_code, h.notes, h.changed_at,
+            h.changed_by, u.username AS changed_by_username
+     FROM plaque_status_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.plaque_id = ?
+     ORDER BY h.changed_at, h.id`,
+    [plaqueId]
+  );
+}
+
+module.exports = {
+  PLAQUE_STATUSES,
+  ALLOWED_TRANSITIONS,
+  recordInitialStatus,
+  transitionStatus,
+  getStatusHistory
+};
@@ -0,0 +1,228 @@
+/**
+ * Plate Allocator - Province-coded plate numbers from per-province sequences
+ *
+ * Plate numbers look like `10-AB-1234`: the province code, a two-letter
+ * series and a four-digit number. Each province has its own sequence in
+ * plate_sequences; allocation happens inside a transaction, so two
+ * officers can never be handed the same number.
+ *
+ * Allocated numbers are held as reservations until a registration uses
+ * them. Released or expired reservations are handed out again before the
+ * sequence moves on.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const config = require('../config');
+const httpError = require('../utils/httpError');
+const { isProvinceCode } = require('../utils/provinces');
+const { assertInJurisdiction } = require('./jurisdictions');
+
+// I, O and Q are left out: they are too easily read as 1 and 0
+const SERIES_LETTERS = 'ABCDEFGHJKLMNPRSTUVWXYZ';
+const NUMBERS_PER_SERIES = 9999;
+const PLATE_NUMBER_PATTERN = /^(\d{2})-([A-Z]{2})-(\d{4})$/;
+
+/**
+ * Format the plate number at a 0-based sequence index
+ *
+ * @param {string} provinceCode - Two-digit province code
+ * @param {number} index - Position in the province sequence
+ * @returns {string} Plate number, e.g. "10-AA-0001" for index 0
+ */
+function formatPlateNumber(provinceCode, index) {
+  const series = Math.floor(index / NUMBERS_PER_SERIES);
+  if (series >= SERIES_LETTERS.length ** 2) {
+    throw httpError(409, 'Séquence de numéros de plaque épuisée pour cette province');
+  }
+
+  const letters = SERIES_LETTERS[Math.floor(series / SERIES_LETTERS.length)]
+    + SERIES_LETTERS[series % SERIES_LETTERS.length];
+  const number = String((index % NUMBERS_PER_SERIES) + 1).padStart(4, '0');
+
+  return `${provinceCode}-${letters}-${number}`;
+}
+
+/**
+ * Province of an allocated plate number
+ *
+ * @param {string} plateNumber - Plate number
+ * @returns {string|null} Province code, null for other formats
+ */
+function provinceOfPlate(plateNumber) {
+  const match = PLATE_NUMBER_PATTERN.exec(plateNumber || '');
+  return match && isProvinceCode(match[1]) ? match[1] : null;
+}
+
+/**
+ * Return reservations past their expiry to the pool
+ */
+function releaseExpiredReservations() {
+  return database.run(
+    `UPDATE plate_reservations SET status = 'released', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'reserved' AND expires_at < ?`,
+    [new Date().toISOString()]
+  );
+}
+
+/**
+ * Reserve the next free plate number of a province for a user
+ *
+ * @param {string} provinceCode - Two-digit province code
+ * @param {number} userId - Reserving user
+ * @param {string[]|null} jurisdiction - Provinces of the user (null: all)
+ * @returns {Promise<{plateNumber, provinceCode, expiresAt}>}
+ * @throws {Error} 400 httpError for an unknown province code, 403 outside
+ *   the jurisdiction
+ */
+async function reservePlate(provinceCode, userId, jurisdiction = null) {
+  if (!isProvinceCode(provinceCode)) {
+    throw httpError(400, 'Code province invalide');
+  }
+  assertInJurisdiction(jurisdiction, provinceCode);
+
+  const expiresAt = new Date(Date.now() + config.plateReservationTtlMinutes * 60 * 1000).toISOString();
+
+  return database.transaction(async () => {
+    await releaseExpiredReservations();
+
+    // Hand out abandoned numbers first so the sequence keeps no gaps
+    const released = await database.get(
+      `SELECT r.id, r.plate_number FROM plate_reservations r
+       WHERE r.province_code = ? AND r.status = 'released'
+         AND NOT EXISTS (SELECT 1 FROM plaques p WHERE p.plate_number = r.plate_number)
+       ORDER BY r.plate_number LIMIT 1`,
+      [provinceCode]
+    );
+
+    if (released) {
+      await database.run(
+        `UPDATE plate_reservations
+         SET status = 'reserved', reserved_by = ?, expires_at = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [userId, expiresAt, released.id]
+      );
+      return { plateNumber: released.plate_number, provinceCode, expiresAt };
+    }
+
+    // Otherwise advance the sequence, skipping numbers registered by hand
+    for (;;) {
+      const row = await database.get(
+        `INSERT INTO plate_sequences (province_code, next_value) VALUES (?, 1)
+         ON CONFLICT (province_code) DO UPDATE
+           SET next_value = next_value + 1, updated_at = CURRENT_TIMESTAMP
+         RETURNING next_value - 1 AS value`,
+        [provinceCode]
+      );
+      const plateNumber = formatPlateNumber(provinceCode, row.value);
+
+      const taken = await database.get('SELECT 1 FROM plaques WHERE plate_number = ?', [plateNumber]);
+      if (taken) continue;
+
+      await database.run(
+        `INSERT INTO plate_reservations (plate_number, province_code, status, reserved_by, expires_at)
+         VALUES (?, ?, 'reserved', ?, ?)`,
+        [plateNumber, provinceCode, userId, expiresAt]
+      );
+      return { plateNumber, provinceCode, expiresAt };
+    }
+  });
+}
+
+/**
+ * Release a reservation so the number can be allocated again
+ *
+ * @param {string} plateNumber - Reserved plate number
+ * @param {Object} user - Requesting user ({ id, permissions }); another
+ *   user's reservation needs plaque:reservation_release
+ * @throws {Error} 404 if not reserved, 403 if reserved by someone else
+ */
+async function releaseReservation(plateNumber, user) {
+  const reservation = await database.get(
+    "SELECT * FROM plate_reservations WHERE plate_number = ? AND status = 'reserved'",
+    [plateNumber]
+  );
+
+  if (!reservation) {
+    throw httpError(404, 'Aucune réservation active pour ce numéro de plaque');
+  }
+  if (reservation.reserved_by !== user.id && !user.permissions.includes('plaque:reservation_release')) {
+    throw httpError(403, 'Cette réservation appartient à un autre utilisateur');
+  }
+
+  await database.run(
+    "UPDATE plate_reservations SET status = 'released', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [reservation.id]
+  );
+}
+
+/**
+ * Mark a reserved number as used by a registration
+ *
+ * The number must have been reserved by the user. Plates issued before
+ * allocation existed are registered through the CSV import instead (see
+ * claimIssuedPlate). Call inside the transaction that writes the plaque.
+ *
+ * @param {string} plateNumber - Plate number being registered
+ * @param {number} userId - Registering user
+ * @param {Date} now - Reference time (default: now)
+ * @throws {Error} 400 httpError if the number was not reserved by the user
+ *   or the reservation has expired
+ */
+async function consumeReservation(plateNumber, userId, now = new Date()) {
+  const reservation = await database.get(
+    'SELECT * FROM plate_reservations WHERE plate_number = ?',
+    [plateNumber]
+  );
+
+  if (!reservation) {
+    throw httpError(400, "Ce numéro de plaque n'a pas été attribué par le système");
+  }
+
+  // Past its expiry a reservation is over, even before the next sweep
+  if (reservation.status !== 'reserved' || reservation.expires_at < now.toISOString()) {
+    throw httpError(400, 'La réservation de ce numéro de plaque a expiré, veuillez en générer un nouveau');
+  }
+  if (reservation.reserved_by !== userId) {
+    throw httpError(400, 'Ce numéro de plaque est réservé par un autre utilisateur');
+  }
+
+  await database.run(
+    "UPDATE plate_reservations SET status = 'used', expires_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [reservation.id]
+  );
+}
+
+/**
+ * Check that a plate issued outside the system (paper records, imports)
+ * can be registered: an officer must not be holding it as a reservation.
+ * Call inside the transaction that writes the plaque.
+ *
+ * @param {string} plateNumber - Plate number being registered
+ * @throws {Error} 400 httpError if the number is reserved
+ */
+async function claimIssuedPlate(plateNumber) {
+  await releaseExpiredReservations();
+
+  const reservation = await database.get(
+    "SELECT id FROM plate_reservations WHERE plate_number = ? AND status = 'reserved'",
+    [plateNumber]
+  );
+  if (reservation) {
+    throw httpError(400, 'Ce numéro de plaque est réservé pour un autre enregistrement');
+  }
+}
+
+module.exports = {
+  PLATE_NUMBER_PATTERN,
+  formatPlateNumber,
+  provinceOfPlate,
+  releaseExpiredReservations,
+  reservePlate,
+  releaseReservation,
+  consumeReservation,
+  claimIssuedPlate
+};
@@ -0,0 +1,244 @@
+/**
+ * Registration Service - Creating and updating plaque registrations
+ *
+ * Shared by POST /api/plaques and the CSV import so a registration typed
+ * at the counter and one read from a file follow the same rules: owner
+ * name and email required, unique plate number, issuing province within the
+ * registering user's jurisdiction, valid vehicle, initial status recorded
+ * and the creation audited. PUT /api/plaques/:id goes through the same
+ * checks with updateRegistration.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const {
+  OWNER_DETAIL_FIELDS,
+  buildOwnerName,
+  isSameOwnerName,
+  extractOwnerDetails,
+  mergeField
+} = require('../utils/plaqueFields');
+const { resolvePlaqueVehicle } = require('./vehicles');
+const { isProvinceCode } = require('../utils/provinces');
+const { consumeReservation, claimIssuedPlate, provinceOfPlate } = require('./plateAllocator');
+const { assertInJurisdiction } = require('./jurisdictions');
+const { recordInitialStatus } = require('./plaqueStatus');
+const { recordAudit, auditChange } = require('./audit');
+
+const DEFAULT_VALIDITY_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Issuing province of a registration: the province of an allocated plate
+ * number; for plates issued before allocation, `issuingProvinceCode` or
+ * else the owner's province
+ *
+ * @param {string} plateNumber - Plate number
+ * @param {Object} body - Fields of POST /api/plaques
+ * @returns {string|null} Province code
+ * @throws {Error} 400 httpError for an unknown issuingProvinceCode
+ */
+function resolveIssuingProvince(plateNumber, body) {
+  const allocated = provinceOfPlate(plateNumber);
+  if (allocated) return allocated;
+
+  if (body.issuingProvinceCode) {
+    if (!isProvinceCode(body.issuingProvinceCode)) {
+      throw httpError(400, 'Code province d\'émission invalide');
+    }
+    return body.issuingProvinceCode;
+  }
+  return isProvinceCode(body.ownerProvinceCode) ? body.ownerProvinceCode : null;
+}
+
+/**
+ * Register a plaque with its owner and vehicle
+ * Call inside a transaction.
+ *
+ * @param {Object} body - Fields of POST /api/plaques
+ * @param {Object} context - { actorId, ip } (see auditContext)
+ * @param {Object} options
+ * @param {boolean} options.issuedPlate - The plate was issued outside the
+ *   system (paper records): it is not taken from a reservation, and may
+ *   come with its original expiryDate (ISO 8601)
+ * @param {string} options.registrationDate - Original registration date of
+ *   an issued plate (default: now)
+ * @param {string[]|null} options.jurisdiction - Provinces of the registering
+ *   user (default: all)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<Object>} The stored plaque row
+ * @throws {Error} 400 httpError when a rule is not met, 403 for a province
+ *   outside the jurisdiction
+ */
+async function registerPlaque(body, context, {
+  issuedPlate = false, registrationDate = null, jurisdiction = null, now = new Date()
+} = {}) {
+  const plateNumber = typeof body.plateNumber === 'string' ? body.plateNumber.trim() : body.plateNumber;
+  const ownerName = buildOwnerName(body);
+  const ownerDetails = extractOwnerDetails(body);
+
+  if (!plateNumber || !ownerName || !body.ownerEmail) {
+    throw httpError(400, 'Numéro de plaque, nom du propriétaire et email sont requis');
+  }
+
+  // New registrations last a year; renewals extend them
+  if (body.expiryDate !== undefined && !issuedPlate) {
+    throw httpError(400, 'La date d\'expiration est fixée à l\'immatriculation, utilisez ensuite le renouvellement');
+  }
+  if (body.expiryDate !== undefined && Number.isNaN(Date.parse(body.expiryDate))) {
+    throw httpError(400, 'Date d\'expiration invalide');
+  }
+
+  const issuingProvinceCode = resolveIssuingProvince(plateNumber, body);
+  assertInJurisdiction(jurisdiction, issuingProvinceCode);
+
+  const existing = await database.get('SELECT id FROM plaques WHERE plate_number = ?', [plateNumber]);
+  if (existing) {
+    throw httpError(400, 'Ce numéro de plaque existe déjà');
+  }
+
+  if (issuedPlate) {
+    await claimIssuedPlate(plateNumber);
+  } else {
+    await consumeReservation(plateNumber, context.actorId, now);
+  }
+  const vehicleId = await resolvePlaqueVehicle(body, { context });
+
+  const expiryDate = body.expiryDate
+    ? new Date(body.expiryDate).toISOString()
+    : new Date(now.getTime() + DEFAULT_VALIDITY_MS).toISOString();
+  // Old registrations can arrive already expired
+  const status = new Date(expiryDate) <= now ? 'expired' : 'active';
+
+  const detailColumns = Object.keys(ownerDetails);
+  const inserted = await database.run(
+    `INSERT INTO plaques (
+      plate_number, owner_name, owner_email, owner_phone,
+      ${detailColumns.join(', ')},
+      vehicle_id, issuing_province_code, registration_date, expiry_date, status, created_by
+    ) VALUES (?, ?, ?, ?, ${detailColumns.map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ?)`,
+    [
+      plateNumber,
+      ownerName,
+      body.ownerEmail,
+      body.ownerPhone || null,
+      ...Object.values(ownerDetails),
+      vehicleId,
+      issuingProvinceCode,
+      registrationDate || now.toISOString(),
+      expiryDate,
+      status,
+      context.actorId
+    ]
+  );
+
+  const plaque = await database.get('SELECT * FROM plaques WHERE id = ?', [inserted.lastID]);
+  await recordInitialStatus(plaque.id, status, context.actorId);
+  await recordAudit({ entityType: 'plaque', entityId: plaque.id, action: 'create', after: plaque }, context);
+  return plaque;
+}
+
+/**
+ * Update the owner details, plate number and vehicle of a registration
+ * Call inside a transaction: the plaque is read there, so a transfer or
+ * another update cannot slip between the checks and the write.
+ *
+ * Fields missing from the body keep their stored value, so a partial
+ * update or an older client never erases data; an explicit null or empty
+ * string clears a field.
+ *
+ * Another owner name is a transfer and is refused, except for users
+ * granted plaque:owner_correct: the update is then audited as an
+ * owner_correction.
+ *
+ * @param {number|string} id - Plaque ID
+ * @param {Object} body - Fields of PUT /api/plaques/:id
+ * @param {Object} context - { actorId, ip } (see auditContext)
+ * @param {Object} options
+ * @param {string[]|null} options.jurisdiction - Provinces of the user
+ *   (default: all)
+ * @param {string[]} options.permissions - Permissions of the user
+ * @throws {Error} 404 httpError for an unknown plaque, 400 when a rule is
+ *   not met, 403 for a plate number outside the jurisdiction
+ */
+async function updateRegistration(id, body, context, { jurisdiction = null, permissions = [] } = {}) {
+  // The renewal keeps the window, the history and the status consistent
+  if (body.expiryDate !== undefined) {
+    throw httpError(400, 'La date d\'expiration ne se modifie pas ici, utilisez le renouvellement');
+  }
+
+  const existing = await database.get('SELECT * FROM plaques WHERE id = ?', [id]);
+  if (!existing) {
+    throw httpError(404, 'Plaque non trouvée');
+  }
+  if (existing.deleted_at) {
+    throw httpError(400, 'Cette plaque a été annulée, restaurez-la avant de la modifier');
+  }
+
+  const plateNumber = mergeField(body.plateNumber, existing.plate_number);
+  const ownerEmail = mergeField(body.ownerEmail, existing.owner_email);
+  const ownerPhone = mergeField(body.ownerPhone, existing.owner_phone);
+  const ownerDetails = extractOwnerDetails(body, existing);
+  // Structured name parts sent: the name is rebuilt from them and the
+  // stored ones; otherwise a plain ownerName, else the stored name
+  const partsSent = ['ownerNom', 'ownerPostNom', 'ownerPrenom'].some(field => body[field] !== undefined);
+  let ownerName = existing.owner_name;
+  if (partsSent) {
+    ownerName = buildOwnerName({
+      ownerName: body.ownerName,
+      ownerNom: ownerDetails[OWNER_DETAIL_FIELDS.ownerNom],
+      ownerPostNom: ownerDetails[OWNER_DETAIL_FIELDS.ownerPostNom],
+      ownerPrenom: ownerDetails[OWNER_DETAIL_FIELDS.ownerPrenom]
+    });
+  } else if (body.ownerName !== undefined) {
+    ownerName = buildOwnerName({ ownerName: body.ownerName });
+  }
+
+  if (!plateNumber || !ownerName || !ownerEmail) {
+    throw httpError(400, 'Numéro de plaque, nom du propriétaire et email sont requis');
+  }
+  const ownerCorrected = !isSameOwnerName(ownerName, existing.owner_name);
+  if (ownerCorrected && !permissions.includes('plaque:owner_correct')) {
+    throw httpError(400, 'Pour changer de propriétaire, utilisez le transfert de propriété');
+  }
+
+  if (plateNumber !== existing.plate_number) {
+    const conflict = await database.get('SELECT id FROM plaques WHERE plate_number = ? AND id != ?', [plateNumber, id]);
+    if (conflict) {
+      throw httpError(400, 'Ce numéro de plaque existe déjà');
+    }
+  }
+
+  // A new allocated number moves the plaque to the province of that number
+  const issuingProvinceCode = provinceOfPlate(plateNumber) || existing.issuing_province_code;
+  assertInJurisdiction(jurisdiction, issuingProvinceCode);
+
+  const detailAssignments = Object.keys(ownerDetails).map(column => `${column} = ?`).join(', ');
+  await auditChange('plaque', existing.id, ownerCorrected ? 'owner_correction' : 'update', context, async () => {
+    if (plateNumber !== existing.plate_number) {
+      await consumeReservation(plateNumber, context.actorId);
+    }
+    const vehicleId = await resolvePlaqueVehicle(body, {
+      plaqueId: existing.id,
+      currentVehicleId: existing.vehicle_id,
+      context
+    });
+    await database.run(
+      `UPDATE plaques SET
+       plate_number = ?, owner_name = ?, owner_email = ?, owner_phone = ?, ${detailAssignments},
+       vehicle_id = ?, issuing_province_code = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [plateNumber, ownerName, ownerEmail, ownerPhone, ...Object.values(ownerDetails), vehicleId,
+        issuingProvinceCode, existing.id]
+    );
+  });
+}
+
+module.exports = {
+  resolveIssuingProvince,
+  registerPlaque,
+  updateRegistration
+};
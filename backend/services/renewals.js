@@ -0,0 +1,143 @@
+/**
+ * Renewal Service - Registration renewal rules and history
+ *
+ * A plaque can be renewed for one of the configured periods, only within
+ * the window around its expiry date (config.renewalWindowDaysBefore /
+ * renewalWindowDaysAfter). The new validity continues from the previous
+ * expiry date, and an expired plaque returns to `active`.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const config = require('../config');
+const httpError = require('../utils/httpError');
+const { transitionStatus } = require('./plaqueStatus');
+const { auditChange } = require('./audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add calendar months, clamping to the last day of shorter months
+ * (31 January + 1 month = 28/29 February)
+ */
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Period during which a registration expiring at `expiryDate` can be renewed
+ *
+ * @param {string|Date} expiryDate - Current expiry date
+ * @returns {{opensAt: Date, closesAt: Date}}
+ */
+function getRenewalWindow(expiryDate) {
+  const expiry = new Date(expiryDate);
+  return {
+    opensAt: new Date(expiry.getTime() - config.renewalWindowDaysBefore * DAY_MS),
+    closesAt: new Date(expiry.getTime() + config.renewalWindowDaysAfter * DAY_MS)
+  };
+}
+
+/**
+ * Renewal settings exposed to clients
+ */
+function getRenewalOptions() {
+  return {
+    periodsMonths: config.renewalPeriodsMonths,
+    windowDaysBefore: config.renewalWindowDaysBefore,
+    windowDaysAfter: config.renewalWindowDaysAfter
+  };
+}
+
+/**
+ * Renew a plaque
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @param {number} periodMonths - One of config.renewalPeriodsMonths
+ * @param {Object} context - { actorId, ip } of the renewing user (see auditContext)
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Object>} The renewal record
+ * @throws {Error} 400/404 httpError when the renewal is not allowed
+ */
+async function renewPlaque(plaqueId, periodMonths, context, now = new Date()) {
+  const period = parseInt(periodMonths, 10);
+  if (!config.renewalPeriodsMonths.includes(period)) {
+    throw httpError(400, `Durée de renouvellement invalide (choix: ${config.renewalPeriodsMonths.join(', ')} mois)`);
+  }
+
+  return database.transaction(async () => {
+    const plaque = await database.get('SELECT * FROM plaques WHERE id = ?', [plaqueId]);
+    if (!plaque) {
+      throw httpError(404, 'Plaque non trouvée');
+    }
+    if (plaque.deleted_at) {
+      throw httpError(400, 'Cette plaque a été annulée');
+    }
+    if (plaque.status === 'suspended') {
+      throw httpError(400, 'Une plaque suspendue ne peut pas être renouvelée');
+    }
+
+    const { opensAt, closesAt } = getRenewalWindow(plaque.expiry_date);
+    if (now < opensAt) {
+      throw httpError(400, `Renouvellement possible à partir du ${opensAt.toLocaleDateString('fr-FR')}`);
+    }
+    if (now > closesAt) {
+      throw httpError(400, `Délai de renouvellement dépassé depuis le ${closesAt.toLocaleDateString('fr-FR')}, un nouvel enregistrement est nécessaire`);
+    }
+
+    const previousExpiry = new Date(plaque.expiry_date);
+    const newExpiry = addMonths(previousExpiry, period);
+
+    return auditChange('plaque', plaque.id, 'renew', context, async () => {
+      await database.run(
+        'UPDATE plaques SET expiry_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [newExpiry.toISOString(), plaque.id]
+      );
+      const inserted = await database.run(
+        `INSERT INTO plaque_renewals (plaque_id, previous_expiry, new_expiry, period_months, renewed_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [plaque.id, previousExpiry.toISOString(), newExpiry.toISOString(), period, context.actorId]
+      );
+
+      if (plaque.status !== 'active') {
+        await transitionStatus(plaque.id, 'active', {
+          actorId: context.actorId,
+          reason: `Renouvellement de ${period} mois`
+        });
+      }
+
+      return database.get('SELECT * FROM plaque_renewals WHERE id = ?', [inserted.lastID]);
+    });
+  });
+}
+
+/**
+ * Renewals of a plaque, most recent first
+ */
+function getRenewals(plaqueId) {
+  return database.all(
+    `SELECT r.*, u.username AS renewed_by_username
+     FROM plaque_renewals r
+     LEFT JOIN users u ON u.id = r.renewed_by
+     WHERE r.plaque_id = ?
+     ORDER BY r.renewed_at DESC, r.id DESC`,
+    [plaqueId]
+  );
+}
+
+module.exports = {
+  addMonths,
+  getRenewalWindow,
+  getRenewalOptions,
+  renewPlaque,
+  getRenewals
+};
@@ -0,0 +1,195 @@
+/**
+ * Session Service - Short-lived access tokens and rotating refresh tokens
+ *
+ * Login opens a session and returns an access token (JWT, a few minutes)
+ * and a refresh token (random, stored hashed). POST /api/auth/refresh
+ * trades the refresh token for a new pair; the old refresh token stops
+ * working. Presenting it again after the grace period means someone else
+ * kept a copy, so the whole session is revoked. Access tokens carry the
+ * session ID, and authMiddleware refuses those of revoked sessions.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+
+// Two tabs may refresh with the same token at once: the loser is refused
+// without revoking the session if the rotation happened this recently
+const REUSE_GRACE_SECONDS = 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Sign the access token of a session
+ *
+ * @param {Object} user - User row (id, username, email, role)
+ * @param {number} sessionId - Session ID
+ * @returns {string} JWT
+ */
+function signAccessToken(user, sessionId) {
+  const payload = {
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    },
+    sid: sessionId
+  };
+  return jwt.sign(payload, config.jwtSecret, { expiresIn: config.accessTokenTtl });
+}
+
+/**
+ * Open a session for a user who just logged in or registered
+ *
+ * @param {Object} user - User row
+ * @param {Object} context - { ip, userAgent }
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function openSession(user, { ip = null, userAgent = null } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const sessionId = await database.transaction(async () => {
+    // Expired sessions of the user are of no use any more
+    await database.run(
+      'DELETE FROM user_sessions WHERE user_id = ? AND expires_at <= CURRENT_TIMESTAMP',
+      [user.id]
+    );
+    const inserted = await database.run(
+      `INSERT INTO user_sessions (user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [user.id, hashToken(refreshToken), ip, userAgent, `+${config.refreshTokenTtlDays} days`]
+    );
+    return inserted.lastID;
+  });
+
+  return { token: signAccessToken(user, sessionId), refreshToken };
+}
+
+/**
+ * Trade a refresh token for a new access token and refresh token
+ * The session stays open for refreshTokenTtlDays after its last use.
+ *
+ * @param {string} refreshToken - Refresh token returned at login or at the last refresh
+ * @param {Object} context - { ip, userAgent }
+ * @returns {Promise<{token: string, refreshToken: string, user: Object}>}
+ * @throws {Error} 401 httpError for an unknown, expired or revoked session
+ */
+async function refreshSession(refreshToken, { ip = null, userAgent = null } = {}) {
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  const outcome = await database.transaction(async () => {
+    const session = await database.get(
+      'SELECT *, expires_at <= CURRENT_TIMESTAMP AS expired FROM user_sessions WHERE refresh_token_hash = ?',
+      [presentedHash]
+    );
+
+    if (!session) {
+      const replaced = await database.get(
+        `SELECT id, revoked_at, last_used_at > datetime('now', ?) AS recent
+         FROM user_sessions WHERE previous_token_hash = ?`,
+        [`-${REUSE_GRACE_SECONDS} seconds`, presentedHash]
+      );
+      if (replaced && !replaced.revoked_at && !replaced.recent) {
+        await database.run('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [replaced.id]);
+        return { error: 'Refresh token reused, session revoked' };
+      }
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (session.revoked_at || session.expired) {
+      return { error: 'Session expired' };
+    }
+
+    const user = await database.get(
+      'SELECT id, username, email, role, disabled_at, must_change_password FROM users WHERE id = ?',
+      [session.user_id]
+    );
+    if (!user || user.disabled_at) {
+      await database.run('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id]);
+      return { error: 'Account disabled, session revoked' };
+    }
+
+    await database.run(
+      `UPDATE user_sessions
+       SET refresh_token_hash = ?, previous_token_hash = ?, ip_address = ?, user_agent = ?,
+           last_used_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+       WHERE id = ?`,
+      [hashToken(nextToken), presentedHash, ip, userAgent, `+${config.refreshTokenTtlDays} days`, session.id]
+    );
+    return { session, user };
+  });
+
+  // Revocations above must be committed, hence the error thrown only now
+  if (outcome.error) {
+    throw httpError(401, outcome.error);
+  }
+
+  return {
+    token: signAccessToken(outcome.user, outcome.session.id),
+    refreshToken: nextToken,
+    user: outcome.user
+  };
+}
+
+/**
+ * Close the session of a refresh token (logout)
+ *
+ * @param {string} refreshToken - Refresh token of the session
+ * @param {Object} options
+ * @param {boolean} options.everywhere - Close every session of the user
+ * @returns {Promise<number>} Number of sessions closed
+ */
+async function closeSession(refreshToken, { everywhere = false } = {}) {
+  const session = await database.get(
+    'SELECT id, user_id FROM user_sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+    [hashToken(refreshToken)]
+  );
+  if (!session) return 0;
+
+  if (everywhere) {
+    return revokeUserSessions(session.user_id);
+  }
+  const { changes } = await database.run(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [session.id]
+  );
+  return changes;
+}
+
+/**
+ * Revoke every open session of a user (disabled account, password reset)
+ *
+ * @param {number} userId - User ID
+ * @param {Object} options
+ * @param {number} options.except - Session left open (the one changing the password)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, { except = null } = {}) {
+  const { changes } = await database.run(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?`,
+    [userId, except]
+  );
+  return changes;
+}
+
+module.exports = {
+  openSession,
+  refreshSession,
+  closeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,189 @@
+/**
+ * Statistics Service - Registrations over time and their breakdowns
+ *
+ * Counts registrations (plaques not in the trash) by registration date:
+ * per day, week (starting Monday) or month, and by issuing province, status
+ * or issuing agent, within the provinces of the caller. Periods are
+ * calendar days in UTC, like stored dates.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const { PROVINCES } = require('../utils/provinces');
+const { buildProvinceCondition } = require('../utils/plaqueFields');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PERIODS = 400;
+
+// For each interval: the period of a registration date in SQL and, in JS
+// (UTC), the first day of the period of a date, the name of a period, the
+// first day of the next one and the default start of a range
+const INTERVALS = {
+  day: {
+    sql: 'date(p.registration_date)',
+    startOf: date => date,
+    periodOf: date => date.toISOString().slice(0, 10),
+    next: date => new Date(date.getTime() + DAY_MS),
+    defaultSpan: date => new Date(date.getTime() - 29 * DAY_MS)
+  },
+  week: {
+    // Monday of the week: the next Sunday (or the day itself), six days back
+    sql: 'date(p.registration_date, \'weekday 0\', \'-6 days\')',
+    startOf: date => new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS),
+    periodOf: date => date.toISOString().slice(0, 10),
+    next: date => new Date(date.getTime() + 7 * DAY_MS),
+    defaultSpan: date => new Date(date.getTime() - 11 * 7 * DAY_MS)
+  },
+  month: {
+    sql: 'strftime(\'%Y-%m\', p.registration_date)',
+    startOf: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    periodOf: date => date.toISOString().slice(0, 7),
+    next: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+    defaultSpan: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 11, 1))
+  }
+};
+
+// Group key and label of each breakdown; province names are added afterwards
+const DIMENSIONS = {
+  province: {
+    key: 'p.issuing_province_code',
+    label: 'NULL'
+  },
+  status: {
+    key: 'p.status',
+    label: 'NULL'
+  },
+  agent: {
+    key: 'p.created_by',
+    label: 'u.username'
+  }
+};
+
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDay(value, name) {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw httpError(400, `Date ${name} invalide (format AAAA-MM-JJ)`);
+  }
+  return new Date(`${value}T00:00:00Z`);
+}
+
+/**
+ * Validated date range, `to` defaulting to today and `from` to a span
+ * suited to the interval
+ */
+function resolveRange({ from, to }, interval = INTERVALS.day) {
+  const end = to ? parseDay(to, 'de fin') : new Date(`${toDay(new Date())}T00:00:00Z`);
+  const start = from ? parseDay(from, 'de début') : interval.defaultSpan(end);
+  if (start > end) {
+    throw httpError(400, 'La date de début doit précéder la date de fin');
+  }
+  return { from: toDay(start), to: toDay(end) };
+}
+
+/**
+ * Registrations per period, empty periods included
+ *
+ * @param {Object} filters
+ * @param {string} filters.interval - day, week or month (default day)
+ * @param {string} filters.from - First day (YYYY-MM-DD, default depends on the interval)
+ * @param {string} filters.to - Last day (YYYY-MM-DD, default today)
+ * @param {string[]|null} filters.provinces - Issuing provinces counted (default: all)
+ * @returns {Promise<{interval: string, from: string, to: string, total: number, series: Array}>}
+ *   series: [{ period, count }], period being the day, the Monday of the week or YYYY-MM
+ * @throws {Error} 400 httpError for an invalid interval or range
+ */
+async function getRegistrationSeries({ interval = 'day', from, to, provinces = null } = {}) {
+  const definition = INTERVALS[interval];
+  if (!definition) {
+    throw httpError(400, `Intervalle invalide (choix: ${Object.keys(INTERVALS).join(', ')})`);
+  }
+  const range = resolveRange({ from, to }, definition);
+
+  const periods = [];
+  const end = new Date(`${range.to}T00:00:00Z`);
+  let cursor = definition.startOf(new Date(`${range.from}T00:00:00Z`));
+  while (cursor <= end) {
+    periods.push(definition.periodOf(cursor));
+    if (periods.length > MAX_PERIODS) {
+      throw httpError(400, `Période trop longue pour cet intervalle (maximum ${MAX_PERIODS} points)`);
+    }
+    cursor = definition.next(cursor);
+  }
+
+  const scope = buildProvinceCondition(provinces);
+  const rows = await database.all(
+    `SELECT ${definition.sql} AS period, COUNT(*) AS count
+     FROM plaques p
+     WHERE p.deleted_at IS NULL AND date(p.registration_date) BETWEEN ? AND ?${scope.clause}
+     GROUP BY period`,
+    [range.from, range.to, ...scope.params]
+  );
+  const counts = new Map(rows.map(row => [row.period, row.count]));
+  const series = periods.map(period => ({ period, count: counts.get(period) || 0 }));
+
+  return {
+    interval,
+    ...range,
+    total: series.reduce((sum, point) => sum + point.count, 0),
+    series
+  };
+}
+
+/**
+ * Registrations of a date range grouped by issuing province, status or agent,
+ * largest groups first
+ *
+ * @param {string} dimension - province, status or agent
+ * @param {Object} filters
+ * @param {string} filters.from - First day (YYYY-MM-DD, default 29 days before `to`)
+ * @param {string} filters.to - Last day (YYYY-MM-DD, default today)
+ * @param {string[]|null} filters.provinces - Issuing provinces counted (default: all)
+ * @returns {Promise<{dimension: string, from: string, to: string, total: number, items: Array}>}
+ *   items: [{ key, label, count }]; key is null for registrations without the information
+ * @throws {Error} 400 httpError for an invalid dimension or range
+ */
+async function getRegistrationBreakdown(dimension, { from, to, provinces = null } = {}) {
+  const definition = DIMENSIONS[dimension];
+  if (!definition) {
+    throw httpError(400, `Répartition invalide (choix: ${Object.keys(DIMENSIONS).join(', ')})`);
+  }
+  const range = resolveRange({ from, to });
+
+  const scope = buildProvinceCondition(provinces);
+  const rows = await database.all(
+    `SELECT ${definition.key} AS key, ${definition.label} AS label, COUNT(*) AS count
+     FROM plaques p LEFT JOIN users u ON u.id = p.created_by
+     WHERE p.deleted_at IS NULL AND date(p.registration_date) BETWEEN ? AND ?${scope.clause}
+     GROUP BY ${definition.key}
+     ORDER BY count DESC, key`,
+    [range.from, range.to, ...scope.params]
+  );
+
+  const items = rows.map((row) => {
+    if (dimension === 'province') {
+      const province = PROVINCES.find(p => p.code === row.key);
+      return { ...row, label: province ? province.name : row.key };
+    }
+    return row;
+  });
+
+  return {
+    dimension,
+    ...range,
+    total: items.reduce((sum, item) => sum + item.count, 0),
+    items
+  };
+}
+
+module.exports = {
+  getRegistrationSeries,
+  getRegistrationBreakdown
+};
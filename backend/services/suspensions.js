@@ -0,0 +1,133 @@
+/**
+ * Suspension Service - Suspending and reinstating registrations
+ *
+ * Both actions need a reason code (utils/statusReasons) and go through
+ * transitionStatus(), so they appear in the status history with their
+ * code and notes. A reinstated plaque returns to `active`, or to
+ * `expired` if its expiry date passed while it was suspended.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const {
+  SUSPENSION_REASONS,
+  REINSTATEMENT_REASONS,
+  CODES_REQUIRING_NOTES,
+  findReason
+} = require('../utils/statusReasons');
+const { transitionStatus } = require('./plaqueStatus');
+const { auditChange } = require('./audit');
+
+const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Check a reason code and notes against a reason list
+ *
+ * @returns {{reason: Object, notes: string|null}}
+ * @throws {Error} 400 httpError for an unknown code or missing notes
+ */
+function validateReason(reasons, reasonCode, notes) {
+  const reason = findReason(reasons, reasonCode);
+  if (!reason) {
+    throw httpError(400, `Motif invalide (choix: ${reasons.map(r => r.code).join(', ')})`);
+  }
+
+  const trimmed = typeof notes === 'string' ? notes.trim() : '';
+  if (!trimmed && CODES_REQUIRING_NOTES.includes(reason.code)) {
+    throw httpError(400, 'Veuillez préciser le motif dans les notes');
+  }
+  if (trimmed.length > MAX_NOTES_LENGTH) {
+    throw httpError(400, `Les notes ne peuvent pas dépasser ${MAX_NOTES_LENGTH} caractères`);
+  }
+
+  return { reason, notes: trimmed || null };
+}
+
+/**
+ * Suspend a plaque
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @param {Object} input - { reasonCode, notes }
+ * @param {Object} context - { actorId, ip } of the suspending user (see auditContext)
+ * @returns {Promise<{from: string, to: string}>}
+ * @throws {Error} 400/404 httpError
+ */
+async function suspendPlaque(plaqueId, { reasonCode, notes }, context) {
+  const { reason, notes: cleanNotes } = validateReason(SUSPENSION_REASONS, reasonCode, notes);
+
+  return database.transaction(async () => {
+    const plaque = await database.get('SELECT status FROM plaques WHERE id = ?', [plaqueId]);
+    if (plaque && plaque.status === 'suspended') {
+      throw httpError(400, 'Cette plaque est déjà suspendue');
+    }
+
+    return auditChange('plaque', plaqueId, 'suspend', context, () => transitionStatus(plaqueId, 'suspended', {
+      actorId: context.actorId,
+      reason: reason.label,
+      reasonCode: reason.code,
+      notes: cleanNotes
+    }));
+  });
+}
+
+/**
+ * Lift the suspension of a plaque
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @param {Object} input - { reasonCode, notes }
+ * @param {Object} context - { actorId, ip } of the reinstating user (see auditContext)
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<{from: string, to: string}>}
+ * @throws {Error} 400/404 httpError
+ */
+async function reinstatePlaque(plaqueId, { reasonCode, notes }, context, now = new Date()) {
+  const { reason, notes: cleanNotes } = validateReason(REINSTATEMENT_REASONS, reasonCode, notes);
+
+  return database.transaction(async () => {
+    const plaque = await database.get('SELECT status, expiry_date FROM plaques WHERE id = ?', [plaqueId]);
+    if (!plaque) {
+      throw httpError(404, 'Plaque non trouvée');
+    }
+    if (plaque.status !== 'suspended') {
+      throw httpError(400, 'Cette plaque n\'est pas suspendue');
+    }
+
+    const toStatus = new Date(plaque.expiry_date) > now ? 'active' : 'expired';
+    return auditChange('plaque', plaqueId, 'reinstate', context, () => transitionStatus(plaqueId, toStatus, {
+      actorId: context.actorId,
+      reason: reason.label,
+      reasonCode: reason.code,
+      notes: cleanNotes
+    }));
+  });
+}
+
+/**
+ * The suspension currently in force on a plaque
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @returns {Promise<Object|null>} Latest transition to `suspended`, or null
+ *   when the plaque is not suspended
+ */
+async function getCurrentSuspension(plaqueId) {
+  return (await database.get(
+    `SELECT h.reason_code, h.reason, h.notes, h.changed_at AS suspended_at,
+            h.changed_by AS suspended_by, u.username AS suspended_by_username
+     FROM plaques p
+     JOIN plaque_status_history h ON h.plaque_id = p.id AND h.to_status = 'suspended'
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE p.id = ? AND p.status = 'suspended'
+     ORDER BY h.id DESC LIMIT 1`,
+    [plaqueId]
+  )) || null;
+}
+
+module.exports = {
+  suspendPlaque,
+  reinstatePlaque,
+  getCurrentSuspension
+};
@@ -0,0 +1,219 @@
+/**
+ * Transfer Service - Change of ownership of a registration
+ *
+ * A transfer replaces the owner columns of the plaque with the buyer's and
+ * records both the seller (the owner being replaced) and the buyer in
+ * plaque_ownership_transfers, so the previous owners stay on record. The
+ * plate number and its issuing province do not change; the owner's address,
+ * province included, is entirely the buyer's.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const { OWNER_DETAIL_FIELDS, buildOwnerName, isSameOwnerName, extractOwnerDetails } = require('../utils/plaqueFields');
+const { EVIDENCE_REQUIRING_NOTES, TRANSFER_EVIDENCE_TYPES, findEvidenceType } = require('../utils/transferEvidence');
+const { auditChange } = require('./audit');
+
+const MAX_REFERENCE_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Calendar day (YYYY-MM-DD, UTC) of a date
+ */
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Structured owner columns of a plaque row
+ */
+function pickOwnerDetails(plaque) {
+  const details = {};
+  Object.values(OWNER_DETAIL_FIELDS).forEach((column) => {
+    details[column] = plaque[column] === undefined ? null : plaque[column];
+  });
+  return details;
+}
+
+/**
+ * Transfer row with its evidence label and parsed owner details
+ */
+function formatTransfer(row) {
+  return {
+    ...row,
+    evidence_label: (findEvidenceType(row.evidence_type) || {}).label || row.evidence_type,
+    seller_details: JSON.parse(row.seller_details),
+    buyer_details: JSON.parse(row.buyer_details)
+  };
+}
+
+/**
+ * Check the buyer, transfer date and evidence of a transfer request
+ *
+ * @returns {Object} Cleaned values
+ * @throws {Error} 400 httpError
+ */
+function validateTransfer({ buyer, transferDate, evidenceType, evidenceReference, notes }, now) {
+  if (!buyer || typeof buyer !== 'object') {
+    throw httpError(400, 'Les informations de l\'acheteur sont requises');
+  }
+  const buyerName = buildOwnerName(buyer);
+  const buyerEmail = typeof buyer.ownerEmail === 'string' ? buyer.ownerEmail.trim() : '';
+  if (!buyerName || !buyerEmail) {
+    throw httpError(400, 'Nom et email de l\'acheteur sont requis');
+  }
+
+  const date = new Date(transferDate);
+  if (!transferDate || Number.isNaN(date.getTime())) {
+    throw httpError(400, 'Date de transfert invalide');
+  }
+  if (date > now) {
+    throw httpError(400, 'La date de transfert ne peut pas être dans le futur');
+  }
+
+  const evidence = findEvidenceType(evidenceType);
+  if (!evidence) {
+    throw httpError(400, `Justificatif invalide (choix: ${TRANSFER_EVIDENCE_TYPES.map(t => t.code).join(', ')})`);
+  }
+  const reference = typeof evidenceReference === 'string' ? evidenceReference.trim() : '';
+  if (!reference) {
+    throw httpError(400, 'La référence du justificatif est requise');
+  }
+  if (reference.length > MAX_REFERENCE_LENGTH) {
+    throw httpError(400, `La référence ne peut pas dépasser ${MAX_REFERENCE_LENGTH} caractères`);
+  }
+
+  const trimmedNotes = typeof notes === 'string' ? notes.trim() : '';
+  if (!trimmedNotes && EVIDENCE_REQUIRING_NOTES.includes(evidence.code)) {
+    throw httpError(400, 'Veuillez décrire le justificatif dans les notes');
+  }
+  if (trimmedNotes.length > MAX_NOTES_LENGTH) {
+    throw httpError(400, `Les notes ne peuvent pas dépasser ${MAX_NOTES_LENGTH} caractères`);
+  }
+
+  return {
+    buyerName,
+    buyerEmail,
+    buyerPhone: typeof buyer.ownerPhone === 'string' && buyer.ownerPhone.trim() ? buyer.ownerPhone.trim() : null,
+    buyerDetails: extractOwnerDetails(buyer),
+    date,
+    evidence,
+    reference,
+    notes: trimmedNotes || null
+  };
+}
+
+/**
+ * Transfer a plaque to a new owner
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @param {Object} input - { buyer, transferDate, evidenceType, evidenceReference, notes }
+ *   where buyer has the owner fields of POST /api/plaques (ownerNom, ownerEmail...)
+ * @param {Object} context - { actorId, ip } (see auditContext)
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Object>} The recorded transfer
+ * @throws {Error} 400/404 httpError
+ */
+async function transferOwnership(plaqueId, input, context, now = new Date()) {
+  const transfer = validateTransfer(input, now);
+
+  return database.transaction(async () => {
+    const plaque = await database.get('SELECT * FROM plaques WHERE id = ?', [plaqueId]);
+    if (!plaque) {
+      throw httpError(404, 'Plaque non trouvée');
+    }
+    if (plaque.deleted_at) {
+      throw httpError(400, 'Cette plaque a été annulée');
+    }
+    if (plaque.status === 'suspended') {
+      throw httpError(400, 'Une plaque suspendue ne peut pas être transférée, levez d\'abord la suspension');
+    }
+    // Compared by day: the transfer date is usually entered without a time
+    const transferDay = toDay(transfer.date);
+    if (transferDay < toDay(new Date(plaque.registration_date))) {
+      throw httpError(400, 'La date de transfert est antérieure à l\'immatriculation');
+    }
+
+    const lastTransfer = await database.get(
+      'SELECT transfer_date FROM plaque_ownership_transfers WHERE plaque_id = ? ORDER BY transfer_date DESC LIMIT 1',
+      [plaque.id]
+    );
+    if (lastTransfer && transferDay < toDay(new Date(lastTransfer.transfer_date))) {
+      throw httpError(400, 'La date de transfert est antérieure au dernier transfert de propriété');
+    }
+
+    if (isSameOwnerName(transfer.buyerName, plaque.owner_name)
+      && transfer.buyerEmail.toLowerCase() === (plaque.owner_email || '').toLowerCase()) {
+      throw httpError(400, 'L\'acheteur est déjà le propriétaire de cette plaque');
+    }
+
+    // The seller's address goes with the seller: a buyer without a province
+    // leaves both the province code and name empty
+    const { buyerDetails } = transfer;
+
+    return auditChange('plaque', plaque.id, 'transfer', context, async () => {
+      const detailColumns = Object.keys(buyerDetails);
+      await database.run(
+        `UPDATE plaques SET owner_name = ?, owner_email = ?, owner_phone = ?,
+         ${detailColumns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [transfer.buyerName, transfer.buyerEmail, transfer.buyerPhone, ...Object.values(buyerDetails), plaque.id]
+      );
+
+      const inserted = await database.run(
+        `INSERT INTO plaque_ownership_transfers (
+          plaque_id, transfer_date,
+          seller_name, seller_email, seller_phone, seller_details,
+          buyer_name, buyer_email, buyer_phone, buyer_details,
+          evidence_type, evidence_reference, notes, recorded_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          plaque.id,
+          transfer.date.toISOString(),
+          plaque.owner_name,
+          plaque.owner_email,
+          plaque.owner_phone,
+          JSON.stringify(pickOwnerDetails(plaque)),
+          transfer.buyerName,
+          transfer.buyerEmail,
+          transfer.buyerPhone,
+          JSON.stringify(buyerDetails),
+          transfer.evidence.code,
+          transfer.reference,
+          transfer.notes,
+          context.actorId
+        ]
+      );
+
+      return formatTransfer(await database.get('SELECT * FROM plaque_ownership_transfers WHERE id = ?', [inserted.lastID]));
+    });
+  });
+}
+
+/**
+ * Ownership transfers of a plaque, most recent first
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @returns {Promise<Array>} Transfers (see formatTransfer) with recorded_by_username
+ */
+async function getOwnershipHistory(plaqueId) {
+  const rows = await database.all(
+    `SELECT t.*, u.username AS recorded_by_username
+     FROM plaque_ownership_transfers t
+     LEFT JOIN users u ON u.id = t.recorded_by
+     WHERE t.plaque_id = ?
+     ORDER BY t.transfer_date DESC, t.id DESC`,
+    [plaqueId]
+  );
+
+  return rows.map(formatTransfer);
+}
+
+module.exports = {
+  transferOwnership,
+  getOwnershipHistory
+};
@@ -0,0 +1,177 @@
+/**
+ * Trash Service - Cancellation, restore and purge of registrations
+ *
+ * Deleting a plaque only cancels it (deleted_at, deleted_by, reason): the
+ * row stays, its plate number stays taken, and it can be restored. Purging
+ * removes a cancelled record for good, and is only allowed once the
+ * registration has been expired for config.recordRetentionYears.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const config = require('../config');
+const httpError = require('../utils/httpError');
+const { LIST_COLUMNS, PLAQUE_FROM, buildProvinceCondition } = require('../utils/plaqueFields');
+const { addMonths } = require('./renewals');
+const { auditChange, recordAudit } = require('./audit');
+
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * Date from which a cancelled registration may be purged
+ *
+ * @param {Object} plaque - Plaque row
+ * @returns {Date}
+ */
+function getPurgeableFrom(plaque) {
+  return addMonths(new Date(plaque.expiry_date), config.recordRetentionYears * 12);
+}
+
+/**
+ * Cancel a plaque
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @param {string} reason - Why the registration is cancelled
+ * @param {Object} context - { actorId, ip } (see auditContext)
+ * @throws {Error} 400/404 httpError
+ */
+async function softDeletePlaque(plaqueId, reason, context) {
+  const cleanReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!cleanReason) {
+    throw httpError(400, 'Le motif de l\'annulation est requis');
+  }
+  if (cleanReason.length > MAX_REASON_LENGTH) {
+    throw httpError(400, `Le motif ne peut pas dépasser ${MAX_REASON_LENGTH} caractères`);
+  }
+
+  return database.transaction(async () => {
+    const plaque = await database.get('SELECT id, deleted_at FROM plaques WHERE id = ?', [plaqueId]);
+    if (!plaque) {
+      throw httpError(404, 'Plaque non trouvée');
+    }
+    if (plaque.deleted_at) {
+      throw httpError(400, 'Cette plaque est déjà dans la corbeille');
+    }
+
+    await auditChange('plaque', plaque.id, 'delete', context, () => database.run(
+      `UPDATE plaques SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, deletion_reason = ?,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [context.actorId, cleanReason, plaque.id]
+    ));
+  });
+}
+
+/**
+ * Bring a cancelled plaque back
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @param {Object} context - { actorId, ip }
+ * @throws {Error} 400/404 httpError
+ */
+async function restorePlaque(plaqueId, context) {
+  return database.transaction(async () => {
+    const plaque = await database.get('SELECT id, deleted_at FROM plaques WHERE id = ?', [plaqueId]);
+    if (!plaque) {
+      throw httpError(404, 'Plaque non trouvée');
+    }
+    if (!plaque.deleted_at) {
+      throw httpError(400, 'Cette plaque n\'est pas dans la corbeille');
+    }
+
+    await auditChange('plaque', plaque.id, 'restore', context, () => database.run(
+      `UPDATE plaques SET deleted_at = NULL, deleted_by = NULL, deletion_reason = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [plaque.id]
+    ));
+  });
+}
+
+/**
+ * Permanently remove a cancelled plaque and its history
+ *
+ * @param {number} plaqueId - Plaque ID
+ * @param {string} confirmation - Plate number typed by the user to confirm
+ * @param {Object} context - { actorId, ip }
+ * @param {Date} now - Reference time (default: now)
+ * @throws {Error} 400/404 httpError
+ */
+async function purgePlaque(plaqueId, confirmation, context, now = new Date()) {
+  return database.transaction(async () => {
+    const plaque = await database.get('SELECT * FROM plaques WHERE id = ?', [plaqueId]);
+    if (!plaque) {
+      throw httpError(404, 'Plaque non trouvée');
+    }
+    if (!plaque.deleted_at) {
+      throw httpError(400, 'Seules les plaques de la corbeille peuvent être purgées');
+    }
+    if (confirmation !== plaque.plate_number) {
+      throw httpError(400, 'Confirmez la purge en saisissant le numéro de plaque');
+    }
+
+    const purgeableFrom = getPurgeableFrom(plaque);
+    if (now < purgeableFrom) {
+      throw httpError(400, `Durée légale de conservation non écoulée: purge possible à partir du ${purgeableFrom.toLocaleDateString('fr-FR')}`);
+    }
+
+    await database.run('DELETE FROM plaque_status_history WHERE plaque_id = ?', [plaque.id]);
+    await database.run('DELETE FROM plaque_renewals WHERE plaque_id = ?', [plaque.id]);
+    await database.run('DELETE FROM plaque_ownership_transfers WHERE plaque_id = ?', [plaque.id]);
+    await database.run('DELETE FROM plaques WHERE id = ?', [plaque.id]);
+    await recordAudit({ entityType: 'plaque', entityId: plaque.id, action: 'purge', before: plaque }, context);
+  });
+}
+
+/**
+ * Cancelled plaques, most recently deleted first
+ *
+ * @param {Object} options - { page, limit, search, provinces }; provinces
+ *   are the issuing provinces listed (null: all)
+ * @returns {Promise<{plaques: Array, pagination: Object}>} Each plaque
+ *   carries purgeable_from and purgeable
+ */
+async function listDeletedPlaques({ page = 1, limit = 10, search = '', provinces = null } = {}, now = new Date()) {
+  const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100);
+  const scope = buildProvinceCondition(provinces);
+  let whereClause = ` WHERE p.deleted_at IS NOT NULL${scope.clause}`;
+  const params = [...scope.params];
+
+  if (search) {
+    whereClause += ' AND (p.plate_number LIKE ? OR p.owner_name LIKE ?)';
+    params.push(`%${search}%`, `%${search}%`);
+  }
+
+  const { total } = await database.get(`SELECT COUNT(*) AS total FROM ${PLAQUE_FROM}${whereClause}`, params);
+  const rows = await database.all(
+    `SELECT ${LIST_COLUMNS.join(', ')}, p.deleted_at, p.deleted_by, p.deletion_reason,
+            du.username AS deleted_by_username
+     FROM ${PLAQUE_FROM} LEFT JOIN users du ON du.id = p.deleted_by${whereClause}
+     ORDER BY p.deleted_at DESC, p.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, pageSize, (currentPage - 1) * pageSize]
+  );
+
+  return {
+    plaques: rows.map((row) => {
+      const purgeableFrom = getPurgeableFrom(row);
+      return { ...row, purgeable_from: purgeableFrom.toISOString(), purgeable: now >= purgeableFrom };
+    }),
+    pagination: {
+      page: currentPage,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+module.exports = {
+  getPurgeableFrom,
+  softDeletePlaque,
+  restorePlaque,
+  purgePlaque,
+  listDeletedPlaques
+};
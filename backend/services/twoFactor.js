@@ -0,0 +1,293 @@
+/**
+ * Two-Factor Service - TOTP second factor and recovery codes
+ *
+ * A user enrols by scanning the otpauth URI of a new secret with an
+ * authenticator app, then confirming with a first code; they receive
+ * single-use recovery codes for when the app is lost. Accounts with a
+ * second factor, and accounts whose role is listed in TOTP_REQUIRED_ROLES,
+ * get a short-lived challenge token instead of a session when their
+ * password is right: the token is traded for a session with a code, or
+ * lets them enrol first.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const { generateTotpSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const { auditChange } = require('./audit');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'login-2fa';
+const CHALLENGE_TTL = '10m';
+
+// Steps of a login challenge: enter a code, or enrol before the first session
+const CHALLENGE_STEPS = ['verify', 'setup'];
+
+function hashRecoveryCode(code) {
+  const clean = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+/**
+ * 10 hexadecimal characters, shown as xxxxx-xxxxx
+ */
+function generateRecoveryCode() {
+  return crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-');
+}
+
+/**
+ * Whether accounts of a role must use a second factor
+ *
+ * @param {string} role - Role code
+ * @returns {boolean}
+ */
+function isTwoFactorRequired(role) {
+  return config.totpRequiredRoles.includes(role);
+}
+
+/**
+ * Token proving the password of a user was right, for the second step of
+ * the login
+ *
+ * @param {Object} user - User row
+ * @param {string} step - 'verify' (enter a code) or 'setup' (enrol first)
+ * @returns {string} JWT
+ */
+function signLoginChallenge(user, step) {
+  return jwt.sign({ purpose: CHALLENGE_PURPOSE, userId: user.id, step }, config.jwtSecret, {
+    expiresIn: CHALLENGE_TTL
+  });
+}
+
+/**
+ * User of a login challenge
+ *
+ * @param {string} token - Challenge token returned by POST /api/auth/login
+ * @param {string} step - Step the token must have been issued for
+ * @returns {Promise<Object>} User row
+ * @throws {Error} 401 httpError for an invalid or expired challenge
+ */
+async function verifyLoginChallenge(token, step) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), config.jwtSecret);
+  } catch (err) {
+    throw httpError(401, 'Vérification expirée, reconnectez-vous');
+  }
+  if (decoded.purpose !== CHALLENGE_PURPOSE || !CHALLENGE_STEPS.includes(step) || decoded.step !== step) {
+    throw httpError(401, 'Jeton de vérification invalide');
+  }
+
+  const user = await database.get('SELECT * FROM users WHERE id = ?', [decoded.userId]);
+  if (!user || user.disabled_at) {
+    throw httpError(401, 'Jeton de vérification invalide');
+  }
+  // The account changed since the password was checked
+  if ((step === 'verify') !== !!user.totp_enabled_at) {
+    throw httpError(401, 'Vérification expirée, reconnectez-vous');
+  }
+  return user;
+}
+
+/**
+ * Second factor of an account and the recovery codes it has left
+ *
+ * @param {Object} user - User row (id, role, totp_enabled_at)
+ * @returns {Promise<{enabled: boolean, required: boolean, enabledAt: string|null, recoveryCodesLeft: number}>}
+ */
+async function getTwoFactorStatus(user) {
+  const { count } = await database.get(
+    'SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [user.id]
+  );
+  return {
+    enabled: !!user.totp_enabled_at,
+    required: isTwoFactorRequired(user.role),
+    enabledAt: user.totp_enabled_at || null,
+    recoveryCodesLeft: count
+  };
+}
+
+/**
+ * Start enrolment: a new secret replaces any enrolment not confirmed yet
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ * @throws {Error} 400 httpError if the second factor is already enabled
+ */
+async function startTwoFactorSetup(userId) {
+  const user = await database.get('SELECT id, email, totp_enabled_at FROM users WHERE id = ?', [userId]);
+  if (!user) {
+    throw httpError(404, 'Utilisateur non trouvé');
+  }
+  if (user.totp_enabled_at) {
+    throw httpError(400, 'La double authentification est déjà activée');
+  }
+
+  const secret = generateTotpSecret();
+  await database.run('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [secret, user.id]);
+  return { secret, otpauthUri: otpauthUri(secret, user.email, config.totpIssuer) };
+}
+
+/**
+ * Replace the recovery codes of a user
+ * Runs inside the caller's transaction.
+ *
+ * @returns {Promise<string[]>} The new codes, shown once
+ */
+async function storeRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await database.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await database.run(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+}
+
+/**
+ * Finish enrolment with a first code from the authenticator app
+ *
+ * @param {number} userId - User ID
+ * @param {string} code - Current code of the app
+ * @param {Object} context - { actorId, ip }
+ * @returns {Promise<string[]>} Recovery codes, shown once
+ * @throws {Error} 400 httpError without enrolment in progress or for a wrong code
+ */
+async function enableTwoFactor(userId, code, context) {
+  return database.transaction(async () => {
+    const user = await database.get('SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = ?', [userId]);
+    if (!user || user.totp_enabled_at) {
+      throw httpError(400, 'La double authentification est déjà activée');
+    }
+    if (!user.totp_secret) {
+      throw httpError(400, 'Aucune configuration en cours, recommencez l\'activation');
+    }
+    const step = verifyTotp(user.totp_secret, code);
+    if (step === null) {
+      throw httpError(400, 'Code de vérification incorrect');
+    }
+
+    await auditChange('user', user.id, 'two_factor_enable', context, () => database.run(
+      `UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = ?,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [step, user.id]
+    ));
+    return storeRecoveryCodes(user.id);
+  });
+}
+
+/**
+ * Check the second factor given at login
+ * A code is accepted once (a later step than the last one accepted); a
+ * recovery code is used up.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} factor
+ * @param {string} factor.code - Code of the authenticator app
+ * @param {string} factor.recoveryCode - Or one of the recovery codes
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  if (recoveryCode) {
+    const { changes } = await database.run(
+      `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, hashRecoveryCode(recoveryCode)]
+    );
+    return changes === 1;
+  }
+
+  const user = await database.get(
+    'SELECT totp_secret, totp_last_step FROM users WHERE id = ? AND totp_enabled_at IS NOT NULL',
+    [userId]
+  );
+  if (!user) return false;
+
+  const step = verifyTotp(user.totp_secret, code, { afterStep: user.totp_last_step ?? -1 });
+  if (step === null) return false;
+
+  // Only one request may use a given code
+  const { changes } = await database.run(
+    'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, userId, step]
+  );
+  return changes === 1;
+}
+
+/**
+ * Turn the second factor off, with the password and a current code
+ *
+ * @param {number} userId - User ID
+ * @param {string} password - Password of the account
+ * @param {string} code - Code of the authenticator app or a recovery code
+ * @param {Object} context - { actorId, ip }
+ * @throws {Error} 400 httpError when required for the role, not enabled, or for wrong credentials
+ */
+async function disableTwoFactor(userId, password, code, context) {
+  const user = await database.get('SELECT id, role, password, totp_enabled_at FROM users WHERE id = ?', [userId]);
+  if (!user || !user.totp_enabled_at) {
+    throw httpError(400, 'La double authentification n\'est pas activée');
+  }
+  if (isTwoFactorRequired(user.role)) {
+    throw httpError(400, 'La double authentification est obligatoire pour votre rôle');
+  }
+  if (!await bcrypt.compare(String(password || ''), user.password)) {
+    throw httpError(400, 'Mot de passe incorrect');
+  }
+  const valid = /^\d+$/.test(String(code || '').trim())
+    ? await verifySecondFactor(user.id, { code })
+    : await verifySecondFactor(user.id, { recoveryCode: code });
+  if (!valid) {
+    throw httpError(400, 'Code de vérification incorrect');
+  }
+
+  await database.transaction(async () => {
+    await auditChange('user', user.id, 'two_factor_disable', context, () => database.run(
+      `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [user.id]
+    ));
+    await database.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [user.id]);
+  });
+}
+
+/**
+ * Replace the recovery codes, the old ones stop working
+ *
+ * @param {number} userId - User ID
+ * @param {string} code - Current code of the authenticator app
+ * @returns {Promise<string[]>} The new codes, shown once
+ * @throws {Error} 400 httpError when not enabled or for a wrong code
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  const user = await database.get('SELECT id, totp_enabled_at FROM users WHERE id = ?', [userId]);
+  if (!user || !user.totp_enabled_at) {
+    throw httpError(400, 'La double authentification n\'est pas activée');
+  }
+  if (!await verifySecondFactor(user.id, { code })) {
+    throw httpError(400, 'Code de vérification incorrect');
+  }
+  return database.transaction(() => storeRecoveryCodes(user.id));
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  signLoginChallenge,
+  verifyLoginChallenge,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
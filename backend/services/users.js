@@ -0,0 +1,449 @@
+/**
+ * User Service - Account administration
+ *
+ * Admins create accounts, change roles and assigned provinces, disable and
+ * re-enable accounts, unlock accounts locked after failed logins, reset
+ * passwords and second factors. A password reset replaces the password with a temporary one the
+ * admin hands over; like disabling an account, it closes every session of
+ * the user. There must always remain at least one enabled admin.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const { USER_ROLES, findUserRole } = require('../utils/userRoles');
+const { isProvinceCode } = require('../utils/provinces');
+const { auditChange, recordAudit } = require('./audit');
+const { revokeUserSessions } = require('./sessions');
+
+const MAX_REASON_LENGTH = 1000;
+
+// Columns returned to clients: never the password hash
+const USER_COLUMNS = [
+  'id', 'username', 'email', 'role', 'created_at', 'updated_at',
+  'disabled_at', 'disabled_by', 'disabled_reason', 'password_changed_at', 'must_change_password',
+  'failed_login_count', 'locked_until', 'totp_enabled_at'
+];
+
+// Assigned provinces, comma-separated; withProvinces() turns them into an array
+const PROVINCES_SELECT = `(SELECT group_concat(up.province_code) FROM user_provinces up
+  WHERE up.user_id = u.id) AS province_codes`;
+
+/**
+ * Random password handed to the user by the admin, to be changed
+ * (12 characters, URL-safe)
+ */
+function generateTemporaryPassword() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * bcrypt hash of a password, as stored in users.password
+ */
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
+
+/**
+ * User row with its assigned provinces as `provinces`, sorted by code
+ */
+function withProvinces({ province_codes: provinceCodes, ...user }) {
+  return { ...user, provinces: provinceCodes ? provinceCodes.split(',').sort() : [] };
+}
+
+/**
+ * Validated, sorted list of province codes without duplicates
+ *
+ * @throws {Error} 400 httpError for anything but an array of province codes
+ */
+function normalizeProvinces(provinceCodes) {
+  if (!Array.isArray(provinceCodes) || !provinceCodes.every(isProvinceCode)) {
+    throw httpError(400, 'Liste de provinces invalide');
+  }
+  return [...new Set(provinceCodes)].sort();
+}
+
+async function findUser(userId) {
+  const user = await database.get(
+    `SELECT ${USER_COLUMNS.map(column => `u.${column}`).join(', ')}, ${PROVINCES_SELECT},
+            du.username AS disabled_by_username
+     FROM users u LEFT JOIN users du ON du.id = u.disabled_by
+     WHERE u.id = ?`,
+    [userId]
+  );
+  if (!user) {
+    throw httpError(404, 'Utilisateur non trouvé');
+  }
+  return withProvinces(user);
+}
+
+/**
+ * An admin may not lock themselves out, and the last enabled admin may not
+ * be demoted or disabled
+ */
+async function assertAdminRemains(user, context, message) {
+  if (user.id === context.actorId) {
+    throw httpError(400, message);
+  }
+  if (user.role !== 'admin' || user.disabled_at) return;
+
+  const { count } = await database.get(
+    'SELECT COUNT(*) AS count FROM users WHERE role = \'admin\' AND disabled_at IS NULL AND id != ?',
+    [user.id]
+  );
+  if (count === 0) {
+    throw httpError(400, 'Il doit rester au moins un administrateur actif');
+  }
+}
+
+/**
+ * List accounts, alphabetically
+ *
+ * @param {Object} filters
+ * @param {string} filters.search - Part of the username or email
+ * @param {string} filters.role - Role code
+ * @param {string} filters.status - 'active' or 'disabled'
+ * @param {number} filters.page - Page number (default 1)
+ * @param {number} filters.limit - Users per page (default 20, max 100)
+ * @returns {Promise<{users: Array, pagination: Object}>}
+ */
+async function listUsers({ search = '', role = '', status = '', page = 1, limit = 20 } = {}) {
+  const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    conditions.push('(u.username LIKE ? OR u.email LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`);
+  }
+  if (role) {
+    conditions.push('u.role = ?');
+    params.push(role);
+  }
+  if (status === 'active') {
+    conditions.push('u.disabled_at IS NULL');
+  } else if (status === 'disabled') {
+    conditions.push('u.disabled_at IS NOT NULL');
+  }
+
+  const whereClause = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const { total } = await database.get(`SELECT COUNT(*) AS total FROM users u${whereClause}`, params);
+  const users = await database.all(
+    `SELECT ${USER_COLUMNS.map(column => `u.${column}`).join(', ')}, ${PROVINCES_SELECT},
+            du.username AS disabled_by_username
+     FROM users u LEFT JOIN users du ON du.id = u.disabled_by${whereClause}
+     ORDER BY u.username COLLATE NOCASE
+     LIMIT ? OFFSET ?`,
+    [...params, pageSize, (currentPage - 1) * pageSize]
+  );
+
+  return {
+    users: users.map(withProvinces),
+    pagination: {
+      page: currentPage,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+/**
+ * Roles that can be given, each with the permissions it grants
+ *
+ * @returns {Promise<Array>} [{ code, label, permissions: [code] }]
+ */
+async function listRoles() {
+  const grants = await database.all('SELECT role, permission FROM role_permissions');
+  return USER_ROLES.map(role => ({
+    ...role,
+    permissions: grants.filter(grant => grant.role === role.code).map(grant => grant.permission)
+  }));
+}
+
+/**
+ * Create an account
+ * Without a password, a temporary one is generated. Either way the user
+ * is asked to change it, since the admin knows it.
+ *
+ * @param {Object} fields - { username, email, password, role, provinces }
+ *   (provinces: codes of the provinces the user works in)
+ * @param {Object} context - { actorId, ip } (see auditContext)
+ * @returns {Promise<{user: Object, temporaryPassword: string|null}>}
+ *   temporaryPassword is only set when it was generated
+ * @throws {Error} 400 httpError for an unknown role or province, or a
+ *   taken username/email
+ */
+async function createUser({ username, email, password, role = 'agent', provinces = [] }, context) {
+  if (!findUserRole(role)) {
+    throw httpError(400, `Rôle invalide (choix: ${USER_ROLES.map(r => r.code).join(', ')})`);
+  }
+  const provinceCodes = normalizeProvinces(provinces);
+
+  const temporaryPassword = password ? null : generateTemporaryPassword();
+  const hashedPassword = await hashPassword(password || temporaryPassword);
+
+  const userId = await database.transaction(async () => {
+    const existing = await database.get(
+      'SELECT id FROM users WHERE email = ? OR username = ?',
+      [email, username]
+    );
+    if (existing) {
+      throw httpError(400, 'Ce nom d\'utilisateur ou cet email est déjà utilisé');
+    }
+
+    const inserted = await database.run(
+      'INSERT INTO users (username, email, password, role, must_change_password) VALUES (?, ?, ?, ?, 1)',
+      [username, email, hashedPassword, role]
+    );
+    for (const provinceCode of provinceCodes) {
+      await database.run(
+        'INSERT INTO user_provinces (user_id, province_code) VALUES (?, ?)',
+        [inserted.lastID, provinceCode]
+      );
+    }
+    await recordAudit({
+      entityType: 'user',
+      entityId: inserted.lastID,
+      action: 'create',
+      after: await database.get('SELECT * FROM users WHERE id = ?', [inserted.lastID])
+    }, context);
+    return inserted.lastID;
+  });
+
+  return { user: await findUser(userId), temporaryPassword };
+}
+
+/**
+ * Give an account another role
+ *
+ * @param {number} userId - User ID
+ * @param {string} role - Role code
+ * @param {Object} context - { actorId, ip }
+ * @returns {Promise<Object>} The updated user
+ * @throws {Error} 400/404 httpError
+ */
+async function changeUserRole(userId, role, context) {
+  if (!findUserRole(role)) {
+    throw httpError(400, `Rôle invalide (choix: ${USER_ROLES.map(r => r.code).join(', ')})`);
+  }
+
+  await database.transaction(async () => {
+    const user = await findUser(userId);
+    if (user.role === role) return;
+    await assertAdminRemains(user, context, 'Vous ne pouvez pas changer votre propre rôle');
+
+    await auditChange('user', user.id, 'role_change', context, () => database.run(
+      'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [role, user.id]
+    ));
+  });
+
+  return findUser(userId);
+}
+
+/**
+ * Replace the provinces assigned to an account
+ * Takes effect on the user's next request. Roles with plaque:national see
+ * every province whatever is assigned.
+ *
+ * @param {number} userId - User ID
+ * @param {string[]} provinces - Province codes (empty: no province)
+ * @param {Object} context - { actorId, ip }
+ * @returns {Promise<Object>} The updated user
+ * @throws {Error} 400/404 httpError
+ */
+async function changeUserProvinces(userId, provinces, context) {
+  const provinceCodes = normalizeProvinces(provinces);
+
+  await database.transaction(async () => {
+    const user = await findUser(userId);
+    if (user.provinces.join(',') === provinceCodes.join(',')) return;
+
+    await database.run('DELETE FROM user_provinces WHERE user_id = ?', [user.id]);
+    for (const provinceCode of provinceCodes) {
+      await database.run(
+        'INSERT INTO user_provinces (user_id, province_code) VALUES (?, ?)',
+        [user.id, provinceCode]
+      );
+    }
+    await recordAudit({
+      entityType: 'user',
+      entityId: user.id,
+      action: 'jurisdiction_change',
+      before: { provinces: user.provinces.join(', ') || null },
+      after: { provinces: provinceCodes.join(', ') || null }
+    }, context);
+  });
+
+  return findUser(userId);
+}
+
+/**
+ * Disable an account: it can no longer log in and its tokens are refused
+ *
+ * @param {number} userId - User ID
+ * @param {string} reason - Why the account is disabled
+ * @param {Object} context - { actorId, ip }
+ * @returns {Promise<Object>} The updated user
+ * @throws {Error} 400/404 httpError
+ */
+async function disableUser(userId, reason, context) {
+  const cleanReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!cleanReason) {
+    throw httpError(400, 'Le motif de la désactivation est requis');
+  }
+  if (cleanReason.length > MAX_REASON_LENGTH) {
+    throw httpError(400, `Le motif ne peut pas dépasser ${MAX_REASON_LENGTH} caractères`);
+  }
+
+  await database.transaction(async () => {
+    const user = await findUser(userId);
+    if (user.disabled_at) {
+      throw httpError(400, 'Ce compte est déjà désactivé');
+    }
+    await assertAdminRemains(user, context, 'Vous ne pouvez pas désactiver votre propre compte');
+
+    await auditChange('user', user.id, 'disable', context, () => database.run(
+      `UPDATE users SET disabled_at = CURRENT_TIMESTAMP, disabled_by = ?, disabled_reason = ?,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [context.actorId, cleanReason, user.id]
+    ));
+    await revokeUserSessions(user.id);
+  });
+
+  return findUser(userId);
+}
+
+/**
+ * Re-enable a disabled account
+ *
+ * @param {number} userId - User ID
+ * @param {Object} context - { actorId, ip }
+ * @returns {Promise<Object>} The updated user
+ * @throws {Error} 400/404 httpError
+ */
+async function enableUser(userId, context) {
+  await database.transaction(async () => {
+    const user = await findUser(userId);
+    if (!user.disabled_at) {
+      throw httpError(400, 'Ce compte n\'est pas désactivé');
+    }
+
+    await auditChange('user', user.id, 'enable', context, () => database.run(
+      `UPDATE users SET disabled_at = NULL, disabled_by = NULL, disabled_reason = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [user.id]
+    ));
+  });
+
+  return findUser(userId);
+}
+
+/**
+ * Lift the lockout of an account after failed logins
+ * The next lockout starts again from the shortest duration.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} context - { actorId, ip }
+ * @returns {Promise<Object>} The updated user
+ * @throws {Error} 400/404 httpError
+ */
+async function unlockUser(userId, context) {
+  await database.transaction(async () => {
+    const user = await findUser(userId);
+    const { locked } = await database.get(
+      'SELECT locked_until > CURRENT_TIMESTAMP AS locked FROM users WHERE id = ?',
+      [user.id]
+    );
+    if (!locked) {
+      throw httpError(400, 'Ce compte n\'est pas verrouillé');
+    }
+
+    await auditChange('user', user.id, 'unlock', context, () => database.run(
+      `UPDATE users SET locked_until = NULL, failed_login_count = 0, lockout_count = 0,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [user.id]
+    ));
+  });
+
+  return findUser(userId);
+}
+
+/**
+ * Replace the password of an account with a temporary one
+ * Existing sessions of the user end; they must change the password after
+ * logging in with the temporary one.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} context - { actorId, ip }
+ * @returns {Promise<{user: Object, temporaryPassword: string}>}
+ * @throws {Error} 404 httpError
+ */
+async function resetUserPassword(userId, context) {
+  const temporaryPassword = generateTemporaryPassword();
+  const hashedPassword = await hashPassword(temporaryPassword);
+
+  await database.transaction(async () => {
+    const user = await findUser(userId);
+
+    await auditChange('user', user.id, 'password_reset', context, () => database.run(
+      `UPDATE users SET password = ?, must_change_password = 1, password_changed_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [hashedPassword, user.id]
+    ));
+    await revokeUserSessions(user.id);
+  });
+
+  return { user: await findUser(userId), temporaryPassword };
+}
+
+/**
+ * Remove the second factor of a user who lost their authenticator and
+ * recovery codes
+ * They log in with their password alone, or enrol again at their next
+ * login when their role requires a second factor.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} context - { actorId, ip }
+ * @returns {Promise<Object>} The updated user
+ * @throws {Error} 400/404 httpError
+ */
+async function resetUserTwoFactor(userId, context) {
+  await database.transaction(async () => {
+    const user = await findUser(userId);
+    if (!user.totp_enabled_at) {
+      throw httpError(400, 'La double authentification n\'est pas activée pour ce compte');
+    }
+
+    await auditChange('user', user.id, 'two_factor_reset', context, () => database.run(
+      `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [user.id]
+    ));
+    await database.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [user.id]);
+  });
+
+  return findUser(userId);
+}
+
+module.exports = {
+  hashPassword,
+  listUsers,
+  listRoles,
+  createUser,
+  changeUserRole,
+  changeUserProvinces,
+  disableUser,
+  enableUser,
+  unlockUser,
+  resetUserPassword,
+  resetUserTwoFactor
+};
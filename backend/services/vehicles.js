@@ -0,0 +1,158 @@
+/**
+ * Vehicle Service - Vehicle persistence shared by the vehicle and plaque routes
+ *
+ * A vehicle carries at most one plate: linking a vehicle that already
+ * belongs to another plaque is rejected, as is a duplicate VIN. Every
+ * creation and update is audited; call the writes inside a transaction.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const database = require('../database/database');
+const httpError = require('../utils/httpError');
+const { recordAudit, auditChange } = require('./audit');
+const { extractVehicleFields, validateVehicle } = require('../utils/vehicleFields');
+
+/**
+ * Find a vehicle by normalised VIN
+ * @param {string} vin - Normalised VIN
+ * @param {number|null} excludeId - Vehicle ID to ignore (the one being updated)
+ */
+function findVehicleByVin(vin, excludeId = null) {
+  return database.get(
+    'SELECT * FROM vehicles WHERE vin = ? AND id != ?',
+    [vin, excludeId || 0]
+  );
+}
+
+/**
+ * Find the plaque a vehicle is linked to, other than `plaqueId`
+ */
+function findLinkedPlaque(vehicleId, plaqueId = null) {
+  return database.get(
+    'SELECT id, plate_number FROM plaques WHERE vehicle_id = ? AND id != ?',
+    [vehicleId, plaqueId || 0]
+  );
+}
+
+/**
+ * Store a new vehicle and audit its creation
+ *
+ * @param {Object} columns - Vehicle columns (see prepareVehicle)
+ * @param {Object} context - { actorId, ip } (see auditContext)
+ * @returns {Promise<number>} Vehicle ID
+ */
+async function createVehicle(columns, context) {
+  const names = Object.keys(columns);
+  const result = await database.run(
+    `INSERT INTO vehicles (${names.join(', ')}, created_by) VALUES (${names.map(() => '?').join(', ')}, ?)`,
+    [...Object.values(columns), context.actorId]
+  );
+  await recordAudit({
+    entityType: 'vehicle',
+    entityId: result.lastID,
+    action: 'create',
+    after: await database.get('SELECT * FROM vehicles WHERE id = ?', [result.lastID])
+  }, context);
+  return result.lastID;
+}
+
+/**
+ * Update a vehicle and audit the changed fields
+ *
+ * @param {number} id - Vehicle ID
+ * @param {Object} columns - Vehicle columns (see prepareVehicle)
+ * @param {Object} context - { actorId, ip } (see auditContext)
+ */
+function updateVehicle(id, columns, context) {
+  const assignments = Object.keys(columns).map(column => `${column} = ?`).join(', ');
+  return auditChange('vehicle', id, 'update', context, () => database.run(
+    `UPDATE vehicles SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...Object.values(columns), id]
+  ));
+}
+
+/**
+ * Validate a vehicle body and ensure its VIN is not taken by another vehicle
+ *
+ * @param {Object} body - Vehicle fields (camelCase)
+ * @param {number|null} vehicleId - ID of the vehicle being updated
+ * @returns {Promise<Object>} Vehicle columns ready to store
+ * @throws {Error} 400 httpError on invalid data or duplicate VIN
+ */
+async function prepareVehicle(body, vehicleId = null) {
+  const columns = extractVehicleFields(body);
+  const validationError = validateVehicle(columns);
+  if (validationError) {
+    throw httpError(400, validationError);
+  }
+
+  const duplicate = await findVehicleByVin(columns.vin, vehicleId);
+  if (duplicate && vehicleId) {
+    throw httpError(400, 'Ce numéro de châssis (VIN) existe déjà');
+  }
+
+  return { columns, duplicate };
+}
+
+/**
+ * Resolve which vehicle a plaque should be linked to
+ *
+ * - `vehicleId` links an existing vehicle as-is
+ * - `vehicle` creates the vehicle, or updates the plaque's current vehicle
+ *   (or an unlinked vehicle with the same VIN)
+ * - neither keeps the current link
+ *
+ * Call inside a transaction together with the plaque write.
+ *
+ * @param {Object} input - { vehicleId, vehicle } from the request body
+ * @param {Object} options - { plaqueId, currentVehicleId, context }, context
+ *   being the { actorId, ip } audit context
+ * @returns {Promise<number|null>} Vehicle ID to store on the plaque
+ */
+async function resolvePlaqueVehicle({ vehicleId, vehicle }, { plaqueId = null, currentVehicleId = null, context }) {
+  if (vehicleId) {
+    const existing = await database.get('SELECT id FROM vehicles WHERE id = ?', [vehicleId]);
+    if (!existing) {
+      throw httpError(400, 'Véhicule introuvable');
+    }
+    const linked = await findLinkedPlaque(vehicleId, plaqueId);
+    if (linked) {
+      throw httpError(400, `Ce véhicule est déjà associé à la plaque ${linked.plate_number}`);
+    }
+    return existing.id;
+  }
+
+  if (!vehicle) {
+    return currentVehicleId;
+  }
+
+  if (currentVehicleId) {
+    const { columns } = await prepareVehicle(vehicle, currentVehicleId);
+    await updateVehicle(currentVehicleId, columns, context);
+    return currentVehicleId;
+  }
+
+  const { columns, duplicate } = await prepareVehicle(vehicle);
+  if (duplicate) {
+    const linked = await findLinkedPlaque(duplicate.id, plaqueId);
+    if (linked) {
+      throw httpError(400, `Ce numéro de châssis (VIN) est déjà associé à la plaque ${linked.plate_number}`);
+    }
+    await updateVehicle(duplicate.id, columns, context);
+    return duplicate.id;
+  }
+
+  return createVehicle(columns, context);
+}
+
+module.exports = {
+  findVehicleByVin,
+  findLinkedPlaque,
+  createVehicle,
+  updateVehicle,
+  prepareVehicle,
+  resolvePlaqueVehicle
+};
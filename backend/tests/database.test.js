@@ -0,0 +1,82 @@
+/**
+ * Database transactions: a rollback only undoes the work of its own
+ * transaction, never the writes made meanwhile outside it
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase({ migrate: false });
+
+async function notes() {
+  const rows = await database.all('SELECT label FROM notes ORDER BY label');
+  return rows.map(row => row.label);
+}
+
+beforeAll(() => database.run('CREATE TABLE notes (label TEXT NOT NULL)'));
+
+beforeEach(() => database.run('DELETE FROM notes'));
+
+describe('transaction', () => {
+  test('commits the work and resolves to its result', async () => {
+    const result = await database.transaction(async () => {
+      await database.run('INSERT INTO notes (label) VALUES (?)', ['inside']);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(await notes()).toEqual(['inside']);
+  });
+
+  test('rolls back the work when it throws', async () => {
+    await expect(database.transaction(async () => {
+      await database.run('INSERT INTO notes (label) VALUES (?)', ['inside']);
+      throw new Error('failed');
+    })).rejects.toThrow('failed');
+
+    expect(await notes()).toEqual([]);
+  });
+
+  test('a rollback keeps the writes made outside the transaction meanwhile', async () => {
+    let began;
+    const inserted = new Promise(resolve => { began = resolve; });
+    const transaction = database.transaction(async () => {
+      await database.run('INSERT INTO notes (label) VALUES (?)', ['inside']);
+      began();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      throw new Error('failed');
+    });
+
+    await inserted;
+    // Waits for the transaction's lock, then lands after the rollback
+    await database.run('INSERT INTO notes (label) VALUES (?)', ['outside']);
+    await expect(transaction).rejects.toThrow('failed');
+
+    expect(await notes()).toEqual(['outside']);
+  });
+
+  test('a nested transaction joins the outer one', async () => {
+    await expect(database.transaction(async () => {
+      await database.transaction(() => database.run('INSERT INTO notes (label) VALUES (?)', ['nested']));
+      throw new Error('failed');
+    })).rejects.toThrow('failed');
+
+    expect(await notes()).toEqual([]);
+  });
+
+  test('queued transactions run one after the other', async () => {
+    const order = [];
+    await Promise.all(['first', 'second'].map(label => database.transaction(async () => {
+      order.push(`begin ${label}`);
+      await database.run('INSERT INTO notes (label) VALUES (?)', [label]);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      order.push(`end ${label}`);
+    })));
+
+    expect(order).toEqual(['begin first', 'end first', 'begin second', 'end second']);
+    expect(await notes()).toEqual(['first', 'second']);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Geography reference lists served to the frontend
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+useTestDatabase();
+const { login, as } = require('./helpers/api');
+const { PROVINCES } = require('../utils/provinces');
+
+describe('GET /api/geo/provinces', () => {
+  test('serves the provinces of utils/provinces.js', async () => {
+    const res = await as(await login()).get('/api/geo/provinces');
+
+    expect(res.status).toBe(200);
+    expect(res.body.provinces).toEqual(PROVINCES);
+  });
+});
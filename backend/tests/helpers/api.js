@@ -0,0 +1,84 @@
+/**
+ * Test API - Supertest shortcuts for suites that call the HTTP routes
+ *
+ * Require it after useTestDatabase() (see ./db.js): it loads server.js,
+ * hence config.js.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+
+const ADMIN = { email: 'admin@example.com', password: 'password' };
+
+/**
+ * Log in and return the access token
+ *
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function login(email = ADMIN.email, password = ADMIN.password) {
+  const res = await request(app).post('/api/auth/login').send({ email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login of ${email} failed with ${res.status}: ${res.body.message}`);
+  }
+  return res.body.token;
+}
+
+/**
+ * Requests authenticated with a token: as(token).get('/api/plaques')
+ *
+ * @param {string} token - Access token
+ */
+function as(token) {
+  const authenticated = (method) => (url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  return {
+    get: authenticated('get'),
+    post: authenticated('post'),
+    put: authenticated('put'),
+    delete: authenticated('delete')
+  };
+}
+
+/**
+ * Create an account through POST /api/users and log it in
+ *
+ * @param {string} adminToken - Token of a user:manage account
+ * @param {Object} account - { username, email, password, role, provinces }
+ * @returns {Promise<{id: number, token: string}>}
+ */
+async function createAccount(adminToken, account) {
+  const res = await as(adminToken).post('/api/users').send(account);
+  if (res.status !== 201) {
+    throw new Error(`Creation of ${account.email} failed with ${res.status}: ${res.body.message}`);
+  }
+  return { id: res.body.user.id, token: await login(account.email, account.password) };
+}
+
+/**
+ * Reserve a plate number of a province and register it
+ *
+ * @param {string} token - Token of a plaque:create account
+ * @param {string} provinceCode - Province of the plate number
+ * @param {Object} fields - Other fields of POST /api/plaques
+ * @returns {Promise<Object>} The created plaque
+ */
+async function registerPlaque(token, provinceCode, fields = {}) {
+  const reservation = await as(token).post('/api/plaques/reservations').send({ provinceCode });
+  const res = await as(token).post('/api/plaques').send({
+    plateNumber: reservation.body.reservation.plateNumber,
+    ownerName: `Propriétaire ${provinceCode}`,
+    ownerEmail: `owner${provinceCode}@example.com`,
+    ...fields
+  });
+  if (res.status !== 201) {
+    throw new Error(`Registration failed with ${res.status}: ${res.body.message}`);
+  }
+  return res.body.plaque;
+}
+
+module.exports = { app, request, login, as, createAccount, registerPlaque };
@@ -0,0 +1,45 @@
+/**
+ * Test Database - A throwaway SQLite file for each test suite
+ *
+ * Call useTestDatabase() at the top of a suite, before requiring anything
+ * that loads config.js: it points DB_PATH at a file of a fresh temp
+ * directory, connects (and migrates) before the suite's tests and removes
+ * the file after them. The console logs of the connection, the migrations
+ * and the request logger are muted meanwhile. database.sqlite is never
+ * touched.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.migrate - Apply the migrations on connect (default: true)
+ * @returns {Database} The database singleton, connected during the suite
+ */
+function useTestDatabase({ migrate = true } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plaque-test-'));
+  process.env.DB_PATH = path.join(dir, 'database.sqlite');
+
+  const database = require('../../database/database');
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.connect({ migrate });
+  });
+
+  afterAll(async () => {
+    await database.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  return database;
+}
+
+module.exports = { useTestDatabase };
@@ -0,0 +1,131 @@
+/**
+ * Jurisdictions over HTTP: a provincial agent gets 404 for the plaques and
+ * vehicles of other provinces, and 403 when asking for such a province
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const { login, as, createAccount, registerPlaque } = require('./helpers/api');
+
+let adminToken;
+let agentToken;
+const plaques = {};
+
+beforeAll(async () => {
+  adminToken = await login();
+  ({ token: agentToken } = await createAccount(adminToken, {
+    username: 'agent01',
+    email: 'agent01@example.com',
+    password: 'secret01',
+    role: 'agent',
+    provinces: ['01']
+  }));
+
+  plaques.kinshasa = await registerPlaque(adminToken, '01', {
+    vehicle: { vin: 'JT2BF22K1W0000001', make: 'Toyota', model: 'Hilux', year: 2020 }
+  });
+  plaques.kongo = await registerPlaque(adminToken, '10', {
+    vehicle: { vin: 'JT2BF22K1W0000010', make: 'Toyota', model: 'Hilux', year: 2020 }
+  });
+});
+
+describe('plaques of another province', () => {
+  test('are left out of the list', async () => {
+    const res = await as(agentToken).get('/api/plaques');
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaques.map(p => p.id)).toEqual([plaques.kinshasa.id]);
+  });
+
+  test('answer 404 by ID, as if they did not exist', async () => {
+    expect((await as(agentToken).get(`/api/plaques/${plaques.kinshasa.id}`)).status).toBe(200);
+
+    const res = await as(agentToken).get(`/api/plaques/${plaques.kongo.id}`);
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Plaque non trouvée');
+  });
+
+  test('answer 404 by plate number', async () => {
+    const res = await as(agentToken).get(`/api/plaques/plate/${plaques.kongo.plate_number}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('answer 404 to updates and leave the plaque untouched', async () => {
+    const res = await as(agentToken).put(`/api/plaques/${plaques.kongo.id}`).send({
+      plateNumber: plaques.kongo.plate_number,
+      ownerName: plaques.kongo.owner_name,
+      ownerEmail: 'changed@example.com'
+    });
+
+    expect(res.status).toBe(404);
+    const row = await database.get('SELECT owner_email FROM plaques WHERE id = ?', [plaques.kongo.id]);
+    expect(row.owner_email).toBe('owner10@example.com');
+  });
+
+  test('answer 404 to the history and the certificate', async () => {
+    expect((await as(agentToken).get(`/api/plaques/${plaques.kongo.id}/history`)).status).toBe(404);
+    expect((await as(agentToken).get(`/api/plaques/${plaques.kongo.id}/certificate.pdf`)).status).toBe(404);
+  });
+});
+
+describe('provinces outside the jurisdiction', () => {
+  test('cannot be reserved from', async () => {
+    const res = await as(agentToken).post('/api/plaques/reservations').send({ provinceCode: '10' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('La province Kongo-Central ne fait pas partie de votre juridiction');
+  });
+
+  test('cannot be chosen as the list scope', async () => {
+    const res = await as(agentToken).get('/api/plaques').set('X-Province-Scope', '10');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('an unknown scope is refused with 400', async () => {
+    const res = await as(agentToken).get('/api/plaques').set('X-Province-Scope', '99');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('vehicles of plaques of another province', () => {
+  test('are left out of the list', async () => {
+    const res = await as(agentToken).get('/api/vehicles');
+
+    expect(res.status).toBe(200);
+    expect(res.body.vehicles.map(v => v.id)).toEqual([plaques.kinshasa.vehicle_id]);
+  });
+
+  test('answer 404 by ID and by VIN', async () => {
+    expect((await as(agentToken).get(`/api/vehicles/${plaques.kinshasa.vehicle_id}`)).status).toBe(200);
+
+    const byId = await as(agentToken).get(`/api/vehicles/${plaques.kongo.vehicle_id}`);
+    const byVin = await as(agentToken).get('/api/vehicles/vin/JT2BF22K1W0000010');
+    expect(byId.status).toBe(404);
+    expect(byId.body.message).toBe('Véhicule non trouvé');
+    expect(byVin.status).toBe(404);
+  });
+
+  test('answer 404 to updates', async () => {
+    const res = await as(agentToken).put(`/api/vehicles/${plaques.kongo.vehicle_id}`).send({
+      vin: 'JT2BF22K1W0000010', make: 'Toyota', model: 'Land Cruiser', year: 2020
+    });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('national access', () => {
+  test('sees every province', async () => {
+    const res = await as(adminToken).get(`/api/plaques/${plaques.kongo.id}`);
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Registration lifecycle: automatic expiry and the status history
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const { login, as, registerPlaque } = require('./helpers/api');
+const { runLifecycle } = require('../services/lifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let adminToken;
+
+beforeAll(async () => {
+  adminToken = await login();
+});
+
+function setExpiry(plaque, date) {
+  return database.run('UPDATE plaques SET expiry_date = ? WHERE id = ?', [date.toISOString(), plaque.id]);
+}
+
+function history(plaque) {
+  return as(adminToken).get(`/api/plaques/${plaque.id}/history`);
+}
+
+describe('runLifecycle', () => {
+  test('expires overdue active plaques only, once', async () => {
+    const now = new Date();
+    const overdue = await registerPlaque(adminToken, '01');
+    await setExpiry(overdue, new Date(now.getTime() - DAY_MS));
+    const current = await registerPlaque(adminToken, '01');
+    await setExpiry(current, new Date(now.getTime() + DAY_MS));
+    const suspended = await registerPlaque(adminToken, '01');
+    await setExpiry(suspended, new Date(now.getTime() - DAY_MS));
+    await as(adminToken).post(`/api/plaques/${suspended.id}/suspend`).send({ reasonCode: 'stolen' });
+    const cancelled = await registerPlaque(adminToken, '01');
+    await setExpiry(cancelled, new Date(now.getTime() - DAY_MS));
+    await as(adminToken).delete(`/api/plaques/${cancelled.id}`).send({ reason: 'Doublon' });
+
+    expect(await runLifecycle(now)).toEqual({ 'expire-overdue': 1 });
+    expect(await runLifecycle(now)).toEqual({ 'expire-overdue': 0 });
+
+    const statuses = await database.all('SELECT id, status FROM plaques ORDER BY id');
+    expect(statuses).toEqual([
+      { id: overdue.id, status: 'expired' },
+      { id: current.id, status: 'active' },
+      { id: suspended.id, status: 'suspended' },
+      { id: cancelled.id, status: 'active' }
+    ]);
+  });
+
+  test('records the expiry in the history and the audit log without a user', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+    await setExpiry(plaque, new Date(Date.now() - DAY_MS));
+
+    await runLifecycle();
+
+    const res = await history(plaque);
+    expect(res.status).toBe(200);
+    expect(res.body.history.map(h => [h.from_status, h.to_status])).toEqual([[null, 'active'], ['active', 'expired']]);
+    expect(res.body.history[1]).toMatchObject({
+      changed_by: null,
+      changed_by_username: null,
+      reason: 'Date d\'expiration dépassée'
+    });
+
+    const audit = await database.get(
+      "SELECT actor_id FROM audit_log WHERE entity_type = 'plaque' AND entity_id = ? AND action = 'status_change'",
+      [plaque.id]
+    );
+    expect(audit).toEqual({ actor_id: null });
+  });
+});
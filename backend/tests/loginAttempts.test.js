@@ -0,0 +1,117 @@
+/**
+ * Login protection: account lockout, its doubling duration and the IP
+ * rate limit, alike for emails with and without an account
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const config = require('../config');
+const { request, app, login, createAccount } = require('./helpers/api');
+
+const ACCOUNT = { username: 'agent01', email: 'agent01@example.com', password: 'secret01', role: 'agent', provinces: ['01'] };
+const UNKNOWN_EMAIL = 'personne@example.com';
+
+function attempt(email, password = 'wrong-password') {
+  return request(app).post('/api/auth/login').send({ email, password });
+}
+
+async function failTimes(email, times) {
+  for (let i = 0; i < times; i++) {
+    const res = await attempt(email);
+    expect(res.status).toBe(400);
+  }
+}
+
+// Lockouts end by themselves; tests move their end to the past instead of waiting
+async function endLockouts() {
+  await database.run("UPDATE users SET locked_until = datetime('now', '-1 second') WHERE locked_until IS NOT NULL");
+  await database.run("UPDATE login_email_lockouts SET locked_until = datetime('now', '-1 second')");
+}
+
+beforeAll(async () => {
+  await createAccount(await login(), ACCOUNT);
+});
+
+beforeEach(() => database.run('DELETE FROM login_attempts'));
+
+describe('account lockout', () => {
+  test('locks an account and an unknown email after the same failures, for the same time', async () => {
+    const lockout = config.loginLockoutMinutes * 60;
+
+    await failTimes(ACCOUNT.email, config.loginMaxFailures);
+    await failTimes(UNKNOWN_EMAIL, config.loginMaxFailures);
+    const account = await attempt(ACCOUNT.email, ACCOUNT.password);
+    const unknown = await attempt(UNKNOWN_EMAIL);
+
+    expect(account.status).toBe(429);
+    expect(unknown.status).toBe(429);
+    expect(Number(account.headers['retry-after'])).toBeGreaterThan(lockout - 5);
+    expect(Number(account.headers['retry-after'])).toBeLessThanOrEqual(lockout);
+    expect(Math.abs(account.headers['retry-after'] - unknown.headers['retry-after'])).toBeLessThanOrEqual(1);
+    expect(unknown.body.message).toBe(account.body.message);
+  });
+
+  test('doubles the next lockout, for unknown emails too', async () => {
+    await endLockouts();
+    const doubled = 2 * config.loginLockoutMinutes * 60;
+
+    await failTimes(ACCOUNT.email, config.loginMaxFailures);
+    await failTimes(UNKNOWN_EMAIL, config.loginMaxFailures);
+    const account = await attempt(ACCOUNT.email);
+    const unknown = await attempt(UNKNOWN_EMAIL);
+
+    expect(Number(account.headers['retry-after'])).toBeGreaterThan(doubled - 5);
+    expect(Number(account.headers['retry-after'])).toBeLessThanOrEqual(doubled);
+    expect(Math.abs(account.headers['retry-after'] - unknown.headers['retry-after'])).toBeLessThanOrEqual(1);
+  });
+
+  test('a successful login after the lockout resets the counters', async () => {
+    await endLockouts();
+
+    expect((await attempt(ACCOUNT.email, ACCOUNT.password)).status).toBe(200);
+
+    const user = await database.get('SELECT failed_login_count, lockout_count FROM users WHERE email = ?', [ACCOUNT.email]);
+    expect(user).toEqual({ failed_login_count: 0, lockout_count: 0 });
+  });
+
+  test('logs every attempt with its reason', async () => {
+    await attempt(ACCOUNT.email);
+    await attempt(UNKNOWN_EMAIL);
+
+    const rows = await database.all('SELECT email, reason, success FROM login_attempts ORDER BY id');
+    expect(rows).toEqual([
+      { email: ACCOUNT.email, reason: 'wrong_password', success: 0 },
+      { email: UNKNOWN_EMAIL, reason: 'unknown_email', success: 0 }
+    ]);
+  });
+});
+
+describe('IP rate limit', () => {
+  const { loginIpMaxFailures } = config;
+
+  beforeAll(() => {
+    config.loginIpMaxFailures = 3;
+  });
+
+  afterAll(() => {
+    config.loginIpMaxFailures = loginIpMaxFailures;
+  });
+
+  test('refuses the address after its failures, whatever the email', async () => {
+    await failTimes('a@example.com', 1);
+    await failTimes('b@example.com', 1);
+    await failTimes('c@example.com', 1);
+
+    const res = await attempt(ACCOUNT.email, ACCOUNT.password);
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    const last = await database.get('SELECT reason FROM login_attempts ORDER BY id DESC LIMIT 1');
+    expect(last.reason).toBe('rate_limited');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Schema migrator: loading migration files and applying them in order
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase({ migrate: false });
+const { MIGRATIONS_DIR, loadMigrations, migrate } = require('../database/migrator');
+
+const tempDirs = [];
+
+function migrationDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plaque-migrations-'));
+  tempDirs.push(dir);
+  Object.entries(files).forEach(([file, source]) => {
+    fs.writeFileSync(path.join(dir, file), source);
+  });
+  return dir;
+}
+
+const UP = 'exports.up = async () => {};';
+
+describe('loadMigrations', () => {
+  afterAll(() => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  test('returns migrations sorted by version and ignores other files', () => {
+    const dir = migrationDir({
+      '010_add_b.js': UP,
+      '002_add_a.js': UP,
+      'README.md': '',
+      'helpers.js': UP
+    });
+
+    const migrations = loadMigrations(dir);
+
+    expect(migrations.map(m => [m.version, m.name, m.file])).toEqual([
+      [2, 'add_a', '002_add_a.js'],
+      [10, 'add_b', '010_add_b.js']
+    ]);
+  });
+
+  test('refuses two files with the same version', () => {
+    const dir = migrationDir({ '003_first.js': UP, '003_second.js': UP });
+
+    expect(() => loadMigrations(dir)).toThrow('Duplicate migration version 3');
+  });
+
+  test('refuses a file without up()', () => {
+    const dir = migrationDir({ '004_broken.js': 'exports.down = async () => {};' });
+
+    expect(() => loadMigrations(dir)).toThrow('Migration 004_broken.js does not export an up() function');
+  });
+
+  test('the shipped migrations have unique, increasing versions', () => {
+    const versions = loadMigrations(MIGRATIONS_DIR).map(m => m.version);
+
+    expect(versions.length).toBeGreaterThan(0);
+    expect(new Set(versions).size).toBe(versions.length);
+  });
+});
+
+describe('migrate', () => {
+  test('stops after the requested version', async () => {
+    const applied = await migrate(database, { to: 2 });
+
+    expect(applied.map(m => m.version)).toEqual([1, 2]);
+  });
+
+  test('applies the remaining migrations once and records them', async () => {
+    const latest = loadMigrations().pop().version;
+
+    const applied = await migrate(database);
+    const rows = await database.all('SELECT version FROM schema_migrations ORDER BY version');
+
+    expect(applied[0].version).toBe(3);
+    expect(applied[applied.length - 1].version).toBe(latest);
+    expect(rows.map(row => row.version)).toEqual(loadMigrations().map(m => m.version));
+    expect(await migrate(database)).toEqual([]);
+  });
+});
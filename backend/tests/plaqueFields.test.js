@@ -0,0 +1,152 @@
+/**
+ * Plaque field mapping: the free-text search and the filters of
+ * GET /api/plaques
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const { buildSearchQuery, buildPlaqueFilter } = require('../utils/plaqueFields');
+
+describe('buildSearchQuery', () => {
+  test('turns each word into a quoted prefix term', () => {
+    expect(buildSearchQuery('Kabila  10-AB')).toBe('"Kabila"* "10-AB"*');
+  });
+
+  test('doubles quotes so they cannot close the term', () => {
+    expect(buildSearchQuery('a"b')).toBe('"a""b"*');
+    expect(buildSearchQuery('"Élodie"')).toBe('"""Élodie"""*');
+  });
+
+  test('keeps FTS5 operators and syntax as plain words', () => {
+    expect(buildSearchQuery('NEAR(x OR y)')).toBe('"NEAR(x"* "OR"* "y)"*');
+    expect(buildSearchQuery('owner_name:Jean')).toBe('"owner_name:Jean"*');
+  });
+
+  test('drops words without a letter or digit', () => {
+    expect(buildSearchQuery('  * - " ^ ')).toBe('');
+    expect(buildSearchQuery('')).toBe('');
+  });
+});
+
+describe('buildPlaqueFilter search', () => {
+  test('lists every active plaque, newest first, without a search', () => {
+    const { from, whereClause, params, orderBy } = buildPlaqueFilter();
+
+    expect(from).not.toContain('plaques_fts');
+    expect(whereClause).toBe(' WHERE p.deleted_at IS NULL');
+    expect(params).toEqual([]);
+    expect(orderBy).toBe('p.created_at DESC');
+  });
+
+  test('matches the search in plaques_fts and ranks by relevance', () => {
+    const { from, whereClause, params, orderBy } = buildPlaqueFilter({ search: 'jean' });
+
+    expect(from).toContain('JOIN plaques_fts ON plaques_fts.rowid = p.id');
+    expect(whereClause).toContain('AND plaques_fts MATCH ?');
+    expect(params).toEqual(['"jean"*']);
+    expect(orderBy).toMatch(/^bm25\(plaques_fts, /);
+  });
+
+  test('ignores a search made only of punctuation', () => {
+    expect(buildPlaqueFilter({ search: '"*' }).from).not.toContain('plaques_fts');
+  });
+});
+
+describe('buildPlaqueFilter filters', () => {
+  test('restricts to the provinces of the caller', () => {
+    expect(buildPlaqueFilter({ provinces: ['01', '10'] })).toMatchObject({
+      whereClause: ' WHERE p.deleted_at IS NULL AND p.issuing_province_code IN (?, ?)',
+      params: ['01', '10']
+    });
+    expect(buildPlaqueFilter({ provinces: [] }).whereClause).toBe(' WHERE p.deleted_at IS NULL AND 0');
+  });
+
+  test('binds every filter value as a parameter', () => {
+    const { whereClause, params } = buildPlaqueFilter({
+      status: 'active',
+      registeredFrom: '2024-01-01',
+      expiresTo: '2025-12-31',
+      province: '10',
+      createdBy: '7',
+      expiringWithin: '30'
+    });
+
+    expect(whereClause).toBe(
+      ' WHERE p.deleted_at IS NULL AND p.status = ?'
+      + ' AND date(p.registration_date) >= ? AND date(p.expiry_date) <= ?'
+      + ' AND p.issuing_province_code = ? AND p.created_by = ?'
+      + ' AND datetime(p.expiry_date) > datetime(\'now\') AND datetime(p.expiry_date) <= datetime(\'now\', ?)'
+    );
+    expect(params).toEqual(['active', '2024-01-01', '2025-12-31', '10', 7, '+30 days']);
+  });
+
+  test('sorts on whitelisted columns, the id breaking ties', () => {
+    expect(buildPlaqueFilter({ sort: 'ownerName', order: 'desc' }).orderBy)
+      .toBe('p.owner_name COLLATE NOCASE DESC, p.id DESC');
+    expect(buildPlaqueFilter({ sort: 'expiryDate', search: 'jean' }).orderBy)
+      .toBe('p.expiry_date ASC, p.id ASC');
+  });
+
+  test.each([
+    ['an unknown sort column', { sort: 'owner_email' }],
+    ['SQL in the sort column', { sort: 'p.id; DROP TABLE plaques' }],
+    ['an unknown sort order', { sort: 'status', order: 'DESC; --' }],
+    ['an unknown province', { province: '99' }],
+    ['a malformed date', { registeredFrom: '01/02/2024' }],
+    ['an impossible date', { expiresFrom: '2024-13-45' }],
+    ['a non-numeric user', { createdBy: '1 OR 1=1' }],
+    ['a zero user', { createdBy: '0' }],
+    ['a negative delay', { expiringWithin: '-5' }],
+    ['a delay beyond ten years', { expiringWithin: '3651' }]
+  ])('refuses %s with a 400', (label, filters) => {
+    expect(() => buildPlaqueFilter(filters)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('plaque search in the database', () => {
+  beforeAll(async () => {
+    const plaques = [
+      ['01-AA-0001', 'Élodie Mbuyi', 'elodie@example.com'],
+      ['01-AA-0002', 'Jean "Papa" Kasongo', 'jean@example.com'],
+      ['10-AB-1234', 'Marie Ilunga', 'marie@example.com']
+    ];
+    for (const [plateNumber, ownerName, ownerEmail] of plaques) {
+      await database.run(
+        `INSERT INTO plaques (plate_number, owner_name, owner_email, issuing_province_code, registration_date, expiry_date, created_by)
+         VALUES (?, ?, ?, ?, datetime('now'), datetime('now', '+1 year'), 1)`,
+        [plateNumber, ownerName, ownerEmail, plateNumber.slice(0, 2)]
+      );
+    }
+  });
+
+  async function search(text) {
+    const { from, whereClause, params, orderBy } = buildPlaqueFilter({ search: text });
+    const rows = await database.all(
+      `SELECT p.plate_number FROM ${from}${whereClause} ORDER BY ${orderBy}`,
+      params
+    );
+    return rows.map(row => row.plate_number);
+  }
+
+  test('folds case and accents and matches word prefixes', async () => {
+    expect(await search('ELOD')).toEqual(['01-AA-0001']);
+    expect(await search('mbuyi élodie')).toEqual(['01-AA-0001']);
+  });
+
+  test('finds plate numbers by their parts', async () => {
+    expect(await search('10-AB')).toEqual(['10-AB-1234']);
+  });
+
+  test('runs searches full of FTS5 syntax without a query error', async () => {
+    await expect(search('"Papa"')).resolves.toEqual(['01-AA-0002']);
+    await expect(search('NEAR(jean marie)')).resolves.toEqual([]);
+    await expect(search('jean OR marie')).resolves.toEqual([]);
+    await expect(search('owner_name:jean')).resolves.toEqual([]);
+    await expect(search('jean AND')).resolves.toEqual([]);
+  });
+});
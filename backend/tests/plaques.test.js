@@ -0,0 +1,251 @@
+/**
+ * Plaque routes: registering and updating a registration
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const { login, as, createAccount, registerPlaque } = require('./helpers/api');
+const registrations = require('../services/registrations');
+
+let adminToken;
+
+beforeAll(async () => {
+  adminToken = await login();
+});
+
+function update(plaque, fields) {
+  return as(adminToken).put(`/api/plaques/${plaque.id}`).send({
+    plateNumber: plaque.plate_number,
+    ownerName: plaque.owner_name,
+    ownerEmail: plaque.owner_email,
+    ...fields
+  });
+}
+
+describe('POST /api/plaques', () => {
+  async function reserve() {
+    const res = await as(adminToken).post('/api/plaques/reservations').send({ provinceCode: '01' });
+    return res.body.reservation.plateNumber;
+  }
+
+  test('registers the plate for one year', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    const days = (Date.parse(plaque.expiry_date) - Date.parse(plaque.registration_date)) / (24 * 60 * 60 * 1000);
+    expect(days).toBe(365);
+    expect(plaque.status).toBe('active');
+  });
+
+  test.each([
+    ['a valid', '2099-12-31'],
+    ['an unparseable', 'bientôt']
+  ])('refuses %s expiry date and stores nothing', async (label, expiryDate) => {
+    const plateNumber = await reserve();
+
+    const res = await as(adminToken).post('/api/plaques').send({
+      plateNumber, ownerName: 'Jean Mukendi', ownerEmail: 'jean@example.com', expiryDate
+    });
+
+    expect(res.status).toBe(400);
+    expect(await database.get('SELECT id FROM plaques WHERE plate_number = ?', [plateNumber])).toBeUndefined();
+  });
+});
+
+describe('registerPlaque for an issued plate', () => {
+  const context = { actorId: 1, ip: '127.0.0.1' };
+
+  function register(plateNumber, expiryDate) {
+    return database.transaction(() => registrations.registerPlaque({
+      plateNumber, ownerName: 'Jean Mukendi', ownerEmail: 'jean@example.com', issuingProvinceCode: '01', expiryDate
+    }, context, { issuedPlate: true, registrationDate: '2020-01-01T00:00:00.000Z' }));
+  }
+
+  test('refuses an unparseable expiry date instead of storing an active plaque', async () => {
+    await expect(register('KN-1001-AB', 'not a date')).rejects.toMatchObject({
+      status: 400,
+      message: 'Date d\'expiration invalide'
+    });
+    expect(await database.get("SELECT id FROM plaques WHERE plate_number = 'KN-1001-AB'")).toBeUndefined();
+  });
+
+  test('stores a past expiry date as expired, in ISO 8601', async () => {
+    const plaque = await register('KN-1002-AB', '2021-01-01');
+
+    expect(plaque.status).toBe('expired');
+    expect(plaque.expiry_date).toBe('2021-01-01T00:00:00.000Z');
+  });
+});
+
+describe('PUT /api/plaques/:id', () => {
+  test('updates the owner contact details and audits the change', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    const res = await update(plaque, { ownerPhone: '+243810000000' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaque.owner_phone).toBe('+243810000000');
+    const audit = await database.get(
+      "SELECT changes FROM audit_log WHERE entity_type = 'plaque' AND entity_id = ? AND action = 'update'",
+      [plaque.id]
+    );
+    expect(JSON.parse(audit.changes).owner_phone).toEqual({ from: null, to: '+243810000000' });
+  });
+
+  test('answers 404 for an unknown plaque', async () => {
+    const res = await as(adminToken).put('/api/plaques/999999').send({
+      plateNumber: '01-AA-0001', ownerName: 'Personne', ownerEmail: 'personne@example.com'
+    });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('refuses the plate number of another plaque', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+    const other = await registerPlaque(adminToken, '01');
+
+    const res = await update(plaque, { plateNumber: other.plate_number });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Ce numéro de plaque existe déjà');
+  });
+
+  test('refuses an expiry date: it only changes through renewal', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    const res = await update(plaque, { expiryDate: '2099-01-01' });
+
+    expect(res.status).toBe(400);
+    const row = await database.get('SELECT expiry_date FROM plaques WHERE id = ?', [plaque.id]);
+    expect(row.expiry_date).toBe(plaque.expiry_date);
+  });
+
+  test('refuses a cancelled plaque', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+    await as(adminToken).delete(`/api/plaques/${plaque.id}`).send({ reason: 'Doublon' });
+
+    const res = await update(plaque, { ownerPhone: '+243810000001' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PUT /api/plaques/:id with a partial body', () => {
+  const address = {
+    ownerNom: 'Mbuyi',
+    ownerPrenom: 'Élodie',
+    ownerAdresse: '12 avenue du Commerce',
+    ownerProvinceCode: '01',
+    ownerVillage: 'Gombe'
+  };
+
+  test('keeps the fields the body leaves out', async () => {
+    const plaque = await registerPlaque(adminToken, '01', { ...address, ownerPhone: '+243810000002' });
+
+    const res = await as(adminToken).put(`/api/plaques/${plaque.id}`).send({ ownerEmail: 'nouvel@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaque).toMatchObject({
+      plate_number: plaque.plate_number,
+      owner_name: 'Mbuyi Élodie',
+      owner_email: 'nouvel@example.com',
+      owner_phone: '+243810000002',
+      owner_adresse: '12 avenue du Commerce',
+      owner_province_code: '01',
+      owner_province: 'Kinshasa',
+      owner_village: 'Gombe'
+    });
+  });
+
+  test('clears the fields sent as null or empty', async () => {
+    const plaque = await registerPlaque(adminToken, '01', address);
+
+    const res = await as(adminToken).put(`/api/plaques/${plaque.id}`).send({ ownerVillage: null, ownerAdresse: '' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaque.owner_village).toBeNull();
+    expect(res.body.plaque.owner_adresse).toBeNull();
+    expect(res.body.plaque.owner_province).toBe('Kinshasa');
+  });
+
+  test('clears the province name together with its code', async () => {
+    const plaque = await registerPlaque(adminToken, '01', address);
+
+    const res = await as(adminToken).put(`/api/plaques/${plaque.id}`).send({ ownerProvinceCode: '' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaque.owner_province_code).toBeNull();
+    expect(res.body.plaque.owner_province).toBeNull();
+  });
+
+  test('refuses to clear a required field', async () => {
+    const plaque = await registerPlaque(adminToken, '01', address);
+
+    const res = await as(adminToken).put(`/api/plaques/${plaque.id}`).send({ ownerEmail: '' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PUT /api/plaques/:id owner name corrections', () => {
+  let agentToken;
+  let supervisorToken;
+
+  beforeAll(async () => {
+    ({ token: agentToken } = await createAccount(adminToken, {
+      username: 'agent01', email: 'agent01@example.com', password: 'secret01', role: 'agent', provinces: ['01']
+    }));
+    ({ token: supervisorToken } = await createAccount(adminToken, {
+      username: 'superviseur01', email: 'sup01@example.com', password: 'secret01', role: 'supervisor', provinces: ['01']
+    }));
+  });
+
+  function rename(token, plaque, ownerName) {
+    return as(token).put(`/api/plaques/${plaque.id}`).send({ ownerName });
+  }
+
+  test('accepts the same name in another word order, case or accents', async () => {
+    const plaque = await registerPlaque(adminToken, '01', { ownerName: 'Kabila Mukendi Jean' });
+
+    expect((await rename(agentToken, plaque, 'jean  MUKENDI kabila')).status).toBe(200);
+    expect((await rename(agentToken, plaque, 'Jéan Mukendi Kabila')).status).toBe(200);
+  });
+
+  test('keeps a legacy single-field name when the structured parts rebuild it in another order', async () => {
+    const plaque = await registerPlaque(adminToken, '01', { ownerName: 'Jean Mukendi' });
+
+    const res = await as(agentToken).put(`/api/plaques/${plaque.id}`).send({ ownerNom: 'Mukendi', ownerPrenom: 'Jean' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaque.owner_name).toBe('Mukendi Jean');
+  });
+
+  test('refuses another name without plaque:owner_correct: it goes through a transfer', async () => {
+    const plaque = await registerPlaque(adminToken, '01', { ownerName: 'Jean Mukendi' });
+
+    const res = await rename(agentToken, plaque, 'Jean Mukendy');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Pour changer de propriétaire, utilisez le transfert de propriété');
+  });
+
+  test('lets plaque:owner_correct fix the name, audited as an owner correction', async () => {
+    const plaque = await registerPlaque(adminToken, '01', { ownerName: 'Jean Mukendi' });
+
+    const res = await rename(supervisorToken, plaque, 'Jean Mukendy');
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaque.owner_name).toBe('Jean Mukendy');
+    const audit = await database.get(
+      "SELECT changes FROM audit_log WHERE entity_type = 'plaque' AND entity_id = ? AND action = 'owner_correction'",
+      [plaque.id]
+    );
+    expect(JSON.parse(audit.changes).owner_name).toEqual({ from: 'Jean Mukendi', to: 'Jean Mukendy' });
+    const transfers = await database.get('SELECT COUNT(*) AS count FROM plaque_ownership_transfers WHERE plaque_id = ?', [plaque.id]);
+    expect(transfers.count).toBe(0);
+  });
+});
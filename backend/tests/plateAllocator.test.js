@@ -0,0 +1,113 @@
+/**
+ * Plate allocator: plate numbers of a province sequence, the province a
+ * plate number belongs to and the reservation a registration uses
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const {
+  formatPlateNumber,
+  provinceOfPlate,
+  reservePlate,
+  consumeReservation
+} = require('../services/plateAllocator');
+
+// 23 series letters (no I, O or Q), 9999 numbers per series
+const SERIES_SIZE = 9999;
+const SERIES_COUNT = 23 * 23;
+
+describe('formatPlateNumber', () => {
+  test('starts the sequence at AA-0001', () => {
+    expect(formatPlateNumber('10', 0)).toBe('10-AA-0001');
+  });
+
+  test('moves to the next series after 9999', () => {
+    expect(formatPlateNumber('10', SERIES_SIZE - 1)).toBe('10-AA-9999');
+    expect(formatPlateNumber('10', SERIES_SIZE)).toBe('10-AB-0001');
+  });
+
+  test('skips I, O and Q in series letters', () => {
+    expect(formatPlateNumber('01', 7 * SERIES_SIZE)).toBe('01-AH-0001');
+    expect(formatPlateNumber('01', 8 * SERIES_SIZE)).toBe('01-AJ-0001');
+    expect(formatPlateNumber('01', 23 * SERIES_SIZE)).toBe('01-BA-0001');
+  });
+
+  test('ends at ZZ-9999 and refuses to go further', () => {
+    expect(formatPlateNumber('26', SERIES_COUNT * SERIES_SIZE - 1)).toBe('26-ZZ-9999');
+    expect(() => formatPlateNumber('26', SERIES_COUNT * SERIES_SIZE)).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+  });
+});
+
+describe('provinceOfPlate', () => {
+  test('reads the province code of a plate number', () => {
+    expect(provinceOfPlate('10-AB-1234')).toBe('10');
+  });
+
+  test('returns null for an unknown province code', () => {
+    expect(provinceOfPlate('99-AB-1234')).toBeNull();
+  });
+
+  test('returns null for plate numbers not allocated by the system', () => {
+    expect(provinceOfPlate('CGO-1234')).toBeNull();
+    expect(provinceOfPlate('10-ab-1234')).toBeNull();
+    expect(provinceOfPlate('10-AB-123')).toBeNull();
+    expect(provinceOfPlate('')).toBeNull();
+    expect(provinceOfPlate(null)).toBeNull();
+  });
+});
+
+describe('consumeReservation', () => {
+  const ADMIN_ID = 1;
+  const HOUR = 60 * 60 * 1000;
+
+  async function reservationStatus(plateNumber) {
+    const row = await database.get('SELECT status FROM plate_reservations WHERE plate_number = ?', [plateNumber]);
+    return row.status;
+  }
+
+  test('marks the reservation of the user as used', async () => {
+    const { plateNumber } = await reservePlate('01', ADMIN_ID);
+
+    await consumeReservation(plateNumber, ADMIN_ID);
+
+    expect(await reservationStatus(plateNumber)).toBe('used');
+  });
+
+  test('refuses a plate number the system never allocated', async () => {
+    await expect(consumeReservation('CGO-1234', ADMIN_ID)).rejects.toMatchObject({
+      status: 400,
+      message: "Ce numéro de plaque n'a pas été attribué par le système"
+    });
+  });
+
+  test('refuses a reservation past its expiry, even before the sweep releases it', async () => {
+    const { plateNumber, expiresAt } = await reservePlate('01', ADMIN_ID);
+    const later = new Date(Date.parse(expiresAt) + HOUR);
+
+    await expect(consumeReservation(plateNumber, ADMIN_ID, later)).rejects.toMatchObject({ status: 400 });
+    expect(await reservationStatus(plateNumber)).toBe('reserved');
+  });
+
+  test('refuses a number reserved by another user', async () => {
+    const { plateNumber } = await reservePlate('01', ADMIN_ID);
+
+    await expect(consumeReservation(plateNumber, ADMIN_ID + 1)).rejects.toMatchObject({
+      status: 400,
+      message: 'Ce numéro de plaque est réservé par un autre utilisateur'
+    });
+  });
+
+  test('refuses a reservation already used', async () => {
+    const { plateNumber } = await reservePlate('01', ADMIN_ID);
+    await consumeReservation(plateNumber, ADMIN_ID);
+
+    await expect(consumeReservation(plateNumber, ADMIN_ID)).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Renewals: the window around expiry, the new expiry date and the history
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const config = require('../config');
+const { login, as, registerPlaque } = require('./helpers/api');
+const { addMonths } = require('../services/renewals');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let adminToken;
+
+beforeAll(async () => {
+  adminToken = await login();
+});
+
+// Expiry `days` from now (negative: already passed)
+async function expiringIn(days, status = 'active') {
+  const plaque = await registerPlaque(adminToken, '01');
+  const expiry = new Date(Date.now() + days * DAY_MS).toISOString();
+  await database.run('UPDATE plaques SET expiry_date = ?, status = ? WHERE id = ?', [expiry, status, plaque.id]);
+  return { ...plaque, expiry_date: expiry };
+}
+
+function renew(plaque, periodMonths = 12) {
+  return as(adminToken).post(`/api/plaques/${plaque.id}/renew`).send({ periodMonths });
+}
+
+describe('POST /api/plaques/:id/renew', () => {
+  test('extends the registration from its current expiry within the window', async () => {
+    const plaque = await expiringIn(config.renewalWindowDaysBefore - 1);
+
+    const res = await renew(plaque, 24);
+
+    expect(res.status).toBe(200);
+    const expected = addMonths(new Date(plaque.expiry_date), 24).toISOString();
+    expect(res.body.renewal).toMatchObject({ previous_expiry: plaque.expiry_date, new_expiry: expected, period_months: 24 });
+    expect(res.body.plaque).toMatchObject({ expiry_date: expected, status: 'active' });
+  });
+
+  test('refuses a renewal before the window opens', async () => {
+    const plaque = await expiringIn(config.renewalWindowDaysBefore + 1);
+
+    const res = await renew(plaque);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Renouvellement possible à partir du/);
+  });
+
+  test('reactivates an expired plaque until the window closes', async () => {
+    const plaque = await expiringIn(-(config.renewalWindowDaysAfter - 1), 'expired');
+
+    const res = await renew(plaque);
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaque.status).toBe('active');
+    const history = await as(adminToken).get(`/api/plaques/${plaque.id}/history`);
+    expect(history.body.history.pop()).toMatchObject({ from_status: 'expired', to_status: 'active', reason: 'Renouvellement de 12 mois' });
+  });
+
+  test('refuses a renewal once the window has closed', async () => {
+    const plaque = await expiringIn(-(config.renewalWindowDaysAfter + 1), 'expired');
+
+    const res = await renew(plaque);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Délai de renouvellement dépassé/);
+  });
+
+  test('refuses suspended plaques and unknown periods', async () => {
+    const plaque = await expiringIn(1);
+    await as(adminToken).post(`/api/plaques/${plaque.id}/suspend`).send({ reasonCode: 'unpaid_fees' });
+
+    expect((await renew(plaque)).body.message).toBe('Une plaque suspendue ne peut pas être renouvelée');
+    expect((await renew(await expiringIn(1), 7)).status).toBe(400);
+  });
+
+  test('lists the renewals most recent first', async () => {
+    const plaque = await expiringIn(1);
+    await renew(plaque, 12);
+    await database.run('UPDATE plaques SET expiry_date = ? WHERE id = ?', [new Date(Date.now() + DAY_MS).toISOString(), plaque.id]);
+    await renew(plaque, 36);
+
+    const res = await as(adminToken).get(`/api/plaques/${plaque.id}/renewals`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.renewals.map(r => r.period_months)).toEqual([36, 12]);
+    expect(res.body.renewals[0].renewed_by_username).toBe('admin');
+  });
+});
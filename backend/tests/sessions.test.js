@@ -0,0 +1,110 @@
+/**
+ * Sessions: refresh token rotation, reuse detection and logout
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const { request, app, as } = require('./helpers/api');
+
+async function openSession() {
+  const res = await request(app).post('/api/auth/login').send({ email: 'admin@example.com', password: 'password' });
+  expect(res.status).toBe(200);
+  return { token: res.body.token, refreshToken: res.body.refreshToken };
+}
+
+function refresh(refreshToken) {
+  return request(app).post('/api/auth/refresh').send({ refreshToken });
+}
+
+// Reuse is only told apart from two tabs refreshing at once after the grace
+// period; tests move the last rotation back instead of waiting
+function endGracePeriod() {
+  return database.run("UPDATE user_sessions SET last_used_at = datetime('now', '-1 minute')");
+}
+
+describe('POST /api/auth/refresh', () => {
+  test('rotates the refresh token and keeps the session open', async () => {
+    const session = await openSession();
+
+    const res = await refresh(session.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(session.refreshToken);
+    expect(res.body.user.email).toBe('admin@example.com');
+    expect((await as(res.body.token).get('/api/auth/me')).status).toBe(200);
+    expect((await refresh(res.body.refreshToken)).status).toBe(200);
+  });
+
+  test('refuses the replaced token within the grace period without revoking the session', async () => {
+    const session = await openSession();
+    const rotated = await refresh(session.refreshToken);
+
+    const reused = await refresh(session.refreshToken);
+
+    expect(reused.status).toBe(401);
+    expect(reused.body.message).toBe('Invalid refresh token');
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(200);
+  });
+
+  test('revokes the session when a replaced token comes back later', async () => {
+    const session = await openSession();
+    const rotated = await refresh(session.refreshToken);
+    await endGracePeriod();
+
+    const reused = await refresh(session.refreshToken);
+
+    expect(reused.status).toBe(401);
+    expect(reused.body.message).toBe('Refresh token reused, session revoked');
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    expect((await as(rotated.body.token).get('/api/auth/me')).status).toBe(401);
+    expect((await as(session.token).get('/api/auth/me')).status).toBe(401);
+  });
+
+  test('leaves the other sessions of the user open', async () => {
+    const other = await openSession();
+    const session = await openSession();
+    await refresh(session.refreshToken);
+    await endGracePeriod();
+
+    await refresh(session.refreshToken);
+
+    expect((await as(other.token).get('/api/auth/me')).status).toBe(200);
+    expect((await refresh(other.refreshToken)).status).toBe(200);
+  });
+
+  test('refuses an unknown token', async () => {
+    const res = await refresh('not-a-refresh-token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid refresh token');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('closes the session of the token only', async () => {
+    const other = await openSession();
+    const session = await openSession();
+
+    const res = await request(app).post('/api/auth/logout').send({ refreshToken: session.refreshToken });
+
+    expect(res.body.closedSessions).toBe(1);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+    expect((await as(session.token).get('/api/auth/me')).status).toBe(401);
+    expect((await as(other.token).get('/api/auth/me')).status).toBe(200);
+  });
+
+  test('closes every session of the user with everywhere', async () => {
+    const other = await openSession();
+    const session = await openSession();
+
+    await request(app).post('/api/auth/logout').send({ refreshToken: session.refreshToken, everywhere: true });
+
+    expect((await as(other.token).get('/api/auth/me')).status).toBe(401);
+    expect((await refresh(other.refreshToken)).status).toBe(401);
+  });
+});
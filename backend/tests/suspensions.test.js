@@ -0,0 +1,104 @@
+/**
+ * Suspension and reinstatement with reason codes
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const { login, as, createAccount, registerPlaque } = require('./helpers/api');
+
+let adminToken;
+let agentToken;
+
+beforeAll(async () => {
+  adminToken = await login();
+  ({ token: agentToken } = await createAccount(adminToken, {
+    username: 'agent01', email: 'agent01@example.com', password: 'secret01', role: 'agent', provinces: ['01']
+  }));
+});
+
+function suspend(plaque, body, token = adminToken) {
+  return as(token).post(`/api/plaques/${plaque.id}/suspend`).send(body);
+}
+
+function reinstate(plaque, body) {
+  return as(adminToken).post(`/api/plaques/${plaque.id}/reinstate`).send(body);
+}
+
+describe('POST /api/plaques/:id/suspend', () => {
+  test('suspends with a reason shown on the plaque until reinstated', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    const res = await suspend(plaque, { reasonCode: 'court_order', notes: '  Jugement 2024/117  ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.plaque).toMatchObject({ status: 'suspended', validity: { valid: false, reason: 'suspended' } });
+    expect(res.body.plaque.suspension).toMatchObject({
+      reason_code: 'court_order',
+      reason: 'Décision de justice',
+      notes: 'Jugement 2024/117',
+      suspended_by_username: 'admin'
+    });
+
+    const reinstated = await reinstate(plaque, { reasonCode: 'court_release' });
+    expect(reinstated.status).toBe(200);
+    expect(reinstated.body.plaque).toMatchObject({ status: 'active', suspension: null });
+  });
+
+  test('refuses unknown codes, "other" without notes and a second suspension', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    expect((await suspend(plaque, { reasonCode: 'unknown' })).status).toBe(400);
+    expect((await suspend(plaque, { reasonCode: 'other', notes: '   ' })).body.message)
+      .toBe('Veuillez préciser le motif dans les notes');
+    expect((await suspend(plaque, { reasonCode: 'stolen' })).status).toBe(200);
+    expect((await suspend(plaque, { reasonCode: 'stolen' })).body.message).toBe('Cette plaque est déjà suspendue');
+  });
+
+  test('needs plaque:suspend', async () => {
+    const plaque = await registerPlaque(agentToken, '01');
+
+    expect((await suspend(plaque, { reasonCode: 'stolen' }, agentToken)).status).toBe(403);
+  });
+});
+
+describe('POST /api/plaques/:id/reinstate', () => {
+  test('leaves a plaque expired during its suspension expired', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+    await suspend(plaque, { reasonCode: 'stolen' });
+    await database.run('UPDATE plaques SET expiry_date = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), plaque.id]);
+
+    const res = await reinstate(plaque, { reasonCode: 'vehicle_recovered' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Suspension levée, la plaque est expirée et doit être renouvelée');
+    expect(res.body.plaque.status).toBe('expired');
+  });
+
+  test('refuses a plaque that is not suspended and reasons meant for suspensions', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    expect((await reinstate(plaque, { reasonCode: 'fees_paid' })).body.message).toBe('Cette plaque n\'est pas suspendue');
+    await suspend(plaque, { reasonCode: 'unpaid_fees' });
+    expect((await reinstate(plaque, { reasonCode: 'unpaid_fees' })).status).toBe(400);
+  });
+
+  test('records both transitions with their codes in the history', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+    await suspend(plaque, { reasonCode: 'other', notes: 'Contrôle routier' });
+    await reinstate(plaque, { reasonCode: 'suspension_error' });
+
+    const { history } = (await as(adminToken).get(`/api/plaques/${plaque.id}/history`)).body;
+
+    expect(history.map(h => [h.from_status, h.to_status, h.reason_code])).toEqual([
+      [null, 'active', null],
+      ['active', 'suspended', 'other'],
+      ['suspended', 'active', 'suspension_error']
+    ]);
+    expect(history[1]).toMatchObject({ notes: 'Contrôle routier', changed_by_username: 'admin' });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * TOTP: codes of the RFC 6238 reference secret, the clock drift window
+ * and replay protection
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { generateTotpSecret, totpCode, verifyTotp, otpauthUri } = require('../utils/totp');
+
+// "12345678901234567890", the SHA1 secret of the RFC 6238 test vectors
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+const now = new Date(1111111109 * 1000);
+const currentStep = Math.floor(now.getTime() / STEP_MS);
+
+describe('totpCode', () => {
+  test('matches the RFC 6238 test vectors (last six digits)', () => {
+    expect(totpCode(RFC_SECRET, 1)).toBe('287082');
+    expect(totpCode(RFC_SECRET, currentStep)).toBe('081804');
+    expect(totpCode(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+});
+
+describe('verifyTotp', () => {
+  test('accepts the code of the current step and returns the step', () => {
+    expect(verifyTotp(RFC_SECRET, '081804', { now })).toBe(currentStep);
+  });
+
+  test('ignores spaces typed in the code', () => {
+    expect(verifyTotp(RFC_SECRET, '081 804', { now })).toBe(currentStep);
+  });
+
+  test('accepts one step of drift either way by default', () => {
+    const previous = totpCode(RFC_SECRET, currentStep - 1);
+    const next = totpCode(RFC_SECRET, currentStep + 1);
+
+    expect(verifyTotp(RFC_SECRET, previous, { now })).toBe(currentStep - 1);
+    expect(verifyTotp(RFC_SECRET, next, { now })).toBe(currentStep + 1);
+  });
+
+  test('refuses codes outside the drift window', () => {
+    const tooOld = totpCode(RFC_SECRET, currentStep - 2);
+    const tooNew = totpCode(RFC_SECRET, currentStep + 2);
+
+    expect(verifyTotp(RFC_SECRET, tooOld, { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, tooNew, { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, tooOld, { now, window: 2 })).toBe(currentStep - 2);
+  });
+
+  test('refuses a code whose step was already used', () => {
+    expect(verifyTotp(RFC_SECRET, '081804', { now, afterStep: currentStep })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '081804', { now, afterStep: currentStep - 1 })).toBe(currentStep);
+  });
+
+  test('refuses an earlier step once a later one was used', () => {
+    const previous = totpCode(RFC_SECRET, currentStep - 1);
+
+    expect(verifyTotp(RFC_SECRET, previous, { now, afterStep: currentStep })).toBeNull();
+  });
+
+  test('refuses malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, null, { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '08180', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '0818045', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+  });
+});
+
+describe('generateTotpSecret', () => {
+  test('returns distinct base32 secrets of 160 bits', () => {
+    const secret = generateTotpSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateTotpSecret()).not.toBe(secret);
+  });
+});
+
+describe('otpauthUri', () => {
+  test('encodes the account, issuer and code parameters', () => {
+    const uri = otpauthUri(RFC_SECRET, 'agent@example.com', 'Plaques RDC');
+
+    expect(uri).toBe(
+      'otpauth://totp/Plaques%20RDC%3Aagent%40example.com'
+      + `?secret=${RFC_SECRET}&issuer=Plaques+RDC&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
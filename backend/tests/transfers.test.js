@@ -0,0 +1,127 @@
+/**
+ * Ownership transfers: the buyer replaces the owner, the seller stays in
+ * the ownership history
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const { login, as, registerPlaque } = require('./helpers/api');
+
+let adminToken;
+
+beforeAll(async () => {
+  adminToken = await login();
+});
+
+const SELLER = {
+  ownerNom: 'Kabilé',
+  ownerPrenom: 'Jean',
+  ownerEmail: 'jean.kabile@example.com',
+  ownerAdresse: '12 avenue du Commerce',
+  ownerProvinceCode: '01'
+};
+
+function transfer(plaque, buyer, fields = {}) {
+  return as(adminToken).post(`/api/plaques/${plaque.id}/transfer`).send({
+    buyer,
+    transferDate: new Date().toISOString().slice(0, 10),
+    evidenceType: 'bill_of_sale',
+    evidenceReference: 'AV-2024-001',
+    ...fields
+  });
+}
+
+describe('POST /api/plaques/:id/transfer', () => {
+  test('replaces the owner and records the seller and the buyer', async () => {
+    const plaque = await registerPlaque(adminToken, '01', SELLER);
+
+    const res = await transfer(plaque, { ownerNom: 'Ilunga', ownerPrenom: 'Marie', ownerEmail: 'marie@example.com' });
+
+    expect(res.status).toBe(200);
+    const current = await as(adminToken).get(`/api/plaques/${plaque.id}`);
+    expect(current.body).toMatchObject({
+      owner_name: 'Ilunga Marie',
+      owner_email: 'marie@example.com',
+      plate_number: plaque.plate_number,
+      issuing_province_code: '01',
+      expiry_date: plaque.expiry_date
+    });
+
+    const history = await as(adminToken).get(`/api/plaques/${plaque.id}/ownership`);
+    expect(history.status).toBe(200);
+    const { transfers } = history.body;
+    expect(transfers).toHaveLength(1);
+    expect(transfers[0]).toMatchObject({
+      seller_name: 'Kabilé Jean',
+      seller_email: 'jean.kabile@example.com',
+      buyer_name: 'Ilunga Marie',
+      evidence_type: 'bill_of_sale',
+      recorded_by_username: 'admin'
+    });
+    expect(transfers[0].seller_details.owner_adresse).toBe('12 avenue du Commerce');
+  });
+
+  test('lists successive transfers most recent first', async () => {
+    const plaque = await registerPlaque(adminToken, '01', SELLER);
+    await transfer(plaque, { ownerName: 'Marie Ilunga', ownerEmail: 'marie@example.com' });
+    await transfer(plaque, { ownerName: 'Paul Tshisekedi', ownerEmail: 'paul@example.com' });
+
+    const history = await as(adminToken).get(`/api/plaques/${plaque.id}/ownership`);
+    const { transfers } = history.body;
+
+    expect(transfers.map(t => [t.seller_name, t.buyer_name])).toEqual([
+      ['Marie Ilunga', 'Paul Tshisekedi'],
+      ['Kabilé Jean', 'Marie Ilunga']
+    ]);
+  });
+
+  test('refuses the current owner as buyer, whatever the accents', async () => {
+    const plaque = await registerPlaque(adminToken, '01', SELLER);
+
+    const res = await transfer(plaque, { ownerName: 'jean kabile', ownerEmail: 'Jean.Kabile@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('L\'acheteur est déjà le propriétaire de cette plaque');
+  });
+
+  test('does not leave the seller\'s province on a buyer who gives none', async () => {
+    const plaque = await registerPlaque(adminToken, '01', SELLER);
+
+    await transfer(plaque, { ownerName: 'Marie Ilunga', ownerEmail: 'marie@example.com' });
+
+    const row = await database.get(
+      'SELECT owner_province_code, owner_province, owner_adresse, issuing_province_code FROM plaques WHERE id = ?',
+      [plaque.id]
+    );
+    expect(row).toEqual({
+      owner_province_code: null,
+      owner_province: null,
+      owner_adresse: null,
+      issuing_province_code: '01'
+    });
+  });
+
+  test('takes the buyer\'s province with its name', async () => {
+    const plaque = await registerPlaque(adminToken, '01', SELLER);
+
+    await transfer(plaque, { ownerName: 'Marie Ilunga', ownerEmail: 'marie@example.com', ownerProvinceCode: '10' });
+
+    const row = await database.get('SELECT owner_province_code, owner_province FROM plaques WHERE id = ?', [plaque.id]);
+    expect(row).toEqual({ owner_province_code: '10', owner_province: 'Kongo-Central' });
+  });
+
+  test('refuses a transfer dated in the future', async () => {
+    const plaque = await registerPlaque(adminToken, '01', SELLER);
+
+    const res = await transfer(plaque, { ownerName: 'Marie Ilunga', ownerEmail: 'marie@example.com' }, {
+      transferDate: '2999-01-01'
+    });
+
+    expect(res.status).toBe(400);
+  });
+});
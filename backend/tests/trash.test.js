@@ -0,0 +1,103 @@
+/**
+ * Cancellation, restore and purge of registrations
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const config = require('../config');
+const { login, as, createAccount, registerPlaque } = require('./helpers/api');
+
+let adminToken;
+let supervisorToken;
+
+beforeAll(async () => {
+  adminToken = await login();
+  ({ token: supervisorToken } = await createAccount(adminToken, {
+    username: 'superviseur01', email: 'superviseur01@example.com', password: 'secret01', role: 'supervisor', provinces: ['01']
+  }));
+});
+
+function cancel(plaque, reason = 'Enregistrement en double', token = adminToken) {
+  return as(token).delete(`/api/plaques/${plaque.id}`).send({ reason });
+}
+
+function purge(plaque, confirmPlateNumber = plaque.plate_number) {
+  return as(adminToken).delete(`/api/plaques/${plaque.id}/purge`).send({ confirmPlateNumber });
+}
+
+async function listedIds(url) {
+  const res = await as(adminToken).get(url);
+  return res.body.plaques.map(p => p.id);
+}
+
+describe('DELETE /api/plaques/:id', () => {
+  test('moves the plaque from the list to the trash, and restore brings it back', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    expect((await cancel(plaque)).status).toBe(200);
+    expect(await listedIds('/api/plaques')).not.toContain(plaque.id);
+    const trash = await as(adminToken).get('/api/plaques/trash');
+    expect(trash.body.plaques.find(p => p.id === plaque.id)).toMatchObject({
+      deletion_reason: 'Enregistrement en double',
+      deleted_by_username: 'admin',
+      purgeable: false
+    });
+
+    expect((await as(adminToken).post(`/api/plaques/${plaque.id}/restore`)).status).toBe(200);
+    expect(await listedIds('/api/plaques')).toContain(plaque.id);
+    expect(await listedIds('/api/plaques/trash')).not.toContain(plaque.id);
+  });
+
+  test('needs a reason, plaque:delete and a plaque not yet cancelled', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    expect((await cancel(plaque, '  ')).body.message).toBe('Le motif de l\'annulation est requis');
+    expect((await cancel(plaque, 'Doublon', supervisorToken)).status).toBe(403);
+    await cancel(plaque);
+    expect((await cancel(plaque)).body.message).toBe('Cette plaque est déjà dans la corbeille');
+    expect((await as(adminToken).post(`/api/plaques/${(await registerPlaque(adminToken, '01')).id}/restore`)).status).toBe(400);
+  });
+});
+
+describe('DELETE /api/plaques/:id/purge', () => {
+  test('waits for the retention period after expiry', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+    await cancel(plaque);
+
+    const res = await purge(plaque);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Durée légale de conservation non écoulée/);
+  });
+
+  test('removes the plaque and its history, keeping a copy in the audit log', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+    const expiry = new Date();
+    expiry.setUTCFullYear(expiry.getUTCFullYear() - config.recordRetentionYears - 1);
+    await database.run('UPDATE plaques SET expiry_date = ? WHERE id = ?', [expiry.toISOString(), plaque.id]);
+    await cancel(plaque);
+
+    expect((await purge(plaque, 'XX-0000-XX')).body.message).toBe('Confirmez la purge en saisissant le numéro de plaque');
+    expect((await purge(plaque)).status).toBe(200);
+
+    expect(await database.get('SELECT id FROM plaques WHERE id = ?', [plaque.id])).toBeUndefined();
+    expect(await database.get('SELECT COUNT(*) AS count FROM plaque_status_history WHERE plaque_id = ?', [plaque.id]))
+      .toEqual({ count: 0 });
+    const audit = await database.get(
+      "SELECT changes FROM audit_log WHERE entity_type = 'plaque' AND entity_id = ? AND action = 'purge'",
+      [plaque.id]
+    );
+    expect(audit.changes).toContain(plaque.plate_number);
+  });
+
+  test('refuses plaques that are not in the trash', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    expect((await purge(plaque)).body.message).toBe('Seules les plaques de la corbeille peuvent être purgées');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Public QR code check: GET /api/verify/:token
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const { useTestDatabase } = require('./helpers/db');
+
+const database = useTestDatabase();
+const { request, app, login, as, registerPlaque } = require('./helpers/api');
+const { issueQrToken } = require('../services/qrToken');
+
+let adminToken;
+
+beforeAll(async () => {
+  adminToken = await login();
+});
+
+function verify(token) {
+  return request(app).get(`/api/verify/${encodeURIComponent(token)}`);
+}
+
+describe('GET /api/verify/:token', () => {
+  test('reports a valid registration without the owner', async () => {
+    const plaque = await registerPlaque(adminToken, '01', { ownerPhone: '+243810000000' });
+
+    const res = await verify(plaque.qr_token);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      valid: true,
+      reason: null,
+      plateNumber: plaque.plate_number,
+      status: 'active',
+      expiryDate: plaque.expiry_date
+    });
+    const body = JSON.stringify(res.body);
+    expect(body).not.toContain(plaque.owner_name);
+    expect(body).not.toContain(plaque.owner_email);
+    expect(body).not.toContain('+243810000000');
+  });
+
+  test('refuses a token with a forged signature or a changed plaque ID', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+    const [id, version, signature] = plaque.qr_token.split('.');
+    const otherSignature = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+    for (const token of [`${id}.${version}.${otherSignature}`, `${(plaque.id + 1).toString(36)}.${version}.${signature}`, 'not-a-token']) {
+      const res = await verify(token);
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ valid: false, reason: 'invalid_token' });
+    }
+  });
+
+  test('answers 404 for a signed token of a purged registration', async () => {
+    const res = await verify(issueQrToken({ id: 999999, qr_version: 1 }));
+
+    expect(res.status).toBe(404);
+    expect(res.body.reason).toBe('not_found');
+  });
+
+  test('reports printed codes revoked once a new one is issued', async () => {
+    const plaque = await registerPlaque(adminToken, '01');
+
+    const reissued = await as(adminToken).post(`/api/plaques/${plaque.id}/qr-token`);
+
+    expect(reissued.status).toBe(200);
+    expect(reissued.body.qr_token).not.toBe(plaque.qr_token);
+    expect((await verify(plaque.qr_token)).body).toMatchObject({ valid: false, reason: 'revoked' });
+    expect((await verify(reissued.body.qr_token)).body.valid).toBe(true);
+  });
+
+  test('reports suspended, overdue and cancelled registrations invalid', async () => {
+    const suspended = await registerPlaque(adminToken, '01');
+    await as(adminToken).post(`/api/plaques/${suspended.id}/suspend`).send({ reasonCode: 'stolen' });
+    const overdue = await registerPlaque(adminToken, '01');
+    await database.run("UPDATE plaques SET expiry_date = datetime('now', '-1 day') WHERE id = ?", [overdue.id]);
+    const cancelled = await registerPlaque(adminToken, '01');
+    await as(adminToken).delete(`/api/plaques/${cancelled.id}`).send({ reason: 'Doublon' });
+
+    expect((await verify(suspended.qr_token)).body).toMatchObject({ valid: false, reason: 'suspended', status: 'suspended' });
+    expect((await verify(overdue.qr_token)).body).toMatchObject({ valid: false, reason: 'expired', status: 'active' });
+    expect((await verify(cancelled.qr_token)).body).toMatchObject({ valid: false, reason: 'cancelled' });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * CSV Helpers - Reading and writing spreadsheet files
+ *
+ * Handles quoted fields (with "" escapes and line breaks), CRLF line
+ * endings, a UTF-8 byte order mark, and comma or semicolon separators
+ * (French spreadsheet software exports with semicolons).
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Separator of a CSV document, guessed from its first line
+ *
+ * @param {string} text - CSV content
+ * @returns {string} ';' or ','
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Parse CSV content into rows of fields
+ * Blank lines are skipped.
+ *
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows, the header row included
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) endRow();
+
+  return rows;
+}
+
+/**
+ * Format one CSV line (CRLF terminated)
+ * Fields are quoted when needed; text that a spreadsheet would run as a
+ * formula (=, +, -, @ not followed by a number) is prefixed with a quote.
+ *
+ * @param {Array} values - Field values (null and undefined are empty)
+ * @param {string} delimiter - Separator (default ';')
+ * @returns {string}
+ */
+function formatCsvLine(values, delimiter = ';') {
+  return values.map((value) => {
+    let field = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(field) && !/^[+-]?[\d\s.,]+$/.test(field)) {
+      field = `'${field}`;
+    }
+    return /["\r\n]/.test(field) || field.includes(delimiter)
+      ? `"${field.replace(/"/g, '""')}"`
+      : field;
+  }).join(delimiter) + '\r\n';
+}
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  formatCsvLine
+};
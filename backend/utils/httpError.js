@@ -0,0 +1,18 @@
+/**
+ * Create an Error carrying the HTTP status a route should answer with
+ *
+ * Services throw these for business-rule failures (duplicate VIN,
+ * invalid transition...) and routes forward `status` and `message`
+ * to the client instead of a generic 500.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message returned to the client
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = httpError;
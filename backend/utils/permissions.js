@@ -0,0 +1,37 @@
+/**
+ * Permissions - Actions granted to roles through role_permissions
+ *
+ * Routes check them with requirePermission(); the React app receives the
+ * permissions of the user at login to hide what they cannot do. Consulting
+ * the registry (lists, details, certificates, statistics) only needs to be
+ * logged in, within the provinces of the user unless their role has
+ * plaque:national (see services/jurisdictions.js).
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const PERMISSIONS = [
+  { code: 'plaque:create', label: 'Enregistrer des plaques' },
+  { code: 'plaque:edit', label: 'Modifier les plaques et véhicules' },
+  { code: 'plaque:renew', label: 'Renouveler les immatriculations' },
+  { code: 'plaque:transfer', label: 'Transférer la propriété' },
+  { code: 'plaque:owner_correct', label: 'Corriger le nom du propriétaire' },
+  { code: 'plaque:suspend', label: 'Suspendre et lever les suspensions' },
+  { code: 'plaque:export', label: 'Exporter le registre' },
+  { code: 'plaque:import', label: 'Importer des plaques (CSV)' },
+  { code: 'plaque:delete', label: 'Annuler et restaurer des plaques' },
+  { code: 'plaque:purge', label: 'Purger définitivement des plaques' },
+  { code: 'plaque:qr_reissue', label: 'Réémettre les QR codes' },
+  { code: 'plaque:reservation_release', label: 'Libérer les réservations des autres utilisateurs' },
+  { code: 'plaque:national', label: 'Accéder aux plaques de toutes les provinces' },
+  { code: 'vehicle:delete', label: 'Supprimer des véhicules' },
+  { code: 'audit:read', label: 'Consulter le journal d\'audit' },
+  { code: 'user:manage', label: 'Gérer les utilisateurs' },
+  { code: 'geo:manage', label: 'Gérer le référentiel géographique' }
+];
+
+module.exports = {
+  PERMISSIONS
+};
@@ -0,0 +1,334 @@
+/**
+ * Plaque Field Mapping - Request body <-> plaques table columns
+ *
+ * Keeps the camelCase API field names and the snake_case columns in one
+ * place so every route that reads or writes a registration (create,
+ * update, search) agrees on which owner details exist.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const httpError = require('./httpError');
+const { PROVINCES, isProvinceCode } = require('./provinces');
+
+/**
+ * Owner identity and location fields captured by the registration form
+ * Keys are request body fields, values are plaques columns.
+ */
+const OWNER_DETAIL_FIELDS = {
+  ownerNom: 'owner_nom',
+  ownerPostNom: 'owner_post_nom',
+  ownerPrenom: 'owner_prenom',
+  ownerNationalite: 'owner_nationalite',
+  ownerAdresse: 'owner_adresse',
+  ownerProvince: 'owner_province',
+  ownerProvinceCode: 'owner_province_code',
+  ownerDistrict: 'owner_district',
+  ownerTerritoire: 'owner_territoire',
+  ownerSecteur: 'owner_secteur',
+  ownerVillage: 'owner_village'
+};
+
+/**
+ * Relevance weight of each plaques_fts column (plate, owner, phone,
+ * address, vehicle) when ranking the free-text `search` of GET /api/plaques
+ */
+const SEARCH_WEIGHTS = [10, 5, 5, 1, 3];
+
+/**
+ * Columns GET /api/plaques may be sorted by: `sort` parameter -> column
+ */
+const SORT_COLUMNS = {
+  plateNumber: 'p.plate_number',
+  ownerName: 'p.owner_name COLLATE NOCASE',
+  status: 'p.status',
+  province: 'p.issuing_province_code',
+  registrationDate: 'p.registration_date',
+  expiryDate: 'p.expiry_date',
+  createdAt: 'p.created_at'
+};
+
+/**
+ * Date range parameters of GET /api/plaques: parameter -> [column, operator]
+ * Bounds are whole days, both included.
+ */
+const DATE_RANGE_FILTERS = {
+  registeredFrom: ['p.registration_date', '>='],
+  registeredTo: ['p.registration_date', '<='],
+  expiresFrom: ['p.expiry_date', '>='],
+  expiresTo: ['p.expiry_date', '<=']
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_EXPIRING_WITHIN_DAYS = 3650;
+
+/**
+ * Columns returned for each row of a plaque listing
+ * (suspension_reason_code is only set while the plaque is suspended)
+ */
+const LIST_COLUMNS = [
+  ...[
+    'id', 'plate_number', 'owner_name', 'owner_email', 'owner_phone',
+    ...Object.values(OWNER_DETAIL_FIELDS),
+    'issuing_province_code', 'registration_date', 'expiry_date', 'status', 'vehicle_id', 'created_at'
+  ].map(column => `p.${column}`),
+  'v.vin AS vehicle_vin',
+  'v.make AS vehicle_make',
+  'v.model AS vehicle_model',
+  'v.colour AS vehicle_colour',
+  `(SELECT h.reason_code FROM plaque_status_history h
+    WHERE h.plaque_id = p.id AND h.to_status = 'suspended' AND p.status = 'suspended'
+    ORDER BY h.id DESC LIMIT 1) AS suspension_reason_code`
+];
+
+/**
+ * FROM clause shared by plaque listings and searches
+ */
+const PLAQUE_FROM = 'plaques p LEFT JOIN vehicles v ON v.id = p.vehicle_id';
+
+/**
+ * Condition restricting plaques (`p`) to issuing provinces
+ *
+ * @param {string[]|null} provinces - Province codes, null for every province
+ * @returns {{clause: string, params: Array}} Clause starting with " AND", or empty
+ */
+function buildProvinceCondition(provinces) {
+  if (!provinces) {
+    return { clause: '', params: [] };
+  }
+  if (!provinces.length) {
+    return { clause: ' AND 0', params: [] };
+  }
+  return {
+    clause: ` AND p.issuing_province_code IN (${provinces.map(() => '?').join(', ')})`,
+    params: [...provinces]
+  };
+}
+
+/**
+ * FTS5 query of a free-text search: each word must start a word of the
+ * plaques_fts index (case and accents are folded by its tokenizer)
+ *
+ * @param {string} search - Words typed by the user
+ * @returns {string} MATCH expression, empty when there is nothing to search
+ */
+function buildSearchQuery(search) {
+  return search
+    .split(/\s+/)
+    .filter(term => /[\p{L}\p{N}]/u.test(term))
+    .map(term => `"${term.replace(/"/g, '""')}"*`)
+    .join(' ');
+}
+
+function parseDayFilter(value, name) {
+  if (!DAY_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw httpError(400, `Date ${name} invalide (format AAAA-MM-JJ)`);
+  }
+  return value;
+}
+
+function parsePositiveInteger(value, message, max = Number.MAX_SAFE_INTEGER) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw httpError(400, message);
+  }
+  return number;
+}
+
+/**
+ * ORDER BY of a plaque listing sorted on a whitelisted column, the id
+ * breaking ties so pages never overlap
+ *
+ * @param {string} sort - Key of SORT_COLUMNS
+ * @param {string} order - 'asc' (default) or 'desc'
+ * @returns {string}
+ * @throws {Error} 400 httpError for an unknown column or order
+ */
+function buildSortOrder(sort, order) {
+  const column = SORT_COLUMNS[sort];
+  if (!column) {
+    throw httpError(400, `Tri invalide (${Object.keys(SORT_COLUMNS).join(', ')})`);
+  }
+  if (order && order !== 'asc' && order !== 'desc') {
+    throw httpError(400, 'Ordre de tri invalide (asc, desc)');
+  }
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  return `${column} ${direction}, p.id ${direction}`;
+}
+
+/**
+ * FROM, WHERE and ORDER BY clauses of a plaque listing: the filters and
+ * sort of GET /api/plaques and the provinces of the caller, cancelled
+ * plaques left out
+ *
+ * @param {Object} filters
+ * @param {string} filters.search - Free text looked up in plaques_fts
+ * @param {string} filters.status - Exact status
+ * @param {string} filters.registeredFrom - First registration day (AAAA-MM-JJ)
+ * @param {string} filters.registeredTo - Last registration day
+ * @param {string} filters.expiresFrom - First expiry day
+ * @param {string} filters.expiresTo - Last expiry day
+ * @param {string} filters.province - Issuing province code
+ * @param {string|number} filters.createdBy - ID of the user who registered the plaque
+ * @param {string|number} filters.expiringWithin - Days: not yet expired, expiring by then
+ * @param {string} filters.sort - Key of SORT_COLUMNS
+ * @param {string} filters.order - 'asc' or 'desc'
+ * @param {string[]|null} filters.provinces - Issuing provinces (null: all)
+ * @returns {{from: string, whereClause: string, params: Array, orderBy: string}}
+ *   whereClause starts with " WHERE"; without `sort`, orderBy ranks search
+ *   results by relevance, otherwise newest first
+ * @throws {Error} 400 httpError for an invalid filter or sort
+ */
+function buildPlaqueFilter(filters = {}) {
+  const {
+    search = '', status = '', province = '', createdBy = '', expiringWithin = '',
+    sort = '', order = '', provinces = null
+  } = filters;
+  const scope = buildProvinceCondition(provinces);
+  let from = PLAQUE_FROM;
+  let whereClause = ` WHERE p.deleted_at IS NULL${scope.clause}`;
+  let orderBy = 'p.created_at DESC';
+  const params = [...scope.params];
+
+  const searchQuery = buildSearchQuery(search);
+  if (searchQuery) {
+    from += ' JOIN plaques_fts ON plaques_fts.rowid = p.id';
+    whereClause += ' AND plaques_fts MATCH ?';
+    params.push(searchQuery);
+    orderBy = `bm25(plaques_fts, ${SEARCH_WEIGHTS.join(', ')}), ${orderBy}`;
+  }
+
+  if (status) {
+    whereClause += ' AND p.status = ?';
+    params.push(status);
+  }
+
+  Object.entries(DATE_RANGE_FILTERS).forEach(([name, [column, operator]]) => {
+    if (filters[name]) {
+      whereClause += ` AND date(${column}) ${operator} ?`;
+      params.push(parseDayFilter(filters[name], name));
+    }
+  });
+
+  if (province) {
+    if (!isProvinceCode(province)) {
+      throw httpError(400, 'Province invalide');
+    }
+    whereClause += ' AND p.issuing_province_code = ?';
+    params.push(province);
+  }
+
+  if (createdBy) {
+    whereClause += ' AND p.created_by = ?';
+    params.push(parsePositiveInteger(createdBy, 'Utilisateur invalide'));
+  }
+
+  if (expiringWithin) {
+    const days = parsePositiveInteger(
+      expiringWithin,
+      `Le délai d'expiration doit être un nombre de jours entre 1 et ${MAX_EXPIRING_WITHIN_DAYS}`,
+      MAX_EXPIRING_WITHIN_DAYS
+    );
+    whereClause += ' AND datetime(p.expiry_date) > datetime(\'now\') AND datetime(p.expiry_date) <= datetime(\'now\', ?)';
+    params.push(`+${days} days`);
+  }
+
+  if (sort) {
+    orderBy = buildSortOrder(sort, order);
+  }
+
+  return { from, whereClause, params, orderBy };
+}
+
+/**
+ * Build the display name stored in owner_name
+ * Structured names win; `ownerName` is kept for clients that only send it.
+ *
+ * @param {Object} body - Request body
+ * @returns {string} "Nom Post-nom Prénom", trimmed
+ */
+function buildOwnerName(body) {
+  const parts = [body.ownerNom, body.ownerPostNom, body.ownerPrenom]
+    .map((part) => (part || '').trim())
+    .filter(Boolean);
+
+  return parts.length ? parts.join(' ') : (body.ownerName || '').trim();
+}
+
+/**
+ * Whether two owner names designate the same person: they may only differ
+ * in case, accents, spacing and word order ("Nom Post-nom Prénom" rebuilt
+ * from a name typed in another order)
+ *
+ * @param {string} a - Owner name
+ * @param {string} b - Owner name
+ * @returns {boolean}
+ */
+function isSameOwnerName(a, b) {
+  const fold = (name) => (name || '').normalize('NFD').replace(/\p{M}/gu, '')
+    .toLowerCase().split(/\s+/).filter(Boolean).sort().join(' ');
+  return fold(a) === fold(b);
+}
+
+/**
+ * Extract owner detail columns from a request body
+ * The province name follows a known province code, so the two always agree.
+ * On an update, fields missing from the body keep their stored value; only
+ * an explicit null or empty string clears one.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} current - Stored plaque row (update), none on creation
+ * @returns {Object} Column name -> value (null when not provided)
+ */
+function extractOwnerDetails(body, current = {}) {
+  const columns = {};
+  Object.entries(OWNER_DETAIL_FIELDS).forEach(([field, column]) => {
+    const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    if (value === undefined) {
+      columns[column] = current[column] ?? null;
+    } else {
+      columns[column] = value === '' ? null : value;
+    }
+  });
+
+  const province = PROVINCES.find(p => p.code === columns.owner_province_code);
+  if (province) {
+    columns.owner_province = province.name;
+  } else if (body.ownerProvinceCode !== undefined && body.ownerProvince === undefined) {
+    // A cleared or unknown code must not leave the previous province name
+    columns.owner_province = null;
+  }
+  return columns;
+}
+
+/**
+ * Value of a plain field on an update: the stored one when the body
+ * omits it, null when the body clears it
+ *
+ * @param {*} value - Field of the request body
+ * @param {*} current - Stored value
+ * @returns {*}
+ */
+function mergeField(value, current) {
+  if (value === undefined) return current ?? null;
+  const trimmed = typeof value === 'string' ? value.trim() : value;
+  return trimmed === '' ? null : trimmed;
+}
+
+module.exports = {
+  OWNER_DETAIL_FIELDS,
+  SEARCH_WEIGHTS,
+  SORT_COLUMNS,
+  LIST_COLUMNS,
+  PLAQUE_FROM,
+  buildProvinceCondition,
+  buildSearchQuery,
+  buildPlaqueFilter,
+  buildOwnerName,
+  isSameOwnerName,
+  extractOwnerDetails,
+  mergeField
+};
@@ -0,0 +1,25 @@
+/**
+ * Registration validity as reported to anyone checking a plate
+ *
+ * A plaque is valid only while it is not cancelled, its status is active
+ * and its expiry date has not passed, whatever the stored status says.
+ *
+ * @param {Object} plaque - Plaque row
+ * @param {Date} now - Reference time (default: now)
+ * @returns {{valid: boolean, reason: string|null}} reason is the status
+ *   that makes the plate invalid (cancelled, expired, suspended...)
+ */
+function getPlaqueValidity(plaque, now = new Date()) {
+  if (plaque.deleted_at) {
+    return { valid: false, reason: 'cancelled' };
+  }
+  if (plaque.status !== 'active') {
+    return { valid: false, reason: plaque.status };
+  }
+  if (new Date(plaque.expiry_date) <= now) {
+    return { valid: false, reason: 'expired' };
+  }
+  return { valid: true, reason: null };
+}
+
+module.exports = { getPlaqueValidity };
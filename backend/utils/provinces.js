@@ -0,0 +1,49 @@
+/**
+ * DRC Provinces - The 26 provinces and their registration codes
+ *
+ * Codes match the "Code Province" list of the registration form and
+ * prefix every allocated plate number (e.g. 10-AB-1234 for Kongo-Central).
+ * Migration 021 seeds geo_provinces from this list, and the frontend reads
+ * it from there through GET /api/geo/provinces.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const PROVINCES = [
+  { code: '01', name: 'Kinshasa' },
+  { code: '02', name: 'Bas-Uele' },
+  { code: '03', name: 'Équateur' },
+  { code: '04', name: 'Haut-Katanga' },
+  { code: '05', name: 'Haut-Lomami' },
+  { code: '06', name: 'Haut-Uele' },
+  { code: '07', name: 'Ituri' },
+  { code: '08', name: 'Kasaï' },
+  { code: '09', name: 'Kasaï-Oriental' },
+  { code: '10', name: 'Kongo-Central' },
+  { code: '11', name: 'Kwango' },
+  { code: '12', name: 'Kwilu' },
+  { code: '13', name: 'Lomami' },
+  { code: '14', name: 'Lualaba' },
+  { code: '15', name: 'Kasaï-Central' },
+  { code: '16', name: 'Mai-Ndombe' },
+  { code: '17', name: 'Maniema' },
+  { code: '18', name: 'Mongala' },
+  { code: '19', name: 'Nord-Kivu' },
+  { code: '20', name: 'Nord-Ubangi' },
+  { code: '21', name: 'Sankuru' },
+  { code: '22', name: 'Sud-Kivu' },
+  { code: '23', name: 'Sud-Ubangi' },
+  { code: '24', name: 'Tanganyika' },
+  { code: '25', name: 'Tshopo' },
+  { code: '26', name: 'Tshuapa' }
+];
+
+const PROVINCE_CODES = PROVINCES.map(province => province.code);
+
+function isProvinceCode(code) {
+  return PROVINCE_CODES.includes(code);
+}
+
+module.exports = { PROVINCES, PROVINCE_CODES, isProvinceCode };
@@ -0,0 +1,45 @@
+/**
+ * Status Reason Codes - Coded motives for suspensions and reinstatements
+ *
+ * The code is stored in plaque_status_history.reason_code and the French
+ * label in its `reason` column, so the history reads the same whether or
+ * not the client knows the codes.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const SUSPENSION_REASONS = [
+  { code: 'unpaid_fees', label: 'Taxes ou redevances impayées' },
+  { code: 'court_order', label: 'Décision de justice' },
+  { code: 'stolen', label: 'Véhicule déclaré volé' },
+  { code: 'fraudulent_documents', label: 'Documents frauduleux' },
+  { code: 'unroadworthy', label: 'Véhicule non conforme au contrôle technique' },
+  { code: 'owner_request', label: 'Demande du propriétaire' },
+  { code: 'other', label: 'Autre motif' }
+];
+
+const REINSTATEMENT_REASONS = [
+  { code: 'fees_paid', label: 'Taxes et redevances réglées' },
+  { code: 'court_release', label: 'Mainlevée judiciaire' },
+  { code: 'vehicle_recovered', label: 'Véhicule retrouvé' },
+  { code: 'documents_regularised', label: 'Documents régularisés' },
+  { code: 'inspection_passed', label: 'Contrôle technique réussi' },
+  { code: 'suspension_error', label: 'Suspension erronée' },
+  { code: 'other', label: 'Autre motif' }
+];
+
+// Codes that need notes to explain them
+const CODES_REQUIRING_NOTES = ['other'];
+
+function findReason(reasons, code) {
+  return reasons.find(reason => reason.code === code) || null;
+}
+
+module.exports = {
+  SUSPENSION_REASONS,
+  REINSTATEMENT_REASONS,
+  CODES_REQUIRING_NOTES,
+  findReason
+};
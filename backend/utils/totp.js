@@ -0,0 +1,137 @@
+/**
+ * TOTP - Time-based one-time passwords (RFC 6238)
+ *
+ * Six-digit codes over 30-second steps with HMAC-SHA1, the defaults every
+ * authenticator app (Google Authenticator, FreeOTP, Microsoft
+ * Authenticator...) understands. Secrets are exchanged in base32.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret, base32-encoded
+ *
+ * @returns {string}
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Code of a secret at a time step
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix seconds / 30)
+ * @returns {string} Zero-padded code
+ */
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and its neighbours, so a clock
+ * drift of up to `window` steps is tolerated
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options
+ * @param {number} options.window - Steps accepted before and after (default 1)
+ * @param {number} options.afterStep - Steps up to this one are refused (replay protection)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {number|null} The matched step, or null
+ */
+function verifyTotp(secret, code, { window = 1, afterStep = -1, now = new Date() } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const current = Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = Buffer.from(totpCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps read from a QR code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name shown in the app (e.g. the email)
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string}
+ */
+function otpauthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateTotpSecret,
+  totpCode,
+  verifyTotp,
+  otpauthUri
+};
@@ -0,0 +1,33 @@
+/**
+ * Transfer Evidence Types - Documents proving a change of ownership
+ *
+ * The code is stored in plaque_ownership_transfers.evidence_type together
+ * with the reference of the document (deed number, judgment number...).
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const TRANSFER_EVIDENCE_TYPES = [
+  { code: 'bill_of_sale', label: 'Acte de vente' },
+  { code: 'notarial_deed', label: 'Acte notarié' },
+  { code: 'dealer_invoice', label: 'Facture d\'un vendeur professionnel' },
+  { code: 'court_decision', label: 'Décision de justice' },
+  { code: 'inheritance', label: 'Succession' },
+  { code: 'donation', label: 'Donation' },
+  { code: 'other', label: 'Autre justificatif' }
+];
+
+// Evidence types that need notes to explain them
+const EVIDENCE_REQUIRING_NOTES = ['other'];
+
+function findEvidenceType(code) {
+  return TRANSFER_EVIDENCE_TYPES.find(type => type.code === code) || null;
+}
+
+module.exports = {
+  TRANSFER_EVIDENCE_TYPES,
+  EVIDENCE_REQUIRING_NOTES,
+  findEvidenceType
+};
@@ -0,0 +1,26 @@
+/**
+ * User Roles - Roles an admin can give to an account
+ *
+ * What each role may do is stored in role_permissions (see
+ * utils/permissions.js).
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const USER_ROLES = [
+  { code: 'agent', label: 'Agent de saisie' },
+  { code: 'supervisor', label: 'Superviseur' },
+  { code: 'admin', label: 'Administrateur' },
+  { code: 'police', label: 'Police (consultation)' }
+];
+
+function findUserRole(code) {
+  return USER_ROLES.find(role => role.code === code) || null;
+}
+
+module.exports = {
+  USER_ROLES,
+  findUserRole
+};
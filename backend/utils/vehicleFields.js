@@ -0,0 +1,100 @@
+/**
+ * Vehicle Field Mapping and Validation
+ *
+ * Shared by /api/vehicles and by the plaque routes, which accept a
+ * nested `vehicle` object when registering a plate.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Request body fields -> vehicles columns
+ */
+const VEHICLE_FIELDS = {
+  vin: 'vin',
+  engineNumber: 'engine_number',
+  make: 'make',
+  model: 'model',
+  year: 'year',
+  colour: 'colour',
+  category: 'category',
+  fuel: 'fuel',
+  seats: 'seats'
+};
+
+const VEHICLE_CATEGORIES = [
+  'car', 'van', 'truck', 'bus', 'minibus', 'motorcycle', 'tricycle', 'agricultural', 'trailer'
+];
+
+const FUEL_TYPES = ['petrol', 'diesel', 'electric', 'hybrid', 'lpg'];
+
+// Chassis numbers of older vehicles are not always 17-character VINs
+const VIN_PATTERN = /^[A-Z0-9-]{5,30}$/;
+
+/**
+ * Normalise a VIN / chassis number for storage and comparison
+ * @param {string} vin
+ * @returns {string} Upper-cased VIN without spaces
+ */
+function normalizeVin(vin) {
+  return String(vin || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Extract vehicle columns from a request body
+ *
+ * @param {Object} body - Request body (or nested `vehicle` object)
+ * @returns {Object} Column name -> value (null when not provided)
+ */
+function extractVehicleFields(body) {
+  const columns = {};
+  Object.entries(VEHICLE_FIELDS).forEach(([field, column]) => {
+    let value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    if (value === undefined || value === '') value = null;
+    if (value !== null && (column === 'year' || column === 'seats')) value = Number(value);
+    columns[column] = value;
+  });
+  columns.vin = normalizeVin(columns.vin) || null;
+  return columns;
+}
+
+/**
+ * Validate extracted vehicle columns
+ *
+ * @param {Object} vehicle - Output of extractVehicleFields()
+ * @returns {string|null} First validation error message, or null if valid
+ */
+function validateVehicle(vehicle) {
+  const maxYear = new Date().getFullYear() + 1;
+
+  if (!vehicle.vin || !vehicle.make || !vehicle.model) {
+    return 'Numéro de châssis (VIN), marque et modèle sont requis';
+  }
+  if (!VIN_PATTERN.test(vehicle.vin)) {
+    return 'Numéro de châssis (VIN) invalide';
+  }
+  if (vehicle.year !== null && (!Number.isInteger(vehicle.year) || vehicle.year < 1900 || vehicle.year > maxYear)) {
+    return `L'année doit être comprise entre 1900 et ${maxYear}`;
+  }
+  if (vehicle.seats !== null && (!Number.isInteger(vehicle.seats) || vehicle.seats < 1 || vehicle.seats > 100)) {
+    return 'Le nombre de places doit être compris entre 1 et 100';
+  }
+  if (vehicle.category !== null && !VEHICLE_CATEGORIES.includes(vehicle.category)) {
+    return 'Catégorie de véhicule invalide';
+  }
+  if (vehicle.fuel !== null && !FUEL_TYPES.includes(vehicle.fuel)) {
+    return 'Type de carburant invalide';
+  }
+  return null;
+}
+
+module.exports = {
+  VEHICLE_FIELDS,
+  VEHICLE_CATEGORIES,
+  FUEL_TYPES,
+  normalizeVin,
+  extractVehicleFields,
+  validateVehicle
+};
@@ -6,6 +6,19 @@ import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import AddPlate from './components/AddPlate';
 import PlaqueList from './components/PlaqueList';
+import PlaqueDetail from './components/PlaqueDetail';
+import TransferOwnership from './components/TransferOwnership';
+import AuditLog from './components/AuditLog';
+import Trash from './components/Trash';
+import ImportPlaques from './components/ImportPlaques';
+import UserAdmin from './components/UserAdmin';
+import GeoAdmin from './components/GeoAdmin';
+import LoginAttempts from './components/LoginAttempts';
+import Statistics from './components/Statistics';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import ChangePassword from './components/ChangePassword';
+import AccountSecurity from './components/AccountSecurity';
 import ProtectedRoute from './components/ProtectedRoute';
 
 function App() {
@@ -14,6 +27,24 @@ function App() {
       <div className="App">
         <Routes>
           <Route path="/" element={<Login />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route 
+            path="/change-password" 
+            element={
+              <ProtectedRoute>
+                <ChangePassword />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/account/security"
+            element={
+              <ProtectedRoute>
+                <AccountSecurity />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/dashboard" 
             element={
@@ -23,9 +54,17 @@ function App() {
             } 
           />
           <Route 
-            path="/add-plate" 
+            path="/statistics"
             element={
               <ProtectedRoute>
+                <Statistics />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/add-plate" 
+            element={
+              <ProtectedRoute permission="plaque:create">
                 <AddPlate />
               </ProtectedRoute>
             } 
@@ -38,6 +77,70 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/plaques/:id"
+            element={
+              <ProtectedRoute>
+                <PlaqueDetail />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/plaques/:id/transfer"
+            element={
+              <ProtectedRoute permission="plaque:transfer">
+                <TransferOwnership />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/users"
+            element={
+              <ProtectedRoute permission="user:manage">
+                <UserAdmin />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/login-attempts"
+            element={
+              <ProtectedRoute permission="user:manage">
+                <LoginAttempts />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/audit"
+            element={
+              <ProtectedRoute permission="audit:read">
+                <AuditLog />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/trash"
+            element={
+              <ProtectedRoute permission="plaque:delete">
+                <Trash />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/import"
+            element={
+              <ProtectedRoute permission="plaque:import">
+                <ImportPlaques />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/geography"
+            element={
+              <ProtectedRoute permission="geo:manage">
+                <GeoAdmin />
+              </ProtectedRoute>
+            } 
+          />
           {/* Legacy route for backward compatibility */}
           <Route 
             path="/vehicles"
@@ -0,0 +1,223 @@
+/**
+ * AccountSecurity Component - Two-factor authentication of the logged-in user
+ *
+ * Users enrol an authenticator app, replace their recovery codes or turn
+ * the second factor off. Roles listed in TOTP_REQUIRED_ROLES on the server
+ * cannot turn it off.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Form, Button, Alert, Card, Spinner, Badge } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+import ApiService from '../services/api';
+
+const EMPTY_DISABLE_FORM = {
+  password: '',
+  code: ''
+};
+
+/**
+ * AccountSecurity Functional Component
+ *
+ * @returns {JSX.Element} The rendered AccountSecurity component
+ */
+const AccountSecurity = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [enrolling, setEnrolling] = useState(false);
+  // Codes shown once, after enrolment or regeneration
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [regenerateCode, setRegenerateCode] = useState('');
+  const [disableForm, setDisableForm] = useState(EMPTY_DISABLE_FORM);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setError('');
+      setStatus(await ApiService.getTwoFactorStatus());
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement de la double authentification');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleEnabled = (data) => {
+    setEnrolling(false);
+    setRecoveryCodes(data.recoveryCodes);
+    setSuccess('Double authentification activée.');
+    loadStatus();
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const data = await ApiService.regenerateRecoveryCodes(regenerateCode.trim());
+      setRecoveryCodes(data.recoveryCodes);
+      setRegenerateCode('');
+      setSuccess('Nouveaux codes de récupération générés. Les anciens ne fonctionnent plus.');
+      loadStatus();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la génération des codes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      await ApiService.disableTwoFactor(disableForm.password, disableForm.code.trim());
+      setDisableForm(EMPTY_DISABLE_FORM);
+      setRecoveryCodes(null);
+      setSuccess('Double authentification désactivée.');
+      loadStatus();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la désactivation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  const formatDateTime = (dateString) => {
+    // SQLite timestamps are UTC without a zone marker
+    return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleString('fr-FR');
+  };
+
+  // ==================== RENDER ====================
+
+  const renderEnabled = () => (
+    <>
+      <p>
+        Activée le {formatDateTime(status.enabledAt)}.{' '}
+        {status.recoveryCodesLeft} code(s) de récupération restant(s).
+      </p>
+
+      <h6 className="mt-4">Codes de récupération</h6>
+      <Form onSubmit={handleRegenerate} className="d-flex gap-2 mb-4" style={{ maxWidth: '420px' }}>
+        <Form.Control
+          value={regenerateCode}
+          onChange={(e) => setRegenerateCode(e.target.value)}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          placeholder="Code de l'application"
+          required
+          disabled={saving}
+        />
+        <Button type="submit" variant="outline-primary" className="text-nowrap" disabled={saving}>
+          Régénérer
+        </Button>
+      </Form>
+
+      <h6>Désactiver</h6>
+      {status.required ? (
+        <p className="text-muted mb-0">
+          La double authentification est obligatoire pour votre rôle et ne peut pas être désactivée.
+        </p>
+      ) : (
+        <Form onSubmit={handleDisable} style={{ maxWidth: '420px' }}>
+          <Form.Group className="mb-2" controlId="disablePassword">
+            <Form.Control
+              type="password"
+              value={disableForm.password}
+              onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+              placeholder="Mot de passe"
+              required
+              disabled={saving}
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="disableCode">
+            <Form.Control
+              value={disableForm.code}
+              onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+              autoComplete="one-time-code"
+              placeholder="Code de l'application ou code de récupération"
+              required
+              disabled={saving}
+            />
+          </Form.Group>
+          <Button type="submit" variant="outline-danger" disabled={saving}>
+            Désactiver la double authentification
+          </Button>
+        </Form>
+      )}
+    </>
+  );
+
+  const renderDisabled = () => (
+    enrolling ? (
+      <TwoFactorSetup onEnabled={handleEnabled} onCancel={() => setEnrolling(false)} />
+    ) : (
+      <>
+        <p>
+          Protégez votre compte avec un code à usage unique généré par une application
+          d'authentification sur votre téléphone, demandé après le mot de passe.
+        </p>
+        {status.required && (
+          <Alert variant="warning">
+            La double authentification est obligatoire pour votre rôle : elle vous sera
+            demandée à la prochaine connexion.
+          </Alert>
+        )}
+        <Button variant="primary" onClick={() => { setSuccess(''); setEnrolling(true); }}>
+          Activer la double authentification
+        </Button>
+      </>
+    )
+  );
+
+  return (
+    <AppLayout>
+      <h4 className="mb-4">Double authentification</h4>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+      {success && <Alert variant="success">{success}</Alert>}
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+
+      {loading ? (
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Chargement...</span>
+          </Spinner>
+        </div>
+      ) : status && (
+        <Card style={{ maxWidth: '640px' }}>
+          <Card.Header>
+            Application d'authentification{' '}
+            {status.enabled ? <Badge bg="success">Activée</Badge> : <Badge bg="secondary">Désactivée</Badge>}
+            {status.required && <Badge bg="warning" text="dark" className="ms-1">Obligatoire</Badge>}
+          </Card.Header>
+          <Card.Body>
+            {status.enabled ? renderEnabled() : renderDisabled()}
+          </Card.Body>
+        </Card>
+      )}
+    </AppLayout>
+  );
+};
+
+export default AccountSecurity;
@@ -3,12 +3,18 @@
  * 
  * This component handles the registration of new persons in the system.
  * It collects personal information, generates plate numbers, and creates
- * QR codes containing all registration data.
+ * QR codes that let anyone verify the registration.
  * 
  * Features:
  * - Personal information form with validation
- * - Automatic plate number generation (6-digit format)
- * - QR code generation with complete data
+ * - Address selects that cascade from the province down to the village,
+ *   from the geography reference data; levels without reference entries
+ *   are typed freely
+ * - Vehicle details (VIN, make, model...) linked to the plate
+ * - Plate number allocation by the server from the province sequence
+ *   (e.g. 10-AB-1234), released again if the registration is abandoned
+ * - QR code carrying a server-signed verification token
+ * - Printable registration certificate (PDF) once saved
  * - Edit mode for updating existing registrations
  * - Form validation and error handling
  * 
@@ -17,11 +23,92 @@
  * @since 2024
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, Link, useLocation } from 'react-router-dom';
 import { Container, Form, Button, Row, Col, Navbar, Nav, NavDropdown, Alert, Spinner, Modal } from 'react-bootstrap';
 import { QRCodeSVG } from 'qrcode.react';
+import JurisdictionSwitcher from './JurisdictionSwitcher';
 import ApiService from '../services/api';
+import { provinceName } from '../utils/provinces';
+
+/**
+ * Vehicle categories and fuel types accepted by the backend, with labels
+ */
+const VEHICLE_CATEGORIES = {
+  car: 'Voiture particulière',
+  van: 'Camionnette',
+  truck: 'Camion',
+  bus: 'Bus',
+  minibus: 'Minibus',
+  motorcycle: 'Moto',
+  tricycle: 'Tricycle',
+  agricultural: 'Engin agricole',
+  trailer: 'Remorque'
+};
+
+const FUEL_TYPES = {
+  petrol: 'Essence',
+  diesel: 'Diesel',
+  electric: 'Électrique',
+  hybrid: 'Hybride',
+  lpg: 'GPL'
+};
+
+/**
+ * Provinces the current user may register plates in
+ */
+const jurisdictionProvinces = () => {
+  const codes = ApiService.getJurisdictionProvinces();
+  return ApiService.getProvinces().filter(province => codes.includes(province.code));
+};
+
+/**
+ * Province selected by default: Kongo-Central when in the jurisdiction,
+ * otherwise the first province of the user
+ */
+const defaultProvinceCode = () => {
+  const codes = ApiService.getJurisdictionProvinces();
+  return codes.includes('10') ? '10' : codes[0] || '';
+};
+
+/**
+ * Address fields emptied when the level above them changes
+ */
+const GEO_CASCADE = {
+  provinceCode: ['district', 'territoire', 'secteur', 'village'],
+  district: ['territoire', 'secteur', 'village'],
+  territoire: ['secteur', 'village'],
+  secteur: ['village']
+};
+
+/**
+ * Reference entries of a geography level under a parent, reloaded when
+ * the parent changes; none while there is no parent or on error
+ *
+ * @param {string} level - districts, territoires, secteurs or villages
+ * @param {Object|null} params - Parent filter, e.g. { territoire: 12 }
+ * @returns {Array} Entries ({ id, name, ... })
+ */
+const useGeoAreas = (level, params) => {
+  const [items, setItems] = useState([]);
+  const query = params ? new URLSearchParams(params).toString() : '';
+
+  useEffect(() => {
+    if (!query) {
+      setItems([]);
+      return undefined;
+    }
+    let cancelled = false;
+    ApiService.getGeoAreas(level, Object.fromEntries(new URLSearchParams(query)))
+      .then(result => { if (!cancelled) setItems(result); })
+      .catch(() => { if (!cancelled) setItems([]); });
+    return () => {
+      cancelled = true;
+    };
+  }, [level, query]);
+
+  return items;
+};
 
 /**
  * AddPlate Functional Component
@@ -43,6 +130,9 @@ const AddPlate = () => {
   const [success, setSuccess] = useState('');
   const [showQR, setShowQR] = useState(false);
 
+  // Plates are only allocated in the provinces of the user's jurisdiction
+  const allowedProvinces = jurisdictionProvinces();
+
   // Edit mode detection from navigation state
   const editMode = location.state?.editMode || false;
   const existingPlaque = location.state?.plaqueData || null;
@@ -62,8 +152,8 @@ const AddPlate = () => {
     territoire: '',            // Territory
     secteur: '',              // Sector
     village: '',              // Village
-    province: '',             // Province name
-    provinceCode: '10',       // Province code (default: Kongo Central)
+    province: provinceName(defaultProvinceCode()), // Province name, follows the code
+    provinceCode: defaultProvinceCode(), // Province code (see defaultProvinceCode)
     
     // Contact and personal details
     nationalite: '',          // Nationality
@@ -72,9 +162,43 @@ const AddPlate = () => {
     email: ''                 // Email address
   });
   
+  /**
+   * Vehicle data state object
+   * Sent as the nested `vehicle` of the plaque registration
+   */
+  const [vehicleData, setVehicleData] = useState({
+    vin: '',                  // VIN / chassis number
+    engineNumber: '',         // Engine number
+    make: '',                 // Manufacturer
+    model: '',                // Model
+    year: '',                 // Year of manufacture
+    colour: '',               // Colour
+    category: '',             // Vehicle category
+    fuel: '',                 // Fuel type
+    seats: ''                 // Number of seats
+  });
+
   // Plate number and QR code states
   const [plateNumber, setPlateNumber] = useState('');
   const [qrCodeValue, setQrCodeValue] = useState('');
+  
+  // ID of the saved registration, for its certificate
+  const [savedPlaqueId, setSavedPlaqueId] = useState(null);
+  
+  // Plate number reserved on the server but not yet registered
+  const reservedPlateRef = useRef(null);
+
+  // Address reference lists, each filtered by the level above it
+  const districts = useGeoAreas('districts', formData.provinceCode && { province: formData.provinceCode });
+  const districtId = districts.find(district => district.name === formData.district)?.id;
+  const territoires = useGeoAreas('territoires', formData.provinceCode && {
+    province: formData.provinceCode,
+    ...(districtId && { district: districtId })
+  });
+  const territoireId = territoires.find(territoire => territoire.name === formData.territoire)?.id;
+  const secteurs = useGeoAreas('secteurs', territoireId && { territoire: territoireId });
+  const secteurId = secteurs.find(secteur => secteur.name === formData.secteur)?.id;
+  const villages = useGeoAreas('villages', secteurId && { secteur: secteurId });
 
   // ==================== COMPONENT LIFECYCLE ====================
 
@@ -89,57 +213,164 @@ const AddPlate = () => {
       return;
     }
 
-    // Pre-fill form in edit mode
+    // Pre-fill form in edit mode from the full stored registration
     if (editMode && existingPlaque) {
-      // Parse owner name into components (assuming "Last Middle First" format)
-      const ownerNameParts = existingPlaque.owner_name?.split(' ') || ['', '', ''];
-      
+      loadExistingPlaque(existingPlaque.id);
+    }
+  }, [navigate, editMode, existingPlaque]);
+
+  /**
+   * Release an unused plate reservation when the form is left,
+   * either by navigating away or by closing the page
+   */
+  useEffect(() => {
+    const releaseOnUnload = () => {
+      if (reservedPlateRef.current) {
+        ApiService.releasePlateNumber(reservedPlateRef.current, { keepalive: true }).catch(() => {});
+      }
+    };
+
+    window.addEventListener('beforeunload', releaseOnUnload);
+    return () => {
+      window.removeEventListener('beforeunload', releaseOnUnload);
+      releaseOnUnload();
+    };
+  }, []);
+
+  /**
+   * Load a stored registration and map its columns onto the form
+   * Registrations made before owner details were stored only have
+   * owner_name, which is kept whole in "nom" rather than guessed apart.
+   *
+   * @param {number} id - Plaque ID
+   * @async
+   */
+  const loadExistingPlaque = async (id) => {
+    try {
+      setLoading(true);
+      const plaque = await ApiService.getPlaqueById(id);
+      const hasStructuredName = plaque.owner_nom || plaque.owner_post_nom || plaque.owner_prenom;
+      const provinceCode = plaque.owner_province_code || defaultProvinceCode();
+
       setFormData({
-        nom: ownerNameParts[0] || '',
-        postNom: ownerNameParts[1] || '',
-        prenom: ownerNameParts[2] || '',
-        district: '',
-        territoire: '',
-        secteur: '',
-        village: '',
-        province: '',
-        provinceCode: '10',
-        nationalite: '',
-        adresse: '',
-        telephone: existingPlaque.owner_phone || '',
-        email: existingPlaque.owner_email || ''
+        nom: (hasStructuredName ? plaque.owner_nom : plaque.owner_name) || '',
+        postNom: plaque.owner_post_nom || '',
+        prenom: plaque.owner_prenom || '',
+        district: plaque.owner_district || '',
+        territoire: plaque.owner_territoire || '',
+        secteur: plaque.owner_secteur || '',
+        village: plaque.owner_village || '',
+        province: provinceName(provinceCode) || plaque.owner_province || '',
+        provinceCode,
+        nationalite: plaque.owner_nationalite || '',
+        adresse: plaque.owner_adresse || '',
+        telephone: plaque.owner_phone || '',
+        email: plaque.owner_email || ''
       });
-      setPlateNumber(existingPlaque.plate_number || '');
+      if (plaque.vehicle) {
+        setVehicleData({
+          vin: plaque.vehicle.vin || '',
+          engineNumber: plaque.vehicle.engine_number || '',
+          make: plaque.vehicle.make || '',
+          model: plaque.vehicle.model || '',
+          year: plaque.vehicle.year ? String(plaque.vehicle.year) : '',
+          colour: plaque.vehicle.colour || '',
+          category: plaque.vehicle.category || '',
+          fuel: plaque.vehicle.fuel || '',
+          seats: plaque.vehicle.seats ? String(plaque.vehicle.seats) : ''
+        });
+      }
+      setPlateNumber(plaque.plate_number || '');
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement de la plaque');
+    } finally {
+      setLoading(false);
     }
-  }, [navigate, editMode, existingPlaque]);
+  };
 
   // ==================== EVENT HANDLERS ====================
 
   /**
    * Handle form input changes
-   * Updates the corresponding field in formData state
+   * Updates the corresponding field in formData state. Province and
+   * province code are one choice, and changing an address level empties
+   * the levels below it.
    * 
    * @param {Event} e - Input change event
    */
   const handleChange = (e) => {
     const { name, value } = e.target;
+    const updates = { [name]: value };
+    if (name === 'province') {
+      updates.provinceCode = ApiService.getProvinces().find(province => province.name === value)?.code || '';
+    } else if (name === 'provinceCode') {
+      updates.province = provinceName(value);
+    }
+
+    const changedLevel = name === 'province' ? 'provinceCode' : name;
+    (GEO_CASCADE[changedLevel] || []).forEach(field => {
+      updates[field] = '';
+    });
     setFormData({
       ...formData,
+      ...updates
+    });
+
+    // A reserved number belongs to the previous province
+    if (changedLevel === 'provinceCode' && reservedPlateRef.current) {
+      releaseReservedPlate();
+      setPlateNumber(editMode && existingPlaque ? existingPlaque.plate_number : '');
+      setQrCodeValue('');
+    }
+  };
+
+  /**
+   * Handle vehicle input changes
+   * 
+   * @param {Event} e - Input change event
+   */
+  const handleVehicleChange = (e) => {
+    const { name, value } = e.target;
+    setVehicleData({
+      ...vehicleData,
       [name]: value
     });
   };
 
   /**
-   * Generate random plate number
-   * Creates a simple 6-digit plate number (e.g., "123456")
+   * Release the current plate reservation, if any
+   * Errors are ignored: unused reservations also expire on the server
+   */
+  const releaseReservedPlate = () => {
+    if (reservedPlateRef.current) {
+      ApiService.releasePlateNumber(reservedPlateRef.current).catch(() => {});
+      reservedPlateRef.current = null;
+    }
+  };
+
+  /**
+   * Reserve a plate number for the selected province
+   * The server allocates the next number of the province sequence
+   * (e.g., "10-AB-1234"); a previously reserved number is released.
    * Resets QR code when new plate is generated
+   * 
+   * @async
    */
-  const handleGeneratePlate = () => {
-    // Generate simple number like the old format
-    const randomNum = Math.floor(Math.random() * 900000) + 100000; // 6 digits
-    const newPlateNumber = randomNum.toString();
-    setPlateNumber(newPlateNumber);
-    setQrCodeValue('');
+  const handleGeneratePlate = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      releaseReservedPlate();
+
+      const { reservation } = await ApiService.reservePlateNumber(formData.provinceCode);
+      reservedPlateRef.current = reservation.plateNumber;
+      setPlateNumber(reservation.plateNumber);
+      setQrCodeValue('');
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la génération du numéro de plaque');
+    } finally {
+      setLoading(false);
+    }
   };
 
   /**
@@ -147,43 +378,37 @@ const AddPlate = () => {
    * 
    * This function:
    * 1. Validates that all required fields are completed
-   * 2. Creates complete data object for QR code
-   * 3. Submits registration to backend API
-   * 4. Generates QR code with all form data
+   * 2. Submits registration to backend API
+   * 3. Generates QR code from the signed token issued by the server,
+   *    which carries no personal data
    * 
    * @async
    */
   const handleGenerateQR = async () => {
     if (plateNumber && isFormComplete()) {
-      // Complete data for QR code (includes all form fields)
-      const completeData = {
-        plateNumber: plateNumber,
-        nom: formData.nom,
-        postNom: formData.postNom,
-        prenom: formData.prenom,
-        district: formData.district,
-        territoire: formData.territoire,
-        secteur: formData.secteur,
-        village: formData.village,
-        province: formData.province,
-        nationalite: formData.nationalite,
-        adresse: formData.adresse,
-        telephone: formData.telephone,
-        email: formData.email,
-        dateEnregistrement: new Date().toLocaleDateString('fr-FR')
-      };
-
       try {
         setLoading(true);
         setError('');
 
-        // Create plaque data for backend (keeping backend structure)
+        // Create plaque data for backend with the full owner identity
         const plaqueData = {
           plateNumber: plateNumber,
-          ownerName: formData.nom + ' ' + formData.postNom + ' ' + formData.prenom,
+          ownerNom: formData.nom,
+          ownerPostNom: formData.postNom,
+          ownerPrenom: formData.prenom,
+          ownerNationalite: formData.nationalite,
+          ownerAdresse: formData.adresse,
+          ownerProvince: formData.province,
+          ownerProvinceCode: formData.provinceCode,
+          ownerDistrict: formData.district,
+          ownerTerritoire: formData.territoire,
+          ownerSecteur: formData.secteur,
+          ownerVillage: formData.village,
           ownerEmail: formData.email,
           ownerPhone: formData.telephone,
-          expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString() // 1 year from now
+          vehicle: vehicleData
+          // No expiryDate: the server sets one year on registration,
+          // and later changes go through the renewal workflow
         };
 
         let response;
@@ -197,8 +422,12 @@ const AddPlate = () => {
           setSuccess('Plaque enregistrée avec succès!');
         }
         
-        // Generate QR code with ALL the form data
-        setQrCodeValue(JSON.stringify(completeData));
+        // The reserved number is now registered
+        reservedPlateRef.current = null;
+        
+        // Generate QR code with the signed verification token
+        setQrCodeValue(response.plaque.qr_token);
+        setSavedPlaqueId(response.plaque.id);
       } catch (err) {
         setError(err.message || `Erreur lors de ${editMode ? 'la mise à jour' : 'l\'enregistrement'} de la plaque`);
       } finally {
@@ -223,7 +452,14 @@ const AddPlate = () => {
       'adresse', 'telephone', 'email'
     ];
     
-    return requiredFields.every(field => formData[field] && formData[field].trim() !== '') && plateNumber;
+    const requiredVehicleFields = ['vin', 'make', 'model'];
+    
+    // Most provinces have no districts
+    return requiredFields
+      .filter(field => field !== 'district' || districts.length > 0)
+      .every(field => formData[field] && formData[field].trim() !== '')
+      && requiredVehicleFields.every(field => vehicleData[field].trim() !== '')
+      && plateNumber;
   };
 
   /**
@@ -240,6 +476,18 @@ const AddPlate = () => {
     setShowQR(false);
   };
 
+  /**
+   * Open the registration certificate PDF for printing
+   */
+  const handlePrintCertificate = async () => {
+    try {
+      setError('');
+      await ApiService.printCertificate(savedPlaqueId);
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la génération du certificat');
+    }
+  };
+
   /**
    * Handle user logout
    */
@@ -254,6 +502,58 @@ const AddPlate = () => {
     navigate('/dashboard');
   };
 
+  // A registration being edited keeps showing its province, even outside the jurisdiction
+  const provinceOptions = !formData.provinceCode
+    || allowedProvinces.some(province => province.code === formData.provinceCode)
+    ? allowedProvinces
+    : [...ApiService.getProvinces().filter(province => province.code === formData.provinceCode), ...allowedProvinces];
+
+  /**
+   * Address level: a select of its reference entries, keeping a stored
+   * value that is not among them, or a text input when there are none
+   * (provinces without districts get an empty select instead)
+   *
+   * @param {string} name - formData field
+   * @param {string} label - Level name
+   * @param {Array} items - Reference entries under the selected parent
+   * @returns {JSX.Element}
+   */
+  const renderGeoField = (name, label, items) => {
+    const value = formData[name];
+    if (!items.length && name !== 'district') {
+      return (
+        <Form.Control 
+          type="text" 
+          name={name} 
+          value={value}
+          onChange={handleChange}
+          placeholder={`Saisir le ${label.toLowerCase()}`}
+          disabled={loading}
+        />
+      );
+    }
+
+    const options = !value || items.some(item => item.name === value)
+      ? items
+      : [{ id: 'current', name: value }, ...items];
+    return (
+      <Form.Select 
+        name={name} 
+        value={value}
+        onChange={handleChange}
+        className="select-with-icon"
+        disabled={loading || !options.length}
+      >
+        <option value="">
+          {options.length ? `Sélectionner le ${label.toLowerCase()}` : 'Aucun district dans cette province'}
+        </option>
+        {options.map(item => (
+          <option key={item.id} value={item.name}>{item.name}</option>
+        ))}
+      </Form.Select>
+    );
+  };
+
   // ==================== COMPONENT RENDER ====================
 
   return (
@@ -292,9 +592,9 @@ const AddPlate = () => {
                 <NavDropdown.Item href="#plaques/delete">Supprimer</NavDropdown.Item>
               </NavDropdown>
               <Nav.Link href="/dashboard">Dashboard</Nav.Link>
-              <Nav.Link href="#department">Département</Nav.Link>
-              <Nav.Link href="#statistics">Statistiques</Nav.Link>
+              <Nav.Link as={Link} to="/statistics">Statistiques</Nav.Link>
             </Nav>
+            <JurisdictionSwitcher />
             <Button variant="dark" onClick={handleLogout}>Se déconnecter</Button>
           </Navbar.Collapse>
         </Container>
@@ -357,147 +657,79 @@ const AddPlate = () => {
             </Col>
           </Row>
 
-          {/* Location Information Fields */}
+          {/* Location Information Fields - Province first, each level filtering the next */}
           <Row className="mb-3">
             <Col xs={3} className="text-end pt-2">
-              <Form.Label>District</Form.Label>
+              <Form.Label>Province</Form.Label>
             </Col>
             <Col xs={9}>
               <Form.Select 
-                name="district" 
-                value={formData.district}
+                name="province" 
+                value={formData.province}
                 onChange={handleChange}
                 className="select-with-icon"
                 disabled={loading}
               >
-                <option>Sélectionner le district</option>
-                <option value="Lukaya">Lukaya</option>
-                <option value="Kinshasa">Kinshasa</option>
-                <option value="Bas-Congo">Bas-Congo</option>
+                {provinceOptions.map(province => (
+                  <option key={province.code} value={province.name}>{province.name}</option>
+                ))}
               </Form.Select>
             </Col>
           </Row>
 
+          {/* Province Code Selection - Provinces of the user's jurisdiction */}
           <Row className="mb-3">
             <Col xs={3} className="text-end pt-2">
-              <Form.Label>Territoire</Form.Label>
+              <Form.Label>Code Province</Form.Label>
             </Col>
             <Col xs={9}>
               <Form.Select 
-                name="territoire" 
-                value={formData.territoire}
+                name="provinceCode" 
+                value={formData.provinceCode}
                 onChange={handleChange}
                 className="select-with-icon"
                 disabled={loading}
               >
-                <option>Sélectionner le territoire</option>
-                <option value="Madimba">Madimba</option>
-                <option value="Kasangulu">Kasangulu</option>
-                <option value="Kimvula">Kimvula</option>
+                {provinceOptions.map(province => (
+                  <option key={province.code} value={province.code}>{province.code} - {province.name}</option>
+                ))}
               </Form.Select>
             </Col>
           </Row>
 
           <Row className="mb-3">
             <Col xs={3} className="text-end pt-2">
-              <Form.Label>Secteur</Form.Label>
+              <Form.Label>District</Form.Label>
             </Col>
             <Col xs={9}>
-              <Form.Select 
-                name="secteur" 
-                value={formData.secteur}
-                onChange={handleChange}
-                className="select-with-icon"
-                disabled={loading}
-              >
-                <option>Sélectionner le secteur</option>
-                <option value="Secteur1">Secteur 1</option>
-                <option value="Secteur2">Secteur 2</option>
-                <option value="Secteur3">Secteur 3</option>
-              </Form.Select>
+              {renderGeoField('district', 'District', districts)}
             </Col>
           </Row>
 
           <Row className="mb-3">
             <Col xs={3} className="text-end pt-2">
-              <Form.Label>Village</Form.Label>
+              <Form.Label>Territoire</Form.Label>
             </Col>
             <Col xs={9}>
-              <Form.Select 
-                name="village" 
-                value={formData.village}
-                onChange={handleChange}
-                className="select-with-icon"
-                disabled={loading}
-              >
-                <option>Sélectionner le village</option>
-                <option value="Ngeba">Ngeba</option>
-                <option value="Kimpese">Kimpese</option>
-                <option value="Mbanza-Ngungu">Mbanza-Ngungu</option>
-              </Form.Select>
+              {renderGeoField('territoire', 'Territoire', territoires)}
             </Col>
           </Row>
 
           <Row className="mb-3">
             <Col xs={3} className="text-end pt-2">
-              <Form.Label>Province</Form.Label>
+              <Form.Label>Secteur</Form.Label>
             </Col>
             <Col xs={9}>
-              <Form.Select 
-                name="province" 
-                value={formData.province}
-                onChange={handleChange}
-                className="select-with-icon"
-                disabled={loading}
-              >
-                <option>Sélectionner la province</option>
-                <option value="Kongo-Central">Kongo-Central</option>
-                <option value="Kinshasa">Kinshasa</option>
-                <option value="Kwilu">Kwilu</option>
-              </Form.Select>
+              {renderGeoField('secteur', 'Secteur', secteurs)}
             </Col>
           </Row>
 
-          {/* Province Code Selection - All 26 DRC Provinces */}
           <Row className="mb-3">
             <Col xs={3} className="text-end pt-2">
-              <Form.Label>Code Province</Form.Label>
+              <Form.Label>Village</Form.Label>
             </Col>
             <Col xs={9}>
-              <Form.Select 
-                name="provinceCode" 
-                value={formData.provinceCode}
-                onChange={handleChange}
-                className="select-with-icon"
-                disabled={loading}
-              >
-                <option value="01">01 - Kinshasa</option>
-                <option value="02">02 - Bas-Uele</option>
-                <option value="03">03 - Équateur</option>
-                <option value="04">04 - Haut-Katanga</option>
-                <option value="05">05 - Haut-Lomami</option>
-                <option value="06">06 - Haut-Uele</option>
-                <option value="07">07 - Ituri</option>
-                <option value="08">08 - Kasaï</option>
-                <option value="09">09 - Kasaï-Oriental</option>
-                <option value="10">10 - Kongo Central</option>
-                <option value="11">11 - Kwango</option>
-                <option value="12">12 - Kwilu</option>
-                <option value="13">13 - Lomami</option>
-                <option value="14">14 - Lualaba</option>
-                <option value="15">15 - Kasaï-Central</option>
-                <option value="16">16 - Mai-Ndombe</option>
-                <option value="17">17 - Maniema</option>
-                <option value="18">18 - Mongala</option>
-                <option value="19">19 - Nord-Kivu</option>
-                <option value="20">20 - Nord-Ubangi</option>
-                <option value="21">21 - Sankuru</option>
-                <option value="22">22 - Sud-Kivu</option>
-                <option value="23">23 - Sud-Ubangi</option>
-                <option value="24">24 - Tanganyika</option>
-                <option value="25">25 - Tshopo</option>
-                <option value="26">26 - Tshuapa</option>
-              </Form.Select>
+              {renderGeoField('village', 'Village', villages)}
             </Col>
           </Row>
 
@@ -570,6 +802,144 @@ const AddPlate = () => {
             </Col>
           </Row>
 
+          {/* Vehicle Information */}
+          <h6 className="mt-4 mb-3">Véhicule</h6>
+
+          <Row className="mb-3">
+            <Col xs={3} className="text-end pt-2">
+              <Form.Label>N° de châssis (VIN)</Form.Label>
+            </Col>
+            <Col xs={9}>
+              <Form.Control 
+                type="text" 
+                name="vin" 
+                value={vehicleData.vin}
+                onChange={handleVehicleChange}
+                placeholder="Ex: JT2BF22K1W0123456"
+                disabled={loading}
+              />
+            </Col>
+          </Row>
+
+          <Row className="mb-3">
+            <Col xs={3} className="text-end pt-2">
+              <Form.Label>N° moteur</Form.Label>
+            </Col>
+            <Col xs={9}>
+              <Form.Control 
+                type="text" 
+                name="engineNumber" 
+                value={vehicleData.engineNumber}
+                onChange={handleVehicleChange}
+                placeholder="Ex: 1NZ-4567890"
+                disabled={loading}
+              />
+            </Col>
+          </Row>
+
+          <Row className="mb-3">
+            <Col xs={3} className="text-end pt-2">
+              <Form.Label>Marque / Modèle</Form.Label>
+            </Col>
+            <Col xs={5}>
+              <Form.Control 
+                type="text" 
+                name="make" 
+                value={vehicleData.make}
+                onChange={handleVehicleChange}
+                placeholder="Ex: Toyota"
+                disabled={loading}
+              />
+            </Col>
+            <Col xs={4}>
+              <Form.Control 
+                type="text" 
+                name="model" 
+                value={vehicleData.model}
+                onChange={handleVehicleChange}
+                placeholder="Ex: Corolla"
+                disabled={loading}
+              />
+            </Col>
+          </Row>
+
+          <Row className="mb-3">
+            <Col xs={3} className="text-end pt-2">
+              <Form.Label>Année / Couleur</Form.Label>
+            </Col>
+            <Col xs={5}>
+              <Form.Control 
+                type="number" 
+                name="year" 
+                value={vehicleData.year}
+                onChange={handleVehicleChange}
+                placeholder="Ex: 2015"
+                disabled={loading}
+              />
+            </Col>
+            <Col xs={4}>
+              <Form.Control 
+                type="text" 
+                name="colour" 
+                value={vehicleData.colour}
+                onChange={handleVehicleChange}
+                placeholder="Ex: Blanc"
+                disabled={loading}
+              />
+            </Col>
+          </Row>
+
+          <Row className="mb-3">
+            <Col xs={3} className="text-end pt-2">
+              <Form.Label>Catégorie</Form.Label>
+            </Col>
+            <Col xs={9}>
+              <Form.Select 
+                name="category" 
+                value={vehicleData.category}
+                onChange={handleVehicleChange}
+                className="select-with-icon"
+                disabled={loading}
+              >
+                <option value="">Sélectionner la catégorie</option>
+                {Object.entries(VEHICLE_CATEGORIES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          </Row>
+
+          <Row className="mb-3">
+            <Col xs={3} className="text-end pt-2">
+              <Form.Label>Carburant / Places</Form.Label>
+            </Col>
+            <Col xs={5}>
+              <Form.Select 
+                name="fuel" 
+                value={vehicleData.fuel}
+                onChange={handleVehicleChange}
+                className="select-with-icon"
+                disabled={loading}
+              >
+                <option value="">Sélectionner le carburant</option>
+                {Object.entries(FUEL_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col xs={4}>
+              <Form.Control 
+                type="number" 
+                name="seats" 
+                value={vehicleData.seats}
+                onChange={handleVehicleChange}
+                placeholder="Places"
+                min="1"
+                disabled={loading}
+              />
+            </Col>
+          </Row>
+
           {/* Plate Number Generation and QR Code Section */}
           <Row className="mb-3">
             <Col xs={3} className="text-end pt-2">
@@ -629,6 +999,15 @@ const AddPlate = () => {
                         Agrandir QR Code
                       </Button>
                     </div>
+                    <div className="mt-2">
+                      <Button 
+                        variant="primary" 
+                        size="sm"
+                        onClick={handlePrintCertificate}
+                      >
+                        🖨️ Imprimer le certificat
+                      </Button>
+                    </div>
                   </div>
                 )}
               </Col>
@@ -659,12 +1038,15 @@ const AddPlate = () => {
                 Propriétaire: <strong>{formData.nom} {formData.postNom} {formData.prenom}</strong>
               </p>
               <small className="text-info">
-                Ce QR code contient toutes les informations de la plaque
+                Ce QR code contient un jeton signé permettant de vérifier la validité de la plaque
               </small>
             </>
           )}
         </Modal.Body>
         <Modal.Footer>
+          <Button variant="primary" onClick={handlePrintCertificate}>
+            🖨️ Imprimer le certificat
+          </Button>
           <Button variant="secondary" onClick={handleCloseQR}>
             Fermer
           </Button>
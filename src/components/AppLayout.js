@@ -0,0 +1,113 @@
+/**
+ * AppLayout Component - Shared page frame
+ *
+ * Renders the government header, the navigation bar and the footer
+ * around a page's content, so pages only provide what is specific
+ * to them.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Container, Navbar, Nav, NavDropdown } from 'react-bootstrap';
+import JurisdictionSwitcher from './JurisdictionSwitcher';
+import ApiService from '../services/api';
+
+/**
+ * AppLayout Functional Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Page content
+ * @returns {JSX.Element} The page wrapped in the application frame
+ */
+const AppLayout = ({ children }) => {
+  const user = ApiService.getCurrentUser();
+
+  const handleLogout = () => {
+    ApiService.logout();
+  };
+
+  return (
+    <Container className="app-container p-0">
+      <div className="app-header py-2">
+        <h5 className="app-title">Système d'Enregistrement des Plaques</h5>
+        <div className="header-content">
+          <div className="header-text">
+            <p className="mb-0">République Démocratique du Congo</p>
+            <p>Ministère de Transport</p>
+          </div>
+          <img
+            src="https://upload.wikimedia.org/wikipedia/commons/6/6f/Flag_of_the_Democratic_Republic_of_the_Congo.svg"
+            alt="DRC Flag"
+            className="app-flag"
+          />
+        </div>
+      </div>
+
+      <div className="mb-4"></div>
+      <Navbar expand="lg" className="nav-menu">
+        <Container>
+          <Navbar.Toggle aria-controls="basic-navbar-nav" />
+          <Navbar.Collapse id="basic-navbar-nav">
+            <Nav className="me-auto">
+              <Nav.Link as={Link} to="/dashboard">Accueil</Nav.Link>
+              <NavDropdown title="Plaques" id="basic-nav-dropdown">
+                <NavDropdown.Item as={Link} to="/plaques">Consulter</NavDropdown.Item>
+                {ApiService.hasPermission('plaque:create') && (
+                  <NavDropdown.Item as={Link} to="/add-plate">Ajouter</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('user:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/users">Utilisateurs</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('user:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/login-attempts">Tentatives de connexion</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('audit:read') && (
+                  <NavDropdown.Item as={Link} to="/admin/audit">Journal d'audit</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('plaque:delete') && (
+                  <NavDropdown.Item as={Link} to="/admin/trash">Corbeille</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('plaque:import') && (
+                  <NavDropdown.Item as={Link} to="/admin/import">Import CSV</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('geo:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/geography">Référentiel géographique</NavDropdown.Item>
+                )}
+              </NavDropdown>
+              <Nav.Link as={Link} to="/dashboard">Tableau de bord</Nav.Link>
+              <Nav.Link as={Link} to="/statistics">Statistiques</Nav.Link>
+            </Nav>
+            <JurisdictionSwitcher />
+            <NavDropdown title={`👤 ${user?.username || 'Utilisateur'}`} id="user-nav-dropdown">
+              <NavDropdown.Item href="#profile">Profil</NavDropdown.Item>
+              <NavDropdown.Item href="#settings">Paramètres</NavDropdown.Item>
+              <NavDropdown.Item as={Link} to="/change-password">Changer le mot de passe</NavDropdown.Item>
+              <NavDropdown.Item as={Link} to="/account/security">Double authentification</NavDropdown.Item>
+              <NavDropdown.Divider />
+              <NavDropdown.Item onClick={handleLogout}>Se déconnecter</NavDropdown.Item>
+            </NavDropdown>
+          </Navbar.Collapse>
+        </Container>
+      </Navbar>
+
+      <div className="p-4">
+        {children}
+      </div>
+
+      <div className="text-center mb-3 mt-5">
+        <img
+          src="https://www.gov.cd/assets/img/armoiries.png"
+          alt="DRC Logo"
+          className="logo-small"
+        />
+        <p className="app-footer">Copyright 2024. Tous droits réservés.</p>
+      </div>
+    </Container>
+  );
+};
+
+export default AppLayout;
@@ -0,0 +1,308 @@
+/**
+ * AuditLog Component - Audit trail viewer (Admin only)
+ *
+ * Lists who changed what on plaques, vehicles and users, with the field-by-field
+ * changes of each write.
+ *
+ * Features:
+ * - Filters by entity, record ID, action, user and date range
+ * - Field changes shown as "before → after"
+ * - Links to the detail page of audited plaques
+ * - Paginated results
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Button, Form, Row, Col, Table, Alert, Spinner, Pagination, Badge } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ApiService from '../services/api';
+
+const ENTITY_LABELS = {
+  plaque: 'Plaque',
+  vehicle: 'Véhicule',
+  user: 'Utilisateur'
+};
+
+const ACTION_CONFIG = {
+  create: { variant: 'success', text: 'Création' },
+  update: { variant: 'primary', text: 'Modification' },
+  delete: { variant: 'danger', text: 'Annulation' },
+  restore: { variant: 'success', text: 'Restauration' },
+  purge: { variant: 'danger', text: 'Purge définitive' },
+  renew: { variant: 'info', text: 'Renouvellement' },
+  suspend: { variant: 'warning', text: 'Suspension' },
+  reinstate: { variant: 'success', text: 'Levée de suspension' },
+  transfer: { variant: 'primary', text: 'Transfert de propriété' },
+  owner_correction: { variant: 'warning', text: 'Correction du propriétaire' },
+  status_change: { variant: 'secondary', text: 'Changement de statut' },
+  qr_reissue: { variant: 'dark', text: 'Nouveau QR code' },
+  role_change: { variant: 'primary', text: 'Changement de rôle' },
+  disable: { variant: 'danger', text: 'Désactivation du compte' },
+  enable: { variant: 'success', text: 'Réactivation du compte' },
+  password_reset: { variant: 'warning', text: 'Réinitialisation du mot de passe' },
+  password_change: { variant: 'secondary', text: 'Changement de mot de passe' },
+  unlock: { variant: 'info', text: 'Déverrouillage du compte' },
+  two_factor_enable: { variant: 'success', text: 'Activation de la double authentification' },
+  two_factor_disable: { variant: 'warning', text: 'Désactivation de la double authentification' },
+  two_factor_reset: { variant: 'warning', text: 'Réinitialisation de la double authentification' },
+  jurisdiction_change: { variant: 'primary', text: 'Changement de provinces' }
+};
+
+const EMPTY_FILTERS = {
+  entityType: '',
+  entityId: '',
+  action: '',
+  actor: '',
+  from: '',
+  to: ''
+};
+
+/**
+ * AuditLog Functional Component
+ *
+ * @returns {JSX.Element} The rendered AuditLog component
+ */
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Filters being edited, and the ones applied to the current results
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalEntries, setTotalEntries] = useState(0);
+  const limit = 20;
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = { page: currentPage, limit };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await ApiService.getAuditLog(params);
+      setEntries(response.entries || []);
+      setTotalPages(response.pagination?.totalPages || 1);
+      setTotalEntries(response.pagination?.total || 0);
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement du journal d\'audit');
+      console.error('Error loading audit log:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, appliedFilters]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  // ==================== FILTER HANDLERS ====================
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  const formatDateTime = (dateString) => {
+    // SQLite timestamps are UTC without a zone marker
+    return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleString('fr-FR');
+  };
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return <em className="text-muted">vide</em>;
+    return String(value);
+  };
+
+  const getActionBadge = (action) => {
+    const config = ACTION_CONFIG[action] || { variant: 'secondary', text: action };
+    return <Badge bg={config.variant}>{config.text}</Badge>;
+  };
+
+  const renderEntity = (entry) => {
+    const label = `${ENTITY_LABELS[entry.entity_type] || entry.entity_type} #${entry.entity_id}`;
+    const name = entry.entity_label ? ` (${entry.entity_label})` : '';
+
+    if (entry.entity_type === 'plaque' && entry.entity_label) {
+      return <Link to={`/plaques/${entry.entity_id}`}>{label}{name}</Link>;
+    }
+    return <span>{label}{name}</span>;
+  };
+
+  const renderChanges = (changes) => {
+    const fields = Object.entries(changes || {});
+    if (!fields.length) return <small className="text-muted">—</small>;
+
+    return (
+      <ul className="list-unstyled mb-0 small">
+        {fields.map(([field, change]) => (
+          <li key={field}>
+            <code>{field}</code>:{' '}
+            {change.redacted ? (
+              <em>modifié</em>
+            ) : (
+              <>{formatValue(change.from)} → {formatValue(change.to)}</>
+            )}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  const renderPagination = () => {
+    if (totalPages <= 1) return null;
+
+    const items = [];
+    const maxVisiblePages = 5;
+    let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
+    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+
+    if (endPage - startPage + 1 < maxVisiblePages) {
+      startPage = Math.max(1, endPage - maxVisiblePages + 1);
+    }
+
+    items.push(
+      <Pagination.Prev key="prev" disabled={currentPage === 1} onClick={() => setCurrentPage(currentPage - 1)} />
+    );
+    for (let page = startPage; page <= endPage; page++) {
+      items.push(
+        <Pagination.Item key={page} active={page === currentPage} onClick={() => setCurrentPage(page)}>
+          {page}
+        </Pagination.Item>
+      );
+    }
+    items.push(
+      <Pagination.Next key="next" disabled={currentPage === totalPages} onClick={() => setCurrentPage(currentPage + 1)} />
+    );
+
+    return <Pagination className="justify-content-center">{items}</Pagination>;
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <AppLayout>
+      <h4 className="mb-4">Journal d'audit</h4>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {/* Filters */}
+      <Form onSubmit={handleSearch} className="mb-4">
+        <Row className="g-2">
+          <Col md={2}>
+            <Form.Select name="entityType" value={filters.entityType} onChange={handleFilterChange}>
+              <option value="">Toutes les entités</option>
+              {Object.entries(ENTITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={1}>
+            <Form.Control
+              name="entityId"
+              type="number"
+              min="1"
+              placeholder="ID"
+              value={filters.entityId}
+              onChange={handleFilterChange}
+            />
+          </Col>
+          <Col md={2}>
+            <Form.Select name="action" value={filters.action} onChange={handleFilterChange}>
+              <option value="">Toutes les actions</option>
+              {Object.entries(ACTION_CONFIG).map(([value, config]) => (
+                <option key={value} value={value}>{config.text}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={2}>
+            <Form.Control
+              name="actor"
+              placeholder="Utilisateur"
+              value={filters.actor}
+              onChange={handleFilterChange}
+            />
+          </Col>
+          <Col md={2}>
+            <Form.Control name="from" type="date" title="Du" value={filters.from} onChange={handleFilterChange} />
+          </Col>
+          <Col md={2}>
+            <Form.Control name="to" type="date" title="Au" value={filters.to} onChange={handleFilterChange} />
+          </Col>
+          <Col md={1} className="d-flex gap-1">
+            <Button type="submit" variant="outline-primary" title="Filtrer">🔍</Button>
+            <Button variant="outline-secondary" title="Réinitialiser" onClick={handleReset}>✖</Button>
+          </Col>
+        </Row>
+      </Form>
+
+      <div className="mb-3">
+        <small className="text-muted">{totalEntries} entrée(s)</small>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Chargement...</span>
+          </Spinner>
+        </div>
+      ) : entries.length > 0 ? (
+        <>
+          <Table responsive striped hover size="sm">
+            <thead className="table-dark">
+              <tr>
+                <th>Date</th>
+                <th>Utilisateur</th>
+                <th>Adresse IP</th>
+                <th>Action</th>
+                <th>Entité</th>
+                <th>Modifications</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="text-nowrap">{formatDateTime(entry.created_at)}</td>
+                  <td>{entry.actor_username || <em>Système</em>}</td>
+                  <td><small>{entry.ip_address || '—'}</small></td>
+                  <td>{getActionBadge(entry.action)}</td>
+                  <td>{renderEntity(entry)}</td>
+                  <td>{renderChanges(entry.changes)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {renderPagination()}
+        </>
+      ) : (
+        <div className="text-center py-5">
+          <h5>Aucune entrée trouvée</h5>
+        </div>
+      )}
+    </AppLayout>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,58 @@
+/**
+ * AuthLayout Component - Frame of the pages reached without logging in
+ *
+ * Renders the government header, a centred card with the page title and
+ * the footer, like the login page.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Container } from 'react-bootstrap';
+
+/**
+ * AuthLayout Functional Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Title of the card
+ * @param {React.ReactNode} props.children - Page content
+ * @returns {JSX.Element} The page wrapped in the public frame
+ */
+const AuthLayout = ({ title, children }) => (
+  <Container className="app-container p-0">
+    <div className="app-header py-2">
+      <h5 className="app-title">Système d'Enregistrement des Plaques</h5>
+      <div className="header-content">
+        <div className="header-text">
+          <p className="mb-0">République Démocratique du Congo</p>
+          <p>Ministère de Transport</p>
+        </div>
+        <img
+          src="https://upload.wikimedia.org/wikipedia/commons/6/6f/Flag_of_the_Democratic_Republic_of_the_Congo.svg"
+          alt="DRC Flag"
+          className="app-flag"
+        />
+      </div>
+    </div>
+
+    <div className="login-container">
+      <div className="login-form">
+        <h3 className="text-center mb-4">{title}</h3>
+        {children}
+      </div>
+    </div>
+
+    <div className="text-center mt-5 mb-3">
+      <img
+        src="https://www.gov.cd/assets/img/armoiries.png"
+        alt="DRC Logo"
+        className="logo-small"
+      />
+      <p className="app-footer">Copyright 2024. Tous droits réservés.</p>
+    </div>
+  </Container>
+);
+
+export default AuthLayout;
@@ -0,0 +1,56 @@
+/**
+ * BreakdownChart Component - Horizontal bars of counts by category
+ *
+ * Each row shows the category, a bar proportional to the largest count,
+ * the count and its share of the total. Plain markup, no chart library.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+
+/**
+ * BreakdownChart Functional Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.items - [{ key, label, count }], largest first
+ * @param {Function} props.colorOf - Bar color of an item
+ * @returns {JSX.Element} The rendered chart
+ */
+const BreakdownChart = ({ items, colorOf = () => '#0d6efd' }) => {
+  if (!items.length) {
+    return <p className="text-muted text-center my-3">Aucune immatriculation sur la période</p>;
+  }
+
+  const total = items.reduce((sum, item) => sum + item.count, 0);
+  const largest = Math.max(...items.map(item => item.count));
+
+  return (
+    <div>
+      {items.map(item => (
+        <div key={item.key ?? 'none'} className="mb-2">
+          <div className="d-flex justify-content-between">
+            <small>{item.label}</small>
+            <small className="text-muted">
+              {item.count} ({Math.round((item.count / total) * 100)} %)
+            </small>
+          </div>
+          <div className="bg-light rounded" style={{ height: '10px' }}>
+            <div
+              className="rounded"
+              style={{
+                width: `${(item.count / largest) * 100}%`,
+                height: '100%',
+                backgroundColor: colorOf(item)
+              }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BreakdownChart;
@@ -0,0 +1,138 @@
+/**
+ * ChangePassword Component - Change the password of the logged-in user
+ *
+ * Also where users land after logging in with a temporary password given
+ * by an administrator. The current session stays open; the account's
+ * other sessions are closed.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Form, Button, Alert, Card, Spinner } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ApiService from '../services/api';
+
+const EMPTY_PASSWORDS = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: ''
+};
+
+/**
+ * ChangePassword Functional Component
+ *
+ * @returns {JSX.Element} The rendered ChangePassword component
+ */
+const ChangePassword = () => {
+  const navigate = useNavigate();
+  const mustChangePassword = !!ApiService.getCurrentUser()?.mustChangePassword;
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords({ ...passwords, [name]: value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwords.newPassword.length < 6) {
+      setError('Le nouveau mot de passe doit contenir au moins 6 caractères');
+      return;
+    }
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setError('Les mots de passe ne correspondent pas');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setSuccess('');
+      await ApiService.changePassword(passwords.currentPassword, passwords.newPassword);
+      setPasswords(EMPTY_PASSWORDS);
+
+      if (mustChangePassword) {
+        navigate('/dashboard');
+        return;
+      }
+      setSuccess('Mot de passe modifié. Vos autres sessions ont été fermées.');
+    } catch (err) {
+      setError(err.message || 'Erreur lors du changement de mot de passe');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <AppLayout>
+      <h4 className="mb-4">Changer le mot de passe</h4>
+
+      {mustChangePassword && (
+        <Alert variant="warning">
+          Vous utilisez un mot de passe temporaire communiqué par un administrateur.
+          Choisissez votre propre mot de passe pour continuer.
+        </Alert>
+      )}
+      {error && <Alert variant="danger">{error}</Alert>}
+      {success && <Alert variant="success">{success}</Alert>}
+
+      <Card style={{ maxWidth: '480px' }}>
+        <Card.Body>
+          <Form onSubmit={handleSubmit}>
+            <Form.Group className="mb-3" controlId="currentPassword">
+              <Form.Label>Mot de passe actuel</Form.Label>
+              <Form.Control
+                type="password"
+                name="currentPassword"
+                value={passwords.currentPassword}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3" controlId="newPassword">
+              <Form.Label>Nouveau mot de passe</Form.Label>
+              <Form.Control
+                type="password"
+                name="newPassword"
+                value={passwords.newPassword}
+                onChange={handleChange}
+                placeholder="Min. 6 caractères"
+                required
+                disabled={loading}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3" controlId="confirmPassword">
+              <Form.Label>Confirmer le nouveau mot de passe</Form.Label>
+              <Form.Control
+                type="password"
+                name="confirmPassword"
+                value={passwords.confirmPassword}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+            </Form.Group>
+            <Button variant="primary" type="submit" disabled={loading}>
+              {loading ? <Spinner as="span" animation="border" size="sm" /> : 'Enregistrer'}
+            </Button>
+          </Form>
+        </Card.Body>
+      </Card>
+    </AppLayout>
+  );
+};
+
+export default ChangePassword;
@@ -20,8 +20,16 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { Container, Nav, Navbar, NavDropdown, Button, Row, Col, Card, Table, Alert, Spinner } from 'react-bootstrap';
+import JurisdictionSwitcher from './JurisdictionSwitcher';
 import ApiService from '../services/api';
 
+const ROLE_LABELS = {
+  agent: 'Agent de saisie',
+  supervisor: 'Superviseur',
+  admin: 'Administrateur',
+  police: 'Police'
+};
+
 /**
  * Dashboard Functional Component
  * 
@@ -64,6 +72,8 @@ const Dashboard = () => {
       ]);
 
       setUser(userProfile);
+      // Keep the stored role and permissions in step with the server
+      ApiService.setCurrentUser({ ...ApiService.getCurrentUser(), ...userProfile });
       setStats(plaqueStats);
       setRecentPlaques(plaquesResponse.plaques || plaquesResponse.vehicles || []);
     } catch (err) {
@@ -131,19 +141,39 @@ const Dashboard = () => {
             <Nav className="me-auto">
               <Nav.Link href="#/dashboard">Accueil</Nav.Link>
               <NavDropdown title="Plaques" id="basic-nav-dropdown">
-                <NavDropdown.Item as={Link} to="/add-plate">Ajouter</NavDropdown.Item>
+                {ApiService.hasPermission('plaque:create') && (
+                  <NavDropdown.Item as={Link} to="/add-plate">Ajouter</NavDropdown.Item>
+                )}
                 <NavDropdown.Item as={Link} to="/plaques">Consulter</NavDropdown.Item>
                 <NavDropdown.Item href="#plaques/search">Rechercher</NavDropdown.Item>
-                {ApiService.isAdmin() && (
-                  <NavDropdown.Item href="#admin">Administration</NavDropdown.Item>
+                {ApiService.hasPermission('user:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/users">Utilisateurs</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('user:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/login-attempts">Tentatives de connexion</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('audit:read') && (
+                  <NavDropdown.Item as={Link} to="/admin/audit">Journal d'audit</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('plaque:delete') && (
+                  <NavDropdown.Item as={Link} to="/admin/trash">Corbeille</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('plaque:import') && (
+                  <NavDropdown.Item as={Link} to="/admin/import">Import CSV</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('geo:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/geography">Référentiel géographique</NavDropdown.Item>
                 )}
               </NavDropdown>
               <Nav.Link href="/dashboard">Tableau de bord</Nav.Link>
-              <Nav.Link href="#statistics">Statistiques</Nav.Link>
+              <Nav.Link as={Link} to="/statistics">Statistiques</Nav.Link>
             </Nav>
+            <JurisdictionSwitcher />
             <NavDropdown title={`👤 ${user?.username || 'Utilisateur'}`} id="user-nav-dropdown">
               <NavDropdown.Item href="#profile">Profil</NavDropdown.Item>
               <NavDropdown.Item href="#settings">Paramètres</NavDropdown.Item>
+              <NavDropdown.Item as={Link} to="/change-password">Changer le mot de passe</NavDropdown.Item>
+              <NavDropdown.Item as={Link} to="/account/security">Double authentification</NavDropdown.Item>
               <NavDropdown.Divider />
               <NavDropdown.Item onClick={handleLogout}>Se déconnecter</NavDropdown.Item>
             </NavDropdown>
@@ -158,7 +188,7 @@ const Dashboard = () => {
           <h4>Bienvenue, {user?.username}!</h4>
           <div>
             <span className={`badge ${user?.role === 'admin' ? 'bg-danger' : 'bg-primary'} me-2`}>
-              {user?.role === 'admin' ? 'Administrateur' : 'Utilisateur'}
+              {ROLE_LABELS[user?.role] || user?.role}
             </span>
           </div>
         </div>
@@ -240,9 +270,11 @@ const Dashboard = () => {
                 ) : (
                   <div className="text-center py-4">
                     <p className="text-muted">Aucune plaque enregistrée pour le moment.</p>
-                    <Button as={Link} to="/add-plate" variant="primary">
-                      Enregistrer la première plaque
-                    </Button>
+                    {ApiService.hasPermission('plaque:create') && (
+                      <Button as={Link} to="/add-plate" variant="primary">
+                        Enregistrer la première plaque
+                      </Button>
+                    )}
                   </div>
                 )}
               </Card.Body>
@@ -259,17 +291,19 @@ const Dashboard = () => {
               </Card.Header>
               <Card.Body>
                 <div className="d-flex flex-wrap gap-2">
-                  <Button as={Link} to="/add-plate" variant="success">
-                    ➕ Nouvelle Plaque
-                  </Button>
+                  {ApiService.hasPermission('plaque:create') && (
+                    <Button as={Link} to="/add-plate" variant="success">
+                      ➕ Nouvelle Plaque
+                    </Button>
+                  )}
                   <Button href="#plaques/search" variant="info">
                     🔍 Rechercher
                   </Button>
-                  <Button href="#statistics" variant="warning">
+                  <Button as={Link} to="/statistics" variant="warning">
                     📊 Voir Statistiques
                   </Button>
-                  {ApiService.isAdmin() && (
-                    <Button href="#admin" variant="danger">
+                  {ApiService.hasPermission('user:manage') && (
+                    <Button as={Link} to="/admin/users" variant="danger">
                       ⚙️ Administration
                     </Button>
                   )}
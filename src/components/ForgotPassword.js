@@ -0,0 +1,92 @@
+/**
+ * ForgotPassword Component - Request a password reset link by email
+ *
+ * The confirmation is the same whether or not the address has an account,
+ * so the page cannot be used to find out who is registered.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Form, Button, Alert, Spinner } from 'react-bootstrap';
+import AuthLayout from './AuthLayout';
+import ApiService from '../services/api';
+
+/**
+ * ForgotPassword Functional Component
+ *
+ * @returns {JSX.Element} The rendered ForgotPassword component
+ */
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setError('Veuillez entrer une adresse email valide');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await ApiService.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.message || 'Erreur lors de l\'envoi du lien');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <AuthLayout title="Mot de passe oublié">
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {sent ? (
+        <Alert variant="success">
+          Si un compte utilise l'adresse <strong>{email}</strong>, un lien de réinitialisation
+          vient de lui être envoyé. Il n'est valable qu'une fois et pour une durée limitée.
+        </Alert>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          <p className="text-muted">
+            Indiquez l'adresse email de votre compte pour recevoir un lien permettant de choisir
+            un nouveau mot de passe.
+          </p>
+          <Form.Group className="mb-3">
+            <Form.Label>Adresse Email</Form.Label>
+            <Form.Control
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Entrez votre email"
+              required
+              disabled={loading}
+            />
+          </Form.Group>
+          <Button variant="primary" type="submit" className="w-100 mb-3" disabled={loading}>
+            {loading ? <Spinner as="span" animation="border" size="sm" /> : 'Envoyer le lien'}
+          </Button>
+        </Form>
+      )}
+
+      <div className="text-center">
+        <Link to="/">← Retour à la connexion</Link>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,405 @@
+/**
+ * GeoAdmin Component - Geography reference data administration (geo:manage)
+ *
+ * Maintains the districts, territoires, secteurs and villages offered by
+ * the address selects of the registration form. Registrations store the
+ * names, so renaming or deleting an entry does not change them.
+ *
+ * Features:
+ * - Province picker, then the districts and territoires of the province
+ * - Secteurs of the selected territoire, villages of the selected secteur
+ * - Add, rename and delete at every level; a territoire may be attached
+ *   to a district where the province has districts
+ * - Entries with something under them cannot be deleted
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Form, Row, Col, Card, Alert, Modal, Badge, ListGroup, InputGroup } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ApiService from '../services/api';
+
+const LEVELS = [
+  { level: 'districts', title: 'Districts', noun: 'district' },
+  { level: 'territoires', title: 'Territoires', noun: 'territoire', selectable: true },
+  { level: 'secteurs', title: 'Secteurs', noun: 'secteur', selectable: true, parentHint: 'Choisissez un territoire' },
+  { level: 'villages', title: 'Villages', noun: 'village', parentHint: 'Choisissez un secteur' }
+];
+
+const EMPTY_NEW_NAMES = {
+  districts: '',
+  territoires: '',
+  secteurs: '',
+  villages: ''
+};
+
+/**
+ * GeoAdmin Functional Component
+ *
+ * @returns {JSX.Element} The rendered GeoAdmin component
+ */
+const GeoAdmin = () => {
+  const [provinceCode, setProvinceCode] = useState('10');
+  const [districts, setDistricts] = useState([]);
+  const [territoires, setTerritoires] = useState([]);
+  const [secteurs, setSecteurs] = useState([]);
+  const [villages, setVillages] = useState([]);
+  const [selectedTerritoireId, setSelectedTerritoireId] = useState(null);
+  const [selectedSecteurId, setSelectedSecteurId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Names being added, and the district of a new territoire
+  const [newNames, setNewNames] = useState(EMPTY_NEW_NAMES);
+  const [newTerritoireDistrict, setNewTerritoireDistrict] = useState('');
+
+  // Modals
+  const [entryToEdit, setEntryToEdit] = useState(null);
+  const [entryToDelete, setEntryToDelete] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadProvinceAreas = useCallback(async () => {
+    try {
+      setError('');
+      const [districtItems, territoireItems] = await Promise.all([
+        ApiService.getGeoAreas('districts', { province: provinceCode }),
+        ApiService.getGeoAreas('territoires', { province: provinceCode })
+      ]);
+      setDistricts(districtItems);
+      setTerritoires(territoireItems);
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement du référentiel');
+    }
+  }, [provinceCode]);
+
+  const loadSecteurs = useCallback(async () => {
+    if (!selectedTerritoireId) {
+      setSecteurs([]);
+      return;
+    }
+    try {
+      setSecteurs(await ApiService.getGeoAreas('secteurs', { territoire: selectedTerritoireId }));
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement des secteurs');
+    }
+  }, [selectedTerritoireId]);
+
+  const loadVillages = useCallback(async () => {
+    if (!selectedSecteurId) {
+      setVillages([]);
+      return;
+    }
+    try {
+      setVillages(await ApiService.getGeoAreas('villages', { secteur: selectedSecteurId }));
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement des villages');
+    }
+  }, [selectedSecteurId]);
+
+  useEffect(() => {
+    loadProvinceAreas();
+  }, [loadProvinceAreas]);
+
+  useEffect(() => {
+    loadSecteurs();
+  }, [loadSecteurs]);
+
+  useEffect(() => {
+    loadVillages();
+  }, [loadVillages]);
+
+  const itemsOf = { districts, territoires, secteurs, villages };
+  const reloadOf = {
+    districts: loadProvinceAreas,
+    territoires: loadProvinceAreas,
+    secteurs: loadSecteurs,
+    villages: loadVillages
+  };
+
+  // Parent of new entries of each level; null while none is selected
+  const parentOf = {
+    districts: { province: provinceCode },
+    territoires: { province: provinceCode },
+    secteurs: selectedTerritoireId && { territoire: selectedTerritoireId },
+    villages: selectedSecteurId && { secteur: selectedSecteurId }
+  };
+
+  const districtName = (id) => districts.find(district => district.id === id)?.name;
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleProvinceChange = (e) => {
+    setProvinceCode(e.target.value);
+    setSelectedTerritoireId(null);
+    setSelectedSecteurId(null);
+    setNewTerritoireDistrict('');
+  };
+
+  const handleSelect = (level, item) => {
+    if (level === 'territoires') {
+      setSelectedTerritoireId(item.id);
+      setSelectedSecteurId(null);
+    } else if (level === 'secteurs') {
+      setSelectedSecteurId(item.id);
+    }
+  };
+
+  const handleNewNameChange = (level, value) => {
+    setNewNames(prev => ({ ...prev, [level]: value }));
+  };
+
+  const handleCreate = async (e, level) => {
+    e.preventDefault();
+    try {
+      setError('');
+      setSuccess('');
+      const areaData = { ...parentOf[level], name: newNames[level] };
+      if (level === 'territoires') {
+        areaData.district = newTerritoireDistrict || null;
+      }
+      const response = await ApiService.createGeoArea(level, areaData);
+      setSuccess(`${response.item.name} ajouté`);
+      setNewNames(prev => ({ ...prev, [level]: '' }));
+      reloadOf[level]();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de l\'ajout');
+    }
+  };
+
+  const openEdit = (level, item) => {
+    setEntryToEdit({ level, item, name: item.name, district: item.district_id || '' });
+  };
+
+  const handleEditConfirm = async () => {
+    const { level, item, name, district } = entryToEdit;
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      const areaData = { name };
+      if (level === 'territoires') {
+        areaData.district = district || null;
+      }
+      await ApiService.updateGeoArea(level, item.id, areaData);
+      setSuccess(`${item.name} mis à jour`);
+      reloadOf[level]();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la mise à jour');
+    } finally {
+      setEntryToEdit(null);
+      setSubmitting(false);
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    const { level, item } = entryToDelete;
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      await ApiService.deleteGeoArea(level, item.id);
+      setSuccess(`${item.name} supprimé`);
+      if (level === 'territoires' && item.id === selectedTerritoireId) {
+        setSelectedTerritoireId(null);
+        setSelectedSecteurId(null);
+      } else if (level === 'secteurs' && item.id === selectedSecteurId) {
+        setSelectedSecteurId(null);
+      }
+      reloadOf[level]();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la suppression');
+    } finally {
+      setEntryToDelete(null);
+      setSubmitting(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const renderLevel = ({ level, title, noun, selectable, parentHint }) => {
+    const items = itemsOf[level];
+    const selectedId = level === 'territoires' ? selectedTerritoireId : selectedSecteurId;
+
+    return (
+      <Card className="h-100">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <span>{title}</span>
+          {parentOf[level] && <Badge bg="secondary">{items.length}</Badge>}
+        </Card.Header>
+        {!parentOf[level] ? (
+          <Card.Body>
+            <p className="text-muted text-center my-3">{parentHint}</p>
+          </Card.Body>
+        ) : (
+          <>
+            <ListGroup variant="flush" style={{ maxHeight: '400px', overflowY: 'auto' }}>
+              {items.length === 0 && (
+                <ListGroup.Item className="text-muted text-center">Aucun {noun}</ListGroup.Item>
+              )}
+              {items.map(item => (
+                <ListGroup.Item
+                  key={item.id}
+                  action={selectable}
+                  active={selectable && item.id === selectedId}
+                  onClick={selectable ? () => handleSelect(level, item) : undefined}
+                  className="d-flex justify-content-between align-items-center"
+                >
+                  <span>
+                    {item.name}
+                    {level === 'territoires' && item.district_id && (
+                      <small className="d-block opacity-75">{districtName(item.district_id)}</small>
+                    )}
+                  </span>
+                  <span className="text-nowrap">
+                    <Button
+                      size="sm"
+                      variant="link"
+                      title="Renommer"
+                      onClick={(e) => { e.stopPropagation(); openEdit(level, item); }}
+                    >
+                      ✏️
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="link"
+                      title="Supprimer"
+                      onClick={(e) => { e.stopPropagation(); setEntryToDelete({ level, item }); }}
+                    >
+                      🗑️
+                    </Button>
+                  </span>
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+            <Card.Footer>
+              <Form onSubmit={(e) => handleCreate(e, level)}>
+                {level === 'territoires' && districts.length > 0 && (
+                  <Form.Select
+                    size="sm"
+                    className="mb-2"
+                    aria-label="District du nouveau territoire"
+                    value={newTerritoireDistrict}
+                    onChange={(e) => setNewTerritoireDistrict(e.target.value)}
+                  >
+                    <option value="">Sans district</option>
+                    {districts.map(district => (
+                      <option key={district.id} value={district.id}>{district.name}</option>
+                    ))}
+                  </Form.Select>
+                )}
+                <InputGroup size="sm">
+                  <Form.Control
+                    placeholder={`Nouveau ${noun}`}
+                    value={newNames[level]}
+                    onChange={(e) => handleNewNameChange(level, e.target.value)}
+                  />
+                  <Button type="submit" variant="primary" disabled={!newNames[level].trim()}>
+                    Ajouter
+                  </Button>
+                </InputGroup>
+              </Form>
+            </Card.Footer>
+          </>
+        )}
+      </Card>
+    );
+  };
+
+  return (
+    <AppLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h4 className="mb-0">Référentiel géographique</h4>
+        <Form.Select
+          style={{ maxWidth: '300px' }}
+          aria-label="Province"
+          value={provinceCode}
+          onChange={handleProvinceChange}
+        >
+          {ApiService.getProvinces().map(province => (
+            <option key={province.code} value={province.code}>{province.code} - {province.name}</option>
+          ))}
+        </Form.Select>
+      </div>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Alert variant="info">
+        Ces listes alimentent les champs d'adresse du formulaire d'enregistrement. Les plaques déjà
+        enregistrées conservent les noms saisis, même après un renommage ou une suppression.
+      </Alert>
+
+      <Row className="g-3">
+        {LEVELS.map(definition => (
+          <Col lg={3} md={6} key={definition.level}>
+            {renderLevel(definition)}
+          </Col>
+        ))}
+      </Row>
+
+      {/* Edit Modal */}
+      <Modal show={!!entryToEdit} onHide={() => setEntryToEdit(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Modifier {entryToEdit?.item.name}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group className="mb-3" controlId="geoEditName">
+            <Form.Label>Nom *</Form.Label>
+            <Form.Control
+              value={entryToEdit?.name || ''}
+              onChange={(e) => setEntryToEdit(prev => ({ ...prev, name: e.target.value }))}
+            />
+          </Form.Group>
+          {entryToEdit?.level === 'territoires' && districts.length > 0 && (
+            <Form.Group className="mb-3" controlId="geoEditDistrict">
+              <Form.Label>District</Form.Label>
+              <Form.Select
+                value={entryToEdit.district}
+                onChange={(e) => setEntryToEdit(prev => ({ ...prev, district: e.target.value }))}
+              >
+                <option value="">Sans district</option>
+                {districts.map(district => (
+                  <option key={district.id} value={district.id}>{district.name}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setEntryToEdit(null)}>
+            Annuler
+          </Button>
+          <Button variant="primary" onClick={handleEditConfirm} disabled={submitting || !entryToEdit?.name.trim()}>
+            {submitting ? 'Enregistrement...' : 'Enregistrer'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Delete Confirmation Modal */}
+      <Modal show={!!entryToDelete} onHide={() => setEntryToDelete(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Supprimer {entryToDelete?.item.name}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            {entryToDelete?.item.name} ne sera plus proposé dans le formulaire d'enregistrement.
+            Les plaques déjà enregistrées ne sont pas modifiées.
+          </p>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setEntryToDelete(null)}>
+            Annuler
+          </Button>
+          <Button variant="danger" onClick={handleDeleteConfirm} disabled={submitting}>
+            {submitting ? 'Suppression...' : 'Supprimer'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </AppLayout>
+  );
+};
+
+export default GeoAdmin;
@@ -0,0 +1,92 @@
+/**
+ * Highlight Component - Marks the words of a search in a text
+ *
+ * Matches like the server search: each searched word must start a word
+ * of the text, ignoring case and accents ("elo" marks "Élodie").
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+/**
+ * Lower case without accents; may change the length of the character
+ */
+const fold = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Ranges [start, end) of `text` matched by the words of `search`, sorted
+ * and merged
+ *
+ * @param {string} text - Displayed text
+ * @param {string} search - Search typed by the user
+ * @returns {Array<[number, number]>}
+ */
+const findMatches = (text, search) => {
+  // Folded text, and the index in `text` of each folded character
+  let folded = '';
+  const origins = [];
+  Array.from(text).reduce((index, character) => {
+    const foldedCharacter = fold(character);
+    folded += foldedCharacter;
+    for (let i = 0; i < foldedCharacter.length; i++) origins.push(index);
+    return index + character.length;
+  }, 0);
+
+  // Words split like the server tokenizer: "10-AB" searches "10" and "ab"
+  const words = fold(search).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+  const ranges = [];
+  words.forEach((word) => {
+    let start = folded.indexOf(word);
+    while (start !== -1) {
+      if (start === 0 || !WORD_CHARACTER.test(folded[start - 1])) {
+        const last = origins[start + word.length - 1];
+        ranges.push([origins[start], last + Array.from(text.slice(last))[0].length]);
+      }
+      start = folded.indexOf(word, start + 1);
+    }
+  });
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const previous = merged[merged.length - 1];
+      if (previous && range[0] <= previous[1]) {
+        previous[1] = Math.max(previous[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
+
+/**
+ * Highlight Functional Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to display
+ * @param {string} props.search - Search whose words are marked
+ * @returns {JSX.Element} The text with <mark>ed matches
+ */
+const Highlight = ({ text, search }) => {
+  if (!text || !search) return <>{text}</>;
+
+  const value = String(text);
+  const parts = [];
+  let position = 0;
+  findMatches(value, search).forEach(([start, end]) => {
+    parts.push(value.slice(position, start));
+    parts.push(<mark key={start} className="p-0">{value.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(value.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default Highlight;
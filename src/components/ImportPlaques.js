@@ -0,0 +1,160 @@
+/**
+ * ImportPlaques Component - Bulk import of registrations from a CSV file
+ *
+ * Used to load registrations still kept on paper or in spreadsheets. The
+ * file is first checked without writing anything; the report lists the
+ * rows that would be rejected and why, so they can be fixed before the
+ * actual import.
+ *
+ * Features:
+ * - CSV template download
+ * - Dry run (validation only) with a per-row error report
+ * - Import of the valid rows, invalid ones being skipped
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { Button, Card, Form, Alert, Table, Spinner } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ApiService from '../services/api';
+
+/**
+ * ImportPlaques Functional Component
+ *
+ * @returns {JSX.Element} The rendered ImportPlaques component
+ */
+const ImportPlaques = () => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [checkedFile, setCheckedFile] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+    setCheckedFile(null);
+    setError('');
+  };
+
+  const handleDownloadTemplate = async () => {
+    try {
+      setError('');
+      await ApiService.downloadImportTemplate();
+    } catch (err) {
+      setError(err.message || 'Erreur lors du téléchargement du modèle');
+    }
+  };
+
+  const runImport = async (dryRun) => {
+    try {
+      setWorking(true);
+      setError('');
+      const response = await ApiService.importPlaques(file, dryRun);
+      setReport(response.report);
+      setCheckedFile(dryRun ? file : null);
+    } catch (err) {
+      setReport(null);
+      setCheckedFile(null);
+      setError(err.message || 'Erreur lors de l\'import du fichier');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // The import is offered once the selected file has been checked
+  const canImport = () => (
+    !!file && checkedFile === file && !!report && report.dryRun && report.validRows > 0
+  );
+
+  // ==================== RENDER ====================
+
+  return (
+    <AppLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h4 className="mb-0">Import de plaques (CSV)</h4>
+        <Button variant="outline-secondary" onClick={handleDownloadTemplate}>
+          📄 Télécharger le modèle
+        </Button>
+      </div>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      <Card className="mb-4">
+        <Card.Body>
+          <p className="mb-2">
+            Une ligne par immatriculation, la première ligne contenant les noms de colonnes
+            du modèle. Séparateur virgule ou point-virgule.
+          </p>
+          <ul className="small text-muted">
+            <li>Colonnes obligatoires: <code>plateNumber</code>, <code>ownerEmail</code> et le nom du propriétaire</li>
+            <li>Dates au format AAAA-MM-JJ ou JJ/MM/AAAA</li>
+            <li>Sans date d'expiration, l'immatriculation est valable un an à partir de sa date</li>
+            <li>Les lignes invalides sont ignorées, les autres sont importées</li>
+          </ul>
+
+          <Form.Group controlId="importFile" className="mb-3">
+            <Form.Label>Fichier CSV</Form.Label>
+            <Form.Control type="file" accept=".csv,text/csv" onChange={handleFileChange} disabled={working} />
+          </Form.Group>
+
+          <div className="d-flex gap-2">
+            <Button variant="outline-primary" onClick={() => runImport(true)} disabled={!file || working}>
+              {working ? <Spinner animation="border" size="sm" /> : '🔍 Vérifier le fichier'}
+            </Button>
+            <Button variant="primary" onClick={() => runImport(false)} disabled={!canImport() || working}>
+              ⬆️ Importer
+            </Button>
+          </div>
+        </Card.Body>
+      </Card>
+
+      {report && (
+        <Card>
+          <Card.Header>{report.dryRun ? 'Rapport de vérification' : 'Rapport d\'import'}</Card.Header>
+          <Card.Body>
+            {report.dryRun ? (
+              <Alert variant={report.invalidRows ? 'warning' : 'success'}>
+                {report.totalRows} ligne(s) lue(s): {report.validRows} valide(s), {report.invalidRows} en erreur.
+                {' '}Aucune donnée n'a été enregistrée.
+              </Alert>
+            ) : (
+              <Alert variant={report.invalidRows ? 'warning' : 'success'}>
+                {report.importedRows} plaque(s) importée(s) sur {report.totalRows} ligne(s)
+                {report.invalidRows > 0 && `, ${report.invalidRows} ligne(s) ignorée(s)`}.
+              </Alert>
+            )}
+
+            {report.errors.length > 0 && (
+              <Table striped bordered hover responsive size="sm" className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Ligne</th>
+                    <th>Plaque</th>
+                    <th>Erreur</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.errors.map(rowError => (
+                    <tr key={rowError.row}>
+                      <td>{rowError.row}</td>
+                      <td>{rowError.plateNumber || '—'}</td>
+                      <td>{rowError.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+    </AppLayout>
+  );
+};
+
+export default ImportPlaques;
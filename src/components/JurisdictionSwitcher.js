@@ -0,0 +1,65 @@
+/**
+ * JurisdictionSwitcher Component - Province scope of lists and statistics
+ *
+ * Users covering several provinces (national users see all 26) choose
+ * here whether lists, statistics and exports cover their whole
+ * jurisdiction or one province. The choice is kept in the browser and
+ * sent with every request (see ApiService.getProvinceScope); the page is
+ * reloaded so everything on it follows the new scope.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Navbar, NavDropdown } from 'react-bootstrap';
+import ApiService from '../services/api';
+import { provinceName } from '../utils/provinces';
+
+/**
+ * JurisdictionSwitcher Functional Component
+ *
+ * @returns {JSX.Element} A navbar dropdown, or the single province as text
+ */
+const JurisdictionSwitcher = () => {
+  const provinces = ApiService.getJurisdictionProvinces();
+  const scope = ApiService.getProvinceScope();
+  const national = ApiService.hasPermission('plaque:national');
+
+  if (provinces.length === 0) {
+    return <Navbar.Text className="me-3">📍 Aucune province assignée</Navbar.Text>;
+  }
+  if (provinces.length === 1) {
+    return <Navbar.Text className="me-3">📍 {provinceName(provinces[0])}</Navbar.Text>;
+  }
+
+  const allLabel = national ? 'Toutes les provinces' : 'Toutes mes provinces';
+
+  const handleSelect = (provinceCode) => {
+    ApiService.setProvinceScope(provinceCode);
+    window.location.reload();
+  };
+
+  return (
+    <NavDropdown
+      title={`📍 ${scope ? provinceName(scope) : allLabel}`}
+      id="jurisdiction-nav-dropdown"
+      className="me-2"
+    >
+      <NavDropdown.Item active={!scope} onClick={() => handleSelect('')}>
+        {allLabel}
+      </NavDropdown.Item>
+      <NavDropdown.Divider />
+      <div style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+        {provinces.map(code => (
+          <NavDropdown.Item key={code} active={scope === code} onClick={() => handleSelect(code)}>
+            {code} - {provinceName(code)}
+          </NavDropdown.Item>
+        ))}
+      </div>
+    </NavDropdown>
+  );
+};
+
+export default JurisdictionSwitcher;
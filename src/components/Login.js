@@ -9,6 +9,9 @@
  * - Tabbed interface for login and registration
  * - Form validation with error messages
  * - Demo credentials button for easy testing
+ * - Link to the forgotten password page
+ * - Second step for accounts with two-factor authentication (code or
+ *   recovery code), and enrolment when the role requires it
  * - Automatic redirect if already authenticated
  * - Loading states and success messages
  * - Bootstrap styling with responsive design
@@ -19,9 +22,11 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { Container, Form, Button, Alert, Tabs, Tab, Spinner } from 'react-bootstrap';
 import ApiService from '../services/api';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
 
 /**
  * Login Functional Component
@@ -53,6 +58,12 @@ const Login = () => {
     confirmPassword: ''
   });
   
+  // Second step of a login: { step: 'verify' | 'setup', challengeToken }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [secondFactor, setSecondFactor] = useState({ code: '', useRecoveryCode: false });
+  // Session and recovery codes returned by an enrolment during login
+  const [enrolment, setEnrolment] = useState(null);
+  
   // UI state management
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -99,6 +110,18 @@ const Login = () => {
     });
   };
 
+  /**
+   * Show success message and redirect; a temporary password must be replaced first
+   * 
+   * @param {Object} data - Authentication response with the user
+   */
+  const completeLogin = (data) => {
+    setSuccess('Connexion réussie! Redirection...');
+    setTimeout(() => {
+      navigate(data.user?.mustChangePassword ? '/change-password' : '/dashboard');
+    }, 1000);
+  };
+
   /**
    * Handle login form submission
    * Validates input and authenticates user with backend API
@@ -121,13 +144,18 @@ const Login = () => {
       setSuccess('');
 
       // Attempt login with API service
-      await ApiService.login(loginData.email, loginData.password);
+      const data = await ApiService.login(loginData.email, loginData.password);
+
+      // Accounts with a second factor continue with a code
+      if (data.challengeToken) {
+        setTwoFactor({
+          step: data.twoFactorSetupRequired ? 'setup' : 'verify',
+          challengeToken: data.challengeToken
+        });
+        return;
+      }
       
-      // Show success message and redirect
-      setSuccess('Connexion réussie! Redirection...');
-      setTimeout(() => {
-        navigate('/dashboard');
-      }, 1000);
+      completeLogin(data);
 
     } catch (err) {
       console.error('Login error:', err);
@@ -137,6 +165,43 @@ const Login = () => {
     }
   };
 
+  /**
+   * Handle second factor form submission
+   * 
+   * @param {Event} e - Form submit event
+   * @async
+   */
+  const handleSecondFactorSubmit = async (e) => {
+    e.preventDefault();
+    const value = secondFactor.code.trim();
+
+    try {
+      setLoading(true);
+      setError('');
+      const data = await ApiService.loginWithSecondFactor(
+        twoFactor.challengeToken,
+        secondFactor.useRecoveryCode ? { recoveryCode: value } : { code: value }
+      );
+      completeLogin(data);
+    } catch (err) {
+      setError(err.message || 'Code de vérification incorrect');
+      setSecondFactor({ ...secondFactor, code: '' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Go back to the password form (expired challenge, other account...)
+   */
+  const handleSecondFactorCancel = () => {
+    setTwoFactor(null);
+    setSecondFactor({ code: '', useRecoveryCode: false });
+    setLoginData({ ...loginData, password: '' });
+    setError('');
+    setSuccess('');
+  };
+
   /**
    * Handle registration form submission
    * Validates input and creates new user account
@@ -234,6 +299,89 @@ const Login = () => {
     }
   };
 
+  // ==================== SECOND FACTOR ====================
+
+  /**
+   * Render the second step of the login instead of the tabs
+   * 
+   * @returns {JSX.Element} Code form, or enrolment when the role requires it
+   */
+  const renderTwoFactor = () => {
+    if (enrolment) {
+      return (
+        <>
+          <RecoveryCodes codes={enrolment.recoveryCodes} />
+          <Button variant="primary" className="w-100" onClick={() => completeLogin(enrolment)}>
+            Continuer
+          </Button>
+        </>
+      );
+    }
+
+    if (twoFactor.step === 'setup') {
+      return (
+        <>
+          <Alert variant="info">
+            Votre rôle exige la double authentification. Configurez une application
+            d'authentification pour terminer la connexion.
+          </Alert>
+          <TwoFactorSetup
+            challengeToken={twoFactor.challengeToken}
+            onEnabled={setEnrolment}
+            onCancel={handleSecondFactorCancel}
+          />
+        </>
+      );
+    }
+
+    return (
+      <Form onSubmit={handleSecondFactorSubmit}>
+        <Form.Group className="mb-3" controlId="secondFactorCode">
+          <Form.Label>
+            {secondFactor.useRecoveryCode
+              ? 'Code de récupération'
+              : 'Code de votre application d\'authentification'}
+          </Form.Label>
+          <Form.Control
+            value={secondFactor.code}
+            onChange={(e) => setSecondFactor({ ...secondFactor, code: e.target.value })}
+            inputMode={secondFactor.useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            placeholder={secondFactor.useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            autoFocus
+            required
+            disabled={loading}
+          />
+        </Form.Group>
+
+        <Button variant="primary" type="submit" className="w-100 mb-3" disabled={loading}>
+          {loading ? (
+            <>
+              <Spinner as="span" animation="border" size="sm" className="me-2" />
+              Vérification...
+            </>
+          ) : (
+            'Vérifier'
+          )}
+        </Button>
+
+        <div className="d-flex justify-content-between">
+          <Button
+            variant="link"
+            className="p-0"
+            onClick={() => setSecondFactor({ code: '', useRecoveryCode: !secondFactor.useRecoveryCode })}
+            disabled={loading}
+          >
+            {secondFactor.useRecoveryCode ? 'Utiliser l\'application' : 'Utiliser un code de récupération'}
+          </Button>
+          <Button variant="link" className="p-0" onClick={handleSecondFactorCancel} disabled={loading}>
+            Retour
+          </Button>
+        </div>
+      </Form>
+    );
+  };
+
   // ==================== COMPONENT RENDER ====================
 
   return (
@@ -257,166 +405,175 @@ const Login = () => {
       {/* Main Login Container */}
       <div className="login-container">
         <div className="login-form">
-          <h3 className="text-center mb-4">Connexion au Système</h3>
+          <h3 className="text-center mb-4">
+            {twoFactor ? 'Double authentification' : 'Connexion au Système'}
+          </h3>
           
           {/* Status Messages */}
           {error && <Alert variant="danger">{error}</Alert>}
           {success && <Alert variant="success">{success}</Alert>}
 
-          {/* Tabbed Interface for Login/Register */}
-          <Tabs 
-            activeKey={activeTab} 
-            onSelect={handleTabChange}
-            className="mb-3"
-            justify
-          >
-            {/* Login Tab */}
-            <Tab eventKey="login" title="Se connecter">
-              <Form onSubmit={handleLoginSubmit}>
-                {/* Email Input */}
-                <Form.Group className="mb-3">
-                  <Form.Label>Adresse Email</Form.Label>
-                  <Form.Control
-                    type="email"
-                    name="email"
-                    value={loginData.email}
-                    onChange={handleLoginChange}
-                    placeholder="Entrez votre email"
-                    required
+          {/* Second step of the login, or tabbed interface for Login/Register */}
+          {twoFactor ? renderTwoFactor() : (
+            <Tabs 
+              activeKey={activeTab} 
+              onSelect={handleTabChange}
+              className="mb-3"
+              justify
+            >
+              {/* Login Tab */}
+              <Tab eventKey="login" title="Se connecter">
+                <Form onSubmit={handleLoginSubmit}>
+                  {/* Email Input */}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Adresse Email</Form.Label>
+                    <Form.Control
+                      type="email"
+                      name="email"
+                      value={loginData.email}
+                      onChange={handleLoginChange}
+                      placeholder="Entrez votre email"
+                      required
+                      disabled={loading}
+                    />
+                  </Form.Group>
+
+                  {/* Password Input */}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Mot de passe</Form.Label>
+                    <Form.Control
+                      type="password"
+                      name="password"
+                      value={loginData.password}
+                      onChange={handleLoginChange}
+                      placeholder="Entrez votre mot de passe"
+                      required
+                      disabled={loading}
+                    />
+                  </Form.Group>
+
+                  {/* Login Button */}
+                  <Button 
+                    variant="primary" 
+                    type="submit" 
+                    className="w-100 mb-3"
                     disabled={loading}
-                  />
-                </Form.Group>
-
-                {/* Password Input */}
-                <Form.Group className="mb-3">
-                  <Form.Label>Mot de passe</Form.Label>
-                  <Form.Control
-                    type="password"
-                    name="password"
-                    value={loginData.password}
-                    onChange={handleLoginChange}
-                    placeholder="Entrez votre mot de passe"
-                    required
+                  >
+                    {loading ? (
+                      <>
+                        <Spinner as="span" animation="border" size="sm" className="me-2" />
+                        Connexion...
+                      </>
+                    ) : (
+                      'Se connecter'
+                    )}
+                  </Button>
+
+                  {/* Forgotten Password Link */}
+                  <div className="text-center mb-3">
+                    <Link to="/forgot-password">Mot de passe oublié ?</Link>
+                  </div>
+
+                  {/* Demo Credentials Button */}
+                  <Button 
+                    variant="outline-secondary" 
+                    className="w-100"
+                    onClick={handleDemoLogin}
                     disabled={loading}
-                  />
-                </Form.Group>
-
-                {/* Login Button */}
-                <Button 
-                  variant="primary" 
-                  type="submit" 
-                  className="w-100 mb-3"
-                  disabled={loading}
-                >
-                  {loading ? (
-                    <>
-                      <Spinner as="span" animation="border" size="sm" className="me-2" />
-                      Connexion...
-                    </>
-                  ) : (
-                    'Se connecter'
-                  )}
-                </Button>
-
-                {/* Demo Credentials Button */}
-                <Button 
-                  variant="outline-secondary" 
-                  className="w-100"
-                  onClick={handleDemoLogin}
-                  disabled={loading}
-                >
-                  Utiliser les identifiants de démonstration
-                </Button>
+                  >
+                    Utiliser les identifiants de démonstration
+                  </Button>
                 
-                {/* Demo Credentials Info */}
-                <div className="mt-3 p-3 bg-light rounded">
-                  <small className="text-muted">
-                    <strong>Identifiants de démonstration:</strong><br />
-                    Email: admin@example.com<br />
-                    Mot de passe: password
-                  </small>
-                </div>
-              </Form>
-            </Tab>
-
-            {/* Registration Tab */}
-            <Tab eventKey="register" title="S'inscrire">
-              <Form onSubmit={handleRegisterSubmit}>
-                {/* Username Input */}
-                <Form.Group className="mb-3">
-                  <Form.Label>Nom d'utilisateur</Form.Label>
-                  <Form.Control
-                    type="text"
-                    name="username"
-                    value={registerData.username}
-                    onChange={handleRegisterChange}
-                    placeholder="Choisissez un nom d'utilisateur"
-                    required
-                    disabled={loading}
-                  />
-                </Form.Group>
-
-                {/* Email Input */}
-                <Form.Group className="mb-3">
-                  <Form.Label>Adresse Email</Form.Label>
-                  <Form.Control
-                    type="email"
-                    name="email"
-                    value={registerData.email}
-                    onChange={handleRegisterChange}
-                    placeholder="Entrez votre email"
-                    required
-                    disabled={loading}
-                  />
-                </Form.Group>
-
-                {/* Password Input */}
-                <Form.Group className="mb-3">
-                  <Form.Label>Mot de passe</Form.Label>
-                  <Form.Control
-                    type="password"
-                    name="password"
-                    value={registerData.password}
-                    onChange={handleRegisterChange}
-                    placeholder="Choisissez un mot de passe (min. 6 caractères)"
-                    required
-                    disabled={loading}
-                  />
-                </Form.Group>
-
-                {/* Confirm Password Input */}
-                <Form.Group className="mb-3">
-                  <Form.Label>Confirmer le mot de passe</Form.Label>
-                  <Form.Control
-                    type="password"
-                    name="confirmPassword"
-                    value={registerData.confirmPassword}
-                    onChange={handleRegisterChange}
-                    placeholder="Confirmez votre mot de passe"
-                    required
+                  {/* Demo Credentials Info */}
+                  <div className="mt-3 p-3 bg-light rounded">
+                    <small className="text-muted">
+                      <strong>Identifiants de démonstration:</strong><br />
+                      Email: admin@example.com<br />
+                      Mot de passe: password
+                    </small>
+                  </div>
+                </Form>
+              </Tab>
+
+              {/* Registration Tab */}
+              <Tab eventKey="register" title="S'inscrire">
+                <Form onSubmit={handleRegisterSubmit}>
+                  {/* Username Input */}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Nom d'utilisateur</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="username"
+                      value={registerData.username}
+                      onChange={handleRegisterChange}
+                      placeholder="Choisissez un nom d'utilisateur"
+                      required
+                      disabled={loading}
+                    />
+                  </Form.Group>
+
+                  {/* Email Input */}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Adresse Email</Form.Label>
+                    <Form.Control
+                      type="email"
+                      name="email"
+                      value={registerData.email}
+                      onChange={handleRegisterChange}
+                      placeholder="Entrez votre email"
+                      required
+                      disabled={loading}
+                    />
+                  </Form.Group>
+
+                  {/* Password Input */}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Mot de passe</Form.Label>
+                    <Form.Control
+                      type="password"
+                      name="password"
+                      value={registerData.password}
+                      onChange={handleRegisterChange}
+                      placeholder="Choisissez un mot de passe (min. 6 caractères)"
+                      required
+                      disabled={loading}
+                    />
+                  </Form.Group>
+
+                  {/* Confirm Password Input */}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Confirmer le mot de passe</Form.Label>
+                    <Form.Control
+                      type="password"
+                      name="confirmPassword"
+                      value={registerData.confirmPassword}
+                      onChange={handleRegisterChange}
+                      placeholder="Confirmez votre mot de passe"
+                      required
+                      disabled={loading}
+                    />
+                  </Form.Group>
+
+                  {/* Register Button */}
+                  <Button 
+                    variant="success" 
+                    type="submit" 
+                    className="w-100"
                     disabled={loading}
-                  />
-                </Form.Group>
-
-                {/* Register Button */}
-                <Button 
-                  variant="success" 
-                  type="submit" 
-                  className="w-100"
-                  disabled={loading}
-                >
-                  {loading ? (
-                    <>
-                      <Spinner as="span" animation="border" size="sm" className="me-2" />
-                      Inscription...
-                    </>
-                  ) : (
-                    'S\'inscrire'
-                  )}
-                </Button>
-              </Form>
-            </Tab>
-          </Tabs>
+                  >
+                    {loading ? (
+                      <>
+                        <Spinner as="span" animation="border" size="sm" className="me-2" />
+                        Inscription...
+                      </>
+                    ) : (
+                      'S\'inscrire'
+                    )}
+                  </Button>
+                </Form>
+              </Tab>
+            </Tabs>
+          )}
         </div>
       </div>
 
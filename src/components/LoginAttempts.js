@@ -0,0 +1,233 @@
+/**
+ * LoginAttempts Component - Review of login attempts (user:manage)
+ *
+ * Lists every login attempt, successful or not, including those on emails
+ * without an account, to spot password guessing and locked accounts.
+ *
+ * Features:
+ * - Filters by email, IP address and result
+ * - Reason of each failure (wrong password, unknown email, lockout...)
+ * - Paginated results
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Form, Row, Col, Table, Alert, Spinner, Pagination, Badge } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ApiService from '../services/api';
+
+const REASON_LABELS = {
+  unknown_email: 'Email inconnu',
+  wrong_password: 'Mot de passe incorrect',
+  wrong_2fa_code: 'Code de double authentification incorrect',
+  disabled: 'Compte désactivé',
+  locked: 'Compte verrouillé',
+  rate_limited: 'Trop de tentatives (adresse IP)'
+};
+
+// Failures counted towards lockouts, as opposed to refused attempts
+const COUNTED_FAILURES = ['unknown_email', 'wrong_password', 'wrong_2fa_code'];
+
+const EMPTY_FILTERS = {
+  email: '',
+  ip: '',
+  result: ''
+};
+
+/**
+ * LoginAttempts Functional Component
+ *
+ * @returns {JSX.Element} The rendered LoginAttempts component
+ */
+const LoginAttempts = () => {
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Filters being edited, and the ones applied to the current results
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalAttempts, setTotalAttempts] = useState(0);
+  const limit = 50;
+
+  const loadAttempts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = { page: currentPage, limit };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await ApiService.getLoginAttempts(params);
+      setAttempts(response.attempts || []);
+      setTotalPages(response.pagination?.totalPages || 1);
+      setTotalAttempts(response.pagination?.total || 0);
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement des tentatives de connexion');
+      console.error('Error loading login attempts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, appliedFilters]);
+
+  useEffect(() => {
+    loadAttempts();
+  }, [loadAttempts]);
+
+  // ==================== FILTER HANDLERS ====================
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setAppliedFilters({ ...filters, email: filters.email.trim(), ip: filters.ip.trim() });
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  const formatDateTime = (dateString) => {
+    // SQLite timestamps are UTC without a zone marker
+    return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleString('fr-FR');
+  };
+
+  const renderPagination = () => {
+    if (totalPages <= 1) return null;
+
+    const items = [];
+    const maxVisiblePages = 5;
+    let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
+    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+
+    if (endPage - startPage + 1 < maxVisiblePages) {
+      startPage = Math.max(1, endPage - maxVisiblePages + 1);
+    }
+
+    items.push(
+      <Pagination.Prev key="prev" disabled={currentPage === 1} onClick={() => setCurrentPage(currentPage - 1)} />
+    );
+    for (let page = startPage; page <= endPage; page++) {
+      items.push(
+        <Pagination.Item key={page} active={page === currentPage} onClick={() => setCurrentPage(page)}>
+          {page}
+        </Pagination.Item>
+      );
+    }
+    items.push(
+      <Pagination.Next key="next" disabled={currentPage === totalPages} onClick={() => setCurrentPage(currentPage + 1)} />
+    );
+
+    return <Pagination className="justify-content-center">{items}</Pagination>;
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <AppLayout>
+      <h4 className="mb-4">Tentatives de connexion</h4>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {/* Filters */}
+      <Form onSubmit={handleSearch} className="mb-4">
+        <Row className="g-2">
+          <Col md={4}>
+            <Form.Control
+              name="email"
+              placeholder="Email"
+              value={filters.email}
+              onChange={handleFilterChange}
+            />
+          </Col>
+          <Col md={3}>
+            <Form.Control
+              name="ip"
+              placeholder="Adresse IP"
+              value={filters.ip}
+              onChange={handleFilterChange}
+            />
+          </Col>
+          <Col md={3}>
+            <Form.Select name="result" value={filters.result} onChange={handleFilterChange}>
+              <option value="">Tous les résultats</option>
+              <option value="success">Réussies</option>
+              <option value="failure">Échouées</option>
+            </Form.Select>
+          </Col>
+          <Col md={2} className="d-flex gap-1">
+            <Button type="submit" variant="outline-primary" title="Filtrer">🔍</Button>
+            <Button variant="outline-secondary" title="Réinitialiser" onClick={handleReset}>✖</Button>
+          </Col>
+        </Row>
+      </Form>
+
+      <div className="mb-3">
+        <small className="text-muted">{totalAttempts} tentative(s)</small>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Chargement...</span>
+          </Spinner>
+        </div>
+      ) : attempts.length > 0 ? (
+        <>
+          <Table responsive striped hover size="sm">
+            <thead className="table-dark">
+              <tr>
+                <th>Date</th>
+                <th>Email</th>
+                <th>Compte</th>
+                <th>Adresse IP</th>
+                <th>Résultat</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attempts.map((attempt) => (
+                <tr key={attempt.id}>
+                  <td className="text-nowrap">{formatDateTime(attempt.created_at)}</td>
+                  <td>{attempt.email}</td>
+                  <td>{attempt.username || <em>—</em>}</td>
+                  <td><small>{attempt.ip_address || '—'}</small></td>
+                  <td>
+                    {attempt.success ? (
+                      <Badge bg="success">Réussie</Badge>
+                    ) : (
+                      <Badge bg={COUNTED_FAILURES.includes(attempt.reason) ? 'danger' : 'warning'}>
+                        {REASON_LABELS[attempt.reason] || attempt.reason}
+                      </Badge>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {renderPagination()}
+        </>
+      ) : (
+        <div className="text-center py-5">
+          <h5>Aucune tentative trouvée</h5>
+        </div>
+      )}
+    </AppLayout>
+  );
+};
+
+export default LoginAttempts;
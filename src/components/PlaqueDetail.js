@@ -0,0 +1,440 @@
+/**
+ * PlaqueDetail Component - Full view of one registration
+ *
+ * Shows a plaque with its owner, vehicle, validity, status history,
+ * renewals and previous owners, and lets users holding the plaque:suspend
+ * permission suspend or reinstate it.
+ *
+ * Features:
+ * - Owner, vehicle and registration details
+ * - Current suspension (reason, notes, officer) while suspended
+ * - Cancellation notice for plaques in the trash
+ * - Status history with reason codes and notes
+ * - Renewal history
+ * - Ownership history (previous owners and the proof of each transfer)
+ * - Suspend / reinstate with a mandatory reason code
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { Button, Row, Col, Card, Table, Alert, Spinner, Modal, Form, Badge } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ApiService from '../services/api';
+import { provinceName } from '../utils/provinces';
+
+const STATUS_CONFIG = {
+  active: { variant: 'success', text: 'Actif' },
+  expired: { variant: 'danger', text: 'Expiré' },
+  suspended: { variant: 'warning', text: 'Suspendu' }
+};
+
+/**
+ * PlaqueDetail Functional Component
+ *
+ * @returns {JSX.Element} The rendered PlaqueDetail component
+ */
+const PlaqueDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [plaque, setPlaque] = useState(null);
+  const [statusReasons, setStatusReasons] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Suspend / reinstate modal
+  const [statusAction, setStatusAction] = useState(null); // 'suspend' | 'reinstate'
+  const [reasonCode, setReasonCode] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const canManageSuspension = ApiService.hasPermission('plaque:suspend');
+
+  const loadPlaque = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [plaqueData, reasons] = await Promise.all([
+        ApiService.getPlaqueById(id),
+        ApiService.getStatusReasons()
+      ]);
+      setPlaque(plaqueData);
+      setStatusReasons(reasons);
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement de la plaque');
+      console.error('Error loading plaque:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (!ApiService.isAuthenticated()) {
+      navigate('/');
+      return;
+    }
+
+    loadPlaque();
+  }, [navigate, loadPlaque]);
+
+  // ==================== SUSPENSION HANDLERS ====================
+
+  const openStatusAction = (action) => {
+    setStatusAction(action);
+    setReasonCode('');
+    setNotes('');
+  };
+
+  const closeStatusAction = () => {
+    setStatusAction(null);
+  };
+
+  const reasonsForAction = () => {
+    if (!statusReasons || !statusAction) return [];
+    return statusAction === 'suspend' ? statusReasons.suspension : statusReasons.reinstatement;
+  };
+
+  const notesRequired = () => (
+    !!statusReasons && statusReasons.notesRequiredFor.includes(reasonCode)
+  );
+
+  const handleStatusActionConfirm = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = statusAction === 'suspend'
+        ? await ApiService.suspendPlaque(plaque.id, reasonCode, notes)
+        : await ApiService.reinstatePlaque(plaque.id, reasonCode, notes);
+      setSuccess(response.message);
+      setStatusAction(null);
+      loadPlaque();
+    } catch (err) {
+      setError(err.message || 'Erreur lors du changement de statut');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleDateString('fr-FR') : '—';
+  };
+
+  const formatDateTime = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString('fr-FR') : '—';
+  };
+
+  const getStatusBadge = (status) => {
+    const config = STATUS_CONFIG[status] || { variant: 'secondary', text: status };
+    return <Badge bg={config.variant}>{config.text}</Badge>;
+  };
+
+  const renderField = (label, value) => (
+    <div className="mb-2">
+      <small className="text-muted d-block">{label}</small>
+      <span>{value || '—'}</span>
+    </div>
+  );
+
+  // ==================== RENDER ====================
+
+  if (loading && !plaque) {
+    return (
+      <AppLayout>
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Chargement...</span>
+          </Spinner>
+          <p className="mt-2">Chargement de la plaque...</p>
+        </div>
+      </AppLayout>
+    );
+  }
+
+  if (!plaque) {
+    return (
+      <AppLayout>
+        <Alert variant="danger">{error || 'Plaque non trouvée'}</Alert>
+        <Button as={Link} to="/plaques" variant="secondary">← Retour à la liste</Button>
+      </AppLayout>
+    );
+  }
+
+  const vehicle = plaque.vehicle;
+  const isCancelled = !!plaque.deleted_at;
+
+  return (
+    <AppLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h4 className="mb-1">
+            Plaque {plaque.plate_number} {getStatusBadge(plaque.status)}
+          </h4>
+          {plaque.validity?.valid ? (
+            <small className="text-success">✅ Immatriculation valide</small>
+          ) : (
+            <small className="text-danger">❌ Immatriculation non valide</small>
+          )}
+        </div>
+        <div className="d-flex gap-2">
+          <Button as={Link} to="/plaques" variant="outline-secondary">
+            ← Retour
+          </Button>
+          {!isCancelled && ApiService.hasPermission('plaque:edit') && (
+            <Button
+              variant="outline-warning"
+              onClick={() => navigate('/add-plate', { state: { editMode: true, plaqueData: plaque } })}
+            >
+              ✏️ Modifier
+            </Button>
+          )}
+          {!isCancelled && plaque.status !== 'suspended' && ApiService.hasPermission('plaque:transfer') && (
+            <Button as={Link} to={`/plaques/${plaque.id}/transfer`} variant="outline-primary">
+              🔁 Transférer
+            </Button>
+          )}
+          {canManageSuspension && !isCancelled && plaque.status !== 'suspended' && (
+            <Button variant="warning" onClick={() => openStatusAction('suspend')}>
+              ⛔ Suspendre
+            </Button>
+          )}
+          {canManageSuspension && !isCancelled && plaque.status === 'suspended' && (
+            <Button variant="success" onClick={() => openStatusAction('reinstate')}>
+              ✅ Lever la suspension
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+      {success && <Alert variant="success">{success}</Alert>}
+
+      {isCancelled && (
+        <Alert variant="danger">
+          <strong>Plaque annulée:</strong> {plaque.deletion_reason}
+          <small className="d-block mt-1">
+            Le {formatDateTime(plaque.deleted_at)}
+            {ApiService.hasPermission('plaque:delete') && <> — <Link to="/admin/trash">voir la corbeille</Link></>}
+          </small>
+        </Alert>
+      )}
+
+      {plaque.suspension && (
+        <Alert variant="warning">
+          <strong>Plaque suspendue:</strong> {plaque.suspension.reason}
+          {plaque.suspension.notes && <div className="mt-1">{plaque.suspension.notes}</div>}
+          <small className="d-block mt-1">
+            Depuis le {formatDateTime(plaque.suspension.suspended_at)}
+            {plaque.suspension.suspended_by_username && ` par ${plaque.suspension.suspended_by_username}`}
+          </small>
+        </Alert>
+      )}
+
+      <Row className="mb-4">
+        <Col md={4}>
+          <Card className="h-100">
+            <Card.Header>Propriétaire</Card.Header>
+            <Card.Body>
+              {renderField('Nom complet', plaque.owner_name)}
+              {renderField('Nationalité', plaque.owner_nationalite)}
+              {renderField('Adresse', plaque.owner_adresse)}
+              {renderField('Province', plaque.owner_province)}
+              {renderField('Email', plaque.owner_email)}
+              {renderField('Téléphone', plaque.owner_phone)}
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card className="h-100">
+            <Card.Header>Véhicule</Card.Header>
+            <Card.Body>
+              {vehicle ? (
+                <>
+                  {renderField('Marque / Modèle', `${vehicle.make} ${vehicle.model}`)}
+                  {renderField('VIN', vehicle.vin)}
+                  {renderField('Numéro moteur', vehicle.engine_number)}
+                  {renderField('Année', vehicle.year)}
+                  {renderField('Couleur', vehicle.colour)}
+                </>
+              ) : (
+                <small className="text-muted">Aucun véhicule lié</small>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card className="h-100">
+            <Card.Header>Immatriculation</Card.Header>
+            <Card.Body>
+              {renderField('Numéro de plaque', plaque.plate_number)}
+              {renderField('Province d\'émission', plaque.issuing_province_code
+                && `${plaque.issuing_province_code} - ${provinceName(plaque.issuing_province_code)}`)}
+              {renderField('Date d\'enregistrement', formatDate(plaque.registration_date))}
+              {renderField('Date d\'expiration', formatDate(plaque.expiry_date))}
+              {renderField('Dernière mise à jour', formatDateTime(plaque.updated_at))}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <h5>Historique des statuts</h5>
+      <Table responsive striped size="sm" className="mb-4">
+        <thead className="table-dark">
+          <tr>
+            <th>Date</th>
+            <th>Changement</th>
+            <th>Motif</th>
+            <th>Notes</th>
+            <th>Par</th>
+          </tr>
+        </thead>
+        <tbody>
+          {(plaque.status_history || []).map((entry) => (
+            <tr key={entry.id}>
+              <td>{formatDateTime(entry.changed_at)}</td>
+              <td>
+                {entry.from_status && <>{getStatusBadge(entry.from_status)} → </>}
+                {getStatusBadge(entry.to_status)}
+              </td>
+              <td>{entry.reason || '—'}</td>
+              <td>{entry.notes || '—'}</td>
+              <td>{entry.changed_by_username || <em>Système</em>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      <h5>Renouvellements</h5>
+      {plaque.renewals?.length ? (
+        <Table responsive striped size="sm">
+          <thead className="table-dark">
+            <tr>
+              <th>Date</th>
+              <th>Durée</th>
+              <th>Ancienne expiration</th>
+              <th>Nouvelle expiration</th>
+              <th>Par</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plaque.renewals.map((renewal) => (
+              <tr key={renewal.id}>
+                <td>{formatDateTime(renewal.renewed_at)}</td>
+                <td>{renewal.period_months} mois</td>
+                <td>{formatDate(renewal.previous_expiry)}</td>
+                <td>{formatDate(renewal.new_expiry)}</td>
+                <td>{renewal.renewed_by_username || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      ) : (
+        <p className="text-muted">Aucun renouvellement</p>
+      )}
+
+      <h5>Historique des propriétaires</h5>
+      {plaque.ownership_history?.length ? (
+        <Table responsive striped size="sm">
+          <thead className="table-dark">
+            <tr>
+              <th>Date du transfert</th>
+              <th>Ancien propriétaire</th>
+              <th>Nouveau propriétaire</th>
+              <th>Justificatif</th>
+              <th>Notes</th>
+              <th>Par</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plaque.ownership_history.map((transfer) => (
+              <tr key={transfer.id}>
+                <td>{formatDate(transfer.transfer_date)}</td>
+                <td>
+                  {transfer.seller_name}
+                  <small className="d-block text-muted">{transfer.seller_email}</small>
+                </td>
+                <td>
+                  {transfer.buyer_name}
+                  <small className="d-block text-muted">{transfer.buyer_email}</small>
+                </td>
+                <td>
+                  {transfer.evidence_label}
+                  <small className="d-block text-muted">{transfer.evidence_reference}</small>
+                </td>
+                <td>{transfer.notes || '—'}</td>
+                <td>{transfer.recorded_by_username || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      ) : (
+        <p className="text-muted">Aucun transfert de propriété</p>
+      )}
+
+      {/* Suspend / Reinstate Modal */}
+      <Modal show={!!statusAction} onHide={closeStatusAction} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {statusAction === 'suspend' ? 'Suspendre la plaque' : 'Lever la suspension'}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            Plaque <strong>{plaque.plate_number}</strong> — {plaque.owner_name}
+          </p>
+          <Form.Group className="mb-3">
+            <Form.Label>Motif *</Form.Label>
+            <Form.Select
+              value={reasonCode}
+              onChange={(e) => setReasonCode(e.target.value)}
+              disabled={submitting}
+            >
+              <option value="">Choisir un motif...</option>
+              {reasonsForAction().map((reason) => (
+                <option key={reason.code} value={reason.code}>{reason.label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Notes{notesRequired() && ' *'}</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              maxLength={1000}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              disabled={submitting}
+              placeholder="Référence du dossier, précisions..."
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeStatusAction} disabled={submitting}>
+            Annuler
+          </Button>
+          <Button
+            variant={statusAction === 'suspend' ? 'warning' : 'success'}
+            onClick={handleStatusActionConfirm}
+            disabled={submitting || !reasonCode || (notesRequired() && !notes.trim())}
+          >
+            {submitting ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" className="me-2" />
+                Enregistrement...
+              </>
+            ) : (
+              statusAction === 'suspend' ? 'Suspendre' : 'Lever la suspension'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </AppLayout>
+  );
+};
+
+export default PlaqueDetail;
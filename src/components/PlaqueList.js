@@ -6,10 +6,20 @@
  * and administrative functions.
  * 
  * Features:
- * - Paginated plaque listing with search functionality
+ * - Paginated plaque listing with search functionality: accent-insensitive,
+ *   ranked by relevance, matched words highlighted
  * - Status-based filtering (all, active, expired, suspended)
+ * - Collapsible advanced filters: registration and expiry date ranges,
+ *   issuing province, registering user, expiring within N days
+ * - Server-side sorting from the column headers
+ * - Search, filters, sort and page kept in the URL, so a filtered view can
+ *   be bookmarked or shared
  * - Expiration warnings for plaques expiring within 30 days
- * - Admin-only delete functionality with confirmation
+ * - Registration renewal within the renewal window around expiry
+ * - Suspension reason shown on suspended plaques
+ * - Admin-only cancellation (moved to the trash) with a mandatory reason
+ * - Printable registration certificate (PDF) for valid registrations
+ * - CSV / Excel export of the filtered list
  * - Responsive table design with Bootstrap
  * - Empty state handling
  * 
@@ -19,12 +29,37 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { 
   Container, Table, Button, Form, Row, Col, Navbar, Nav, NavDropdown, 
-  Alert, Spinner, Pagination, Modal, Badge 
+  Alert, Spinner, Pagination, Modal, Badge, Dropdown, Collapse 
 } from 'react-bootstrap';
+import JurisdictionSwitcher from './JurisdictionSwitcher';
+import Highlight from './Highlight';
 import ApiService from '../services/api';
+import { provinceName } from '../utils/provinces';
+
+/**
+ * Filters of the advanced panel, named like the GET /api/plaques parameters
+ */
+const ADVANCED_FILTERS = [
+  'registeredFrom', 'registeredTo', 'expiresFrom', 'expiresTo', 'province', 'createdBy', 'expiringWithin'
+];
+
+// URL query parameters forwarded to the list and the export
+const FILTERS = ['search', 'status', ...ADVANCED_FILTERS];
+const LIST_PARAMETERS = [...FILTERS, 'sort', 'order'];
+
+/**
+ * Non-empty query parameters among `names`
+ *
+ * @param {URLSearchParams} searchParams - Current URL query
+ * @param {string[]} names - Parameter names
+ * @returns {Object} Name -> value
+ */
+const pickParameters = (searchParams, names) => Object.fromEntries(
+  names.filter((name) => searchParams.get(name)).map((name) => [name, searchParams.get(name)])
+);
 
 /**
  * PlaqueList Functional Component
@@ -42,19 +77,41 @@ const PlaqueList = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   
-  // Pagination and filtering
-  const [currentPage, setCurrentPage] = useState(1);
+  // Pagination, filtering and sorting, read from the URL query string
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentPage = parseInt(searchParams.get('page'), 10) || 1;
+  const searchTerm = searchParams.get('search') || '';
+  const statusFilter = searchParams.get('status') || '';
+  const sort = searchParams.get('sort') || '';
+  const order = searchParams.get('order') || '';
+  const advancedFilterCount = ADVANCED_FILTERS.filter((name) => searchParams.get(name)).length;
   const [totalPages, setTotalPages] = useState(1);
   const [totalPlaques, setTotalPlaques] = useState(0);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [statusFilter, setStatusFilter] = useState('');
+  const [highlightedSearch, setHighlightedSearch] = useState('');
   const [limit] = useState(10);
+  const [exporting, setExporting] = useState(false);
+
+  // Advanced filter panel: values being edited until applied
+  const [showFilters, setShowFilters] = useState(advancedFilterCount > 0);
+  const [filterDraft, setFilterDraft] = useState({});
+  const [issuers, setIssuers] = useState([]);
 
   // Delete modal
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [plaqueToDelete, setPlaqueToDelete] = useState(null);
+  const [deleteReason, setDeleteReason] = useState('');
   const [deleting, setDeleting] = useState(false);
 
+  // Renewal modal
+  const [renewalOptions, setRenewalOptions] = useState(null);
+  const [showRenewModal, setShowRenewModal] = useState(false);
+  const [plaqueToRenew, setPlaqueToRenew] = useState(null);
+  const [renewPeriod, setRenewPeriod] = useState('');
+  const [renewing, setRenewing] = useState(false);
+
+  // Suspension reason labels by code
+  const [suspensionLabels, setSuspensionLabels] = useState({});
+
   useEffect(() => {
     // Check authentication
     if (!ApiService.isAuthenticated()) {
@@ -64,7 +121,29 @@ const PlaqueList = () => {
 
     setUser(ApiService.getCurrentUser());
     loadPlaques();
-  }, [navigate, currentPage, searchTerm, statusFilter]);
+  }, [navigate, searchParams]);
+
+  useEffect(() => {
+    setFilterDraft(pickParameters(searchParams, ADVANCED_FILTERS));
+  }, [searchParams]);
+
+  useEffect(() => {
+    if (!ApiService.isAuthenticated()) return;
+
+    ApiService.getRenewalOptions()
+      .then(setRenewalOptions)
+      .catch((err) => console.error('Error loading renewal options:', err));
+
+    ApiService.getStatusReasons()
+      .then((reasons) => setSuspensionLabels(
+        Object.fromEntries(reasons.suspension.map((reason) => [reason.code, reason.label]))
+      ))
+      .catch((err) => console.error('Error loading status reasons:', err));
+
+    ApiService.getPlaqueIssuers()
+      .then(setIssuers)
+      .catch((err) => console.error('Error loading issuers:', err));
+  }, []);
 
   const loadPlaques = async () => {
     try {
@@ -74,39 +153,91 @@ const PlaqueList = () => {
       const params = {
         page: currentPage,
         limit: limit,
-        ...(searchTerm && { search: searchTerm }),
-        ...(statusFilter && { status: statusFilter })
+        ...pickParameters(searchParams, LIST_PARAMETERS)
       };
 
       const response = await ApiService.getPlaques(params);
       setPlaques(response.plaques || response.vehicles || []);
+      // Mark the words of the search these results come from
+      setHighlightedSearch(searchTerm);
       setTotalPages(response.pagination?.totalPages || 1);
       setTotalPlaques(response.pagination?.total || 0);
     } catch (err) {
-      setError('Erreur lors du chargement des plaques');
+      setError(err.message || 'Erreur lors du chargement des plaques');
       console.error('Error loading plaques:', err);
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Change query parameters of the URL, which reloads the list; empty values
+   * are removed and any change but the page goes back to the first page
+   *
+   * @param {Object} changes - Parameter name -> new value
+   * @param {Object} options - setSearchParams options ({ replace })
+   */
+  const updateQuery = (changes, options) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      if (!('page' in changes)) next.delete('page');
+      Object.entries(changes).forEach(([name, value]) => {
+        if (value) next.set(name, value);
+        else next.delete(name);
+      });
+      return next;
+    }, options);
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
-    setCurrentPage(1);
     loadPlaques();
   };
 
+  // Typing replaces the history entry rather than adding one per keystroke
+  const handleSearchChange = (e) => {
+    updateQuery({ search: e.target.value }, { replace: true });
+  };
+
   const handlePageChange = (page) => {
-    setCurrentPage(page);
+    updateQuery({ page: page > 1 ? String(page) : '' });
   };
 
   const handleStatusFilterChange = (status) => {
-    setStatusFilter(status);
-    setCurrentPage(1);
+    updateQuery({ status });
+  };
+
+  const handleFilterDraftChange = (e) => {
+    const { name, value } = e.target;
+    setFilterDraft((draft) => ({ ...draft, [name]: value }));
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    updateQuery(Object.fromEntries(ADVANCED_FILTERS.map((name) => [name, filterDraft[name] || ''])));
+  };
+
+  const handleResetFilters = () => {
+    updateQuery(Object.fromEntries(ADVANCED_FILTERS.map((name) => [name, ''])));
+  };
+
+  /**
+   * Clicking a header sorts ascending, then descending, then back to the
+   * default order (relevance when searching, newest first otherwise)
+   */
+  const handleSort = (column) => {
+    if (sort !== column) {
+      updateQuery({ sort: column, order: 'asc' });
+    } else if (order !== 'desc') {
+      updateQuery({ order: 'desc' });
+    } else {
+      updateQuery({ sort: '', order: '' });
+    }
   };
 
   const handleDeleteClick = (plaque) => {
     setPlaqueToDelete(plaque);
+    setDeleteReason('');
     setShowDeleteModal(true);
   };
 
@@ -115,13 +246,13 @@ const PlaqueList = () => {
 
     try {
       setDeleting(true);
-      await ApiService.deletePlaque(plaqueToDelete.id);
-      setSuccess(`Plaque ${plaqueToDelete.plate_number} supprimée avec succès`);
+      await ApiService.deletePlaque(plaqueToDelete.id, deleteReason);
+      setSuccess(`Plaque ${plaqueToDelete.plate_number} annulée et placée dans la corbeille`);
       setShowDeleteModal(false);
       setPlaqueToDelete(null);
       loadPlaques(); // Reload the list
     } catch (err) {
-      setError('Erreur lors de la suppression de la plaque');
+      setError(err.message || 'Erreur lors de la suppression de la plaque');
       console.error('Error deleting plaque:', err);
     } finally {
       setDeleting(false);
@@ -133,12 +264,63 @@ const PlaqueList = () => {
     setPlaqueToDelete(null);
   };
 
+  const handleRenewClick = (plaque) => {
+    setPlaqueToRenew(plaque);
+    setRenewPeriod(String(renewalOptions.periodsMonths[0]));
+    setShowRenewModal(true);
+  };
+
+  const handleRenewConfirm = async () => {
+    if (!plaqueToRenew) return;
+
+    try {
+      setRenewing(true);
+      setError('');
+      const response = await ApiService.renewPlaque(plaqueToRenew.id, parseInt(renewPeriod, 10));
+      setSuccess(`Plaque ${plaqueToRenew.plate_number}: ${response.message}`);
+      setShowRenewModal(false);
+      setPlaqueToRenew(null);
+      loadPlaques(); // Reload the list
+    } catch (err) {
+      setError(err.message || 'Erreur lors du renouvellement de la plaque');
+      console.error('Error renewing plaque:', err);
+    } finally {
+      setRenewing(false);
+    }
+  };
+
+  const handleRenewCancel = () => {
+    setShowRenewModal(false);
+    setPlaqueToRenew(null);
+  };
+
   const handleEdit = (plaque) => {
     // For now, navigate to add-plate with edit mode
     // In a full implementation, you'd create a separate edit page
     navigate('/add-plate', { state: { editMode: true, plaqueData: plaque } });
   };
 
+  const handlePrintCertificate = async (plaque) => {
+    try {
+      setError('');
+      await ApiService.printCertificate(plaque.id);
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la génération du certificat');
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      setError('');
+      await ApiService.exportPlaques(pickParameters(searchParams, FILTERS), format);
+    } catch (err) {
+      setError(err.message || 'Erreur lors de l\'export des plaques');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleLogout = () => {
     ApiService.logout();
   };
@@ -165,6 +347,59 @@ const PlaqueList = () => {
     return expiry <= thirtyDaysFromNow && expiry > today;
   };
 
+  /**
+   * Certificates are only issued for active, unexpired registrations
+   */
+  const isPlaqueValid = (plaque) => (
+    plaque.status === 'active' && new Date(plaque.expiry_date) > new Date()
+  );
+
+  /**
+   * A plaque can be renewed from windowDaysBefore days before its expiry
+   * until windowDaysAfter days after it, unless it is suspended
+   */
+  const canRenew = (plaque) => {
+    if (!renewalOptions || plaque.status === 'suspended' || !ApiService.hasPermission('plaque:renew')) return false;
+
+    const expiry = new Date(plaque.expiry_date).getTime();
+    const now = Date.now();
+    const day = 24 * 60 * 60 * 1000;
+    return now >= expiry - renewalOptions.windowDaysBefore * day
+      && now <= expiry + renewalOptions.windowDaysAfter * day;
+  };
+
+  /**
+   * Expiry after renewing for `months`, counted from the current expiry
+   * (same month clamping as the server: 31 Jan + 1 month = 28/29 Feb)
+   */
+  const getRenewedExpiry = (expiryDate, months) => {
+    const result = new Date(expiryDate);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result.toISOString();
+  };
+
+  const renderSortableHeader = (column, label) => {
+    const sorted = sort === column;
+    const descending = sorted && order === 'desc';
+    return (
+      <th className="text-nowrap" aria-sort={sorted ? (descending ? 'descending' : 'ascending') : undefined}>
+        <Button
+          variant="link"
+          className="p-0 fw-bold text-reset text-decoration-none"
+          title="Trier"
+          onClick={() => handleSort(column)}
+        >
+          {label}
+          {sorted && (descending ? ' ▼' : ' ▲')}
+        </Button>
+      </th>
+    );
+  };
+
   const renderPagination = () => {
     if (totalPages <= 1) return null;
 
@@ -237,18 +472,38 @@ const PlaqueList = () => {
               <Nav.Link as={Link} to="/dashboard">Accueil</Nav.Link>
               <NavDropdown title="Plaques" id="basic-nav-dropdown">
                 <NavDropdown.Item active>Consulter</NavDropdown.Item>
-                <NavDropdown.Item as={Link} to="/add-plate">Ajouter</NavDropdown.Item>
+                {ApiService.hasPermission('plaque:create') && (
+                  <NavDropdown.Item as={Link} to="/add-plate">Ajouter</NavDropdown.Item>
+                )}
                 <NavDropdown.Item href="#plaques/search">Rechercher</NavDropdown.Item>
-                {ApiService.isAdmin() && (
-                  <NavDropdown.Item href="#admin">Administration</NavDropdown.Item>
+                {ApiService.hasPermission('user:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/users">Utilisateurs</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('user:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/login-attempts">Tentatives de connexion</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('audit:read') && (
+                  <NavDropdown.Item as={Link} to="/admin/audit">Journal d'audit</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('plaque:delete') && (
+                  <NavDropdown.Item as={Link} to="/admin/trash">Corbeille</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('plaque:import') && (
+                  <NavDropdown.Item as={Link} to="/admin/import">Import CSV</NavDropdown.Item>
+                )}
+                {ApiService.hasPermission('geo:manage') && (
+                  <NavDropdown.Item as={Link} to="/admin/geography">Référentiel géographique</NavDropdown.Item>
                 )}
               </NavDropdown>
               <Nav.Link as={Link} to="/dashboard">Tableau de bord</Nav.Link>
-              <Nav.Link href="#statistics">Statistiques</Nav.Link>
+              <Nav.Link as={Link} to="/statistics">Statistiques</Nav.Link>
             </Nav>
+            <JurisdictionSwitcher />
             <NavDropdown title={`👤 ${user?.username || 'Utilisateur'}`} id="user-nav-dropdown">
               <NavDropdown.Item href="#profile">Profil</NavDropdown.Item>
               <NavDropdown.Item href="#settings">Paramètres</NavDropdown.Item>
+              <NavDropdown.Item as={Link} to="/change-password">Changer le mot de passe</NavDropdown.Item>
+              <NavDropdown.Item as={Link} to="/account/security">Double authentification</NavDropdown.Item>
               <NavDropdown.Divider />
               <NavDropdown.Item onClick={handleLogout}>Se déconnecter</NavDropdown.Item>
             </NavDropdown>
@@ -259,9 +514,24 @@ const PlaqueList = () => {
       <div className="p-4">
         <div className="d-flex justify-content-between align-items-center mb-4">
           <h4>Liste des plaques</h4>
-          <Button as={Link} to="/add-plate" variant="success">
-            ➕ Nouvelle plaque
-          </Button>
+          <div className="d-flex gap-2">
+            {ApiService.hasPermission('plaque:export') && (
+              <Dropdown>
+                <Dropdown.Toggle variant="outline-secondary" disabled={exporting || totalPlaques === 0}>
+                  {exporting ? <Spinner animation="border" size="sm" /> : '⬇️ Exporter'}
+                </Dropdown.Toggle>
+                <Dropdown.Menu>
+                  <Dropdown.Item onClick={() => handleExport('csv')}>CSV</Dropdown.Item>
+                  <Dropdown.Item onClick={() => handleExport('xlsx')}>Excel (.xlsx)</Dropdown.Item>
+                </Dropdown.Menu>
+              </Dropdown>
+            )}
+            {ApiService.hasPermission('plaque:create') && (
+              <Button as={Link} to="/add-plate" variant="success">
+                ➕ Nouvelle plaque
+              </Button>
+            )}
+          </div>
         </div>
 
         {error && <Alert variant="danger">{error}</Alert>}
@@ -274,9 +544,9 @@ const PlaqueList = () => {
               <div className="d-flex">
                 <Form.Control
                   type="text"
-                  placeholder="Rechercher par plaque, propriétaire, marque..."
+                  placeholder="Rechercher par plaque, propriétaire, téléphone, adresse, VIN..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={handleSearchChange}
                 />
                 <Button type="submit" variant="outline-primary" className="ms-2">
                   🔍
@@ -314,16 +584,126 @@ const PlaqueList = () => {
               >
                 Suspendus
               </Button>
+              <Button
+                variant="outline-secondary"
+                onClick={() => setShowFilters(!showFilters)}
+                aria-controls="plaque-filters"
+                aria-expanded={showFilters}
+                size="sm"
+                className="ms-auto"
+              >
+                Filtres avancés
+                {advancedFilterCount > 0 && <Badge bg="primary" className="ms-1">{advancedFilterCount}</Badge>}
+              </Button>
             </div>
           </Col>
         </Row>
 
+        {/* Advanced Filters */}
+        <Collapse in={showFilters}>
+          <div id="plaque-filters">
+            <Form onSubmit={handleApplyFilters} className="border rounded bg-light p-3 mb-4">
+              <Row>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Immatriculée du</Form.Label>
+                    <Form.Control
+                      type="date"
+                      name="registeredFrom"
+                      value={filterDraft.registeredFrom || ''}
+                      onChange={handleFilterDraftChange}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>au</Form.Label>
+                    <Form.Control
+                      type="date"
+                      name="registeredTo"
+                      value={filterDraft.registeredTo || ''}
+                      onChange={handleFilterDraftChange}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Expire du</Form.Label>
+                    <Form.Control
+                      type="date"
+                      name="expiresFrom"
+                      value={filterDraft.expiresFrom || ''}
+                      onChange={handleFilterDraftChange}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>au</Form.Label>
+                    <Form.Control
+                      type="date"
+                      name="expiresTo"
+                      value={filterDraft.expiresTo || ''}
+                      onChange={handleFilterDraftChange}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Province d'émission</Form.Label>
+                    <Form.Select name="province" value={filterDraft.province || ''} onChange={handleFilterDraftChange}>
+                      <option value="">Toutes</option>
+                      {ApiService.getJurisdictionProvinces().map((code) => (
+                        <option key={code} value={code}>{code} - {provinceName(code)}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Enregistrée par</Form.Label>
+                    <Form.Select name="createdBy" value={filterDraft.createdBy || ''} onChange={handleFilterDraftChange}>
+                      <option value="">Tous les utilisateurs</option>
+                      {issuers.map((issuer) => (
+                        <option key={issuer.id} value={issuer.id}>{issuer.username}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Expire dans (jours)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="expiringWithin"
+                      min={1}
+                      max={3650}
+                      placeholder="ex. 30"
+                      value={filterDraft.expiringWithin || ''}
+                      onChange={handleFilterDraftChange}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3} className="d-flex align-items-end gap-2 mb-3">
+                  <Button type="submit" variant="primary">Appliquer</Button>
+                  <Button variant="outline-secondary" onClick={handleResetFilters} disabled={advancedFilterCount === 0}>
+                    Réinitialiser
+                  </Button>
+                </Col>
+              </Row>
+            </Form>
+          </div>
+        </Collapse>
+
         {/* Results Summary */}
         <div className="mb-3">
           <small className="text-muted">
             Affichage de {plaques.length} plaques sur {totalPlaques} au total
             {searchTerm && ` (recherche: "${searchTerm}")`}
             {statusFilter && ` (statut: ${statusFilter})`}
+            {advancedFilterCount > 0 && ` (${advancedFilterCount} filtre${advancedFilterCount > 1 ? 's' : ''} avancé${advancedFilterCount > 1 ? 's' : ''})`}
           </small>
         </div>
 
@@ -340,12 +720,14 @@ const PlaqueList = () => {
             <Table responsive striped hover>
               <thead className="table-dark">
                 <tr>
-                  <th>Plaque</th>
-                  <th>Propriétaire</th>
+                  {renderSortableHeader('plateNumber', 'Plaque')}
+                  {renderSortableHeader('ownerName', 'Propriétaire')}
+                  <th>Véhicule</th>
                   <th>Téléphone</th>
                   <th>Email</th>
-                  <th>Statut</th>
-                  <th>Expiration</th>
+                  {renderSortableHeader('status', 'Statut')}
+                  {renderSortableHeader('registrationDate', 'Immatriculation')}
+                  {renderSortableHeader('expiryDate', 'Expiration')}
                   <th>Actions</th>
                 </tr>
               </thead>
@@ -353,21 +735,46 @@ const PlaqueList = () => {
                 {plaques.map((plaque) => (
                   <tr key={plaque.id}>
                     <td>
-                      <strong>{plaque.plate_number}</strong>
+                      <strong><Highlight text={plaque.plate_number} search={highlightedSearch} /></strong>
                       {isExpiringSoon(plaque.expiry_date) && (
                         <Badge bg="warning" className="ms-2">⚠️</Badge>
                       )}
                     </td>
                     <td>
                       <div>
-                        <strong>{plaque.owner_name}</strong>
+                        <strong><Highlight text={plaque.owner_name} search={highlightedSearch} /></strong>
                         <br />
-                        <small className="text-muted">{plaque.owner_email}</small>
+                        <small className="text-muted">
+                          <Highlight text={plaque.owner_email} search={highlightedSearch} />
+                        </small>
                       </div>
                     </td>
-                    <td>{plaque.owner_phone}</td>
-                    <td>{plaque.owner_email}</td>
-                    <td>{getStatusBadge(plaque.status)}</td>
+                    <td>
+                      {plaque.vehicle_vin ? (
+                        <div>
+                          <Highlight text={plaque.vehicle_make} search={highlightedSearch} />{' '}
+                          <Highlight text={plaque.vehicle_model} search={highlightedSearch} />
+                          {plaque.vehicle_colour && ` (${plaque.vehicle_colour})`}
+                          <br />
+                          <small className="text-muted">
+                            VIN: <Highlight text={plaque.vehicle_vin} search={highlightedSearch} />
+                          </small>
+                        </div>
+                      ) : (
+                        <small className="text-muted">Non renseigné</small>
+                      )}
+                    </td>
+                    <td><Highlight text={plaque.owner_phone} search={highlightedSearch} /></td>
+                    <td><Highlight text={plaque.owner_email} search={highlightedSearch} /></td>
+                    <td>
+                      {getStatusBadge(plaque.status)}
+                      {plaque.suspension_reason_code && (
+                        <small className="text-muted d-block">
+                          {suspensionLabels[plaque.suspension_reason_code] || plaque.suspension_reason_code}
+                        </small>
+                      )}
+                    </td>
+                    <td>{formatDate(plaque.registration_date)}</td>
                     <td>
                       {formatDate(plaque.expiry_date)}
                       {isExpiringSoon(plaque.expiry_date) && (
@@ -380,18 +787,51 @@ const PlaqueList = () => {
                           size="sm"
                           variant="outline-info"
                           title="Voir détails"
+                          onClick={() => navigate(`/plaques/${plaque.id}`)}
                         >
                           👁️
                         </Button>
-                        <Button
-                          size="sm"
-                          variant="outline-warning"
-                          title="Modifier"
-                          onClick={() => handleEdit(plaque)}
-                        >
-                          ✏️
-                        </Button>
-                        {ApiService.isAdmin() && (
+                        {ApiService.hasPermission('plaque:edit') && (
+                          <Button
+                            size="sm"
+                            variant="outline-warning"
+                            title="Modifier"
+                            onClick={() => handleEdit(plaque)}
+                          >
+                            ✏️
+                          </Button>
+                        )}
+                        {isPlaqueValid(plaque) && (
+                          <Button
+                            size="sm"
+                            variant="outline-dark"
+                            title="Imprimer le certificat"
+                            onClick={() => handlePrintCertificate(plaque)}
+                          >
+                            🖨️
+                          </Button>
+                        )}
+                        {plaque.status !== 'suspended' && ApiService.hasPermission('plaque:transfer') && (
+                          <Button
+                            size="sm"
+                            variant="outline-primary"
+                            title="Transférer la propriété"
+                            onClick={() => navigate(`/plaques/${plaque.id}/transfer`)}
+                          >
+                            🔁
+                          </Button>
+                        )}
+                        {canRenew(plaque) && (
+                          <Button
+                            size="sm"
+                            variant="outline-success"
+                            title="Renouveler"
+                            onClick={() => handleRenewClick(plaque)}
+                          >
+                            🔄
+                          </Button>
+                        )}
+                        {ApiService.hasPermission('plaque:delete') && (
                           <Button
                             size="sm"
                             variant="outline-danger"
@@ -415,7 +855,7 @@ const PlaqueList = () => {
           <div className="text-center py-5">
             <h5>Aucune plaque trouvée</h5>
             <p className="text-muted">
-              {searchTerm || statusFilter 
+              {searchTerm || statusFilter || advancedFilterCount > 0
                 ? 'Essayez de modifier vos critères de recherche.' 
                 : 'Commencez par enregistrer votre première plaque.'
               }
@@ -430,36 +870,102 @@ const PlaqueList = () => {
       {/* Delete Confirmation Modal */}
       <Modal show={showDeleteModal} onHide={handleDeleteCancel} centered>
         <Modal.Header closeButton>
-          <Modal.Title>Confirmer la suppression</Modal.Title>
+          <Modal.Title>Confirmer l'annulation</Modal.Title>
         </Modal.Header>
         <Modal.Body>
           {plaqueToDelete && (
             <div>
-              <p>Êtes-vous sûr de vouloir supprimer cette plaque ?</p>
+              <p>Êtes-vous sûr de vouloir annuler cette plaque ?</p>
               <div className="bg-light p-3 rounded">
                 <strong>Plaque:</strong> {plaqueToDelete.plate_number}<br />
                 <strong>Propriétaire:</strong> {plaqueToDelete.owner_name}<br />
                 <strong>Email:</strong> {plaqueToDelete.owner_email}<br />
                 <strong>Téléphone:</strong> {plaqueToDelete.owner_phone}
               </div>
-              <p className="text-danger mt-2">
-                <small>⚠️ Cette action est irréversible.</small>
+              <Form.Group className="mt-3">
+                <Form.Label>Motif de l'annulation *</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  maxLength={1000}
+                  value={deleteReason}
+                  onChange={(e) => setDeleteReason(e.target.value)}
+                  disabled={deleting}
+                />
+              </Form.Group>
+              <p className="text-muted mt-2">
+                <small>La plaque sera placée dans la corbeille, d'où un administrateur pourra la restaurer. Son numéro reste réservé.</small>
               </p>
             </div>
           )}
         </Modal.Body>
         <Modal.Footer>
           <Button variant="secondary" onClick={handleDeleteCancel} disabled={deleting}>
-            Annuler
+            Fermer
           </Button>
-          <Button variant="danger" onClick={handleDeleteConfirm} disabled={deleting}>
+          <Button variant="danger" onClick={handleDeleteConfirm} disabled={deleting || !deleteReason.trim()}>
             {deleting ? (
               <>
                 <Spinner as="span" animation="border" size="sm" className="me-2" />
-                Suppression...
+                Annulation...
+              </>
+            ) : (
+              'Annuler la plaque'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Renewal Modal */}
+      <Modal show={showRenewModal} onHide={handleRenewCancel} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Renouveler l'immatriculation</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {plaqueToRenew && (
+            <div>
+              <div className="bg-light p-3 rounded mb-3">
+                <strong>Plaque:</strong> {plaqueToRenew.plate_number}<br />
+                <strong>Propriétaire:</strong> {plaqueToRenew.owner_name}<br />
+                <strong>Statut:</strong> {getStatusBadge(plaqueToRenew.status)}<br />
+                <strong>Expiration actuelle:</strong> {formatDate(plaqueToRenew.expiry_date)}
+              </div>
+              <Form.Group>
+                <Form.Label>Durée du renouvellement</Form.Label>
+                <Form.Select
+                  value={renewPeriod}
+                  onChange={(e) => setRenewPeriod(e.target.value)}
+                  disabled={renewing}
+                >
+                  {renewalOptions?.periodsMonths.map((months) => (
+                    <option key={months} value={months}>{months} mois</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+              <p className="mt-3 mb-0">
+                Nouvelle date d'expiration:{' '}
+                <strong>{formatDate(getRenewedExpiry(plaqueToRenew.expiry_date, parseInt(renewPeriod, 10)))}</strong>
+              </p>
+              {plaqueToRenew.status === 'expired' && (
+                <p className="text-success mt-2 mb-0">
+                  <small>La plaque redeviendra active après le renouvellement.</small>
+                </p>
+              )}
+            </div>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={handleRenewCancel} disabled={renewing}>
+            Annuler
+          </Button>
+          <Button variant="success" onClick={handleRenewConfirm} disabled={renewing}>
+            {renewing ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" className="me-2" />
+                Renouvellement...
               </>
             ) : (
-              'Supprimer'
+              'Renouveler'
             )}
           </Button>
         </Modal.Footer>
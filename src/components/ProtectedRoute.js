@@ -1,15 +1,44 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Navigate } from 'react-router-dom';
+import { Alert, Spinner } from 'react-bootstrap';
 import ApiService from '../services/api';
 
-const ProtectedRoute = ({ children }) => {
+const ProtectedRoute = ({ children, permission }) => {
   const isAuthenticated = ApiService.isAuthenticated();
-  
+  // Pages read the provinces synchronously, so they wait for them here
+  const [provincesLoaded, setProvincesLoaded] = useState(ApiService.getProvinces().length > 0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isAuthenticated || provincesLoaded) return;
+    ApiService.loadProvinces()
+      .then(() => setProvincesLoaded(true))
+      .catch(() => setError('Impossible de charger la liste des provinces. Veuillez réessayer.'));
+  }, [isAuthenticated, provincesLoaded]);
+
   if (!isAuthenticated) {
     return <Navigate to="/" replace />;
   }
+
+  // Pages needing a permission send other users back to the dashboard
+  if (permission && !ApiService.hasPermission(permission)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  if (error) {
+    return <Alert variant="danger" className="m-4">{error}</Alert>;
+  }
+  if (!provincesLoaded) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Chargement...</span>
+        </Spinner>
+      </div>
+    );
+  }
   
   return children;
 };
 
-export default ProtectedRoute; 
\ No newline at end of file
+export default ProtectedRoute; 
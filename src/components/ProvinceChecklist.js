@@ -0,0 +1,50 @@
+/**
+ * ProvinceChecklist Component - Pick provinces with checkboxes
+ *
+ * Used by the account administration to assign the provinces a user
+ * works in.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+import ApiService from '../services/api';
+
+/**
+ * ProvinceChecklist Functional Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - Prefix of the checkbox ids
+ * @param {string[]} props.value - Checked province codes
+ * @param {Function} props.onChange - Receives the new list of codes, sorted
+ * @param {boolean} props.disabled - Disable every checkbox
+ * @returns {JSX.Element} The rendered checklist
+ */
+const ProvinceChecklist = ({ id, value, onChange, disabled = false }) => {
+  const toggle = (code) => {
+    const next = value.includes(code) ? value.filter(item => item !== code) : [...value, code];
+    onChange(next.sort());
+  };
+
+  return (
+    <Row xs={2} md={3} className="g-1">
+      {ApiService.getProvinces().map(province => (
+        <Col key={province.code}>
+          <Form.Check
+            type="checkbox"
+            id={`${id}-${province.code}`}
+            label={<small>{province.code} - {province.name}</small>}
+            checked={value.includes(province.code)}
+            onChange={() => toggle(province.code)}
+            disabled={disabled}
+          />
+        </Col>
+      ))}
+    </Row>
+  );
+};
+
+export default ProvinceChecklist;
@@ -0,0 +1,54 @@
+/**
+ * RecoveryCodes Component - Recovery codes shown once after they are generated
+ *
+ * Each code replaces the authenticator app for one login. They cannot be
+ * displayed again, so the user is offered to download them.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Alert, Button } from 'react-bootstrap';
+
+/**
+ * RecoveryCodes Functional Component
+ *
+ * @param {Object} props - Component props
+ * @param {string[]} props.codes - Recovery codes
+ * @returns {JSX.Element} The rendered RecoveryCodes component
+ */
+const RecoveryCodes = ({ codes }) => {
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'codes-de-recuperation.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Alert variant="warning">
+      <p>
+        <strong>Codes de récupération</strong> — conservez-les en lieu sûr. Chacun permet
+        une connexion si vous perdez votre application d'authentification. Ils ne seront
+        plus affichés.
+      </p>
+      <ul className="list-unstyled row font-monospace mb-3">
+        {codes.map(code => (
+          <li key={code} className="col-6">{code}</li>
+        ))}
+      </ul>
+      <Button variant="outline-dark" size="sm" onClick={handleDownload}>
+        💾 Télécharger
+      </Button>
+    </Alert>
+  );
+};
+
+export default RecoveryCodes;
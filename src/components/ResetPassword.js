@@ -0,0 +1,117 @@
+/**
+ * ResetPassword Component - Choose a new password from an emailed link
+ *
+ * Opened from the link sent by "Mot de passe oublié"; the token comes from
+ * the `token` query parameter. After the reset every session of the
+ * account is closed and the user logs in again.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Form, Button, Alert, Spinner } from 'react-bootstrap';
+import AuthLayout from './AuthLayout';
+import ApiService from '../services/api';
+
+/**
+ * ResetPassword Functional Component
+ *
+ * @returns {JSX.Element} The rendered ResetPassword component
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [passwords, setPasswords] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords({ ...passwords, [name]: value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwords.password.length < 6) {
+      setError('Le mot de passe doit contenir au moins 6 caractères');
+      return;
+    }
+    if (passwords.password !== passwords.confirmPassword) {
+      setError('Les mots de passe ne correspondent pas');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await ApiService.resetPassword(token, passwords.password);
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la réinitialisation du mot de passe');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <AuthLayout title="Nouveau mot de passe">
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {!token ? (
+        <Alert variant="danger">
+          Ce lien de réinitialisation est incomplet. Ouvrez le lien reçu par email ou faites
+          une nouvelle demande.
+        </Alert>
+      ) : done ? (
+        <Alert variant="success">
+          Votre mot de passe a été modifié. Vous pouvez maintenant vous connecter avec le nouveau.
+        </Alert>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          <Form.Group className="mb-3">
+            <Form.Label>Nouveau mot de passe</Form.Label>
+            <Form.Control
+              type="password"
+              name="password"
+              value={passwords.password}
+              onChange={handleChange}
+              placeholder="Min. 6 caractères"
+              required
+              disabled={loading}
+            />
+          </Form.Group>
+          <Form.Group className="mb-3">
+            <Form.Label>Confirmer le mot de passe</Form.Label>
+            <Form.Control
+              type="password"
+              name="confirmPassword"
+              value={passwords.confirmPassword}
+              onChange={handleChange}
+              required
+              disabled={loading}
+            />
+          </Form.Group>
+          <Button variant="primary" type="submit" className="w-100 mb-3" disabled={loading}>
+            {loading ? <Spinner as="span" animation="border" size="sm" /> : 'Enregistrer le mot de passe'}
+          </Button>
+        </Form>
+      )}
+
+      <div className="text-center">
+        {!done && token && <><Link to="/forgot-password">Demander un nouveau lien</Link><br /></>}
+        <Link to="/">← Retour à la connexion</Link>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default ResetPassword;
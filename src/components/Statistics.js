@@ -0,0 +1,221 @@
+/**
+ * Statistics Component - Registrations over time and their breakdowns
+ *
+ * Charts are drawn in plain SVG and markup, without chart library or CDN,
+ * so the page works on an offline office network.
+ *
+ * Features:
+ * - Registrations per day, week or month over a date range
+ * - Breakdowns by province, status and issuing agent over the same range
+ * - Date range and interval pickers; without dates the range is the last
+ *   30 days, 12 weeks or 12 months
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Form, Row, Col, Card, Alert, Spinner } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import TimeSeriesChart from './TimeSeriesChart';
+import BreakdownChart from './BreakdownChart';
+import ApiService from '../services/api';
+
+const INTERVAL_LABELS = {
+  day: 'Par jour',
+  week: 'Par semaine',
+  month: 'Par mois'
+};
+
+const STATUS_CONFIG = {
+  active: { color: '#198754', text: 'Actif' },
+  expired: { color: '#dc3545', text: 'Expiré' },
+  suspended: { color: '#ffc107', text: 'Suspendu' }
+};
+
+const BREAKDOWNS = [
+  { dimension: 'province', title: 'Par province', emptyLabel: 'Non renseignée' },
+  { dimension: 'status', title: 'Par statut', emptyLabel: 'Inconnu' },
+  { dimension: 'agent', title: 'Par agent', emptyLabel: 'Inconnu' }
+];
+
+const EMPTY_FILTERS = {
+  interval: 'day',
+  from: '',
+  to: ''
+};
+
+/**
+ * Statistics Functional Component
+ *
+ * @returns {JSX.Element} The rendered Statistics component
+ */
+const Statistics = () => {
+  const [series, setSeries] = useState(null);
+  const [breakdowns, setBreakdowns] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Filters being edited, and the ones applied to the current charts
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+
+  const loadStatistics = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = {};
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      // The breakdowns cover the range resolved for the series
+      const seriesData = await ApiService.getRegistrationSeries(params);
+      const range = { from: seriesData.from, to: seriesData.to };
+      const results = await Promise.all(
+        BREAKDOWNS.map(({ dimension }) => ApiService.getRegistrationBreakdown(dimension, range))
+      );
+
+      setSeries(seriesData);
+      setBreakdowns(Object.fromEntries(BREAKDOWNS.map(({ dimension }, index) => [dimension, results[index]])));
+      setFilters(prev => ({ ...prev, ...range }));
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement des statistiques');
+      console.error('Error loading statistics:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters]);
+
+  useEffect(() => {
+    loadStatistics();
+  }, [loadStatistics]);
+
+  // ==================== FILTER HANDLERS ====================
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setAppliedFilters({ ...filters });
+  };
+
+  // Back to the default range of the chosen interval
+  const handleReset = () => {
+    const defaults = { ...EMPTY_FILTERS, interval: filters.interval };
+    setFilters(defaults);
+    setAppliedFilters(defaults);
+  };
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  const formatDate = (day, options = { day: '2-digit', month: '2-digit', year: 'numeric' }) => {
+    // Periods are UTC calendar days
+    return new Date(`${day}T00:00:00Z`).toLocaleDateString('fr-FR', { ...options, timeZone: 'UTC' });
+  };
+
+  const formatPeriod = (period) => {
+    switch (series?.interval) {
+      case 'month':
+        return formatDate(`${period}-01`, { month: 'short', year: 'numeric' });
+      case 'week':
+        return `sem. ${formatDate(period, { day: '2-digit', month: '2-digit' })}`;
+      default:
+        return formatDate(period, { day: '2-digit', month: '2-digit' });
+    }
+  };
+
+  const labelItems = ({ dimension, emptyLabel }) => (
+    (breakdowns[dimension]?.items || []).map(item => ({
+      ...item,
+      label: dimension === 'status'
+        ? STATUS_CONFIG[item.key]?.text || item.key || emptyLabel
+        : item.label || emptyLabel
+    }))
+  );
+
+  // ==================== RENDER ====================
+
+  return (
+    <AppLayout>
+      <h4 className="mb-4">Statistiques des immatriculations</h4>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {/* Range and interval */}
+      <Form onSubmit={handleSubmit} className="mb-4">
+        <Row className="g-2 align-items-end">
+          <Col md={3}>
+            <Form.Label htmlFor="statsInterval" className="small mb-1">Intervalle</Form.Label>
+            <Form.Select id="statsInterval" name="interval" value={filters.interval} onChange={handleFilterChange}>
+              {Object.entries(INTERVAL_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={3}>
+            <Form.Label htmlFor="statsFrom" className="small mb-1">Du</Form.Label>
+            <Form.Control id="statsFrom" type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+          </Col>
+          <Col md={3}>
+            <Form.Label htmlFor="statsTo" className="small mb-1">Au</Form.Label>
+            <Form.Control id="statsTo" type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+          </Col>
+          <Col md={3} className="d-flex gap-1">
+            <Button type="submit" variant="primary" disabled={loading}>Afficher</Button>
+            <Button variant="outline-secondary" title="Période par défaut" onClick={handleReset} disabled={loading}>
+              ✖
+            </Button>
+          </Col>
+        </Row>
+      </Form>
+
+      {loading && !series ? (
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Chargement...</span>
+          </Spinner>
+        </div>
+      ) : series && (
+        <>
+          {/* Registrations over time */}
+          <Card className="mb-4">
+            <Card.Header className="d-flex justify-content-between">
+              <span>Immatriculations {INTERVAL_LABELS[series.interval].toLowerCase()}</span>
+              <small className="text-muted">
+                {series.total} du {formatDate(series.from)} au {formatDate(series.to)}
+              </small>
+            </Card.Header>
+            <Card.Body>
+              <TimeSeriesChart points={series.series} formatPeriod={formatPeriod} />
+            </Card.Body>
+          </Card>
+
+          {/* Breakdowns */}
+          <Row className="g-3">
+            {BREAKDOWNS.map(breakdown => (
+              <Col md={4} key={breakdown.dimension}>
+                <Card className="h-100">
+                  <Card.Header>{breakdown.title}</Card.Header>
+                  <Card.Body>
+                    <BreakdownChart
+                      items={labelItems(breakdown)}
+                      colorOf={item => (breakdown.dimension === 'status' && STATUS_CONFIG[item.key]?.color) || '#0d6efd'}
+                    />
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+        </>
+      )}
+    </AppLayout>
+  );
+};
+
+export default Statistics;
@@ -0,0 +1,109 @@
+/**
+ * TimeSeriesChart Component - Column chart of counts per period
+ *
+ * Plain SVG scaled to the width of its container, so it needs no chart
+ * library or CDN. Hovering a column shows its period and count.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const MARGIN = { top: 16, right: 12, bottom: 40, left: 44 };
+const MAX_X_LABELS = 12;
+const Y_TICKS = 4;
+
+/**
+ * Smallest round number (1, 2 or 5 times a power of ten, per tick) at least `value`
+ */
+const niceMax = (value) => {
+  if (value <= Y_TICKS) return Y_TICKS;
+  const step = value / Y_TICKS;
+  const magnitude = 10 ** Math.floor(Math.log10(step));
+  const niceStep = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= step);
+  return niceStep * Y_TICKS;
+};
+
+/**
+ * TimeSeriesChart Functional Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.points - [{ period, count }] in chronological order
+ * @param {Function} props.formatPeriod - Label of a period on the axis and in tooltips
+ * @param {string} props.color - Column color
+ * @returns {JSX.Element} The rendered chart
+ */
+const TimeSeriesChart = ({ points, formatPeriod = period => period, color = '#0d6efd' }) => {
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const maxValue = niceMax(Math.max(0, ...points.map(point => point.count)));
+  const slot = plotWidth / Math.max(points.length, 1);
+  const barWidth = Math.max(slot * 0.7, 1);
+  const labelEvery = Math.ceil(points.length / MAX_X_LABELS);
+
+  const yOf = value => MARGIN.top + plotHeight - (value / maxValue) * plotHeight;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      width="100%"
+      role="img"
+      aria-label="Immatriculations par période"
+      style={{ fontSize: '11px' }}
+    >
+      {/* Horizontal grid and value axis */}
+      {Array.from({ length: Y_TICKS + 1 }, (_, index) => {
+        const value = (maxValue / Y_TICKS) * index;
+        return (
+          <g key={index}>
+            <line
+              x1={MARGIN.left}
+              x2={WIDTH - MARGIN.right}
+              y1={yOf(value)}
+              y2={yOf(value)}
+              stroke={index === 0 ? '#6c757d' : '#dee2e6'}
+            />
+            <text x={MARGIN.left - 6} y={yOf(value) + 4} textAnchor="end" fill="#6c757d">
+              {value}
+            </text>
+          </g>
+        );
+      })}
+
+      {/* Columns and period axis */}
+      {points.map((point, index) => {
+        const x = MARGIN.left + index * slot + (slot - barWidth) / 2;
+        const label = formatPeriod(point.period);
+        return (
+          <g key={point.period}>
+            <rect
+              x={x}
+              y={yOf(point.count)}
+              width={barWidth}
+              height={MARGIN.top + plotHeight - yOf(point.count)}
+              fill={color}
+            >
+              <title>{`${label} : ${point.count}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text
+                x={x + barWidth / 2}
+                y={HEIGHT - MARGIN.bottom + 16}
+                textAnchor="middle"
+                fill="#495057"
+              >
+                {label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default TimeSeriesChart;
@@ -0,0 +1,306 @@
+/**
+ * TransferOwnership Component - Change of ownership of a registration
+ *
+ * Records the sale (or inheritance, donation...) of a vehicle: the current
+ * owner is kept in the ownership history as the seller and the buyer
+ * becomes the owner of the plaque. The plate number does not change.
+ *
+ * Features:
+ * - Current owner (seller) summary
+ * - Buyer identity, contact and location form
+ * - Transfer date and proof of the transfer (type, reference, notes)
+ * - Blocked for suspended and cancelled plaques
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { Button, Row, Col, Card, Form, Alert, Spinner } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ApiService from '../services/api';
+
+const EMPTY_BUYER = {
+  ownerNom: '',
+  ownerPostNom: '',
+  ownerPrenom: '',
+  ownerNationalite: '',
+  ownerEmail: '',
+  ownerPhone: '',
+  ownerAdresse: '',
+  ownerProvince: '',
+  ownerDistrict: '',
+  ownerTerritoire: '',
+  ownerSecteur: '',
+  ownerVillage: ''
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * TransferOwnership Functional Component
+ *
+ * @returns {JSX.Element} The rendered TransferOwnership component
+ */
+const TransferOwnership = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [plaque, setPlaque] = useState(null);
+  const [evidenceOptions, setEvidenceOptions] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const [buyer, setBuyer] = useState(EMPTY_BUYER);
+  const [transfer, setTransfer] = useState({
+    transferDate: today(),
+    evidenceType: '',
+    evidenceReference: '',
+    notes: ''
+  });
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        setLoading(true);
+        const [plaqueData, evidence] = await Promise.all([
+          ApiService.getPlaqueById(id),
+          ApiService.getTransferEvidenceTypes()
+        ]);
+        setPlaque(plaqueData);
+        setEvidenceOptions(evidence);
+      } catch (err) {
+        setError(err.message || 'Erreur lors du chargement de la plaque');
+        console.error('Error loading plaque:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, [id]);
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleBuyerChange = (e) => {
+    const { name, value } = e.target;
+    setBuyer(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleTransferChange = (e) => {
+    const { name, value } = e.target;
+    setTransfer(prev => ({ ...prev, [name]: value }));
+  };
+
+  const notesRequired = () => (
+    !!evidenceOptions && evidenceOptions.notesRequiredFor.includes(transfer.evidenceType)
+  );
+
+  const isFormComplete = () => (
+    (buyer.ownerNom.trim() || buyer.ownerPrenom.trim())
+    && buyer.ownerEmail.trim()
+    && transfer.transferDate
+    && transfer.evidenceType
+    && transfer.evidenceReference.trim()
+    && (!notesRequired() || transfer.notes.trim())
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError('');
+      await ApiService.transferPlaque(plaque.id, { buyer, ...transfer });
+      navigate(`/plaques/${plaque.id}`);
+    } catch (err) {
+      setError(err.message || 'Erreur lors du transfert de propriété');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  const renderField = (label, value) => (
+    <div className="mb-2">
+      <small className="text-muted d-block">{label}</small>
+      <span>{value || '—'}</span>
+    </div>
+  );
+
+  const renderInput = (label, name, props = {}) => (
+    <Form.Group as={Col} md={4} className="mb-3" controlId={`buyer-${name}`}>
+      <Form.Label>{label}</Form.Label>
+      <Form.Control
+        name={name}
+        value={buyer[name]}
+        onChange={handleBuyerChange}
+        disabled={submitting}
+        {...props}
+      />
+    </Form.Group>
+  );
+
+  // ==================== RENDER ====================
+
+  if (loading) {
+    return (
+      <AppLayout>
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Chargement...</span>
+          </Spinner>
+        </div>
+      </AppLayout>
+    );
+  }
+
+  if (!plaque) {
+    return (
+      <AppLayout>
+        <Alert variant="danger">{error || 'Plaque non trouvée'}</Alert>
+        <Button as={Link} to="/plaques" variant="secondary">← Retour à la liste</Button>
+      </AppLayout>
+    );
+  }
+
+  const blockedReason = plaque.deleted_at
+    ? 'Cette plaque a été annulée et ne peut pas être transférée.'
+    : plaque.status === 'suspended'
+      ? 'Cette plaque est suspendue: levez la suspension avant de la transférer.'
+      : '';
+
+  return (
+    <AppLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h4 className="mb-0">Transfert de propriété — Plaque {plaque.plate_number}</h4>
+        <Button as={Link} to={`/plaques/${plaque.id}`} variant="outline-secondary">
+          ← Retour
+        </Button>
+      </div>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+      {blockedReason && <Alert variant="warning">{blockedReason}</Alert>}
+
+      <Card className="mb-4">
+        <Card.Header>Vendeur (propriétaire actuel)</Card.Header>
+        <Card.Body>
+          <Row>
+            <Col md={4}>{renderField('Nom', plaque.owner_name)}</Col>
+            <Col md={4}>{renderField('Email', plaque.owner_email)}</Col>
+            <Col md={4}>{renderField('Téléphone', plaque.owner_phone)}</Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      <Form onSubmit={handleSubmit}>
+        <Card className="mb-4">
+          <Card.Header>Acheteur (nouveau propriétaire)</Card.Header>
+          <Card.Body>
+            <Row>
+              {renderInput('Nom', 'ownerNom', { placeholder: 'Ex: Mukendi' })}
+              {renderInput('Post-nom', 'ownerPostNom')}
+              {renderInput('Prénom', 'ownerPrenom')}
+            </Row>
+            <Row>
+              {renderInput('Email', 'ownerEmail', { type: 'email', required: true })}
+              {renderInput('Téléphone', 'ownerPhone', { type: 'tel' })}
+              <Form.Group as={Col} md={4} className="mb-3" controlId="buyer-ownerNationalite">
+                <Form.Label>Nationalité</Form.Label>
+                <Form.Select
+                  name="ownerNationalite"
+                  value={buyer.ownerNationalite}
+                  onChange={handleBuyerChange}
+                  disabled={submitting}
+                >
+                  <option value="">Sélectionner la nationalité</option>
+                  <option value="Congolaise">Congolaise</option>
+                  <option value="Autre">Autre</option>
+                </Form.Select>
+              </Form.Group>
+            </Row>
+            <Row>
+              {renderInput('Adresse', 'ownerAdresse')}
+              {renderInput('Province', 'ownerProvince')}
+              {renderInput('District', 'ownerDistrict')}
+            </Row>
+            <Row>
+              {renderInput('Territoire', 'ownerTerritoire')}
+              {renderInput('Secteur', 'ownerSecteur')}
+              {renderInput('Village', 'ownerVillage')}
+            </Row>
+          </Card.Body>
+        </Card>
+
+        <Card className="mb-4">
+          <Card.Header>Transfert</Card.Header>
+          <Card.Body>
+            <Row>
+              <Form.Group as={Col} md={4} className="mb-3" controlId="transferDate">
+                <Form.Label>Date du transfert</Form.Label>
+                <Form.Control
+                  type="date"
+                  name="transferDate"
+                  max={today()}
+                  value={transfer.transferDate}
+                  onChange={handleTransferChange}
+                  disabled={submitting}
+                />
+              </Form.Group>
+              <Form.Group as={Col} md={4} className="mb-3" controlId="evidenceType">
+                <Form.Label>Justificatif</Form.Label>
+                <Form.Select
+                  name="evidenceType"
+                  value={transfer.evidenceType}
+                  onChange={handleTransferChange}
+                  disabled={submitting}
+                >
+                  <option value="">Sélectionner le justificatif</option>
+                  {(evidenceOptions?.evidenceTypes || []).map(type => (
+                    <option key={type.code} value={type.code}>{type.label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+              <Form.Group as={Col} md={4} className="mb-3" controlId="evidenceReference">
+                <Form.Label>Référence du justificatif</Form.Label>
+                <Form.Control
+                  name="evidenceReference"
+                  value={transfer.evidenceReference}
+                  onChange={handleTransferChange}
+                  placeholder="Ex: numéro de l'acte"
+                  maxLength={100}
+                  disabled={submitting}
+                />
+              </Form.Group>
+            </Row>
+            <Form.Group controlId="transferNotes">
+              <Form.Label>Notes{notesRequired() && ' *'}</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                name="notes"
+                value={transfer.notes}
+                onChange={handleTransferChange}
+                maxLength={1000}
+                disabled={submitting}
+              />
+            </Form.Group>
+          </Card.Body>
+        </Card>
+
+        <div className="d-flex justify-content-end gap-2">
+          <Button as={Link} to={`/plaques/${plaque.id}`} variant="secondary">
+            Annuler
+          </Button>
+          <Button type="submit" variant="primary" disabled={!!blockedReason || submitting || !isFormComplete()}>
+            {submitting ? 'Transfert...' : '🔁 Transférer la propriété'}
+          </Button>
+        </div>
+      </Form>
+    </AppLayout>
+  );
+};
+
+export default TransferOwnership;
@@ -0,0 +1,274 @@
+/**
+ * Trash Component - Cancelled registrations (Admin only)
+ *
+ * Lists cancelled plaques, lets admins restore them, and permanently purges
+ * those whose legal retention period has passed.
+ *
+ * Features:
+ * - Search by plate number or owner
+ * - Cancellation date, officer and reason
+ * - Restore to the active registry
+ * - Purge confirmed by typing the plate number
+ * - Paginated results
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Button, Form, InputGroup, Table, Alert, Spinner, Pagination, Modal } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ApiService from '../services/api';
+
+/**
+ * Trash Functional Component
+ *
+ * @returns {JSX.Element} The rendered Trash component
+ */
+const Trash = () => {
+  const [plaques, setPlaques] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [searchTerm, setSearchTerm] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalPlaques, setTotalPlaques] = useState(0);
+  const limit = 10;
+
+  // Purge modal
+  const [plaqueToPurge, setPlaqueToPurge] = useState(null);
+  const [purgeConfirmation, setPurgeConfirmation] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = { page: currentPage, limit };
+      if (appliedSearch) params.search = appliedSearch;
+
+      const response = await ApiService.getTrash(params);
+      setPlaques(response.plaques || []);
+      setTotalPages(response.pagination?.totalPages || 1);
+      setTotalPlaques(response.pagination?.total || 0);
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement de la corbeille');
+      console.error('Error loading trash:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, appliedSearch]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setAppliedSearch(searchTerm.trim());
+  };
+
+  const handleRestore = async (plaque) => {
+    try {
+      setError('');
+      setSuccess('');
+      await ApiService.restorePlaque(plaque.id);
+      setSuccess(`Plaque ${plaque.plate_number} restaurée`);
+      loadTrash();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la restauration');
+    }
+  };
+
+  const openPurge = (plaque) => {
+    setPlaqueToPurge(plaque);
+    setPurgeConfirmation('');
+  };
+
+  const handlePurgeConfirm = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      await ApiService.purgePlaque(plaqueToPurge.id, purgeConfirmation);
+      setSuccess(`Plaque ${plaqueToPurge.plate_number} purgée définitivement`);
+      setPlaqueToPurge(null);
+      loadTrash();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la purge');
+      setPlaqueToPurge(null);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('fr-FR');
+  };
+
+  const formatDateTime = (dateString) => {
+    // SQLite timestamps are UTC without a zone marker
+    return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleString('fr-FR');
+  };
+
+  const renderPagination = () => {
+    if (totalPages <= 1) return null;
+
+    const items = [];
+    const maxVisiblePages = 5;
+    let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
+    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+
+    if (endPage - startPage + 1 < maxVisiblePages) {
+      startPage = Math.max(1, endPage - maxVisiblePages + 1);
+    }
+
+    items.push(
+      <Pagination.Prev key="prev" disabled={currentPage === 1} onClick={() => setCurrentPage(currentPage - 1)} />
+    );
+    for (let page = startPage; page <= endPage; page++) {
+      items.push(
+        <Pagination.Item key={page} active={page === currentPage} onClick={() => setCurrentPage(page)}>
+          {page}
+        </Pagination.Item>
+      );
+    }
+    items.push(
+      <Pagination.Next key="next" disabled={currentPage === totalPages} onClick={() => setCurrentPage(currentPage + 1)} />
+    );
+
+    return <Pagination className="justify-content-center">{items}</Pagination>;
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <AppLayout>
+      <h4 className="mb-4">Corbeille</h4>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+      {success && <Alert variant="success">{success}</Alert>}
+
+      <Form onSubmit={handleSearch} className="mb-4">
+        <InputGroup>
+          <Form.Control
+            placeholder="Rechercher par numéro de plaque ou propriétaire..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+          <Button type="submit" variant="outline-primary">🔍 Rechercher</Button>
+        </InputGroup>
+      </Form>
+
+      <div className="mb-3">
+        <small className="text-muted">{totalPlaques} plaque(s) annulée(s)</small>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Chargement...</span>
+          </Spinner>
+        </div>
+      ) : plaques.length > 0 ? (
+        <>
+          <Table responsive striped hover size="sm">
+            <thead className="table-dark">
+              <tr>
+                <th>Plaque</th>
+                <th>Propriétaire</th>
+                <th>Annulée le</th>
+                <th>Par</th>
+                <th>Motif</th>
+                <th>Purge possible le</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plaques.map((plaque) => (
+                <tr key={plaque.id}>
+                  <td><Link to={`/plaques/${plaque.id}`}>{plaque.plate_number}</Link></td>
+                  <td>{plaque.owner_name}</td>
+                  <td className="text-nowrap">{formatDateTime(plaque.deleted_at)}</td>
+                  <td>{plaque.deleted_by_username || '—'}</td>
+                  <td>{plaque.deletion_reason}</td>
+                  <td>{formatDate(plaque.purgeable_from)}</td>
+                  <td className="text-nowrap">
+                    <Button
+                      variant="outline-success"
+                      size="sm"
+                      className="me-1"
+                      onClick={() => handleRestore(plaque)}
+                    >
+                      ♻️ Restaurer
+                    </Button>
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      disabled={!plaque.purgeable}
+                      title={plaque.purgeable ? 'Purger définitivement' : 'Durée légale de conservation non écoulée'}
+                      onClick={() => openPurge(plaque)}
+                    >
+                      🗑️ Purger
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {renderPagination()}
+        </>
+      ) : (
+        <div className="text-center py-5">
+          <h5>La corbeille est vide</h5>
+        </div>
+      )}
+
+      {/* Purge Confirmation Modal */}
+      <Modal show={!!plaqueToPurge} onHide={() => setPlaqueToPurge(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Purge définitive</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Alert variant="danger">
+            La plaque <strong>{plaqueToPurge?.plate_number}</strong> et tout son historique
+            seront supprimés définitivement. Cette action est irréversible.
+          </Alert>
+          <Form.Group>
+            <Form.Label>Saisissez le numéro de plaque pour confirmer</Form.Label>
+            <Form.Control
+              value={purgeConfirmation}
+              onChange={(e) => setPurgeConfirmation(e.target.value)}
+              placeholder={plaqueToPurge?.plate_number}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setPlaqueToPurge(null)}>
+            Annuler
+          </Button>
+          <Button
+            variant="danger"
+            onClick={handlePurgeConfirm}
+            disabled={submitting || purgeConfirmation !== plaqueToPurge?.plate_number}
+          >
+            {submitting ? 'Purge...' : 'Purger définitivement'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </AppLayout>
+  );
+};
+
+export default Trash;
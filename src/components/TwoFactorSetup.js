@@ -0,0 +1,124 @@
+/**
+ * TwoFactorSetup Component - Enrolment of an authenticator app
+ *
+ * Shows the QR code of a new TOTP secret (and the secret itself, for apps
+ * that cannot scan), then enables the second factor with a first code.
+ * Used from the security page, and from the login page when the user's
+ * role requires a second factor (with the challenge token of the login).
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { QRCodeSVG } from 'qrcode.react';
+import ApiService from '../services/api';
+
+/**
+ * TwoFactorSetup Functional Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.challengeToken - Setup challenge of a login in progress, if any
+ * @param {Function} props.onEnabled - Called with the API response once enabled
+ * @param {Function} props.onCancel - Called when the user gives up, if cancelling is offered
+ * @returns {JSX.Element} The rendered TwoFactorSetup component
+ */
+const TwoFactorSetup = ({ challengeToken = null, onEnabled, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Each setup replaces the secret: only request one, even when effects run twice
+  const setupRequested = useRef(false);
+
+  useEffect(() => {
+    if (setupRequested.current) return;
+    setupRequested.current = true;
+
+    const startSetup = async () => {
+      try {
+        setSetup(await ApiService.setupTwoFactor(challengeToken));
+      } catch (err) {
+        setError(err.message || 'Erreur lors de la préparation de la double authentification');
+      } finally {
+        setLoading(false);
+      }
+    };
+    startSetup();
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setError('');
+      onEnabled(await ApiService.enableTwoFactor(code.trim(), challengeToken));
+    } catch (err) {
+      setError(err.message || 'Code de vérification incorrect');
+      setCode('');
+      setLoading(false);
+    }
+  };
+
+  if (loading && !setup) {
+    return (
+      <div className="text-center py-4">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Chargement...</span>
+        </Spinner>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {setup && (
+        <Form onSubmit={handleSubmit}>
+          <p>
+            1. Scannez ce QR code avec votre application d'authentification
+            (Google Authenticator, Microsoft Authenticator, FreeOTP...).
+          </p>
+          <div className="text-center mb-2">
+            <QRCodeSVG value={setup.otpauthUri} size={200} level="M" />
+          </div>
+          <p className="text-center">
+            <small className="text-muted">
+              Ou saisissez la clé : <code className="user-select-all">{setup.secret}</code>
+            </small>
+          </p>
+
+          <Form.Group className="mb-3" controlId="totpSetupCode">
+            <Form.Label>2. Saisissez le code à 6 chiffres affiché par l'application</Form.Label>
+            <Form.Control
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              placeholder="123456"
+              required
+              disabled={loading}
+            />
+          </Form.Group>
+
+          <div className="d-flex gap-2">
+            <Button variant="primary" type="submit" disabled={loading}>
+              {loading ? <Spinner as="span" animation="border" size="sm" /> : 'Activer'}
+            </Button>
+            {onCancel && (
+              <Button variant="outline-secondary" onClick={onCancel} disabled={loading}>
+                Annuler
+              </Button>
+            )}
+          </div>
+        </Form>
+      )}
+    </>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,725 @@
+/**
+ * UserAdmin Component - User account administration (user:manage)
+ *
+ * Lets admins manage who can use the system. Passwords set or generated
+ * here are known to the admin, so the user is asked to change them.
+ *
+ * Features:
+ * - Search by username or email, filter by role and status
+ * - Account creation with a chosen or generated temporary password
+ * - Role change
+ * - Provinces each user may consult and work on (roles with national
+ *   access see every province)
+ * - Disable (with a mandatory reason) and re-enable
+ * - Unlock of accounts locked after failed logins
+ * - Password reset, ending the user's sessions
+ * - Two-factor authentication status, and reset for users who lost it
+ * - Paginated results
+ * - Permissions granted by each role
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Form, Row, Col, Table, Alert, Spinner, Pagination, Modal, Badge } from 'react-bootstrap';
+import AppLayout from './AppLayout';
+import ProvinceChecklist from './ProvinceChecklist';
+import ApiService from '../services/api';
+import { provinceName } from '../utils/provinces';
+
+const EMPTY_FILTERS = {
+  search: '',
+  role: '',
+  status: ''
+};
+
+const EMPTY_NEW_USER = {
+  username: '',
+  email: '',
+  role: 'agent',
+  password: '',
+  provinces: []
+};
+
+/**
+ * UserAdmin Functional Component
+ *
+ * @returns {JSX.Element} The rendered UserAdmin component
+ */
+const UserAdmin = () => {
+  const currentUser = ApiService.getCurrentUser();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalUsers, setTotalUsers] = useState(0);
+  const limit = 20;
+
+  // Modals
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [newUser, setNewUser] = useState(EMPTY_NEW_USER);
+  const [userToDisable, setUserToDisable] = useState(null);
+  const [disableReason, setDisableReason] = useState('');
+  const [userToReset, setUserToReset] = useState(null);
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+  const [userToResetTwoFactor, setUserToResetTwoFactor] = useState(null);
+  const [userToAssign, setUserToAssign] = useState(null);
+  const [assignedProvinces, setAssignedProvinces] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = { page: currentPage, limit };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await ApiService.getUsers(params);
+      setUsers(response.users || []);
+      setRoles(response.roles || []);
+      setPermissions(response.permissions || []);
+      setTotalPages(response.pagination?.totalPages || 1);
+      setTotalUsers(response.pagination?.total || 0);
+    } catch (err) {
+      setError(err.message || 'Erreur lors du chargement des utilisateurs');
+      console.error('Error loading users:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, appliedFilters]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // ==================== EVENT HANDLERS ====================
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setAppliedFilters({ ...filters, search: filters.search.trim() });
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  const handleNewUserChange = (e) => {
+    const { name, value } = e.target;
+    setNewUser(prev => ({ ...prev, [name]: value }));
+  };
+
+  const openCreate = () => {
+    setNewUser(EMPTY_NEW_USER);
+    setShowCreateModal(true);
+  };
+
+  const handleCreateConfirm = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      const response = await ApiService.createUser(newUser);
+      setSuccess(`Utilisateur ${response.user.username} créé`);
+      setShowCreateModal(false);
+      if (response.temporaryPassword) {
+        setTemporaryPassword({ username: response.user.username, password: response.temporaryPassword });
+      }
+      loadUsers();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la création de l\'utilisateur');
+      setShowCreateModal(false);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      setError('');
+      setSuccess('');
+      await ApiService.changeUserRole(user.id, role);
+      setSuccess(`Rôle de ${user.username} mis à jour`);
+      loadUsers();
+    } catch (err) {
+      setError(err.message || 'Erreur lors du changement de rôle');
+    }
+  };
+
+  const openAssign = (user) => {
+    setUserToAssign(user);
+    setAssignedProvinces(user.provinces || []);
+  };
+
+  const handleAssignConfirm = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      await ApiService.changeUserProvinces(userToAssign.id, assignedProvinces);
+      setSuccess(`Provinces de ${userToAssign.username} mises à jour`);
+      loadUsers();
+    } catch (err) {
+      setError(err.message || 'Erreur lors du changement des provinces');
+    } finally {
+      setUserToAssign(null);
+      setSubmitting(false);
+    }
+  };
+
+  const openDisable = (user) => {
+    setUserToDisable(user);
+    setDisableReason('');
+  };
+
+  const handleDisableConfirm = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      await ApiService.disableUser(userToDisable.id, disableReason);
+      setSuccess(`Compte ${userToDisable.username} désactivé`);
+      setUserToDisable(null);
+      loadUsers();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la désactivation du compte');
+      setUserToDisable(null);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnable = async (user) => {
+    try {
+      setError('');
+      setSuccess('');
+      await ApiService.enableUser(user.id);
+      setSuccess(`Compte ${user.username} réactivé`);
+      loadUsers();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la réactivation du compte');
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      setError('');
+      setSuccess('');
+      await ApiService.unlockUser(user.id);
+      setSuccess(`Compte ${user.username} déverrouillé`);
+      loadUsers();
+    } catch (err) {
+      setError(err.message || 'Erreur lors du déverrouillage du compte');
+    }
+  };
+
+  const handleResetConfirm = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      const response = await ApiService.resetUserPassword(userToReset.id);
+      setUserToReset(null);
+      setTemporaryPassword({ username: response.user.username, password: response.temporaryPassword });
+      loadUsers();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la réinitialisation du mot de passe');
+      setUserToReset(null);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResetTwoFactorConfirm = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      setSuccess('');
+      await ApiService.resetUserTwoFactor(userToResetTwoFactor.id);
+      setSuccess(`Double authentification de ${userToResetTwoFactor.username} réinitialisée`);
+      loadUsers();
+    } catch (err) {
+      setError(err.message || 'Erreur lors de la réinitialisation de la double authentification');
+    } finally {
+      setUserToResetTwoFactor(null);
+      setSubmitting(false);
+    }
+  };
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  const formatDateTime = (dateString) => {
+    // SQLite timestamps are UTC without a zone marker
+    return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleString('fr-FR');
+  };
+
+  const hasNationalAccess = (user) => (
+    !!roles.find(role => role.code === user.role)?.permissions?.includes('plaque:national')
+  );
+
+  const isLocked = (user) => (
+    !!user.locked_until && new Date(`${user.locked_until.replace(' ', 'T')}Z`) > new Date()
+  );
+
+  const isNewUserValid = () => (
+    newUser.username.trim().length >= 3
+    && newUser.email.trim()
+    && (!newUser.password || newUser.password.length >= 6)
+  );
+
+  const renderPagination = () => {
+    if (totalPages <= 1) return null;
+
+    const items = [];
+    const maxVisiblePages = 5;
+    let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
+    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+
+    if (endPage - startPage + 1 < maxVisiblePages) {
+      startPage = Math.max(1, endPage - maxVisiblePages + 1);
+    }
+
+    items.push(
+      <Pagination.Prev key="prev" disabled={currentPage === 1} onClick={() => setCurrentPage(currentPage - 1)} />
+    );
+    for (let page = startPage; page <= endPage; page++) {
+      items.push(
+        <Pagination.Item key={page} active={page === currentPage} onClick={() => setCurrentPage(page)}>
+          {page}
+        </Pagination.Item>
+      );
+    }
+    items.push(
+      <Pagination.Next key="next" disabled={currentPage === totalPages} onClick={() => setCurrentPage(currentPage + 1)} />
+    );
+
+    return <Pagination className="justify-content-center">{items}</Pagination>;
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <AppLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h4 className="mb-0">Utilisateurs</h4>
+        <Button variant="success" onClick={openCreate}>
+          ➕ Nouvel utilisateur
+        </Button>
+      </div>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+      {success && <Alert variant="success">{success}</Alert>}
+
+      <Form onSubmit={handleSearch} className="mb-4">
+        <Row className="g-2 align-items-end">
+          <Col md={5}>
+            <Form.Label>Recherche</Form.Label>
+            <Form.Control
+              name="search"
+              value={filters.search}
+              onChange={handleFilterChange}
+              placeholder="Nom d'utilisateur ou email"
+            />
+          </Col>
+          <Col md={2}>
+            <Form.Label>Rôle</Form.Label>
+            <Form.Select name="role" value={filters.role} onChange={handleFilterChange}>
+              <option value="">Tous</option>
+              {roles.map(role => (
+                <option key={role.code} value={role.code}>{role.label}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={2}>
+            <Form.Label>Statut</Form.Label>
+            <Form.Select name="status" value={filters.status} onChange={handleFilterChange}>
+              <option value="">Tous</option>
+              <option value="active">Actifs</option>
+              <option value="disabled">Désactivés</option>
+            </Form.Select>
+          </Col>
+          <Col md={3} className="d-flex gap-2">
+            <Button type="submit" variant="primary">🔍 Filtrer</Button>
+            <Button variant="outline-secondary" onClick={handleReset}>Réinitialiser</Button>
+          </Col>
+        </Row>
+      </Form>
+
+      <div className="mb-3">
+        <small className="text-muted">{totalUsers} utilisateur(s)</small>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Chargement...</span>
+          </Spinner>
+        </div>
+      ) : users.length > 0 ? (
+        <>
+          <Table responsive striped hover size="sm">
+            <thead className="table-dark">
+              <tr>
+                <th>Utilisateur</th>
+                <th>Email</th>
+                <th>Rôle</th>
+                <th>Provinces</th>
+                <th>Statut</th>
+                <th>Créé le</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => {
+                const isSelf = user.id === currentUser?.id;
+                return (
+                  <tr key={user.id}>
+                    <td>
+                      {user.username}
+                      {isSelf && <Badge bg="secondary" className="ms-1">Vous</Badge>}
+                    </td>
+                    <td>{user.email}</td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={user.role}
+                        disabled={isSelf}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                      >
+                        {roles.map(role => (
+                          <option key={role.code} value={role.code}>{role.label}</option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                    <td>
+                      {hasNationalAccess(user) ? (
+                        <Badge bg="primary">National</Badge>
+                      ) : user.provinces.length > 0 ? (
+                        user.provinces.map(code => (
+                          <Badge key={code} bg="light" text="dark" className="me-1" title={provinceName(code)}>
+                            {code}
+                          </Badge>
+                        ))
+                      ) : (
+                        <small className="text-warning">Aucune</small>
+                      )}
+                    </td>
+                    <td>
+                      {user.disabled_at ? (
+                        <>
+                          <Badge bg="danger">Désactivé</Badge>
+                          <div>
+                            <small className="text-muted">
+                              {formatDateTime(user.disabled_at)}
+                              {user.disabled_by_username && ` par ${user.disabled_by_username}`}
+                              {' — '}{user.disabled_reason}
+                            </small>
+                          </div>
+                        </>
+                      ) : (
+                        <Badge bg="success">Actif</Badge>
+                      )}
+                      {isLocked(user) && (
+                        <div>
+                          <Badge bg="warning" text="dark">Verrouillé</Badge>
+                          <small className="text-muted ms-1">jusqu'au {formatDateTime(user.locked_until)}</small>
+                        </div>
+                      )}
+                      {!!user.must_change_password && (
+                        <div><small className="text-warning">Mot de passe temporaire</small></div>
+                      )}
+                      {user.totp_enabled_at && (
+                        <div><Badge bg="info">🛡️ 2FA</Badge></div>
+                      )}
+                    </td>
+                    <td className="text-nowrap">{formatDateTime(user.created_at)}</td>
+                    <td className="text-nowrap">
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        className="me-1"
+                        onClick={() => openAssign(user)}
+                      >
+                        📍 Provinces
+                      </Button>
+                      <Button
+                        variant="outline-warning"
+                        size="sm"
+                        className="me-1"
+                        onClick={() => setUserToReset(user)}
+                      >
+                        🔑 Mot de passe
+                      </Button>
+                      {user.totp_enabled_at && (
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-1"
+                          onClick={() => setUserToResetTwoFactor(user)}
+                        >
+                          🛡️ 2FA
+                        </Button>
+                      )}
+                      {isLocked(user) && (
+                        <Button
+                          variant="outline-info"
+                          size="sm"
+                          className="me-1"
+                          onClick={() => handleUnlock(user)}
+                        >
+                          🔓 Déverrouiller
+                        </Button>
+                      )}
+                      {user.disabled_at ? (
+                        <Button variant="outline-success" size="sm" onClick={() => handleEnable(user)}>
+                          ✅ Réactiver
+                        </Button>
+                      ) : (
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          disabled={isSelf}
+                          onClick={() => openDisable(user)}
+                        >
+                          ⛔ Désactiver
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+          {renderPagination()}
+        </>
+      ) : (
+        <div className="text-center py-5">
+          <h5>Aucun utilisateur trouvé</h5>
+        </div>
+      )}
+
+      {/* Role permission matrix */}
+      {permissions.length > 0 && (
+        <>
+          <h5 className="mt-5 mb-3">Permissions par rôle</h5>
+          <Table bordered size="sm" responsive>
+            <thead>
+              <tr>
+                <th>Permission</th>
+                {roles.map(role => (
+                  <th key={role.code} className="text-center">{role.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {permissions.map(permission => (
+                <tr key={permission.code}>
+                  <td>{permission.label} <small className="text-muted">({permission.code})</small></td>
+                  {roles.map(role => (
+                    <td key={role.code} className="text-center">
+                      {role.permissions?.includes(permission.code) ? '✓' : ''}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+
+      {/* Create User Modal */}
+      <Modal show={showCreateModal} onHide={() => setShowCreateModal(false)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Nouvel utilisateur</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group className="mb-3" controlId="newUsername">
+            <Form.Label>Nom d'utilisateur *</Form.Label>
+            <Form.Control name="username" value={newUser.username} onChange={handleNewUserChange} />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="newEmail">
+            <Form.Label>Email *</Form.Label>
+            <Form.Control type="email" name="email" value={newUser.email} onChange={handleNewUserChange} />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="newRole">
+            <Form.Label>Rôle</Form.Label>
+            <Form.Select name="role" value={newUser.role} onChange={handleNewUserChange}>
+              {roles.map(role => (
+                <option key={role.code} value={role.code}>{role.label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+          <Form.Group className="mb-3">
+            <Form.Label>Provinces</Form.Label>
+            <ProvinceChecklist
+              id="newProvince"
+              value={newUser.provinces}
+              onChange={provinces => setNewUser(prev => ({ ...prev, provinces }))}
+            />
+          </Form.Group>
+          <Form.Group controlId="newPassword">
+            <Form.Label>Mot de passe</Form.Label>
+            <Form.Control
+              type="password"
+              name="password"
+              value={newUser.password}
+              onChange={handleNewUserChange}
+              autoComplete="new-password"
+            />
+            <Form.Text className="text-muted">
+              Laissez vide pour générer un mot de passe temporaire. L'utilisateur devra le changer.
+            </Form.Text>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowCreateModal(false)}>
+            Annuler
+          </Button>
+          <Button variant="success" onClick={handleCreateConfirm} disabled={submitting || !isNewUserValid()}>
+            {submitting ? 'Création...' : 'Créer'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Provinces Modal */}
+      <Modal show={!!userToAssign} onHide={() => setUserToAssign(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Provinces de {userToAssign?.username}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            L'utilisateur ne consulte et ne modifie que les plaques émises dans ces provinces,
+            dès sa prochaine action.
+          </p>
+          {userToAssign && hasNationalAccess(userToAssign) && (
+            <Alert variant="info">
+              Son rôle donne accès à toutes les provinces, quelles que soient celles cochées ici.
+            </Alert>
+          )}
+          <ProvinceChecklist id="assignProvince" value={assignedProvinces} onChange={setAssignedProvinces} />
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setUserToAssign(null)}>
+            Annuler
+          </Button>
+          <Button variant="primary" onClick={handleAssignConfirm} disabled={submitting}>
+            {submitting ? 'Enregistrement...' : 'Enregistrer'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Disable Account Modal */}
+      <Modal show={!!userToDisable} onHide={() => setUserToDisable(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Désactiver le compte</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            <strong>{userToDisable?.username}</strong> ne pourra plus se connecter et ses sessions
+            en cours seront fermées.
+          </p>
+          <Form.Group controlId="disableReason">
+            <Form.Label>Motif *</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={disableReason}
+              onChange={(e) => setDisableReason(e.target.value)}
+              maxLength={1000}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setUserToDisable(null)}>
+            Annuler
+          </Button>
+          <Button variant="danger" onClick={handleDisableConfirm} disabled={submitting || !disableReason.trim()}>
+            {submitting ? 'Désactivation...' : 'Désactiver'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Password Reset Modal */}
+      <Modal show={!!userToReset} onHide={() => setUserToReset(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Réinitialiser le mot de passe</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          Le mot de passe de <strong>{userToReset?.username}</strong> sera remplacé par un mot de passe
+          temporaire et ses sessions en cours seront fermées.
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setUserToReset(null)}>
+            Annuler
+          </Button>
+          <Button variant="warning" onClick={handleResetConfirm} disabled={submitting}>
+            {submitting ? 'Réinitialisation...' : 'Réinitialiser'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Two-Factor Reset Modal */}
+      <Modal show={!!userToResetTwoFactor} onHide={() => setUserToResetTwoFactor(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Réinitialiser la double authentification</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          L'application d'authentification et les codes de récupération de{' '}
+          <strong>{userToResetTwoFactor?.username}</strong> ne fonctionneront plus. La connexion se fera avec
+          le seul mot de passe, ou demandera une nouvelle application si le rôle l'exige.
+          Vérifiez l'identité de l'utilisateur avant de continuer.
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setUserToResetTwoFactor(null)}>
+            Annuler
+          </Button>
+          <Button variant="warning" onClick={handleResetTwoFactorConfirm} disabled={submitting}>
+            {submitting ? 'Réinitialisation...' : 'Réinitialiser'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Temporary Password Modal */}
+      <Modal show={!!temporaryPassword} onHide={() => setTemporaryPassword(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Mot de passe temporaire</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>Communiquez ce mot de passe à <strong>{temporaryPassword?.username}</strong>:</p>
+          <div className="text-center mb-3">
+            <code className="fs-4">{temporaryPassword?.password}</code>
+          </div>
+          <Alert variant="warning" className="mb-0">
+            Il ne sera plus affiché après la fermeture de cette fenêtre.
+          </Alert>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="primary" onClick={() => setTemporaryPassword(null)}>
+            Fermer
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </AppLayout>
+  );
+};
+
+export default UserAdmin;
@@ -12,6 +12,9 @@
 
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// Endpoints whose 401 answers are not about an expired access token
+const SESSION_ENDPOINTS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout'];
+
 /**
  * ApiService Class
  * 
@@ -25,6 +28,11 @@ class ApiService {
    */
   constructor() {
     this.baseURL = API_BASE_URL;
+    // Pending refresh, shared by the requests that failed together
+    this.refreshing = null;
+    // Provinces from the backend, once loaded (see loadProvinces)
+    this.provinces = [];
+    this.provincesLoading = null;
   }
 
   // ==================== AUTHENTICATION MANAGEMENT ====================
@@ -45,13 +53,149 @@ class ApiService {
     localStorage.setItem('token', token);
   }
 
+  /**
+   * Retrieve the refresh token from browser's localStorage
+   * @returns {string|null} Refresh token or null if not found
+   */
+  getRefreshToken() {
+    return localStorage.getItem('refreshToken');
+  }
+
+  /**
+   * Store the refresh token in browser's localStorage
+   * @param {string} refreshToken - Refresh token of the session
+   */
+  setRefreshToken(refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+
   /**
    * Remove authentication data from localStorage
-   * Clears both token and user information
+   * Clears the tokens and user information
    */
   removeAuthToken() {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
+    localStorage.removeItem('provinceScope');
+  }
+
+  /**
+   * Store the tokens and user returned by login, registration or refresh
+   * @param {Object} data - Response with token, refreshToken and user
+   */
+  storeSession(data) {
+    this.setAuthToken(data.token);
+    this.setRefreshToken(data.refreshToken);
+    this.setCurrentUser(data.user);
+
+    // The provinces of the user may have changed since the scope was chosen
+    // (national users may pick any, even before the provinces are loaded)
+    const scope = this.getProvinceScope();
+    if (scope && !this.hasPermission('plaque:national') && !this.getJurisdictionProvinces().includes(scope)) {
+      this.setProvinceScope('');
+    }
+  }
+
+  // ==================== JURISDICTION ====================
+
+  /**
+   * Codes of the provinces the current user may consult: every province
+   * with plaque:national, otherwise those assigned to them
+   * @returns {string[]} Province codes
+   */
+  getJurisdictionProvinces() {
+    if (this.hasPermission('plaque:national')) {
+      return this.getProvinces().map(province => province.code);
+    }
+    return this.getCurrentUser()?.provinces || [];
+  }
+
+  /**
+   * Province lists and statistics are narrowed to, sent as X-Province-Scope
+   * @returns {string} Province code, or '' for the whole jurisdiction
+   */
+  getProvinceScope() {
+    return localStorage.getItem('provinceScope') || '';
+  }
+
+  /**
+   * Narrow lists and statistics to one province ('' for the whole jurisdiction)
+   * @param {string} provinceCode - Province code
+   */
+  setProvinceScope(provinceCode) {
+    if (provinceCode) {
+      localStorage.setItem('provinceScope', provinceCode);
+    } else {
+      localStorage.removeItem('provinceScope');
+    }
+  }
+
+  /**
+   * Trade the refresh token for a new access token
+   * Concurrent callers share one refresh, since a refresh token works once.
+   *
+   * @returns {Promise<boolean>} true when a new access token is available
+   */
+  refreshSession() {
+    if (!this.refreshing) {
+      const refreshToken = this.getRefreshToken();
+      this.refreshing = fetch(`${this.baseURL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      })
+        .then(async (response) => {
+          if (!response.ok) {
+            // Another tab may have refreshed first and stored new tokens
+            return !!refreshToken && this.getRefreshToken() !== refreshToken;
+          }
+          this.storeSession(await response.json());
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Send a request with the access token and the chosen province scope,
+   * refreshing the token once on 401
+   * When the session cannot be refreshed, the user is sent back to login.
+   *
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   */
+  async authorizedFetch(endpoint, options = {}) {
+    const send = () => {
+      const token = this.getAuthToken();
+      const scope = this.getProvinceScope();
+      return fetch(`${this.baseURL}${endpoint}`, {
+        ...options,
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(scope && { 'X-Province-Scope': scope }),
+          ...options.headers,
+        },
+      });
+    };
+
+    const response = await send();
+    if (response.status !== 401 || SESSION_ENDPOINTS.includes(endpoint) || !this.getAuthToken()) {
+      return response;
+    }
+
+    if (this.getRefreshToken() && await this.refreshSession()) {
+      return send();
+    }
+
+    this.removeAuthToken();
+    window.location.href = '/';
+    return response;
   }
 
   /**
@@ -77,7 +221,8 @@ class ApiService {
    * Make authenticated HTTP request to the API
    * 
    * This is the core method that handles all API communications.
-   * It automatically adds authentication headers and handles errors.
+   * It automatically adds authentication headers and handles errors;
+   * an expired access token is refreshed and the request sent again.
    * 
    * @param {string} endpoint - API endpoint (e.g., '/plaques', '/auth/login')
    * @param {Object} options - Fetch options (method, body, headers, etc.)
@@ -85,21 +230,18 @@ class ApiService {
    * @throws {Error} If request fails or returns error status
    */
   async request(endpoint, options = {}) {
-    const url = `${this.baseURL}${endpoint}`;
-    const token = this.getAuthToken();
-
-    // Configure request with default headers and authentication
+    // Configure request with default headers
     const config = {
+      ...options,
       headers: {
-        'Content-Type': 'application/json',
-        ...(token && { Authorization: `Bearer ${token}` }),
+        // Multipart bodies get their Content-Type (with boundary) from fetch
+        ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
         ...options.headers,
       },
-      ...options,
     };
 
     try {
-      const response = await fetch(url, config);
+      const response = await this.authorizedFetch(endpoint, config);
       const data = await response.json();
 
       // Handle HTTP error responses
@@ -110,17 +252,46 @@ class ApiService {
       return data;
     } catch (error) {
       console.error('API Request Error:', error);
-      
-      // Auto-logout on authentication errors
-      if (error.message.includes('unauthorized') || error.message.includes('token')) {
-        this.removeAuthToken();
-        window.location.href = '/';
-      }
-      
       throw error;
     }
   }
 
+  /**
+   * Make authenticated HTTP request for a file (PDF, spreadsheet...)
+   * 
+   * @param {string} endpoint - API endpoint
+   * @returns {Promise<Blob>} File content
+   * @throws {Error} With the API message if the request fails
+   */
+  async requestBlob(endpoint) {
+    const response = await this.authorizedFetch(endpoint);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || 'Something went wrong');
+    }
+
+    return response.blob();
+  }
+
+  /**
+   * Download a file from the API and save it under `filename`
+   * 
+   * @param {string} endpoint - API endpoint
+   * @param {string} filename - Name proposed to the browser
+   */
+  async downloadFile(endpoint, filename) {
+    const blob = await this.requestBlob(endpoint);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
   // ==================== AUTHENTICATION ENDPOINTS ====================
 
   /**
@@ -128,7 +299,9 @@ class ApiService {
    * 
    * @param {string} email - User's email address
    * @param {string} password - User's password
-   * @returns {Promise<Object>} Authentication response with token and user data
+   * @returns {Promise<Object>} Authentication response with token and user data,
+   *   or a challengeToken with twoFactorRequired / twoFactorSetupRequired
+   *   when a second factor is expected
    * @throws {Error} If login credentials are invalid
    */
   async login(email, password) {
@@ -139,13 +312,29 @@ class ApiService {
 
     // Store authentication data on successful login
     if (data.token) {
-      this.setAuthToken(data.token);
-      this.setCurrentUser(data.user);
+      this.storeSession(data);
     }
 
     return data;
   }
 
+  /**
+   * Finish a login with the second factor
+   * 
+   * @param {string} challengeToken - Token returned by login()
+   * @param {Object} factor - { code } from the authenticator app, or { recoveryCode }
+   * @returns {Promise<Object>} Authentication response with token and user data
+   * @throws {Error} If the code is wrong or the challenge expired
+   */
+  async loginWithSecondFactor(challengeToken, factor) {
+    const data = await this.request('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, ...factor }),
+    });
+    this.storeSession(data);
+    return data;
+  }
+
   /**
    * Register new user account
    * 
@@ -163,8 +352,7 @@ class ApiService {
 
     // Store authentication data on successful registration
     if (data.token) {
-      this.setAuthToken(data.token);
-      this.setCurrentUser(data.user);
+      this.storeSession(data);
     }
 
     return data;
@@ -180,11 +368,141 @@ class ApiService {
     return await this.request('/auth/me');
   }
 
+  /**
+   * Ask for a password reset link by email
+   * 
+   * @param {string} email - Email address of the account
+   * @returns {Promise<Object>} Same response whether the account exists or not
+   */
+  async forgotPassword(email) {
+    return this.request('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  /**
+   * Set a new password with the token of a reset link
+   * 
+   * @param {string} token - Token from the emailed link
+   * @param {string} password - New password
+   * @returns {Promise<Object>} Confirmation message
+   * @throws {Error} If the link is invalid, used or expired
+   */
+  async resetPassword(token, password) {
+    return this.request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
+  /**
+   * Change the password of the current user
+   * Their other sessions are closed; this one stays open.
+   * 
+   * @param {string} currentPassword - Password in use
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Confirmation message
+   * @throws {Error} If the current password is wrong
+   */
+  async changePassword(currentPassword, newPassword) {
+    const data = await this.request('/auth/change-password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+    this.setCurrentUser({ ...this.getCurrentUser(), mustChangePassword: false });
+    return data;
+  }
+
+  /**
+   * Second factor of the current user
+   * 
+   * @returns {Promise<Object>} enabled, required, enabledAt and recoveryCodesLeft
+   */
+  async getTwoFactorStatus() {
+    return this.request('/auth/2fa');
+  }
+
+  /**
+   * Start enrolling an authenticator app
+   * Logged-in users call it without argument; users whose role requires a
+   * second factor enrol during login with their challenge token.
+   * 
+   * @param {string} challengeToken - Setup challenge returned by login()
+   * @returns {Promise<Object>} secret and otpauthUri to show as a QR code
+   */
+  async setupTwoFactor(challengeToken = null) {
+    return this.request('/auth/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify(challengeToken ? { challengeToken } : {}),
+    });
+  }
+
+  /**
+   * Finish enrolment with a first code of the authenticator app
+   * With a challenge token the login completes and the session is stored.
+   * 
+   * @param {string} code - Current code of the app
+   * @param {string} challengeToken - Setup challenge returned by login()
+   * @returns {Promise<Object>} recoveryCodes (and the session during login)
+   * @throws {Error} If the code is wrong
+   */
+  async enableTwoFactor(code, challengeToken = null) {
+    const data = await this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify(challengeToken ? { code, challengeToken } : { code }),
+    });
+    if (data.token) {
+      this.storeSession(data);
+    }
+    return data;
+  }
+
+  /**
+   * Turn the second factor of the current user off
+   * 
+   * @param {string} password - Password of the account
+   * @param {string} code - Code of the authenticator app or a recovery code
+   * @returns {Promise<Object>} Confirmation message
+   * @throws {Error} If a credential is wrong or the role requires a second factor
+   */
+  async disableTwoFactor(password, code) {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code }),
+    });
+  }
+
+  /**
+   * Replace the recovery codes of the current user
+   * 
+   * @param {string} code - Current code of the authenticator app
+   * @returns {Promise<Object>} The new recoveryCodes
+   */
+  async regenerateRecoveryCodes(code) {
+    return this.request('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
   /**
    * Log out current user
-   * Clears all authentication data and redirects to login page
+   * Closes the session on the server, clears all authentication data and
+   * redirects to login page
    */
-  logout() {
+  async logout() {
+    const refreshToken = this.getRefreshToken();
+    if (refreshToken) {
+      try {
+        await this.request('/auth/logout', {
+          method: 'POST',
+          body: JSON.stringify({ refreshToken }),
+        });
+      } catch (error) {
+        // Signed out locally anyway; the session expires on its own
+      }
+    }
     this.removeAuthToken();
     window.location.href = '/';
   }
@@ -199,6 +517,14 @@ class ApiService {
    * @param {number} params.limit - Number of items per page
    * @param {string} params.search - Search term for filtering
    * @param {string} params.status - Filter by status (active, expired, suspended)
+   * @param {string} params.registeredFrom - Date range filters (AAAA-MM-JJ):
+   *   also registeredTo, expiresFrom and expiresTo
+   * @param {string} params.province - Issuing province code
+   * @param {number} params.createdBy - ID of the registering user (see getPlaqueIssuers)
+   * @param {number} params.expiringWithin - Days before expiry
+   * @param {string} params.sort - Sorted column (plateNumber, ownerName, status,
+   *   province, registrationDate, expiryDate, createdAt)
+   * @param {string} params.order - 'asc' or 'desc'
    * @returns {Promise<Object>} Paginated list of plaques
    */
   async getPlaques(params = {}) {
@@ -207,6 +533,28 @@ class ApiService {
     return response;
   }
 
+  /**
+   * Download the plaques matching the list filters as a spreadsheet
+   * 
+   * @param {Object} params - Filters, as for getPlaques (the sort is ignored)
+   * @param {string} format - 'csv' or 'xlsx'
+   */
+  async exportPlaques(params = {}, format = 'csv') {
+    const queryString = new URLSearchParams({ ...params, format }).toString();
+    const date = new Date().toISOString().slice(0, 10);
+    return this.downloadFile(`/plaques/export?${queryString}`, `plaques-${date}.${format}`);
+  }
+
+  /**
+   * Get the users who registered plaques in the current jurisdiction
+   * 
+   * @returns {Promise<Array>} { id, username } entries, by username
+   */
+  async getPlaqueIssuers() {
+    const response = await this.request('/plaques/issuers');
+    return response.issuers;
+  }
+
   /**
    * Get specific plaque by ID
    * 
@@ -229,14 +577,47 @@ class ApiService {
     return this.request(`/plaques/plate/${plateNumber}`);
   }
 
+  /**
+   * Reserve the next plate number of a province
+   * 
+   * @param {string} provinceCode - Two-digit province code (e.g. "10")
+   * @returns {Promise<Object>} Reservation with plateNumber and expiresAt
+   * @throws {Error} If the province code is invalid
+   */
+  async reservePlateNumber(provinceCode) {
+    return this.request('/plaques/reservations', {
+      method: 'POST',
+      body: JSON.stringify({ provinceCode })
+    });
+  }
+
+  /**
+   * Release a reserved plate number that will not be registered
+   * 
+   * @param {string} plateNumber - Reserved plate number
+   * @param {Object} options - Extra fetch options (e.g. keepalive when the page unloads)
+   * @returns {Promise<Object>} Release confirmation
+   */
+  async releasePlateNumber(plateNumber, options = {}) {
+    return this.request(`/plaques/reservations/${encodeURIComponent(plateNumber)}`, {
+      method: 'DELETE',
+      ...options
+    });
+  }
+
   /**
    * Create new plaque registration
    * 
    * @param {Object} plaqueData - Plaque registration data
-   * @param {string} plaqueData.plateNumber - Generated plate number
-   * @param {string} plaqueData.ownerName - Full name of the owner
+   * @param {string} plaqueData.plateNumber - Plate number reserved with reservePlateNumber()
+   * @param {string} plaqueData.ownerNom - Owner's last name
+   * @param {string} plaqueData.ownerPostNom - Owner's middle name
+   * @param {string} plaqueData.ownerPrenom - Owner's first name
    * @param {string} plaqueData.ownerEmail - Owner's email address
    * @param {string} plaqueData.ownerPhone - Owner's phone number
+   * @param {string} plaqueData.ownerAdresse - Owner's address (also ownerNationalite,
+   *   ownerProvince, ownerProvinceCode, ownerDistrict, ownerTerritoire, ownerSecteur, ownerVillage)
+   * @param {Object} plaqueData.vehicle - Vehicle details (vin, make, model, ...)
    * @param {string} plaqueData.expiryDate - Expiration date (ISO string)
    * @returns {Promise<Object>} Created plaque data
    * @throws {Error} If creation fails or plate number already exists
@@ -264,18 +645,253 @@ class ApiService {
   }
 
   /**
-   * Delete plaque registration (Admin only)
+   * Get the renewal periods offered and the renewal window
+   * 
+   * @returns {Promise<Object>} periodsMonths, windowDaysBefore, windowDaysAfter
+   */
+  async getRenewalOptions() {
+    return this.request('/plaques/renewal-options');
+  }
+
+  /**
+   * Renew a plaque registration
+   * The new expiry continues from the current one; an expired plaque
+   * becomes active again.
+   * 
+   * @param {number} id - Plaque ID
+   * @param {number} periodMonths - One of the periods from getRenewalOptions()
+   * @returns {Promise<Object>} Renewal record and updated plaque
+   * @throws {Error} If outside the renewal window or the plaque is suspended
+   */
+  async renewPlaque(id, periodMonths) {
+    return this.request(`/plaques/${id}/renew`, {
+      method: 'POST',
+      body: JSON.stringify({ periodMonths })
+    });
+  }
+
+  /**
+   * Get the renewal history of a plaque, most recent first
+   * 
+   * @param {number} id - Plaque ID
+   * @returns {Promise<Object>} Object with the renewals array
+   */
+  async getPlaqueRenewals(id) {
+    return this.request(`/plaques/${id}/renewals`);
+  }
+
+  /**
+   * Get the reason codes accepted for suspensions and reinstatements
+   * 
+   * @returns {Promise<Object>} suspension and reinstatement lists of
+   *   { code, label }, and notesRequiredFor (codes that need notes)
+   */
+  async getStatusReasons() {
+    return this.request('/plaques/status-reasons');
+  }
+
+  /**
+   * Suspend a plaque registration (Admin and supervisor only)
+   * 
+   * @param {number} id - Plaque ID
+   * @param {string} reasonCode - Suspension reason code
+   * @param {string} notes - Free-text explanation
+   * @returns {Promise<Object>} Updated plaque
+   */
+  async suspendPlaque(id, reasonCode, notes) {
+    return this.request(`/plaques/${id}/suspend`, {
+      method: 'POST',
+      body: JSON.stringify({ reasonCode, notes })
+    });
+  }
+
+  /**
+   * Lift the suspension of a plaque (Admin and supervisor only)
+   * 
+   * @param {number} id - Plaque ID
+   * @param {string} reasonCode - Reinstatement reason code
+   * @param {string} notes - Free-text explanation
+   * @returns {Promise<Object>} Updated plaque
+   */
+  async reinstatePlaque(id, reasonCode, notes) {
+    return this.request(`/plaques/${id}/reinstate`, {
+      method: 'POST',
+      body: JSON.stringify({ reasonCode, notes })
+    });
+  }
+
+  /**
+   * Download the registration certificate of a plaque
+   * 
+   * @param {number} id - Plaque ID
+   * @returns {Promise<Blob>} Certificate PDF
+   * @throws {Error} If the registration is not valid
+   */
+  async getCertificate(id) {
+    return this.requestBlob(`/plaques/${id}/certificate.pdf`);
+  }
+
+  /**
+   * Open the registration certificate in a new tab, ready to print
+   * 
+   * @param {number} id - Plaque ID
+   * @throws {Error} If pop-ups are blocked or the certificate is refused
+   */
+  async printCertificate(id) {
+    // Opened before the download so pop-up blockers allow it
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      throw new Error('Autorisez les fenêtres pop-up pour imprimer le certificat');
+    }
+
+    try {
+      const blob = await this.getCertificate(id);
+      printWindow.location.href = URL.createObjectURL(blob);
+    } catch (error) {
+      printWindow.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the documents accepted as proof of a change of ownership
+   * 
+   * @returns {Promise<Object>} evidenceTypes list of { code, label }, and
+   *   notesRequiredFor (types that need notes)
+   */
+  async getTransferEvidenceTypes() {
+    return this.request('/plaques/transfer-evidence-types');
+  }
+
+  /**
+   * Transfer a plaque to a new owner
+   * The current owner is kept in the ownership history as the seller.
+   * 
+   * @param {number} id - Plaque ID
+   * @param {Object} transferData - buyer (owner fields as for createPlaque),
+   *   transferDate, evidenceType, evidenceReference and notes
+   * @returns {Promise<Object>} Transfer record and updated plaque
+   * @throws {Error} If the plaque is suspended or cancelled, or the data is invalid
+   */
+  async transferPlaque(id, transferData) {
+    return this.request(`/plaques/${id}/transfer`, {
+      method: 'POST',
+      body: JSON.stringify(transferData)
+    });
+  }
+
+  /**
+   * Get the ownership transfers of a plaque, most recent first
+   * 
+   * @param {number} id - Plaque ID
+   * @returns {Promise<Object>} Object with the transfers array
+   */
+  async getOwnershipHistory(id) {
+    return this.request(`/plaques/${id}/ownership`);
+  }
+
+  /**
+   * Reissue the QR token of a plaque (Admin only)
+   * Previously printed QR codes of the plaque stop verifying.
+   * 
+   * @param {number} id - Plaque ID
+   * @returns {Promise<Object>} Object with the new qr_token
+   */
+  async reissueQrToken(id) {
+    return this.request(`/plaques/${id}/qr-token`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Verify a registration QR token (public, no authentication needed)
+   * 
+   * @param {string} token - Token read from the QR code
+   * @returns {Promise<Object>} valid, reason, plateNumber, status, expiryDate
+   */
+  async verifyQrToken(token) {
+    return this.request(`/verify/${encodeURIComponent(token)}`);
+  }
+
+  /**
+   * Cancel plaque registration, moving it to the trash (Admin only)
    * 
    * @param {number} id - Plaque ID to delete
+   * @param {string} reason - Why the registration is cancelled
    * @returns {Promise<Object>} Deletion confirmation
    * @throws {Error} If deletion fails or user lacks permissions
    */
-  async deletePlaque(id) {
+  async deletePlaque(id, reason) {
     return this.request(`/plaques/${id}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      body: JSON.stringify({ reason })
     });
   }
 
+  /**
+   * Get cancelled plaques (Admin only)
+   * 
+   * @param {Object} params - Query parameters (page, limit, search)
+   * @returns {Promise<Object>} Plaques with purgeable/purgeable_from, and pagination
+   */
+  async getTrash(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(queryString ? `/plaques/trash?${queryString}` : '/plaques/trash');
+  }
+
+  /**
+   * Restore a cancelled plaque (Admin only)
+   * 
+   * @param {number} id - Plaque ID
+   * @returns {Promise<Object>} Restored plaque
+   */
+  async restorePlaque(id) {
+    return this.request(`/plaques/${id}/restore`, {
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Permanently remove a cancelled plaque (Admin only)
+   * Only allowed once the legal retention period has passed.
+   * 
+   * @param {number} id - Plaque ID
+   * @param {string} confirmPlateNumber - The plaque's plate number, as confirmation
+   * @returns {Promise<Object>} Purge confirmation
+   */
+  async purgePlaque(id, confirmPlateNumber) {
+    return this.request(`/plaques/${id}/purge`, {
+      method: 'DELETE',
+      body: JSON.stringify({ confirmPlateNumber })
+    });
+  }
+
+  /**
+   * Import registrations from a CSV file (Admin only)
+   * Valid rows are imported together; invalid ones are listed in the report.
+   * 
+   * @param {File} file - CSV file, header row first
+   * @param {boolean} dryRun - Only validate the file
+   * @returns {Promise<Object>} message and report (totalRows, validRows,
+   *   invalidRows, importedRows, errors [{ row, plateNumber, message }])
+   */
+  async importPlaques(file, dryRun = false) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return this.request(`/plaques/import${dryRun ? '?dryRun=true' : ''}`, {
+      method: 'POST',
+      body: formData
+    });
+  }
+
+  /**
+   * Download the CSV import template (Admin only)
+   */
+  async downloadImportTemplate() {
+    return this.downloadFile('/plaques/import/template', 'modele-import-plaques.csv');
+  }
+
   /**
    * Get plaque statistics and overview data
    * 
@@ -289,39 +905,337 @@ class ApiService {
     return this.request('/plaques/stats/overview');
   }
 
-  // ==================== LEGACY COMPATIBILITY METHODS ====================
-  // These methods maintain backward compatibility with old "vehicle" terminology
+  /**
+   * Get registrations per day, week or month
+   * 
+   * @param {Object} params - interval (day, week, month), from and to (YYYY-MM-DD)
+   * @returns {Promise<Object>} interval, from, to, total and series [{ period, count }]
+   */
+  async getRegistrationSeries(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(queryString ? `/plaques/stats/timeseries?${queryString}` : '/plaques/stats/timeseries');
+  }
 
   /**
-   * @deprecated Use getPlaqueStats() instead
-   * Legacy method for backward compatibility
+   * Get registrations by province, status or issuing agent
+   * 
+   * @param {string} dimension - province, status or agent
+   * @param {Object} params - from and to (YYYY-MM-DD)
+   * @returns {Promise<Object>} from, to, total and items [{ key, label, count }]
    */
-  async getVehicleStats() {
-    return this.getPlaqueStats();
+  async getRegistrationBreakdown(dimension, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = `/plaques/stats/breakdown/${encodeURIComponent(dimension)}`;
+    return this.request(queryString ? `${endpoint}?${queryString}` : endpoint);
   }
 
+  // ==================== VEHICLE MANAGEMENT ENDPOINTS ====================
+
   /**
-   * @deprecated Use getPlaques() instead
-   * Legacy method for backward compatibility
+   * Get list of vehicles with optional search and pagination
+   * 
+   * @param {Object} params - Query parameters (page, limit, search)
+   * @returns {Promise<Object>} Paginated list of vehicles
    */
   async getVehicles(params = {}) {
-    return this.getPlaques(params);
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(queryString ? `/vehicles?${queryString}` : '/vehicles');
   }
 
   /**
-   * @deprecated Use getPlaqueById() instead
-   * Legacy method for backward compatibility
+   * Get specific vehicle by ID
+   * 
+   * @param {number} id - Vehicle ID
+   * @returns {Promise<Object>} Vehicle details with its plate number
    */
   async getVehicleById(id) {
-    return this.getPlaqueById(id);
+    return this.request(`/vehicles/${id}`);
   }
 
   /**
-   * @deprecated Use getPlaqueByPlateNumber() instead
-   * Legacy method for backward compatibility
+   * Get specific vehicle by VIN / chassis number
+   * 
+   * @param {string} vin - VIN to search for
+   * @returns {Promise<Object>} Vehicle details with its plate number
+   * @throws {Error} If vehicle not found
    */
-  async getVehicleByPlateNumber(plateNumber) {
-    return this.getPlaqueByPlateNumber(plateNumber);
+  async getVehicleByVin(vin) {
+    return this.request(`/vehicles/vin/${encodeURIComponent(vin)}`);
+  }
+
+  /**
+   * Create new vehicle
+   * 
+   * @param {Object} vehicleData - vin, engineNumber, make, model, year, colour, category, fuel, seats
+   * @returns {Promise<Object>} Created vehicle
+   * @throws {Error} If the VIN already exists
+   */
+  async createVehicle(vehicleData) {
+    return this.request('/vehicles', {
+      method: 'POST',
+      body: JSON.stringify(vehicleData)
+    });
+  }
+
+  /**
+   * Update existing vehicle
+   * 
+   * @param {number} id - Vehicle ID to update
+   * @param {Object} vehicleData - Updated vehicle data
+   * @returns {Promise<Object>} Updated vehicle
+   */
+  async updateVehicle(id, vehicleData) {
+    return this.request(`/vehicles/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(vehicleData)
+    });
+  }
+
+  /**
+   * Delete a vehicle not linked to any plaque (Admin only)
+   * 
+   * @param {number} id - Vehicle ID to delete
+   * @returns {Promise<Object>} Deletion confirmation
+   */
+  async deleteVehicle(id) {
+    return this.request(`/vehicles/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // ==================== AUDIT ENDPOINTS ====================
+
+  /**
+   * Search the audit log (Admin only)
+   * 
+   * @param {Object} params - Filters: entityType, entityId, action, actor,
+   *   from, to (YYYY-MM-DD), page, limit
+   * @returns {Promise<Object>} entries with their field changes, pagination,
+   *   and the entityTypes and actions accepted as filters
+   */
+  async getAuditLog(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(queryString ? `/audit?${queryString}` : '/audit');
+  }
+
+  // ==================== USER ADMINISTRATION ENDPOINTS ====================
+
+  /**
+   * List user accounts (Admin only)
+   * 
+   * @param {Object} params - Filters: search, role, status (active/disabled),
+   *   page, limit
+   * @returns {Promise<Object>} users, pagination and the roles that can be given
+   */
+  async getUsers(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(queryString ? `/users?${queryString}` : '/users');
+  }
+
+  /**
+   * Create a user account (Admin only)
+   * 
+   * @param {Object} userData - username, email, role and optional password
+   * @returns {Promise<Object>} The user and, when no password was given,
+   *   the generated temporaryPassword
+   */
+  async createUser(userData) {
+    return this.request('/users', {
+      method: 'POST',
+      body: JSON.stringify(userData),
+    });
+  }
+
+  /**
+   * Change the role of a user account (Admin only)
+   * 
+   * @param {number} id - User ID
+   * @param {string} role - Role code
+   * @returns {Promise<Object>} The updated user
+   */
+  async changeUserRole(id, role) {
+    return this.request(`/users/${id}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  }
+
+  /**
+   * Replace the provinces assigned to a user account (Admin only)
+   * 
+   * @param {number} id - User ID
+   * @param {string[]} provinces - Province codes
+   * @returns {Promise<Object>} The updated user
+   */
+  async changeUserProvinces(id, provinces) {
+    return this.request(`/users/${id}/provinces`, {
+      method: 'PUT',
+      body: JSON.stringify({ provinces }),
+    });
+  }
+
+  /**
+   * Disable a user account (Admin only)
+   * 
+   * @param {number} id - User ID
+   * @param {string} reason - Why the account is disabled
+   * @returns {Promise<Object>} The updated user
+   */
+  async disableUser(id, reason) {
+    return this.request(`/users/${id}/disable`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  /**
+   * Re-enable a disabled user account (Admin only)
+   * 
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} The updated user
+   */
+  async enableUser(id) {
+    return this.request(`/users/${id}/enable`, { method: 'POST' });
+  }
+
+  /**
+   * Replace a user's password with a temporary one (Admin only)
+   * 
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} The user and the temporaryPassword to hand over
+   */
+  async resetUserPassword(id) {
+    return this.request(`/users/${id}/reset-password`, { method: 'POST' });
+  }
+
+  /**
+   * Lift the lockout of an account locked after failed logins (Admin only)
+   * 
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} The updated user
+   */
+  async unlockUser(id) {
+    return this.request(`/users/${id}/unlock`, { method: 'POST' });
+  }
+
+  /**
+   * Remove the second factor of a user who lost it (Admin only)
+   * 
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} The updated user
+   */
+  async resetUserTwoFactor(id) {
+    return this.request(`/users/${id}/reset-2fa`, { method: 'POST' });
+  }
+
+  /**
+   * Search the login attempts, newest first (Admin only)
+   * 
+   * @param {Object} params - email, ip, result (success/failure), page, limit
+   * @returns {Promise<Object>} Paginated attempts
+   */
+  async getLoginAttempts(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(queryString ? `/users/login-attempts?${queryString}` : '/users/login-attempts');
+  }
+
+  // ==================== GEOGRAPHY ENDPOINTS ====================
+
+  /**
+   * Get the 26 provinces with their codes
+   *
+   * @returns {Promise<Array>} Provinces ({ code, name })
+   */
+  async getGeoProvinces() {
+    const { provinces } = await this.request('/geo/provinces');
+    return provinces;
+  }
+
+  /**
+   * Load the provinces once for the whole page; ProtectedRoute waits for
+   * them, so pages can then read them with getProvinces()
+   *
+   * @returns {Promise<Array>} Provinces ({ code, name })
+   */
+  loadProvinces() {
+    if (!this.provincesLoading) {
+      this.provincesLoading = this.getGeoProvinces()
+        .then((provinces) => {
+          this.provinces = provinces;
+          return provinces;
+        })
+        .catch((error) => {
+          this.provincesLoading = null;
+          throw error;
+        });
+    }
+    return this.provincesLoading;
+  }
+
+  /**
+   * The provinces loaded by loadProvinces (empty before)
+   *
+   * @returns {Array} Provinces ({ code, name }), by code
+   */
+  getProvinces() {
+    return this.provinces;
+  }
+
+  /**
+   * Get the entries of an administrative level under their parent
+   *
+   * @param {string} level - districts, territoires, secteurs or villages
+   * @param {Object} params - The parent: province (code) for districts and
+   *   territoires, with an optional district; territoire; secteur
+   * @returns {Promise<Array>} Entries ({ id, name, ... }), by name
+   */
+  async getGeoAreas(level, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const { items } = await this.request(`/geo/${level}?${queryString}`);
+    return items;
+  }
+
+  /**
+   * Add an entry to an administrative level (Admin only)
+   *
+   * @param {string} level - districts, territoires, secteurs or villages
+   * @param {Object} areaData - name, the parent (province, territoire or
+   *   secteur) and, for a territoire, district
+   * @returns {Promise<Object>} The created entry
+   */
+  async createGeoArea(level, areaData) {
+    return this.request(`/geo/${level}`, {
+      method: 'POST',
+      body: JSON.stringify(areaData)
+    });
+  }
+
+  /**
+   * Rename an entry, or change the district of a territoire (Admin only)
+   *
+   * @param {string} level - districts, territoires, secteurs or villages
+   * @param {number} id - Entry ID
+   * @param {Object} areaData - name, district
+   * @returns {Promise<Object>} The updated entry
+   */
+  async updateGeoArea(level, id, areaData) {
+    return this.request(`/geo/${level}/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(areaData)
+    });
+  }
+
+  /**
+   * Delete an entry with nothing under it (Admin only)
+   *
+   * @param {string} level - districts, territoires, secteurs or villages
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object>} Deletion confirmation
+   */
+  async deleteGeoArea(level, id) {
+    return this.request(`/geo/${level}/${id}`, {
+      method: 'DELETE'
+    });
   }
 
   // ==================== UTILITY METHODS ====================
@@ -346,6 +1260,18 @@ class ApiService {
     const user = this.getCurrentUser();
     return user && user.role === 'admin';
   }
+
+  /**
+   * Check if the role of the current user grants a permission
+   * The server enforces permissions; this only hides what the user cannot do.
+   * 
+   * @param {string} permission - Permission code, e.g. 'plaque:suspend'
+   * @returns {boolean} True if user is authenticated with the permission
+   */
+  hasPermission(permission) {
+    const user = this.getCurrentUser();
+    return !!user && (user.permissions || []).includes(permission);
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,21 @@
+/**
+ * DRC Provinces - Names of the provinces by registration code
+ *
+ * The list comes from the backend (GET /api/geo/provinces, see
+ * ApiService.loadProvinces); pages behind ProtectedRoute are rendered
+ * once it is loaded.
+ *
+ * @author Ahmed
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import ApiService from '../services/api';
+
+/**
+ * Name of a province, or its code when unknown
+ *
+ * @param {string} code - Two-digit province code
+ * @returns {string}
+ */
+export const provinceName = (code) => ApiService.getProvinces().find(province => province.code === code)?.name || code;